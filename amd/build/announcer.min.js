@@ -0,0 +1,16 @@
+define("local_reactions/announcer",["exports","core/str"],(function(_exports,_str){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.countsChanged=void 0;
+/**
+   * Tell screen reader users about reactions that change while they are on the page.
+   *
+   * Live updates only animate the pills, so changes picked up by polling or live updates are summarised
+   * in a polite aria-live region as well. Changes arriving together are gathered into one announcement,
+   * and announcements are at least THROTTLE apart, so a busy discussion doesn't talk over everything else:
+   * a single item is read out with its counts, several items just as how many changed.
+   *
+   * @module     local_reactions/announcer
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const pending=new Map;let timer=null,lastAnnounced=0,region=null;_exports.countsChanged=(key,counts)=>{getRegion(),pending.set(key,counts),null===timer&&(timer=setTimeout(announce,Math.max(1500,lastAnnounced+1e4-Date.now())))};const announce=async()=>{timer=null;const changes=[...pending.values()];if(pending.clear(),!changes.length)return;let message;lastAnnounced=Date.now();try{if(changes.length>1)message=await(0,_str.getString)("livechangesitems","local_reactions",changes.length);else if(changes[0].length){const parts=await Promise.all(changes[0].map((_ref=>{let{name:name,count:count}=_ref;return(0,_str.getString)("liveemojicount","local_reactions",{name:name,count:count})})));message=await(0,_str.getString)("livechanges","local_reactions",parts.join(", "))}else message=await(0,_str.getString)("livechanges","local_reactions",await(0,_str.getString)("noreactions","local_reactions"))}catch{return}const live=getRegion();live.textContent="",setTimeout((()=>{live.textContent=message}),100)},getRegion=()=>(region&&region.isConnected||(region=document.createElement("div"),region.className="sr-only",region.setAttribute("data-region","reactions-announcer"),region.setAttribute("aria-live","polite"),region.setAttribute("aria-atomic","true"),document.body.appendChild(region)),region)}));
+
+//# sourceMappingURL=announcer.min.js.map
\ No newline at end of file
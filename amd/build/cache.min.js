@@ -1,3 +1,24 @@
-define("local_reactions/cache",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setMultiple=_exports.itemKey=_exports.isAvailable=_exports.getMultiple=_exports.discussionKey=void 0;let db=null,dbAttempted=!1;const getDb=()=>db?Promise.resolve(db):dbAttempted?Promise.resolve(null):(dbAttempted=!0,"undefined"==typeof indexedDB?Promise.resolve(null):new Promise((resolve=>{try{const request=indexedDB.open("local_reactions_cache",1);request.onupgradeneeded=event=>{const database=event.target.result;database.objectStoreNames.contains("reactions")||database.createObjectStore("reactions",{keyPath:"cacheKey"})},request.onsuccess=event=>{db=event.target.result,resolve(db)},request.onerror=()=>{resolve(null)},request.onblocked=()=>{resolve(null)}}catch(e){resolve(null)}})));_exports.isAvailable=async()=>null!==await getDb();_exports.itemKey=(component,itemtype,itemid)=>"".concat(component,":").concat(itemtype,":item:").concat(itemid);_exports.discussionKey=(component,itemtype,discussionid)=>"".concat(component,":").concat(itemtype,":discussion:").concat(discussionid);_exports.getMultiple=async keys=>{const results=new Map,database=await getDb();if(!database||!keys.length)return keys.forEach((key=>results.set(key,null))),results;try{return await new Promise((resolve=>{const store=database.transaction("reactions","readonly").objectStore("reactions"),now=Date.now();let pending=keys.length;keys.forEach((key=>{const request=store.get(key);request.onsuccess=()=>{const record=request.result;!record||now-record.timestamp>6048e5?results.set(key,null):results.set(key,record.data),pending--,0===pending&&resolve(results)},request.onerror=()=>{results.set(key,null),pending--,0===pending&&resolve(results)}}))}))}catch(e){return keys.forEach((key=>{results.has(key)||results.set(key,null)})),results}};_exports.setMultiple=async entries=>{const database=await getDb();if(database&&entries.length)try{const store=database.transaction("reactions","readwrite").objectStore("reactions"),now=Date.now();entries.forEach((entry=>{store.put({cacheKey:entry.key,data:entry.data,timestamp:now})}))}catch(e){}}}));
+define("local_reactions/cache",["exports","core/config"],(function(_exports,_config){var obj;
+/**
+   * IndexedDB cache for emoji reactions data.
+   *
+   * Stores reaction counts and the user's own reactions locally so they can be rendered
+   * instantly (and reacted to) on page load before the web service response arrives.
+   * The same database also holds the queue of toggles made while offline, so they
+   * survive a page reload until they can be replayed. If IndexedDB is unavailable,
+   * all methods silently return null/void.
+   *
+   * One database serves every Moodle site on the origin and every user of the browser,
+   * so each record is scoped to the site (wwwroot) and user it was stored for, and is
+   * only ever read back in that scope. Records of other users of the site are purged
+   * when a different user starts using the cache (e.g. on a shared lab computer, or
+   * with "Log in as"), and all of the site's records when the user logs out. Reaction
+   * data is capped at MAX_ENTRIES, evicting the least recently used, and expired
+   * records are swept out at most once per SWEEP_INTERVAL.
+   *
+   * @module     local_reactions/cache
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.watchLogout=_exports.setMultiple=_exports.requeueToggles=_exports.queueToggle=_exports.itemKey=_exports.isAvailable=_exports.getQueuedToggles=_exports.getMultiple=_exports.discussionKey=_exports.claimQueuedToggles=void 0,_config=(obj=_config)&&obj.__esModule?obj:{default:obj};const STORE_NAME="reactions",QUEUE_STORE_NAME="pending_toggles",MIGRATIONS=[database=>{database.createObjectStore(STORE_NAME,{keyPath:"cacheKey"})},database=>{database.createObjectStore(QUEUE_STORE_NAME,{keyPath:"id",autoIncrement:!0})},(database,tx)=>{const store=tx.objectStore(STORE_NAME);store.clear(),store.createIndex("site","site"),store.createIndex("accessed","accessed"),store.createIndex("timestamp","timestamp");const queue=tx.objectStore(QUEUE_STORE_NAME);queue.clear(),queue.createIndex("site","site"),queue.createIndex("scope","scope")}],DB_VERSION=MIGRATIONS.length;let dbPromise=null,logoutWatched=!1;const getScope=()=>{const site=_config.default.wwwroot,userid=Number(_config.default.userId)||0;return{site:site,userid:userid,scope:"".concat(site,"|").concat(userid)}},readStorage=name=>{try{return window.localStorage.getItem("".concat("local_reactions_cache",":").concat(name,":").concat(_config.default.wwwroot))}catch(e){return null}},writeStorage=(name,value)=>{try{window.localStorage.setItem("".concat("local_reactions_cache",":").concat(name,":").concat(_config.default.wwwroot),value)}catch(e){}},purgeSite=(database,keepScope)=>new Promise((resolve=>{try{const tx=database.transaction([STORE_NAME,QUEUE_STORE_NAME],"readwrite");[STORE_NAME,QUEUE_STORE_NAME].forEach((name=>{const request=tx.objectStore(name).index("site").openCursor(IDBKeyRange.only(_config.default.wwwroot));request.onsuccess=()=>{const cursor=request.result;cursor&&(cursor.value.scope!==keepScope&&cursor.delete(),cursor.continue())}})),tx.oncomplete=()=>resolve(),tx.onerror=()=>resolve(),tx.onabort=()=>resolve()}catch(e){resolve()}})),housekeep=async database=>{const{scope:scope}=getScope();readStorage("scope")!==scope&&(await purgeSite(database,scope),writeStorage("scope",scope)),(database=>{const now=Date.now();if(!(now-(Number(readStorage("sweep"))||0)<864e5)){writeStorage("sweep",String(now));try{const request=database.transaction(STORE_NAME,"readwrite").objectStore(STORE_NAME).index("timestamp").openCursor(IDBKeyRange.upperBound(now-6048e5));request.onsuccess=()=>{const cursor=request.result;cursor&&(cursor.delete(),cursor.continue())}}catch(e){}}})(database)},getDb=()=>dbPromise||("undefined"==typeof indexedDB?(dbPromise=Promise.resolve(null),dbPromise):(dbPromise=new Promise((resolve=>{try{const request=indexedDB.open("local_reactions_cache",DB_VERSION);request.onupgradeneeded=event=>{const database=event.target.result;for(let version=event.oldVersion;version<DB_VERSION;version++)MIGRATIONS[version](database,event.target.transaction)},request.onsuccess=async event=>{const database=event.target.result;database.onversionchange=()=>{database.close(),dbPromise=null},await housekeep(database),resolve(database)},request.onerror=()=>{resolve(null)},request.onblocked=()=>{resolve(null)}}catch(e){resolve(null)}})),dbPromise));_exports.watchLogout=()=>{logoutWatched||(logoutWatched=!0,document.addEventListener("click",(e=>{var _e$target$closest,_e$target;const link=null===(_e$target$closest=(_e$target=e.target).closest)||void 0===_e$target$closest?void 0:_e$target$closest.call(_e$target,'a[href*="/login/logout.php"]');if(!link||e.defaultPrevented||0!==e.button||e.ctrlKey||e.metaKey||e.shiftKey)return;e.preventDefault();const purge=getDb().then((database=>database&&purgeSite(database,null))),timeout=new Promise((resolve=>setTimeout(resolve,1e3))),leave=()=>{window.location.href=link.href};Promise.race([purge,timeout]).then(leave).catch(leave)})))};_exports.isAvailable=async()=>null!==await getDb();_exports.itemKey=(component,itemtype,itemid)=>"".concat(component,":").concat(itemtype,":item:").concat(itemid);_exports.discussionKey=(component,itemtype,discussionid)=>"".concat(component,":").concat(itemtype,":discussion:").concat(discussionid);const scopedKey=(scope,key)=>"".concat(scope,"|").concat(key);_exports.getMultiple=async keys=>{const results=new Map,database=await getDb();if(!database||!keys.length)return keys.forEach((key=>results.set(key,null))),results;try{return await new Promise((resolve=>{const store=database.transaction(STORE_NAME,"readwrite").objectStore(STORE_NAME),{scope:scope}=getScope(),now=Date.now();let pending=keys.length;keys.forEach((key=>{const request=store.get(scopedKey(scope,key));request.onsuccess=()=>{const record=request.result;!record||now-record.timestamp>6048e5?results.set(key,null):(results.set(key,record.data),now-record.accessed>36e5&&store.put({...record,accessed:now})),pending--,0===pending&&resolve(results)},request.onerror=()=>{results.set(key,null),pending--,0===pending&&resolve(results)}}))}))}catch(e){return keys.forEach((key=>{results.has(key)||results.set(key,null)})),results}};_exports.setMultiple=async entries=>{const database=await getDb();if(database&&entries.length)try{const tx=database.transaction(STORE_NAME,"readwrite"),store=tx.objectStore(STORE_NAME),{site:site,scope:scope}=getScope(),now=Date.now();entries.forEach((entry=>{store.put({cacheKey:scopedKey(scope,entry.key),site:site,scope:scope,data:entry.data,timestamp:now,accessed:now})})),tx.oncomplete=()=>(database=>{try{const store=database.transaction(STORE_NAME,"readwrite").objectStore(STORE_NAME),countRequest=store.count();countRequest.onsuccess=()=>{let excess=countRequest.result-2e3;if(excess<=0)return;const request=store.index("accessed").openCursor();request.onsuccess=()=>{const cursor=request.result;cursor&&excess>0&&(cursor.delete(),excess--,cursor.continue())}}}catch(e){}})(database)}catch(e){}};_exports.queueToggle=async entry=>{const database=await getDb();if(!database)return null;try{return await new Promise((resolve=>{const tx=database.transaction(QUEUE_STORE_NAME,"readwrite"),{site:site,scope:scope}=getScope(),request=tx.objectStore(QUEUE_STORE_NAME).add({...entry,site:site,scope:scope,timestamp:Date.now()});tx.oncomplete=()=>resolve(request.result),tx.onerror=()=>resolve(null),tx.onabort=()=>resolve(null)}))}catch(e){return null}};_exports.getQueuedToggles=async()=>{const database=await getDb();if(!database)return[];try{return await new Promise((resolve=>{const request=database.transaction(QUEUE_STORE_NAME,"readonly").objectStore(QUEUE_STORE_NAME).index("scope").getAll(getScope().scope);request.onsuccess=()=>resolve(request.result||[]),request.onerror=()=>resolve([])}))}catch(e){return[]}};_exports.claimQueuedToggles=async()=>{const database=await getDb();if(!database)return[];try{return await new Promise((resolve=>{const tx=database.transaction(QUEUE_STORE_NAME,"readwrite"),store=tx.objectStore(QUEUE_STORE_NAME),request=store.index("scope").getAll(getScope().scope);request.onsuccess=()=>request.result.forEach((entry=>store.delete(entry.id))),tx.oncomplete=()=>resolve(request.result||[]),tx.onerror=()=>resolve([]),tx.onabort=()=>resolve([])}))}catch(e){return[]}};_exports.requeueToggles=async entries=>{const database=await getDb();if(database&&entries.length)try{const store=database.transaction(QUEUE_STORE_NAME,"readwrite").objectStore(QUEUE_STORE_NAME);entries.forEach((entry=>store.put(entry)))}catch(e){}}}));
 
 //# sourceMappingURL=cache.min.js.map
\ No newline at end of file
@@ -1,13 +1,19 @@
-define("local_reactions/discussion_list_reactions",["exports","core/ajax","core/templates","core/notification","local_reactions/cache","local_reactions/utils"],(function(_exports,_ajax,_templates,_notification,Cache,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+define("local_reactions/discussion_list_reactions",["exports","core/ajax","core/templates","core/notification","local_reactions/cache","local_reactions/tab_sync","local_reactions/live_updates","local_reactions/viewport","local_reactions/emoji_catalogue","local_reactions/picker","local_reactions/grading_summary","local_reactions/events","local_reactions/scheduler","local_reactions/touch","local_reactions/announcer","local_reactions/utils"],(function(_exports,_ajax,_templates,_notification,Cache,TabSync,LiveUpdates,Viewport,EmojiCatalogue,Picker,GradingSummary,Events,Scheduler,Touch,Announcer,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
 /**
    * AMD module for read-only aggregated reactions on the forum discussion list.
    *
    * Renders cached reactions instantly from IndexedDB, then refreshes from the
    * web service and animates any differences.
    *
+   * When the forum allows it, each row also offers reacting to the discussion's opening post. The pills
+   * keep showing the totals for the whole discussion; the reaction only changes them by the one post.
+   *
+   * Bars fire the events in local_reactions/events, with the itemtype `discussion` for discussion totals,
+   * and getState(), toggle() and refresh() give other code access to the discussions' reactions.
+   *
    * @module     local_reactions/discussion_list_reactions
    * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=void 0,_ajax=_interopRequireDefault(_ajax),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification),Cache=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(Cache);let config={},currentDataMap={},pollingInitialised=!1;_exports.init=cfg=>{config=cfg,loadDiscussionReactions(),observeGradingPanel()};const insertAfterBadges=(row,element)=>{const topicTh=row.querySelector("th.topic");if(!topicTh)return!1;const wrapperDiv=topicTh.querySelector(".p-3");if(!wrapperDiv)return!1;const badgesDiv=wrapperDiv.querySelectorAll(":scope > div")[1];return badgesDiv?badgesDiv.after(element):wrapperDiv.appendChild(element),!0},insertSkeletons=rows=>{rows.forEach((row=>{row.querySelector('[data-region="reactions-skeleton"]')||insertAfterBadges(row,(()=>{const skeleton=document.createElement("div");if(skeleton.className="local-reactions-bar local-reactions-bar-compact local-reactions-skeleton d-flex flex-wrap align-items-center",skeleton.setAttribute("data-region","reactions-skeleton"),config.compactview){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill local-reactions-skeleton-pill-compact",skeleton.appendChild(pill)}else for(let i=0;i<2;i++){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill",skeleton.appendChild(pill)}return skeleton})())}))},loadDiscussionReactions=async()=>{var _document$getElementB;const rows=document.querySelectorAll('[data-region="discussion-list-item"]');if(!rows.length)return;const discussionIds=[];if(rows.forEach((row=>{const discussionId=parseInt(row.getAttribute("data-discussionid"));discussionId&&discussionIds.push(discussionId)})),!discussionIds.length)return;const cachedDiscussionIds=new Set,cachedDataMap={},preRenderedBars=[];if(await Cache.isAvailable()){const cacheKeys=discussionIds.map((id=>Cache.discussionKey(config.component,config.itemtype,id))),cached=await Cache.getMultiple(cacheKeys);for(const discussionId of discussionIds){const key=Cache.discussionKey(config.component,config.itemtype,discussionId),cachedData=cached.get(key);if(cachedData){cachedDataMap[discussionId]=cachedData,cachedDiscussionIds.add(discussionId);try{const context=(0,_utils.buildTemplateContext)(cachedData,config.emojis,{compactview:config.compactview}),{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);barElement.setAttribute("data-source","cache"),preRenderedBars.push({discussionId:discussionId,barElement:barElement,js:js})}catch(err){cachedDiscussionIds.delete(discussionId),delete cachedDataMap[discussionId]}}}}null===(_document$getElementB=document.getElementById("local-reactions-reserve"))||void 0===_document$getElementB||_document$getElementB.remove();for(const{discussionId:discussionId,barElement:barElement,js:js}of preRenderedBars){const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));row&&!row.querySelector('[data-region="reactions-bar"]')&&(insertAfterBadges(row,barElement),_templates.default.runTemplateJS(js))}const uncachedRows=[...rows].filter((row=>{const id=parseInt(row.getAttribute("data-discussionid"));return!cachedDiscussionIds.has(id)}));uncachedRows.length>0&&insertSkeletons(uncachedRows);try{const response=await _ajax.default.call([{methodname:"local_reactions_get_discussion_reactions",args:{component:config.component,itemtype:config.itemtype,discussionids:discussionIds,contextid:config.contextid}}])[0],reactionsMap={};response.items.forEach((item=>{reactionsMap[item.discussionid]=item}));for(const discussionId of discussionIds){const freshData=reactionsMap[discussionId]||{discussionid:discussionId,counts:[]};if(cachedDiscussionIds.has(discussionId)){const diffs=(0,_utils.computeDiffs)(cachedDataMap[discussionId],freshData);if(diffs.hasChanges)await rerenderBarWithAnimation(discussionId,freshData,diffs);else{var _row$querySelector;const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));null==row||null===(_row$querySelector=row.querySelector('[data-region="reactions-bar"]'))||void 0===_row$querySelector||_row$querySelector.setAttribute("data-source","live")}}else await renderBar(discussionId,freshData,!1);currentDataMap[discussionId]=freshData}await(0,_utils.updateCacheBatch)(discussionIds,(id=>Cache.discussionKey(config.component,config.itemtype,id)),currentDataMap)}catch(err){_notification.default.exception(err)}document.querySelectorAll('[data-region="reactions-skeleton"]').forEach((el=>el.remove())),pollingInitialised||(pollingInitialised=!0,(0,_utils.createPoller)(config.pollinterval,pollDiscussionReactions))},renderBar=async(discussionId,data,fromCache)=>{const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));if(!row||row.querySelector('[data-region="reactions-bar"]'))return;const context=(0,_utils.buildTemplateContext)(data,config.emojis,{compactview:config.compactview});try{const{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);barElement.setAttribute("data-source",fromCache?"cache":"live");const skeleton=row.querySelector('[data-region="reactions-skeleton"]');skeleton?skeleton.replaceWith(barElement):insertAfterBadges(row,barElement),_templates.default.runTemplateJS(js)}catch(err){_notification.default.exception(err)}},rerenderBarWithAnimation=async(discussionId,freshData,diffs)=>{const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));if(!row)return;const existingBar=row.querySelector('[data-region="reactions-bar"]');if(!existingBar)return;const context=(0,_utils.buildTemplateContext)(freshData,config.emojis,{compactview:config.compactview});try{const{element:newBar,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);newBar.setAttribute("data-source","live"),(0,_utils.applyDiffAnimations)(newBar,diffs,config.compactview),existingBar.replaceWith(newBar),_templates.default.runTemplateJS(js),(0,_utils.clearAnimationClasses)(newBar)}catch(err){_notification.default.exception(err)}},insertIntoGradingPost=(article,element)=>{const actionsContainer=article.querySelector('[data-region="post-actions-container"]');if(actionsContainer)return void actionsContainer.parentElement.insertBefore(element,actionsContainer);const alignContainer=article.querySelector(".content-alignment-container");if(alignContainer)return void alignContainer.appendChild(element);const postCore=article.querySelector('[data-region-content="forum-post-core"]');postCore&&postCore.appendChild(element)};let gradingInserting=!1;const observeGradingPanel=()=>{const handlePostMutations=target=>{gradingInserting||target.querySelector(".post-container article[data-post-id]")&&(async container=>{const articles=container.querySelectorAll(".post-container article[data-post-id]");if(!articles.length)return;const postIds=[];if(articles.forEach((article=>{const postId=parseInt(article.getAttribute("data-post-id"));postId&&!article.querySelector('[data-region="reactions-bar"]')&&postIds.push(postId)})),postIds.length)try{const response=await _ajax.default.call([{methodname:"local_reactions_get_reactions_for_grading",args:{component:config.component,itemtype:config.itemtype,itemids:postIds,contextid:config.contextid}}])[0],reactionsMap={};response.items.forEach((item=>{reactionsMap[item.itemid]=item})),gradingInserting=!0;try{for(const postId of postIds){const article=container.querySelector('.post-container article[data-post-id="'.concat(postId,'"]'));if(!article||article.querySelector('[data-region="reactions-bar"]'))continue;const data=reactionsMap[postId]||{itemid:postId,counts:[],userreactions:[]},context=(0,_utils.buildTemplateContext)(data,config.emojis,{compactview:config.compactview,userreactions:data.userreactions||[]}),{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);barElement.setAttribute("data-source","live"),insertIntoGradingPost(article,barElement),_templates.default.runTemplateJS(js)}}finally{gradingInserting=!1}}catch(err){_notification.default.exception(err)}})(target)},attachScopedObserver=moduleContent=>{handlePostMutations(moduleContent);new MutationObserver((()=>{handlePostMutations(moduleContent)})).observe(moduleContent,{childList:!0,subtree:!0})},existing=document.querySelector('[data-region="module_content"]');if(existing)return void attachScopedObserver(existing);const bootstrapObserver=new MutationObserver((()=>{const moduleContent=document.querySelector('[data-region="module_content"]');moduleContent&&(bootstrapObserver.disconnect(),attachScopedObserver(moduleContent))}));bootstrapObserver.observe(document.body,{childList:!0,subtree:!0})},pollDiscussionReactions=async()=>{const discussionIds=(0,_utils.collectIds)('[data-region="discussion-list-item"]',"data-discussionid");if(discussionIds.length)try{const response=await _ajax.default.call([{methodname:"local_reactions_get_discussion_reactions",args:{component:config.component,itemtype:config.itemtype,discussionids:discussionIds,contextid:config.contextid}}])[0],reactionsMap={};response.items.forEach((item=>{reactionsMap[item.discussionid]=item}));for(const discussionId of discussionIds){const freshData=reactionsMap[discussionId]||{discussionid:discussionId,counts:[]},previousData=currentDataMap[discussionId];if(previousData){const diffs=(0,_utils.computeDiffs)(previousData,freshData);diffs.hasChanges&&await rerenderBarWithAnimation(discussionId,freshData,diffs)}currentDataMap[discussionId]=freshData}await(0,_utils.updateCacheBatch)(discussionIds,(id=>Cache.discussionKey(config.component,config.itemtype,id)),currentDataMap)}catch{}}}));
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.toggle=_exports.refresh=_exports.init=_exports.getState=void 0,_ajax=_interopRequireDefault(_ajax),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification),Cache=_interopRequireWildcard(Cache),TabSync=_interopRequireWildcard(TabSync),LiveUpdates=_interopRequireWildcard(LiveUpdates),Viewport=_interopRequireWildcard(Viewport),EmojiCatalogue=_interopRequireWildcard(EmojiCatalogue),Picker=_interopRequireWildcard(Picker),GradingSummary=_interopRequireWildcard(GradingSummary),Events=_interopRequireWildcard(Events),Scheduler=_interopRequireWildcard(Scheduler),Touch=_interopRequireWildcard(Touch),Announcer=_interopRequireWildcard(Announcer);let poller,config={},currentDataMap={},pollingInitialised=!1,tracker=null,gradingTracker=null,watchList=null,changeCursor=null;const pendingToggles={},confirmedData={},toggleQueues={},renderedDataMap={};_exports.init=cfg=>{config=cfg,(0,_utils.watchStickerFallbacks)(),Cache.watchLogout(),tracker=Viewport.createTracker({getId:row=>parseInt(row.getAttribute("data-discussionid")),onEnter:handleViewportEnter}),gradingTracker=Viewport.createTracker({getId:article=>parseInt(article.getAttribute("data-post-id")),onEnter:newIds=>newIds.length&&loadGradingPosts(newIds)}),loadDiscussionReactions(),observeGradingPanel(),TabSync.subscribe(handleSyncMessage)};const getState=discussionId=>{const data=currentDataMap[discussionId];return data?{...getDetail(discussionId,data),firstpostid:data.firstpostid||null}:null};_exports.getState=getState;_exports.toggle=async(discussionId,emoji)=>{var _currentDataMap$discu;if(!config.reactfromlist||null===(_currentDataMap$discu=currentDataMap[discussionId])||void 0===_currentDataMap$discu||!_currentDataMap$discu.firstpostid)throw new Error("Cannot react to the opening post of discussion ".concat(discussionId," from the list"));return await toggleOpeningPost(discussionId,emoji),getState(discussionId)};_exports.refresh=async function(){let discussionIds=arguments.length>0&&void 0!==arguments[0]?arguments[0]:null;const ids=(discussionIds||Object.keys(currentDataMap).map(Number)).filter((id=>currentDataMap[id]));ids.length&&await refreshDiscussions(ids)};const getDetail=(discussionId,data)=>Events.itemDetail(config.component,"discussion",discussionId,data),insertAfterBadges=(row,element)=>{const topicTh=row.querySelector("th.topic");if(!topicTh)return!1;const wrapperDiv=topicTh.querySelector(".p-3");if(!wrapperDiv)return!1;const badgesDiv=wrapperDiv.querySelectorAll(":scope > div")[1];return badgesDiv?badgesDiv.after(element):wrapperDiv.appendChild(element),!0},insertSkeletons=rows=>{rows.forEach((row=>{row.querySelector('[data-region="reactions-skeleton"]')||insertAfterBadges(row,(()=>{const skeleton=document.createElement("div");if(skeleton.className="local-reactions-bar local-reactions-bar-compact local-reactions-skeleton d-flex flex-wrap align-items-center",skeleton.setAttribute("data-region","reactions-skeleton"),config.compactview){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill local-reactions-skeleton-pill-compact",skeleton.appendChild(pill)}else for(let i=0;i<2;i++){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill",skeleton.appendChild(pill)}return skeleton})())}))},loadDiscussionReactions=()=>{var _document$getElementB;const rows=[...document.querySelectorAll('[data-region="discussion-list-item"]')].filter((row=>parseInt(row.getAttribute("data-discussionid"))));rows.length&&(insertSkeletons(rows),null===(_document$getElementB=document.getElementById("local-reactions-reserve-".concat(config.component,"-").concat(config.itemtype)))||void 0===_document$getElementB||_document$getElementB.remove(),rows.forEach((row=>tracker.observe(row))))},handleViewportEnter=(newIds,staleIds)=>{newIds.length&&loadDiscussions(newIds);const loadedIds=staleIds.filter((id=>currentDataMap[id]));loadedIds.length&&refreshDiscussions(loadedIds)},loadDiscussions=async discussionIds=>{const cachedDiscussionIds=new Set,cachedDataMap={},preRenderedBars=[];if(await Cache.isAvailable()){const cacheKeys=discussionIds.map((id=>Cache.discussionKey(config.component,config.itemtype,id))),cached=await Cache.getMultiple(cacheKeys);for(const discussionId of discussionIds){const key=Cache.discussionKey(config.component,config.itemtype,discussionId),cachedData=cached.get(key);if(cachedData){cachedDataMap[discussionId]=cachedData,cachedDiscussionIds.add(discussionId);try{const context=await buildBarContext(discussionId,cachedData),{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);barElement.setAttribute("data-source","cache"),preRenderedBars.push({discussionId:discussionId,barElement:barElement,js:js})}catch(err){cachedDiscussionIds.delete(discussionId),delete cachedDataMap[discussionId]}}}}for(const{discussionId:discussionId,barElement:barElement,js:js}of preRenderedBars){const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));if(!row||row.querySelector('[data-region="reactions-bar"]'))continue;const skeleton=row.querySelector('[data-region="reactions-skeleton"]');skeleton?skeleton.replaceWith(barElement):insertAfterBadges(row,barElement),_templates.default.runTemplateJS(js),bindOpeningPostReaction(discussionId,barElement)}try{const response=await Scheduler.call("local_reactions_get_discussion_reactions",{component:config.component,itemtype:config.itemtype,discussionids:discussionIds,contextid:config.contextid,versions:(0,_utils.getKnownVersions)(discussionIds.filter((id=>{var _cachedDataMap$id;return!config.reactfromlist||(null===(_cachedDataMap$id=cachedDataMap[id])||void 0===_cachedDataMap$id?void 0:_cachedDataMap$id.firstpostid)})),cachedDataMap,"discussionid")}),reactionsMap={};response.items.forEach((item=>{reactionsMap[item.discussionid]=item})),response.unchanged.forEach((discussionId=>{reactionsMap[discussionId]=cachedDataMap[discussionId]})),null===changeCursor&&(changeCursor=response.cursor);for(const discussionId of discussionIds){const freshData=reactionsMap[discussionId]||{discussionid:discussionId,counts:[]};if(cachedDiscussionIds.has(discussionId)){const diffs=(0,_utils.computeDiffs)(cachedDataMap[discussionId],freshData);if(needsRerender(cachedDataMap[discussionId],freshData,diffs))await rerenderBarWithAnimation(discussionId,freshData,diffs);else{var _row$querySelector;const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));null==row||null===(_row$querySelector=row.querySelector('[data-region="reactions-bar"]'))||void 0===_row$querySelector||_row$querySelector.setAttribute("data-source","live")}}else await renderBar(discussionId,freshData,!1);currentDataMap[discussionId]=freshData}await(0,_utils.updateCacheBatch)(discussionIds,(id=>Cache.discussionKey(config.component,config.itemtype,id)),currentDataMap)}catch(err){_notification.default.exception(err)}if((discussionIds=>{discussionIds.forEach((discussionId=>{var _document$querySelect;null===(_document$querySelect=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"] [data-region="reactions-skeleton"]')))||void 0===_document$querySelect||_document$querySelect.remove()}))})(discussionIds),!pollingInitialised){pollingInitialised=!0;const{component:component,itemtype:itemtype,contextid:contextid}=config,{pathname:pathname,search:search}=window.location,leaderScope="discussions:".concat(component,":").concat(itemtype,":").concat(contextid,":").concat(pathname).concat(search);watchList=TabSync.createWatchList(leaderScope,{getIds:()=>tracker.visibleIds().filter((id=>currentDataMap[id])),onPolled:discussionIds=>tracker.markPolled(discussionIds)}),poller=LiveUpdates.start({transport:config.livetransport,pollinterval:config.pollinterval,pollFn:pollDiscussionReactions,leaderScope:leaderScope,getWatch:()=>({component:component,itemtype:itemtype,contextid:contextid,itemids:[...new Set([...(0,_utils.collectIds)('[data-region="discussion-list-item"]',"data-discussionid").filter((id=>currentDataMap[id])),...watchList.getIds()])],discussions:!0}),cursor:changeCursor})}},getRow=discussionId=>document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]')),buildBarContext=async(discussionId,data)=>{const options={compactview:config.compactview,extraemojis:await EmojiCatalogue.getExtraEmojis(config,data),stickers:config.stickers,emojinames:config.emojinames},context=(0,_utils.buildTemplateContext)(data,config.emojis,options);if(config.reactfromlist&&data.firstpostid){var _getRow;const userreactions=data.userreactions||[],title=null===(_getRow=getRow(discussionId))||void 0===_getRow?void 0:_getRow.querySelector('th.topic a[href*="discuss.php"]');context.reactfromlist=!0,context.discussionname=title?title.textContent.trim():"",context.openingpostselected=userreactions.length>0,context.extendedpicker=!!config.extendedpicker,context.pickerbuttons=(0,_utils.buildTemplateContext)(data,config.emojis,{...options,userreactions:userreactions}).buttons}return context},needsRerender=(previous,next,diffs)=>diffs.hasChanges||!!config.reactfromlist&&(!(0,_utils.sameUserReactions)(previous,next)||(null==previous?void 0:previous.firstpostid)!==next.firstpostid),renderBar=async(discussionId,data,fromCache)=>{const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));if(!row||row.querySelector('[data-region="reactions-bar"]'))return;const context=await buildBarContext(discussionId,data);try{const{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);barElement.setAttribute("data-source",fromCache?"cache":"live");const skeleton=row.querySelector('[data-region="reactions-skeleton"]');skeleton?skeleton.replaceWith(barElement):insertAfterBadges(row,barElement),_templates.default.runTemplateJS(js),bindOpeningPostReaction(discussionId,barElement),renderedDataMap[discussionId]=data,Events.notifyRendered(barElement,getDetail(discussionId,data),fromCache?"cache":"live")}catch(err){_notification.default.exception(err)}},rerenderBarWithAnimation=async function(discussionId,freshData,diffs){let rollbackEmoji=arguments.length>3&&void 0!==arguments[3]?arguments[3]:null;const row=document.querySelector('[data-region="discussion-list-item"][data-discussionid="'.concat(discussionId,'"]'));if(!row)return;const existingBar=row.querySelector('[data-region="reactions-bar"]');if(!existingBar)return;const context=await buildBarContext(discussionId,freshData);try{const{element:newBar,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);newBar.setAttribute("data-source","live"),(0,_utils.applyDiffAnimations)(newBar,diffs,config.compactview),rollbackEmoji&&(0,_utils.applyRollbackAnimation)(newBar,rollbackEmoji,config.compactview);const hadFocus=existingBar.contains(document.activeElement);var _newBar$querySelector;if(existingBar.replaceWith(newBar),_templates.default.runTemplateJS(js),bindOpeningPostReaction(discussionId,newBar),hadFocus)null===(_newBar$querySelector=newBar.querySelector('[data-region="opening-post-reaction"] [data-action="open-picker"]'))||void 0===_newBar$querySelector||_newBar$querySelector.focus();const previous=renderedDataMap[discussionId];renderedDataMap[discussionId]=freshData;const detail=getDetail(discussionId,freshData);Events.notifyRendered(newBar,detail,"live"),diffs.hasChanges&&Events.notifyCountsChanged(newBar,detail,previous),(0,_utils.clearAnimationClasses)(newBar)}catch(err){_notification.default.exception(err)}},bindOpeningPostReaction=(discussionId,barElement)=>{const control=barElement.querySelector('[data-region="opening-post-reaction"]');control&&(Picker.bind(control,{emojis:config.emojis,getSelected:()=>{var _currentDataMap$discu2;return(null===(_currentDataMap$discu2=currentDataMap[discussionId])||void 0===_currentDataMap$discu2?void 0:_currentDataMap$discu2.userreactions)||[]},onSelect:emoji=>toggleOpeningPost(discussionId,emoji),onOpen:()=>Events.notifyPickerOpened(barElement,getDetail(discussionId,currentDataMap[discussionId]))}),control.querySelectorAll('[data-action="toggle-reaction"]').forEach((btn=>{btn.addEventListener("click",(async e=>{e.preventDefault(),e.stopPropagation(),Picker.closeAll(!0),await toggleOpeningPost(discussionId,btn.getAttribute("data-emoji"))}))})))},toggleOpeningPost=async(discussionId,emoji)=>{const previous=currentDataMap[discussionId];if(null==previous||!previous.firstpostid)return;pendingToggles[discussionId]||(pendingToggles[discussionId]=[],confirmedData[discussionId]=previous);const toggle={emoji:emoji,add:!previous.userreactions.includes(emoji)};pendingToggles[discussionId].push(toggle);const optimistic=getDisplayData(discussionId);currentDataMap[discussionId]=optimistic,await rerenderBarWithAnimation(discussionId,optimistic,(0,_utils.computeDiffs)(previous,optimistic));const request=(toggleQueues[discussionId]||Promise.resolve()).then((()=>sendOpeningPostToggle(discussionId,previous.firstpostid,toggle)));toggleQueues[discussionId]=request,await request},applyOpeningPostToggle=(data,toggle)=>data.userreactions.includes(toggle.emoji)===toggle.add?data:{...(0,_utils.applyToggle)(data,toggle.emoji,!1!==config.allowmultiple),version:null},getDisplayData=discussionId=>(pendingToggles[discussionId]||[]).reduce(applyOpeningPostToggle,confirmedData[discussionId]),sendOpeningPostToggle=async(discussionId,postId,toggle)=>{const emoji=toggle.emoji;try{var _getRow2;const response=await _ajax.default.call([{methodname:"local_reactions_toggle_reaction",args:{component:config.component,itemtype:config.itemtype,itemid:postId,emoji:emoji}}])[0];"added"===response.action&&Touch.setLastEmoji(emoji),config.extendedpicker&&"added"===response.action&&EmojiCatalogue.noteRecent(emoji),Events.notifyToggled((null===(_getRow2=getRow(discussionId))||void 0===_getRow2?void 0:_getRow2.querySelector('[data-region="reactions-bar"]'))||document,{...Events.itemDetail(config.component,config.itemtype,postId,response),discussionid:discussionId},emoji,response.action),TabSync.publish({type:"items",reason:"toggle",component:config.component,itemtype:config.itemtype,items:[{itemid:postId,userreactions:response.userreactions,counts:response.counts,version:response.version}]}),confirmedData[discussionId]=applyOpeningPostToggle(confirmedData[discussionId],toggle),pendingToggles[discussionId]=pendingToggles[discussionId].filter((t=>t!==toggle))}catch(err){_notification.default.exception(err),pendingToggles[discussionId]=pendingToggles[discussionId].filter((t=>t!==toggle));const current=currentDataMap[discussionId],next=getDisplayData(discussionId);currentDataMap[discussionId]=next,await rerenderBarWithAnimation(discussionId,next,(0,_utils.computeDiffs)(current,next),emoji)}pendingToggles[discussionId].length||(delete pendingToggles[discussionId],delete confirmedData[discussionId],await refreshDiscussions([discussionId]))},insertIntoGradingPost=(article,element)=>{const actionsContainer=article.querySelector('[data-region="post-actions-container"]');if(actionsContainer)return void actionsContainer.parentElement.insertBefore(element,actionsContainer);const alignContainer=article.querySelector(".content-alignment-container");if(alignContainer)return void alignContainer.appendChild(element);const postCore=article.querySelector('[data-region-content="forum-post-core"]');postCore&&postCore.appendChild(element)};let gradingInserting=!1;const loadGradingPosts=async postIds=>{try{const response=await Scheduler.call("local_reactions_get_reactions_for_grading",{component:config.component,itemtype:config.itemtype,itemids:postIds,contextid:config.contextid}),reactionsMap={};response.items.forEach((item=>{reactionsMap[item.itemid]=item})),gradingInserting=!0;try{for(const postId of postIds){const article=document.querySelector('[data-region="module_content"] .post-container article[data-post-id="'.concat(postId,'"]'));if(!article||article.querySelector('[data-region="reactions-bar"]'))continue;const data=reactionsMap[postId]||{itemid:postId,counts:[],userreactions:[]},context=(0,_utils.buildTemplateContext)(data,config.emojis,{compactview:config.compactview,extraemojis:await EmojiCatalogue.getExtraEmojis(config,data),stickers:config.stickers,emojinames:config.emojinames,userreactions:data.userreactions||[]}),{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);barElement.setAttribute("data-source","live"),insertIntoGradingPost(article,barElement),_templates.default.runTemplateJS(js),Events.notifyRendered(barElement,Events.itemDetail(config.component,config.itemtype,postId,data),"live")}}finally{gradingInserting=!1}}catch(err){_notification.default.exception(err)}},observeGradingPanel=()=>{const handlePostMutations=target=>{gradingInserting||(target.querySelector(".post-container article[data-post-id]")&&target.querySelectorAll(".post-container article[data-post-id]").forEach((article=>{article.querySelector('[data-region="reactions-bar"]')||gradingTracker.observe(article)})),GradingSummary.update(target,config))},attachScopedObserver=moduleContent=>{handlePostMutations(moduleContent);new MutationObserver((()=>{handlePostMutations(moduleContent)})).observe(moduleContent,{childList:!0,subtree:!0})},existing=document.querySelector('[data-region="module_content"]');if(existing)return void attachScopedObserver(existing);const bootstrapObserver=new MutationObserver((()=>{const moduleContent=document.querySelector('[data-region="module_content"]');moduleContent&&(bootstrapObserver.disconnect(),attachScopedObserver(moduleContent))}));bootstrapObserver.observe(document.body,{childList:!0,subtree:!0})},applyFreshDiscussions=async freshItems=>{freshItems=freshItems.filter((item=>!pendingToggles[item.discussionid]));const updatedIds=[];for(const freshData of freshItems){const discussionId=freshData.discussionid,previousData=currentDataMap[discussionId];if(!previousData)continue;const diffs=(0,_utils.computeDiffs)(previousData,freshData);needsRerender(previousData,freshData,diffs)&&await rerenderBarWithAnimation(discussionId,freshData,diffs),diffs.hasChanges&&Announcer.countsChanged("".concat(config.component,":discussion:").concat(discussionId),(freshData.counts||[]).map((c=>({name:(0,_utils.getEmojiName)(c.emoji,config),count:c.count})))),currentDataMap[discussionId]=freshData,updatedIds.push(discussionId)}freshItems.length&&(TabSync.publish({type:"discussions",component:config.component,itemtype:config.itemtype,items:freshItems}),await(0,_utils.updateCacheBatch)(updatedIds,(id=>Cache.discussionKey(config.component,config.itemtype,id)),currentDataMap))},pollDiscussionReactions=async()=>{const discussionIds=watchList.getIds();if(discussionIds.length){tracker.markPolled();try{await applyFreshDiscussions(await(async discussionIds=>{const args={component:config.component,itemtype:config.itemtype,discussionids:discussionIds,contextid:config.contextid};if(null!==changeCursor){const changes=await Scheduler.call("local_reactions_get_discussion_reaction_changes",{...args,cursor:changeCursor});if(!changes.expired)return changeCursor=changes.cursor,changes.items}const response=await Scheduler.call("local_reactions_get_discussion_reactions",{...args,versions:(0,_utils.getKnownVersions)(discussionIds,currentDataMap,"discussionid")});return changeCursor=response.cursor,response.items})(discussionIds)),watchList.notifyPolled(discussionIds)}catch{}}},refreshDiscussions=async discussionIds=>{try{const response=await Scheduler.call("local_reactions_get_discussion_reactions",{component:config.component,itemtype:config.itemtype,discussionids:discussionIds,contextid:config.contextid,versions:(0,_utils.getKnownVersions)(discussionIds,currentDataMap,"discussionid")});await applyFreshDiscussions(response.items)}catch{}},handleSyncMessage=async message=>{var _poller;if(message.component===config.component&&message.itemtype===config.itemtype)if("items"!==message.type||"toggle"!==message.reason){if("discussions"===message.type)for(const freshData of message.items){const previousData=currentDataMap[freshData.discussionid];if(!previousData||pendingToggles[freshData.discussionid])continue;const diffs=(0,_utils.computeDiffs)(previousData,freshData);currentDataMap[freshData.discussionid]=freshData,needsRerender(previousData,freshData,diffs)&&await rerenderBarWithAnimation(freshData.discussionid,freshData,diffs)}}else null===(_poller=poller)||void 0===_poller||_poller.pollNow()}}));
 
 //# sourceMappingURL=discussion_list_reactions.min.js.map
\ No newline at end of file
@@ -0,0 +1,17 @@
+define("local_reactions/discussion_sort",["exports","core/ajax","core/templates","core/notification","core/str","local_reactions/emoji_catalogue","local_reactions/utils"],(function(_exports,_ajax,_templates,_notification,_str,EmojiCatalogue,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+/**
+   * Sorting and filtering the forum discussion list by reactions.
+   *
+   * The forum paginates its discussion list on the server, so the rows on the page are only part of the
+   * forum. While a sort or filter is chosen, the server ranks every discussion the user can see and the
+   * forum's own table and paging bar are swapped for pages of that ranking. Choosing "Forum order" and
+   * "All discussions" brings the forum's list back. The choice lasts for the browser tab's session.
+   *
+   * The ranked bars are a snapshot and are not polled; choosing again fetches them afresh.
+   *
+   * @module     local_reactions/discussion_sort
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=void 0,_ajax=_interopRequireDefault(_ajax),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification),EmojiCatalogue=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(EmojiCatalogue);let config={},state={sort:"default",emoji:"",filter:"all"},controls=null,requestId=0;_exports.init=async cfg=>{var _document$querySelect;config=cfg;const table=null===(_document$querySelect=document.querySelector('[data-region="discussion-list-item"]'))||void 0===_document$querySelect?void 0:_document$querySelect.closest("table");if(!table)return;const emojis=Object.keys(config.emojis).map((shortcode=>({shortcode:shortcode,label:config.emojis[shortcode]})));Object.entries(config.stickers||{}).forEach((_ref=>{let[shortcode,sticker]=_ref;emojis.push({shortcode:shortcode,label:sticker.alt})}));try{const{element:element,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_sort_controls",{emojis:emojis});controls=element,table.before(controls),_templates.default.runTemplateJS(js)}catch(err){return void _notification.default.exception(err)}const sortSelect=controls.querySelector('[data-region="discussion-sort"]'),filterSelect=controls.querySelector('[data-region="discussion-filter"]');state={...state,...readState()};const sortValue="emoji"===state.sort?"emoji:".concat(state.emoji):state.sort;sortSelect.querySelector('option[value="'.concat(CSS.escape(sortValue),'"]'))?sortSelect.value=sortValue:state={...state,sort:"default",emoji:""},filterSelect.value=state.filter;const handleChange=()=>{const[sort,emoji=""]=sortSelect.value.split(":");state={sort:sort,emoji:emoji,filter:filterSelect.value},writeState(),apply(0)};sortSelect.addEventListener("change",handleChange),filterSelect.addEventListener("change",handleChange),controls.querySelector('[data-region="discussion-ranking"]').addEventListener("click",(e=>{const button=e.target.closest('[data-action="ranking-page"]');button&&(e.preventDefault(),apply(parseInt(button.getAttribute("data-page"))))})),isRanked()&&apply(0)};const isRanked=()=>"default"!==state.sort||"all"!==state.filter,readState=()=>{try{return JSON.parse(window.sessionStorage.getItem("".concat("local_reactions_discussionsort",":").concat(config.cmid)))||{}}catch(e){return{}}},writeState=()=>{try{const key="".concat("local_reactions_discussionsort",":").concat(config.cmid);isRanked()?window.sessionStorage.setItem(key,JSON.stringify(state)):window.sessionStorage.removeItem(key)}catch(e){}},getForumListElements=()=>{var _document$querySelect2;return[null===(_document$querySelect2=document.querySelector('[data-region="discussion-list-item"]'))||void 0===_document$querySelect2?void 0:_document$querySelect2.closest("table"),...[...document.querySelectorAll('[role="main"] .pagination')].map((el=>el.closest("nav")||el))].filter(Boolean)},apply=async page=>{const region=controls.querySelector('[data-region="discussion-ranking"]'),status=controls.querySelector('[data-region="discussion-ranking-status"]'),thisRequest=++requestId;if(!isRanked())return region.hidden=!0,region.replaceChildren(),getForumListElements().forEach((el=>{el.hidden=!1})),void(status.textContent="");try{const response=await _ajax.default.call([{methodname:"local_reactions_get_discussion_ranking",args:{cmid:config.cmid,sort:state.sort,emoji:state.emoji,filter:state.filter,page:page,perpage:config.perpage||25}}])[0];if(thisRequest!==requestId)return;const pages=Math.ceil(response.total/response.perpage),{element:element,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_ranking",{discussions:response.discussions,hasdiscussions:response.discussions.length>0,haspages:pages>1,pagenumber:response.page+1,pages:pages,hasprevious:response.page>0,previouspage:response.page-1,hasnext:response.page+1<pages,nextpage:response.page+1});if(await renderBars(element,response.discussions),thisRequest!==requestId)return;region.replaceChildren(element),_templates.default.runTemplateJS(js),region.hidden=!1,getForumListElements().forEach((el=>{el.hidden=!0})),status.textContent=await(0,_str.getString)("discussionranking_count","local_reactions",response.total)}catch(err){_notification.default.exception(err)}},renderBars=async(ranking,discussions)=>{for(const discussion of discussions){const target=ranking.querySelector('[data-region="ranked-discussion"][data-discussionid="'.concat(discussion.discussionid,'"] [data-region="ranked-bar"]')),context=(0,_utils.buildTemplateContext)(discussion,config.emojis,{compactview:config.compactview,extraemojis:await EmojiCatalogue.getExtraEmojis(config,discussion),stickers:config.stickers,emojinames:config.emojinames}),{element:element,js:js}=await(0,_utils.renderToElement)("local_reactions/discussion_list_reactions",context);element.setAttribute("data-source","live"),target.replaceWith(element),_templates.default.runTemplateJS(js)}}}));
+
+//# sourceMappingURL=discussion_sort.min.js.map
\ No newline at end of file
@@ -0,0 +1,21 @@
+define("local_reactions/embed",["exports","core/ajax","core/notification","local_reactions/reactions"],(function(_exports,_ajax,_notification,Reactions){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+/**
+   * Mount reactions bars on placeholders output by any template, without a content provider for the page:
+   *
+   *     <div data-local-reactions data-component="mod_forum" data-itemtype="post" data-itemid="42"></div>
+   *
+   * Placeholders are found on page load and whenever they are added to the page later. Each batch found is
+   * sent to the server, which checks every item with the provider registered for its component and item
+   * type, and returns the settings of those the user can see. Those placeholders get a full reactions bar
+   * from local_reactions/reactions; the others are left empty. `data-local-reactions-state` on a placeholder
+   * says how far it got: `checking`, `mounted` or `unavailable`.
+   *
+   * Items are mounted with one local_reactions/reactions controller per component, item type, context and
+   * settings, next to any reactions a provider shows on the page.
+   *
+   * @module     local_reactions/embed
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=void 0,_ajax=_interopRequireDefault(_ajax),_notification=_interopRequireDefault(_notification),Reactions=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(Reactions);const STATE_ATTR="data-local-reactions-state";let config={};const started=new Set;_exports.init=cfg=>{config=cfg,scan();const isPlaceholder=node=>node.nodeType===Node.ELEMENT_NODE&&(node.matches("[data-local-reactions]")||node.querySelector("[data-local-reactions]"));new MutationObserver((mutations=>{mutations.some((mutation=>[...mutation.addedNodes].some(isPlaceholder)))&&scan()})).observe(document.body,{childList:!0,subtree:!0})};const scan=()=>{const placeholders=[],items=new Map;document.querySelectorAll("".concat("[data-local-reactions]",":not([").concat(STATE_ATTR,"])")).forEach((placeholder=>{const item=getItem(placeholder);item?(placeholder.setAttribute(STATE_ATTR,"checking"),placeholders.push(placeholder),items.set(itemKey(item.component,item.itemtype,item.itemid),item)):placeholder.setAttribute(STATE_ATTR,"unavailable")}));const list=[...items.values()];for(let i=0;i<list.length;i+=200){const batch=list.slice(i,i+200),batchKeys=new Set(batch.map((item=>itemKey(item.component,item.itemtype,item.itemid))));checkItems(batch,placeholders.filter((placeholder=>batchKeys.has(placeholderKey(placeholder)))))}},getItem=placeholder=>{const component=placeholder.getAttribute("data-component"),itemtype=placeholder.getAttribute("data-itemtype"),itemid=parseInt(placeholder.getAttribute("data-itemid"));return component&&itemtype&&itemid?{component:component,itemtype:itemtype,itemid:itemid}:null},itemKey=(component,itemtype,itemid)=>"".concat(component,":").concat(itemtype,":").concat(itemid),placeholderKey=placeholder=>{const{component:component,itemtype:itemtype,itemid:itemid}=getItem(placeholder);return itemKey(component,itemtype,itemid)},checkItems=async(items,placeholders)=>{let instances;try{instances=(await _ajax.default.call([{methodname:"local_reactions_get_embed_config",args:{items:items}}])[0]).instances}catch(err){return placeholders.forEach((placeholder=>placeholder.removeAttribute(STATE_ATTR))),void _notification.default.exception(err)}const accepted=new Map;instances.forEach((instance=>instance.itemids.forEach((itemid=>{accepted.set(itemKey(instance.component,instance.itemtype,itemid),instance)}))));let mounted=!1;placeholders.forEach((placeholder=>{const instance=accepted.get(placeholderKey(placeholder));instance?(start(instance),placeholder.setAttribute("data-local-reactions-instance",instanceKey(instance)),placeholder.setAttribute(STATE_ATTR,"mounted"),mounted=!0):placeholder.setAttribute(STATE_ATTR,"unavailable")})),mounted&&Reactions.scan()},instanceKey=instance=>[instance.component,instance.itemtype,instance.contextid,Number(instance.canreact),Number(instance.allowmultiple),Number(instance.canviewreactors)].join(":"),start=instance=>{const key=instanceKey(instance);started.has(key)||(started.add(key),Reactions.init({...config,embedded:!0,contextid:instance.contextid,component:instance.component,itemtype:instance.itemtype,canreact:instance.canreact,allowmultiple:instance.allowmultiple,canviewreactors:instance.canviewreactors,compactview:!1,emojis:Object.fromEntries(instance.emojis.filter((e=>!e.retired)).map((e=>[e.shortcode,e.unicode]))),retiredemojis:Object.fromEntries(instance.emojis.filter((e=>e.retired)).map((e=>[e.shortcode,e.unicode]))),emojinames:Object.fromEntries(instance.emojis.map((e=>[e.shortcode,e.name]))),stickers:Object.fromEntries(instance.stickers.map((_ref=>{let{shortcode:shortcode,url:url,alt:alt}=_ref;return[shortcode,{url:url,alt:alt}]}))),selectors:{item:"[".concat("data-local-reactions-instance",'="').concat(key,'"]'),itemIdAttr:"data-itemid",appendToItem:!0,mutationRoot:"body"}}))}}));
+
+//# sourceMappingURL=embed.min.js.map
\ No newline at end of file
@@ -0,0 +1,13 @@
+define("local_reactions/emoji_catalogue",["exports","core/ajax"],(function(_exports,_ajax){var obj;
+/**
+   * The bundled emoji catalogue behind the extended picker, fetched once per page on first use.
+   *
+   * Besides feeding the "More emoji" panel, the catalogue supplies the unicode for reactions made with
+   * catalogue emoji, which the page config (holding only the admin emoji set) does not know.
+   *
+   * @module     local_reactions/emoji_catalogue
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.noteRecent=_exports.load=_exports.getName=_exports.getExtraEmojis=void 0,_ajax=(obj=_ajax)&&obj.__esModule?obj:{default:obj};let cataloguePromise=null;const names=new Map,load=()=>(cataloguePromise||(cataloguePromise=_ajax.default.call([{methodname:"local_reactions_get_emoji_catalogue",args:{}}])[0].then((response=>{const lookup=new Map;return response.categories.forEach((category=>{category.emoji.forEach((emoji=>{lookup.set(emoji.shortcode,emoji),names.set(emoji.shortcode,emoji.name)}))})),{categories:response.categories,recent:response.recent,lookup:lookup}})).catch((err=>{throw cataloguePromise=null,err}))),cataloguePromise);_exports.load=load;_exports.getExtraEmojis=async(cfg,data)=>{const retired=cfg.retiredemojis||{},extra={},missing=[];if(((null==data?void 0:data.counts)||[]).filter((c=>c.count>0&&!(c.emoji in cfg.emojis)&&!(c.emoji in(cfg.stickers||{})))).forEach((_ref=>{let{emoji:emoji}=_ref;emoji in retired?extra[emoji]=retired[emoji]:missing.push(emoji)})),!cfg.extendedpicker||!missing.length)return extra;let lookup;try{({lookup:lookup}=await load())}catch{return extra}return missing.forEach((shortcode=>{lookup.has(shortcode)&&(extra[shortcode]=lookup.get(shortcode).unicode)})),extra};_exports.getName=shortcode=>names.get(shortcode)||null;_exports.noteRecent=shortcode=>{cataloguePromise&&cataloguePromise.then((catalogue=>(catalogue.recent=[shortcode,...catalogue.recent.filter((s=>s!==shortcode))].slice(0,16),catalogue))).catch((()=>{}))}}));
+
+//# sourceMappingURL=emoji_catalogue.min.js.map
\ No newline at end of file
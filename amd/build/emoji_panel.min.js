@@ -0,0 +1,15 @@
+define("local_reactions/emoji_panel",["exports","core/templates","local_reactions/emoji_catalogue","local_reactions/positioning","local_reactions/utils"],(function(_exports,_templates,EmojiCatalogue,Positioning,_utils){var obj;
+/**
+   * The extended picker's "More emoji" panel: keyword search, recently used emoji and the bundled
+   * catalogue grouped by category.
+   *
+   * One panel is shared by every reactions bar on the page and lives at the end of the body, so bar
+   * re-renders never take it away. The catalogue runs to hundreds of emoji, so each category's buttons
+   * are only created when the category scrolls into view.
+   *
+   * @module     local_reactions/emoji_panel
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.open=_exports.contains=_exports.close=void 0,_templates=(obj=_templates)&&obj.__esModule?obj:{default:obj},EmojiCatalogue=_interopRequireWildcard(EmojiCatalogue),Positioning=_interopRequireWildcard(Positioning);let panelPromise=null,panel=null,catalogue=null,current={},panelPosition=null;const markSelected=button=>{const selected=(current.selected||[]).includes(button.getAttribute("data-emoji"));button.classList.toggle("local-reactions-selected",selected),button.setAttribute("aria-pressed",selected?"true":"false")},fillGrid=(grid,emojis)=>{const fragment=document.createDocumentFragment();emojis.forEach((emoji=>fragment.appendChild((emoji=>{const button=document.createElement("button");button.type="button",button.className="local-reactions-picker-btn",button.setAttribute("data-action","select-emoji"),button.setAttribute("data-emoji",emoji.shortcode),button.setAttribute("aria-label",emoji.name||emoji.unicode),button.setAttribute("title",emoji.name||emoji.unicode),button.setAttribute("tabindex","-1");const glyph=document.createElement("span");return glyph.setAttribute("aria-hidden","true"),glyph.textContent=emoji.unicode,button.appendChild(glyph),markSelected(button),button})(emoji)))),grid.replaceChildren(fragment)},fillSection=section=>{if(section.hasAttribute("data-filled"))return;section.setAttribute("data-filled","");const category=catalogue.categories.find((c=>c.category===section.getAttribute("data-category")));fillGrid(section.querySelector('[data-region="emoji-grid"]'),category?category.emoji:[])},findEmoji=shortcode=>{if(catalogue.lookup.has(shortcode))return catalogue.lookup.get(shortcode);const unicode=(current.emojis||{})[shortcode];return unicode?{shortcode:shortcode,unicode:unicode,name:""}:null},search=query=>{const terms=query.trim().toLowerCase().split(/\s+/).filter((t=>t)),results=panel.querySelector('[data-region="emoji-results"]');if(panel.querySelectorAll('[data-region="emoji-recent"], [data-region="emoji-section"]').forEach((section=>{section.classList.toggle("d-none",terms.length>0)})),results.hidden=!terms.length,!terms.length)return;const matches=[];for(const emoji of catalogue.lookup.values()){const words="".concat(emoji.shortcode.replace(/_/g," ")," ").concat(emoji.name," ").concat(emoji.keywords).toLowerCase().split(/\s+/);if(terms.every((term=>words.some((word=>word.startsWith(term)))))&&(matches.push(emoji),matches.length>=64))break}fillGrid(results.querySelector('[data-region="emoji-grid"]'),matches),results.querySelector('[data-region="emoji-noresults"]').hidden=matches.length>0,panel.querySelector('[data-region="emoji-panel-body"]').scrollTop=0},focusButton=(buttons,index)=>{if(!buttons.length)return;const target=buttons[Math.max(0,Math.min(buttons.length-1,index))];panel.querySelectorAll('[data-action="select-emoji"][tabindex="0"]').forEach((b=>b.setAttribute("tabindex","-1"))),target.setAttribute("tabindex","0"),target.focus();const section=target.closest('[data-region="emoji-section"]'),next=null==section?void 0:section.nextElementSibling;next&&fillSection(next)},handleKeydown=e=>{var _current$onDismiss,_current;if("Escape"===e.key)return e.preventDefault(),e.stopPropagation(),void(null===(_current$onDismiss=(_current=current).onDismiss)||void 0===_current$onDismiss||_current$onDismiss.call(_current));const buttons=Array.from(panel.querySelectorAll('[data-action="select-emoji"]')).filter((button=>null!==button.offsetParent));if(e.target.matches('[data-region="emoji-search"]')){if("ArrowDown"===e.key)focusButton(buttons,0);else{if("Enter"!==e.key||!buttons.length)return;buttons[0].click()}return void e.preventDefault()}const index=buttons.indexOf(e.target);if(-1===index)return;const rtl="rtl"===window.getComputedStyle(panel).direction;switch(e.key){case"ArrowRight":focusButton(buttons,index+(rtl?-1:1));break;case"ArrowLeft":focusButton(buttons,index+(rtl?1:-1));break;case"ArrowDown":focusButton(buttons,index+8);break;case"ArrowUp":index<8?panel.querySelector('[data-region="emoji-search"]').focus():focusButton(buttons,index-8);break;case"Home":focusButton(buttons,0);break;case"End":focusButton(buttons,buttons.length-1);break;default:return}e.preventDefault()};_exports.open=async options=>{if(current=options,panelPromise||(panelPromise=(async()=>{catalogue=await EmojiCatalogue.load();const{element:element,js:js}=await(0,_utils.renderToElement)("local_reactions/emoji_panel",{uniqid:Math.random().toString(36).slice(2),categories:catalogue.categories.map((category=>{var _category$emoji$;return{category:category.category,name:category.name,icon:(null===(_category$emoji$=category.emoji[0])||void 0===_category$emoji$?void 0:_category$emoji$.unicode)||""}}))});document.body.appendChild(element),_templates.default.runTemplateJS(js);const body=element.querySelector('[data-region="emoji-panel-body"]'),sections=element.querySelectorAll('[data-region="emoji-section"]');if("undefined"==typeof IntersectionObserver)sections.forEach(fillSection);else{const observer=new IntersectionObserver((entries=>{entries.filter((entry=>entry.isIntersecting)).forEach((entry=>{fillSection(entry.target),observer.unobserve(entry.target)}))}),{root:body,rootMargin:"100px 0px"});sections.forEach((section=>observer.observe(section)))}return element.querySelector('[data-region="emoji-search"]').addEventListener("input",(e=>search(e.target.value))),element.addEventListener("keydown",handleKeydown),element.addEventListener("click",(e=>{const jump=e.target.closest('[data-action="jump-to-category"]');if(jump){const section=element.querySelector('[data-region="emoji-section"][data-category="'.concat(jump.getAttribute("data-category"),'"]'));return fillSection(section),void(body.scrollTop=section.offsetTop)}const button=e.target.closest('[data-action="select-emoji"]');var _current$onSelect,_current2;button&&(null===(_current$onSelect=(_current2=current).onSelect)||void 0===_current$onSelect||_current$onSelect.call(_current2,button.getAttribute("data-emoji")))})),element})().catch((err=>{throw panelPromise=null,err}))),panel=await panelPromise,current!==options)return;const searchInput=panel.querySelector('[data-region="emoji-search"]');searchInput.value="",search(""),(()=>{const section=panel.querySelector('[data-region="emoji-recent"]'),emojis=catalogue.recent.map(findEmoji).filter((emoji=>emoji));section.hidden=!emojis.length,fillGrid(section.querySelector('[data-region="emoji-grid"]'),emojis)})(),panel.querySelectorAll('[data-action="select-emoji"]').forEach(markSelected),panel.hidden=!1,panelPosition=Positioning.attach(panel,options.anchor,options.onAnchorHidden||close),searchInput.focus()};const close=()=>{var _panelPosition;current={},null===(_panelPosition=panelPosition)||void 0===_panelPosition||_panelPosition.detach(),panelPosition=null,panel&&(panel.hidden=!0)};_exports.close=close;_exports.contains=node=>!!panel&&panel.contains(node)}));
+
+//# sourceMappingURL=emoji_panel.min.js.map
\ No newline at end of file
@@ -0,0 +1,34 @@
+define("local_reactions/events",["exports","core/event_dispatcher"],(function(_exports,_event_dispatcher){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.notifyToggled=_exports.notifyRendered=_exports.notifyPickerOpened=_exports.notifyCountsChanged=_exports.itemDetail=_exports.eventTypes=void 0;
+/**
+   * Events fired by reactions bars, for themes and other plugins to listen to.
+   *
+   * Every event is a bubbling CustomEvent dispatched on the reactions bar, so it can be listened to on
+   * the document. The detail always has `component`, `itemtype` and `itemid` naming the item, and
+   * `counts` (a list of `{emoji, count}`) and `userreactions` (the current user's emoji shortcodes)
+   * holding what the bar shows. Bars on the forum discussion list show a discussion's totals, so they
+   * use the itemtype `discussion` and the discussion ID.
+   *
+   *   - `local_reactions:rendered`: a bar was rendered or re-rendered. Also has `source`, which is
+   *     `cache` while the bar shows data from the browser cache, and `live` otherwise.
+   *   - `local_reactions:countsChanged`: the counts shown by a bar changed, for whatever reason: a toggle
+   *     (including optimistically, before the server confirms it, and when it is rolled back), a poll, or
+   *     another tab. Also has `previouscounts`.
+   *   - `local_reactions:toggled`: the server confirmed a toggle the current user made on the page. Also has
+   *     `emoji` and `action` (`added` or `removed`). On the discussion list, the item is the opening post
+   *     reacted to, and `discussionid` is set. Toggles queued while offline are not reported when sent later.
+   *   - `local_reactions:pickerOpened`: the user opened a bar's emoji picker.
+   *
+   * @example <caption>Listening for reactions made by the current user.</caption>
+   * import {eventTypes} from 'local_reactions/events';
+   *
+   * document.addEventListener(eventTypes.toggled, (e) => {
+   *     window.console.log(`${e.detail.action} ${e.detail.emoji} on ${e.detail.component} ${e.detail.itemid}`);
+   * });
+   *
+   * @module     local_reactions/events
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const eventTypes={rendered:"local_reactions:rendered",countsChanged:"local_reactions:countsChanged",toggled:"local_reactions:toggled",pickerOpened:"local_reactions:pickerOpened"};_exports.eventTypes=eventTypes;_exports.itemDetail=(component,itemtype,itemid,data)=>({component:component,itemtype:itemtype,itemid:itemid,counts:copyCounts(data),userreactions:[...(null==data?void 0:data.userreactions)||[]]});const copyCounts=data=>((null==data?void 0:data.counts)||[]).map((c=>({emoji:c.emoji,count:c.count})));_exports.notifyRendered=(bar,detail,source)=>(0,_event_dispatcher.dispatchEvent)(eventTypes.rendered,{...detail,source:source},bar);_exports.notifyCountsChanged=(bar,detail,previous)=>(0,_event_dispatcher.dispatchEvent)(eventTypes.countsChanged,{...detail,previouscounts:copyCounts(previous)},bar);_exports.notifyToggled=(bar,detail,emoji,action)=>(0,_event_dispatcher.dispatchEvent)(eventTypes.toggled,{...detail,emoji:emoji,action:action},bar);_exports.notifyPickerOpened=(bar,detail)=>(0,_event_dispatcher.dispatchEvent)(eventTypes.pickerOpened,detail,bar)}));
+
+//# sourceMappingURL=events.min.js.map
\ No newline at end of file
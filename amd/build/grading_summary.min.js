@@ -0,0 +1,15 @@
+define("local_reactions/grading_summary",["exports","core/ajax","core/templates","core/notification","local_reactions/emoji_catalogue","local_reactions/utils"],(function(_exports,_ajax,_templates,_notification,EmojiCatalogue,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+/**
+   * Reaction summary card at the top of the whole-forum grading panel, for the student being graded.
+   *
+   * The grading panel swaps in the next student without reloading the page, so the card is refreshed
+   * whenever the grader's user picker moves to another student, including students without any posts.
+   * Including self and teacher reactions is only for the student currently shown; the next student
+   * starts with the forum's setting again.
+   *
+   * @module     local_reactions/grading_summary
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.update=void 0,_ajax=_interopRequireDefault(_ajax),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification),EmojiCatalogue=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(EmojiCatalogue);const GRADED_USER="".concat('[data-region="user_picker"]'," [data-userid]");let shownUser=null,watchedPicker=null,pickerObserver=null,requestId=0;const update=(container,config)=>{var _document$querySelect;const picker=document.querySelector('[data-region="user_picker"]');var _pickerObserver;picker&&picker!==watchedPicker&&(null===(_pickerObserver=pickerObserver)||void 0===_pickerObserver||_pickerObserver.disconnect(),watchedPicker=picker,pickerObserver=new MutationObserver((()=>update(container,config))),pickerObserver.observe(picker,{childList:!0,subtree:!0,attributeFilter:["data-userid"]}));const userId=parseInt(null===(_document$querySelect=document.querySelector(GRADED_USER))||void 0===_document$querySelect?void 0:_document$querySelect.getAttribute("data-userid")),card=container.querySelector('[data-region="reactions-grading-summary"]');!userId||userId===shownUser&&card||(shownUser=userId,render(container,config,userId,!1))};_exports.update=update;const render=async(container,config,userId,includeall)=>{const thisRequest=++requestId;try{var _element$querySelecto;const summary=await _ajax.default.call([{methodname:"local_reactions_get_grading_summary",args:{cmid:config.cmid,userid:userId,includeall:includeall}}])[0],buttons=(0,_utils.buildTemplateContext)(summary,config.emojis,{extraemojis:await EmojiCatalogue.getExtraEmojis(config,summary),stickers:config.stickers,emojinames:config.emojinames}).buttons,order=summary.counts.map((c=>c.emoji)),breakdown=buttons.filter((button=>button.hascount)).sort(((a,b)=>order.indexOf(a.shortcode)-order.indexOf(b.shortcode))),{element:element,js:js}=await(0,_utils.renderToElement)("local_reactions/grading_summary",{received:summary.received,peeronly:summary.peeronly,breakdown:breakdown,hasbreakdown:breakdown.length>0,given:summary.given,median:Math.round(10*summary.median)/10,participants:summary.participants,abovemedian:summary.received>summary.median,atmedian:summary.received===summary.median,belowmedian:summary.received<summary.median,canincludeall:summary.canincludeall,includeall:includeall});if(thisRequest!==requestId)return;null===(_element$querySelecto=element.querySelector('[data-action="include-all-reactions"]'))||void 0===_element$querySelecto||_element$querySelecto.addEventListener("change",(e=>{render(container,config,userId,e.target.checked)}));const previous=container.querySelector('[data-region="reactions-grading-summary"]');if(previous){const hadFocus=previous.contains(document.activeElement);var _element$querySelecto2;if(previous.replaceWith(element),hadFocus)null===(_element$querySelecto2=element.querySelector('[data-action="include-all-reactions"]'))||void 0===_element$querySelecto2||_element$querySelecto2.focus()}else container.prepend(element);_templates.default.runTemplateJS(js)}catch(err){_notification.default.exception(err)}}}));
+
+//# sourceMappingURL=grading_summary.min.js.map
\ No newline at end of file
@@ -0,0 +1,14 @@
+define("local_reactions/live_updates",["exports","core/ajax","core/config","local_reactions/tab_sync","local_reactions/utils"],(function(_exports,_ajax,_config,TabSync,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+/**
+   * Live updates for emoji reactions over a push transport, falling back to interval polling.
+   *
+   * The push transports (long-poll web service or Server-Sent Events from stream.php) only announce
+   * that something changed; the page's poll function then fetches and animates the changes as it would
+   * on a poll tick. As with polling, only the tab elected for the page listens.
+   *
+   * @module     local_reactions/live_updates
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.start=void 0,_ajax=_interopRequireDefault(_ajax),_config=_interopRequireDefault(_config),TabSync=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(TabSync);const delay=ms=>new Promise((resolve=>setTimeout(resolve,ms)));_exports.start=options=>{const{transport:transport,pollinterval:pollinterval,pollFn:pollFn,leaderScope:leaderScope,getWatch:getWatch}=options;if("longpoll"!==transport&&"sse"!==transport)return(0,_utils.createPoller)(pollinterval,pollFn,leaderScope);const election=TabSync.createElection(leaderScope);let fallback=null,failures=0,cursor=options.cursor||0;const canListen=()=>!fallback&&!document.hidden&&election.isLeader(),fallBack=()=>{fallback||(fallback=(0,_utils.createPoller)(pollinterval,pollFn,leaderScope)||{pollNow:()=>{}})};return"longpoll"===transport?(async()=>{for(;!fallback;){const watch=getWatch();if(canListen()&&watch.itemids.length)try{const result=await _ajax.default.call([{methodname:"local_reactions_wait_for_changes",args:{...watch,cursor:cursor}}])[0];failures=0,cursor=result.cursor,result.changed&&await pollFn()}catch{if(++failures>=3)return void fallBack();await delay(5e3)}else await delay(5e3)}})():"undefined"==typeof EventSource?fallBack():(()=>{let source=null;const close=()=>{var _source;null===(_source=source)||void 0===_source||_source.close(),source=null},open=()=>{const watch=getWatch();if(source||!canListen()||!watch.itemids.length)return;const params=new URLSearchParams({component:watch.component,itemtype:watch.itemtype,contextid:watch.contextid,itemids:watch.itemids.join(","),discussions:watch.discussions?1:0,cursor:cursor,sesskey:_config.default.sesskey});source=new EventSource("".concat(_config.default.wwwroot,"/local/reactions/stream.php?").concat(params)),source.addEventListener("open",(()=>{failures=0})),source.addEventListener("changes",(e=>{cursor=parseInt(e.lastEventId)||cursor,pollFn()})),source.addEventListener("end",(e=>{cursor=parseInt(e.lastEventId)||cursor,close(),open()})),source.addEventListener("error",(()=>{var _source2;((null===(_source2=source)||void 0===_source2?void 0:_source2.readyState)===EventSource.CLOSED||++failures>=3)&&(close(),fallBack())}))},check=()=>{canListen()?open():close()};document.addEventListener("visibilitychange",check),setInterval(check,5e3),open()})(),{pollNow:()=>{fallback?fallback.pollNow():election.isLeader()&&pollFn()}}}}));
+
+//# sourceMappingURL=live_updates.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("local_reactions/offline_queue",["exports","core/ajax","local_reactions/cache"],(function(_exports,_ajax,Cache){var obj;
+/**
+   * Offline queue for reaction toggles.
+   *
+   * Toggles made while the browser is offline, or whose request failed with a network error, are
+   * stored in the local_reactions_cache IndexedDB database together with the state the user wanted
+   * (reaction added or removed). On replay the server's current state is fetched first, so a toggle
+   * whose intent already holds (e.g. the user reacted from another device meanwhile) is dropped
+   * instead of being sent and undoing it.
+   *
+   * @module     local_reactions/offline_queue
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.replay=_exports.isNetworkError=_exports.getQueued=_exports.entryKey=_exports.enqueue=void 0,_ajax=(obj=_ajax)&&obj.__esModule?obj:{default:obj},Cache=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(Cache);const isNetworkError=err=>!navigator.onLine||!(null!=err&&err.errorcode);_exports.isNetworkError=isNetworkError;_exports.enqueue=entry=>Cache.queueToggle(entry);_exports.getQueued=async(component,itemtype)=>(await Cache.getQueuedToggles()).filter((entry=>entry.component===component&&entry.itemtype===itemtype));const entryKey=entry=>Cache.itemKey(entry.component,entry.itemtype,entry.itemid);_exports.entryKey=entryKey;_exports.replay=async()=>{const state=new Map,failures=new Map,processed=[],rejected=[],entries=await Cache.claimQueuedToggles();if(!entries.length)return{state:state,processed:processed,rejected:rejected};try{await(async(entries,state,failures)=>{const groups=new Map;entries.forEach((entry=>{const group="".concat(entry.component,":").concat(entry.itemtype,":").concat(entry.contextid);groups.has(group)||groups.set(group,{entry:entry,itemids:new Set}),groups.get(group).itemids.add(entry.itemid)}));for(const{entry:entry,itemids:itemids}of groups.values()){const keyFor=itemid=>entryKey({...entry,itemid:itemid});try{const response=await _ajax.default.call([{methodname:"local_reactions_get_reactions",args:{component:entry.component,itemtype:entry.itemtype,itemids:[...itemids],contextid:entry.contextid}}])[0];itemids.forEach((itemid=>state.set(keyFor(itemid),{itemid:itemid,userreactions:[],counts:[]}))),response.items.forEach((item=>state.set(keyFor(item.itemid),item)))}catch(err){if(isNetworkError(err))throw err;itemids.forEach((itemid=>failures.set(keyFor(itemid),err)))}}})(entries,state,failures)}catch{return await Cache.requeueToggles(entries),{state:state,processed:processed,rejected:rejected}}for(let i=0;i<entries.length;i++){const entry=entries[i],key=entryKey(entry);if(failures.has(key)){processed.push(entry.id),rejected.push({entry:entry,error:failures.get(key)});continue}if(state.get(key).userreactions.includes(entry.emoji)!==entry.add)try{const response=await _ajax.default.call([{methodname:"local_reactions_toggle_reaction",args:{component:entry.component,itemtype:entry.itemtype,itemid:entry.itemid,emoji:entry.emoji}}])[0];state.set(key,{itemid:entry.itemid,userreactions:response.userreactions,counts:response.counts}),processed.push(entry.id)}catch(err){if(isNetworkError(err)){await Cache.requeueToggles(entries.slice(i));break}processed.push(entry.id),rejected.push({entry:entry,error:err})}else processed.push(entry.id)}return{state:state,processed:processed,rejected:rejected}}}));
+
+//# sourceMappingURL=offline_queue.min.js.map
\ No newline at end of file
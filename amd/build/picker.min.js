@@ -0,0 +1,20 @@
+define("local_reactions/picker",["exports","core/notification","local_reactions/emoji_panel","local_reactions/positioning","local_reactions/touch"],(function(_exports,_notification,EmojiPanel,Positioning,Touch){var obj;
+/**
+   * The emoji picker of a reactions bar: a WAI-ARIA menu opened from the bar's trigger, with the
+   * "More emoji" panel behind it when the extended picker is on.
+   *
+   * Shared by the post reactions bars and the discussion list's "react to the opening post" control.
+   * Only one picker is open at a time on the page. Choosing an emoji is left to the caller, through
+   * the toggle-reaction buttons in the picker and the onSelect callback for the "More emoji" panel.
+   *
+   * With a finger, the picker opens as a bottom sheet with larger buttons instead of next to its trigger,
+   * where it could end up under the thumb or off-screen. Long-pressing the smiley trigger opens the sheet,
+   * and callers can open it from other long-presses with openSheet(). A tap on the trigger can be taken
+   * over by the caller, e.g. to react with the last-used emoji.
+   *
+   * @module     local_reactions/picker
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.openSheet=_exports.closeAll=_exports.bind=void 0,_notification=(obj=_notification)&&obj.__esModule?obj:{default:obj},EmojiPanel=_interopRequireWildcard(EmojiPanel),Positioning=_interopRequireWildcard(Positioning),Touch=_interopRequireWildcard(Touch);let opener=null,position=null,typeAhead={buffer:"",timer:null};let documentListenerRegistered=!1,backdrop=null,sheetPill=null;const boundOptions=new WeakMap,closeAll=function(){var _position,_backdrop;let restoreFocus=arguments.length>0&&void 0!==arguments[0]&&arguments[0];EmojiPanel.close(),null===(_position=position)||void 0===_position||_position.detach(),position=null,null===(_backdrop=backdrop)||void 0===_backdrop||_backdrop.remove(),backdrop=null,sheetPill=null,document.querySelectorAll('[data-region="reactions-picker"]:not([hidden])').forEach((picker=>{picker.hidden=!0,picker.classList.remove("local-reactions-picker-sheet")})),document.querySelectorAll('[data-action="open-picker"][aria-expanded="true"]').forEach((trigger=>{trigger.setAttribute("aria-expanded","false")}));const previousOpener=opener;opener=null,restoreFocus&&previousOpener&&previousOpener.isConnected&&previousOpener.focus()};_exports.closeAll=closeAll;const open=function(barElement,trigger){let focusTarget=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"first",sheet=arguments.length>3&&void 0!==arguments[3]?arguments[3]:null;const picker=barElement.querySelector('[data-region="reactions-picker"]');if(!picker)return!1;closeAll(),picker.hidden=!1,picker.classList.toggle("local-reactions-picker-sheet",!!sheet);const reactorsButton=picker.querySelector('[data-action="show-reactors"]');var _boundOptions$get;reactorsButton&&(reactorsButton.hidden=!(null!=sheet&&sheet.pill&&null!==(_boundOptions$get=boundOptions.get(barElement))&&void 0!==_boundOptions$get&&_boundOptions$get.onShowReactors));sheet?(picker.style.removeProperty("top"),picker.style.removeProperty("left"),sheetPill=sheet.pill||null,backdrop=document.createElement("div"),backdrop.className="local-reactions-sheet-backdrop",document.body.appendChild(backdrop)):position=Positioning.attach(picker,trigger,(()=>closeAll())),trigger.setAttribute("aria-expanded","true"),opener=trigger;const items=getMenuItems(picker);let index="last"===focusTarget?items.length-1:0;return"selected"===focusTarget&&(index=Math.max(0,items.findIndex((item=>"true"===item.getAttribute("aria-checked"))))),focusMenuItem(items,index),!0},openSheet=function(barElement){var _boundOptions$get2,_boundOptions$get2$on;let pill=arguments.length>1&&void 0!==arguments[1]?arguments[1]:null;const trigger=null==barElement?void 0:barElement.querySelector('[data-action="open-picker"]');return!(!trigger||!open(barElement,trigger,"selected",{pill:pill}))&&(null===(_boundOptions$get2=boundOptions.get(barElement))||void 0===_boundOptions$get2||null===(_boundOptions$get2$on=_boundOptions$get2.onOpen)||void 0===_boundOptions$get2$on||_boundOptions$get2$on.call(_boundOptions$get2),!0)};_exports.openSheet=openSheet;const getMenuItems=picker=>Array.from(picker.querySelectorAll('[role^="menuitem"]:not([hidden])')),focusMenuItem=(items,index)=>{if(!items.length)return;const target=items[(index+items.length)%items.length];items.forEach((item=>item.setAttribute("tabindex",item===target?"0":"-1"))),target.focus()},handleTypeAhead=(items,current,char)=>{clearTimeout(typeAhead.timer),typeAhead.timer=setTimeout((()=>{typeAhead.buffer=""}),500),typeAhead.buffer+=char;const search=typeAhead.buffer.split("").every((c=>c===char))?char:typeAhead.buffer,start=1===search.length?current+1:current;for(let i=0;i<items.length;i++){const index=(start+i)%items.length;if((items[index].getAttribute("data-emoji")||"").startsWith(search))return void focusMenuItem(items,index)}};_exports.bind=(barElement,options)=>{var _barElement$querySele,_barElement$querySele2;boundOptions.set(barElement,options),documentListenerRegistered||(documentListenerRegistered=!0,document.addEventListener("click",(e=>{e.target.closest(".local-reactions-picker-wrapper")||EmojiPanel.contains(e.target)||closeAll()}))),barElement.querySelectorAll('[data-action="open-picker"]').forEach((trigger=>{trigger.addEventListener("click",(e=>{var _options$onQuickTap;if(e.stopPropagation(),"true"===trigger.getAttribute("aria-expanded"))return void closeAll(!0);const tap=Touch.isTap();var _options$onOpen;tap&&trigger.matches(".local-reactions-trigger")&&null!==(_options$onQuickTap=options.onQuickTap)&&void 0!==_options$onQuickTap&&_options$onQuickTap.call(options)||open(barElement,trigger,"selected",tap?{pill:null}:null)&&(null===(_options$onOpen=options.onOpen)||void 0===_options$onOpen||_options$onOpen.call(options))})),trigger.matches(".local-reactions-trigger")&&Touch.onLongPress(trigger,(()=>openSheet(barElement))),trigger.addEventListener("keydown",(e=>{var _options$onOpen2;"ArrowDown"!==e.key&&"ArrowUp"!==e.key||(e.preventDefault(),e.stopPropagation(),open(barElement,trigger,"ArrowUp"===e.key?"last":"first")&&(null===(_options$onOpen2=options.onOpen)||void 0===_options$onOpen2||_options$onOpen2.call(options)))}))}));const picker=barElement.querySelector('[data-region="reactions-picker"]');picker&&picker.addEventListener("keydown",(e=>((e,picker)=>{const items=getMenuItems(picker),current=items.indexOf(document.activeElement),rtl="rtl"===window.getComputedStyle(picker).direction;switch(e.key){case"ArrowRight":focusMenuItem(items,current+(rtl?-1:1));break;case"ArrowLeft":focusMenuItem(items,current+(rtl?1:-1));break;case"ArrowDown":focusMenuItem(items,current+1);break;case"ArrowUp":focusMenuItem(items,current-1);break;case"Tab":focusMenuItem(items,current+(e.shiftKey?-1:1));break;case"Home":focusMenuItem(items,0);break;case"End":focusMenuItem(items,items.length-1);break;case"Escape":closeAll(!0);break;default:if(1!==e.key.length||" "===e.key||e.ctrlKey||e.altKey||e.metaKey)return;handleTypeAhead(items,current,e.key.toLowerCase())}e.preventDefault(),e.stopPropagation()})(e,picker))),null===(_barElement$querySele=barElement.querySelector('[data-action="show-reactors"]'))||void 0===_barElement$querySele||_barElement$querySele.addEventListener("click",(e=>{e.preventDefault(),e.stopPropagation();const pill=sheetPill;var _options$onShowReacto;(closeAll(),null!=pill&&pill.isConnected)&&(null===(_options$onShowReacto=options.onShowReactors)||void 0===_options$onShowReacto||_options$onShowReacto.call(options,pill))})),null===(_barElement$querySele2=barElement.querySelector('[data-action="open-emoji-panel"]'))||void 0===_barElement$querySele2||_barElement$querySele2.addEventListener("click",(e=>{var _position2;e.preventDefault(),e.stopPropagation(),picker.hidden=!0,null===(_position2=position)||void 0===_position2||_position2.detach(),position=null,EmojiPanel.open({anchor:opener||barElement.querySelector('[data-action="open-picker"]'),emojis:options.emojis,selected:options.getSelected(),onSelect:emoji=>{closeAll(!0),options.onSelect(emoji)},onDismiss:()=>closeAll(!0),onAnchorHidden:()=>closeAll()}).catch(_notification.default.exception)}))}}));
+
+//# sourceMappingURL=picker.min.js.map
\ No newline at end of file
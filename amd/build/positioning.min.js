@@ -0,0 +1,18 @@
+define("local_reactions/positioning",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.computePosition=_exports.attach=void 0;
+/**
+   * Keeps floating elements (the emoji picker, the "More emoji" panel and the reactors popover) next
+   * to the control they belong to.
+   *
+   * Floating elements use fixed coordinates to escape overflow:hidden parents, so they have to be
+   * moved whenever the page or a scrolling ancestor scrolls, or the window is resized. They go above
+   * their anchor, flipping below when there is no room above, and are shifted sideways to stay inside
+   * the viewport. In right-to-left languages they line up with the anchor's right edge instead of its
+   * left edge.
+   *
+   * @module     local_reactions/positioning
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const computePosition=(anchorRect,size,viewport,rtl)=>{const above=anchorRect.top-6-size.height,below=anchorRect.bottom+6;let placement="top",top=above;if(above<8){const fitsBelow=below+size.height<=viewport.height-8;fitsBelow||viewport.height-anchorRect.bottom>anchorRect.top?(placement="bottom",top=fitsBelow?below:Math.max(8,viewport.height-8-size.height)):top=8}const start=rtl?anchorRect.right-size.width:anchorRect.left;return{top:top,left:Math.max(8,Math.min(start,viewport.width-8-size.width)),placement:placement}};_exports.computePosition=computePosition;_exports.attach=(element,anchor,onAnchorHidden)=>{let frame=null,detached=!1;const update=()=>{if(detached)return;const rtl="rtl"===window.getComputedStyle(anchor).direction,viewport={width:document.documentElement.clientWidth,height:document.documentElement.clientHeight},{top:top,left:left,placement:placement}=computePosition(anchor.getBoundingClientRect(),{width:element.offsetWidth,height:element.offsetHeight},viewport,rtl);element.style.top=top+"px",element.style.left=left+"px",element.setAttribute("data-placement",placement)},scheduleUpdate=e=>{e.target instanceof Node&&element.contains(e.target)||null===frame&&(frame=window.requestAnimationFrame((()=>{frame=null,update()})))},observer=new IntersectionObserver((entries=>{!detached&&entries.some((entry=>!entry.isIntersecting))&&onAnchorHidden()}));return update(),observer.observe(anchor),window.addEventListener("scroll",scheduleUpdate,{capture:!0,passive:!0}),window.addEventListener("resize",scheduleUpdate,{passive:!0}),{update:update,detach:()=>{detached||(detached=!0,observer.disconnect(),window.removeEventListener("scroll",scheduleUpdate,!0),window.removeEventListener("resize",scheduleUpdate),null!==frame&&(window.cancelAnimationFrame(frame),frame=null))}}}}));
+
+//# sourceMappingURL=positioning.min.js.map
\ No newline at end of file
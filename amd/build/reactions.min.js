@@ -1,4 +1,4 @@
-define("local_reactions/reactions",["exports","core/ajax","core/templates","core/notification","local_reactions/cache","local_reactions/utils"],(function(_exports,_ajax,_templates,_notification,Cache,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+define("local_reactions/reactions",["exports","core/ajax","core/templates","core/notification","local_reactions/cache","local_reactions/reactors","local_reactions/offline_queue","local_reactions/tab_sync","local_reactions/live_updates","local_reactions/viewport","local_reactions/emoji_catalogue","local_reactions/picker","local_reactions/events","local_reactions/scheduler","local_reactions/touch","local_reactions/announcer","core/str","local_reactions/utils"],(function(_exports,_ajax,_templates,_notification,Cache,Reactors,OfflineQueue,TabSync,LiveUpdates,Viewport,EmojiCatalogue,Picker,Events,Scheduler,Touch,Announcer,_str,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
 /**
    * AMD module for emoji reactions (GitHub-style picker).
    *
@@ -7,16 +7,33 @@ define("local_reactions/reactions",["exports","core/ajax","core/templates","core
    *   - `item`: CSS selector that matches each reactable item's root element.
    *   - `itemIdAttr` OR `itemIdPrefix`: how to extract an integer ID from an item
    *     element (attribute value, or strip prefix from element id).
+   *   - `itemIdLinks` / `itemIdPageParam`: for markup without IDs (glossary entries, database
+   *     records), read the ID from a URL parameter of a link inside the item, or of the page itself.
    *   - `insertBeforeSelector`: preferred anchor — bar is inserted before it.
    *   - `appendFallbackSelectors`: ordered list of fallbacks — bar is appended.
-   *   - `mutationRoot` (optional): observe this for dynamically added items.
+   *   - `appendToItem`: append the bar to the item itself when no fallback matches.
+   *   - `mutationRoot` (optional): containers to watch for dynamically added items. May match
+   *     several containers, including ones added after page load (e.g. comment lists).
+   *
+   * Placeholders output by any template are mounted through local_reactions/embed, which checks them with
+   * the server and then starts this module on them like a provider would.
+   *
+   * Each init() call starts a controller holding its own config and state, so a page can show several
+   * sets of reactions, e.g. comments on a blog entry next to the entry itself. Their fetches go through
+   * local_reactions/scheduler, which sends the ones made at the same time in one request.
    *
    * Renders cached reactions instantly from IndexedDB, then refreshes from the
    * web service and animates any differences.
    *
+   * On touch screens, long-pressing an item or a pill opens the picker as a bottom sheet, and tapping the
+   * smiley trigger reacts with the last-used emoji (see local_reactions/touch).
+   *
+   * Bars fire the events in local_reactions/events, and getState(), toggle() and refresh() let other
+   * code read and change the reactions on the page without going through the DOM.
+   *
    * @module     local_reactions/reactions
    * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=void 0,_ajax=_interopRequireDefault(_ajax),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification),Cache=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(Cache);let config={},currentDataMap={},toggleInProgress=!1,pollingInitialised=!1;_exports.init=cfg=>{config=cfg,loadReactions(),document.addEventListener("click",(e=>{e.target.closest(".local-reactions-picker-wrapper")||closeAllPickers()}));const mutationRootSelector=config.selectors&&config.selectors.mutationRoot;if(mutationRootSelector){const container=document.querySelector(mutationRootSelector);if(container){const itemSelector=config.selectors.item;new MutationObserver((mutations=>{for(const mutation of mutations)for(const node of mutation.addedNodes)if(node.nodeType===Node.ELEMENT_NODE&&node.querySelector(itemSelector))return void loadReactions()})).observe(container,{childList:!0,subtree:!0})}}};const closeAllPickers=()=>{document.querySelectorAll('[data-region="reactions-picker"]:not([hidden])').forEach((picker=>{var _picker$closest;picker.hidden=!0;const trigger=null===(_picker$closest=picker.closest(".local-reactions-picker-wrapper"))||void 0===_picker$closest?void 0:_picker$closest.querySelector('[data-action="open-picker"]');trigger&&trigger.setAttribute("aria-expanded","false")}))},getItemId=el=>{const selectors=config.selectors||{};return selectors.itemIdAttr?parseInt(el.getAttribute(selectors.itemIdAttr)):selectors.itemIdPrefix&&el.id&&el.id.startsWith(selectors.itemIdPrefix)?parseInt(el.id.slice(selectors.itemIdPrefix.length)):NaN},getItemElement=itemId=>{const selectors=config.selectors||{};return selectors.itemIdAttr?document.querySelector("[".concat(selectors.itemIdAttr,'="').concat(itemId,'"]')):selectors.itemIdPrefix?document.getElementById("".concat(selectors.itemIdPrefix).concat(itemId)):null},insertBar=(itemEl,element)=>{const selectors=config.selectors||{};if(selectors.insertBeforeSelector){const anchor=itemEl.querySelector(selectors.insertBeforeSelector);if(anchor&&anchor.parentElement)return void anchor.parentElement.insertBefore(element,anchor)}const fallbacks=selectors.appendFallbackSelectors||[];for(const fallbackSelector of fallbacks){const target=itemEl.querySelector(fallbackSelector);if(target)return void target.appendChild(element)}},createSkeleton=()=>{const skeleton=document.createElement("div");if(skeleton.className="local-reactions-bar local-reactions-skeleton d-flex flex-wrap align-items-center mt-2 mb-1",skeleton.setAttribute("data-region","reactions-skeleton"),config.compactview){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill local-reactions-skeleton-pill-compact",skeleton.appendChild(pill)}else for(let i=0;i<3;i++){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill",skeleton.appendChild(pill)}return skeleton},loadReactions=async()=>{var _document$getElementB;const itemSelector=config.selectors&&config.selectors.item||"";if(!itemSelector)return;const items=document.querySelectorAll(itemSelector);if(!items.length)return;const itemIds=[];if(items.forEach((itemEl=>{const itemId=getItemId(itemEl);itemId&&!itemEl.querySelector('[data-region="reactions-bar"]')&&itemIds.push(itemId)})),!itemIds.length)return;const cachedItemIds=new Set,cachedDataMap={};if(await Cache.isAvailable()){const cacheKeys=itemIds.map((id=>Cache.itemKey(config.component,config.itemtype,id))),cached=await Cache.getMultiple(cacheKeys),renderPromises=[];for(const itemId of itemIds){const key=Cache.itemKey(config.component,config.itemtype,itemId),cachedData=cached.get(key);cachedData&&(cachedDataMap[itemId]=cachedData,cachedItemIds.add(itemId),renderPromises.push(renderBar(itemId,cachedData,!0)))}await Promise.all(renderPromises)}null===(_document$getElementB=document.getElementById("local-reactions-reserve"))||void 0===_document$getElementB||_document$getElementB.remove();const uncachedItemIds=itemIds.filter((id=>!cachedItemIds.has(id)));uncachedItemIds.length>0&&(itemIds=>{for(const itemId of itemIds){const itemEl=getItemElement(itemId);itemEl&&!itemEl.querySelector('[data-region="reactions-skeleton"]')&&insertBar(itemEl,createSkeleton())}})(uncachedItemIds);try{const response=await _ajax.default.call([{methodname:"local_reactions_get_reactions",args:{component:config.component,itemtype:config.itemtype,itemids:itemIds,contextid:config.contextid}}])[0],reactionsMap={};response.items.forEach((item=>{reactionsMap[item.itemid]=item}));for(const itemId of itemIds){const freshData=reactionsMap[itemId]||{itemid:itemId,userreactions:[],counts:[]};if(cachedItemIds.has(itemId)){const diffs=(0,_utils.computeDiffs)(cachedDataMap[itemId],freshData);await rerenderBarWithAnimation(itemId,freshData,diffs)}else await renderBar(itemId,freshData,!1);currentDataMap[itemId]=freshData}await(0,_utils.updateCacheBatch)(itemIds,(id=>Cache.itemKey(config.component,config.itemtype,id)),currentDataMap)}catch(err){_notification.default.exception(err)}pollingInitialised||(pollingInitialised=!0,(0,_utils.createPoller)(config.pollinterval,pollReactions))},renderBar=async(itemId,data,fromCache)=>{const itemEl=getItemElement(itemId);if(!itemEl||itemEl.querySelector('[data-region="reactions-bar"]'))return;const context=(0,_utils.buildTemplateContext)(data,config.emojis,{canreact:config.canreact,compactview:config.compactview,userreactions:fromCache?[]:data.userreactions||[]});try{const{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/reactions_bar",context);barElement.setAttribute("data-source",fromCache?"cache":"live");const skeleton=itemEl.querySelector('[data-region="reactions-skeleton"]');skeleton?skeleton.replaceWith(barElement):insertBar(itemEl,barElement),_templates.default.runTemplateJS(js),fromCache?barElement.querySelectorAll("button").forEach((b=>b.setAttribute("disabled","disabled"))):bindHandlers(barElement,itemId)}catch(err){_notification.default.exception(err)}},rerenderBarWithAnimation=async(itemId,freshData,diffs)=>{const itemEl=getItemElement(itemId);if(!itemEl)return;const existingBar=itemEl.querySelector('[data-region="reactions-bar"]');if(!existingBar)return;const context=(0,_utils.buildTemplateContext)(freshData,config.emojis,{canreact:config.canreact,compactview:config.compactview,userreactions:freshData.userreactions||[]});try{const{element:newBar,js:js}=await(0,_utils.renderToElement)("local_reactions/reactions_bar",context);newBar.setAttribute("data-source","live"),(0,_utils.applyDiffAnimations)(newBar,diffs,config.compactview),existingBar.replaceWith(newBar),_templates.default.runTemplateJS(js),bindHandlers(newBar,itemId),diffs.hasChanges&&(0,_utils.clearAnimationClasses)(newBar)}catch(err){_notification.default.exception(err)}},bindHandlers=(barElement,itemId)=>{barElement.querySelectorAll('[data-action="open-picker"]').forEach((trigger=>{trigger.addEventListener("click",(e=>{e.stopPropagation();const picker=barElement.querySelector('[data-region="reactions-picker"]');if(!picker)return;const isOpen=!picker.hidden;if(closeAllPickers(),!isOpen){const rect=trigger.getBoundingClientRect();picker.style.left=rect.left+"px",picker.hidden=!1,picker.style.top=rect.top-picker.offsetHeight-6+"px",trigger.setAttribute("aria-expanded","true")}}))})),config.canreact&&barElement.querySelectorAll('[data-action="toggle-reaction"]').forEach((btn=>{btn.addEventListener("click",(async e=>{e.preventDefault(),e.stopPropagation(),closeAllPickers();const emoji=btn.getAttribute("data-emoji");await toggleReaction(itemId,emoji,barElement)}))}))},toggleReaction=async(itemId,emoji,barElement)=>{barElement.querySelectorAll("button").forEach((b=>b.setAttribute("disabled","disabled"))),toggleInProgress=!0;try{const response=await _ajax.default.call([{methodname:"local_reactions_toggle_reaction",args:{component:config.component,itemtype:config.itemtype,itemid:itemId,emoji:emoji}}])[0],freshData={userreactions:response.userreactions,counts:response.counts},context=(0,_utils.buildTemplateContext)(freshData,config.emojis,{canreact:config.canreact,compactview:config.compactview,userreactions:freshData.userreactions||[]}),{element:newBar,js:js}=await(0,_utils.renderToElement)("local_reactions/reactions_bar",context);newBar.setAttribute("data-source","live"),barElement.replaceWith(newBar),_templates.default.runTemplateJS(js),bindHandlers(newBar,itemId),currentDataMap[itemId]=freshData,await(0,_utils.updateCacheBatch)([itemId],(id=>Cache.itemKey(config.component,config.itemtype,id)),currentDataMap)}catch(err){_notification.default.exception(err);const itemEl=getItemElement(itemId);((itemEl?itemEl.querySelector('[data-region="reactions-bar"]'):null)||barElement).querySelectorAll("button").forEach((b=>b.removeAttribute("disabled")))}finally{toggleInProgress=!1}},pollReactions=async()=>{if(toggleInProgress)return;const itemIds=(()=>{const ids=[],itemSelector=config.selectors&&config.selectors.item||"";return itemSelector?(document.querySelectorAll(itemSelector).forEach((el=>{const id=getItemId(el);id&&ids.push(id)})),ids):ids})();if(itemIds.length)try{const response=await _ajax.default.call([{methodname:"local_reactions_get_reactions",args:{component:config.component,itemtype:config.itemtype,itemids:itemIds,contextid:config.contextid}}])[0],reactionsMap={};response.items.forEach((item=>{reactionsMap[item.itemid]=item}));for(const itemId of itemIds){const freshData=reactionsMap[itemId]||{itemid:itemId,userreactions:[],counts:[]},previousData=currentDataMap[itemId];if(previousData){const diffs=(0,_utils.computeDiffs)(previousData,freshData);diffs.hasChanges&&await rerenderBarWithAnimation(itemId,freshData,diffs)}currentDataMap[itemId]=freshData}await(0,_utils.updateCacheBatch)(itemIds,(id=>Cache.itemKey(config.component,config.itemtype,id)),currentDataMap)}catch{}}}));
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.toggle=_exports.scan=_exports.refresh=_exports.init=_exports.getState=void 0,_ajax=_interopRequireDefault(_ajax),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification),Cache=_interopRequireWildcard(Cache),Reactors=_interopRequireWildcard(Reactors),OfflineQueue=_interopRequireWildcard(OfflineQueue),TabSync=_interopRequireWildcard(TabSync),LiveUpdates=_interopRequireWildcard(LiveUpdates),Viewport=_interopRequireWildcard(Viewport),EmojiCatalogue=_interopRequireWildcard(EmojiCatalogue),Picker=_interopRequireWildcard(Picker),Events=_interopRequireWildcard(Events),Scheduler=_interopRequireWildcard(Scheduler),Touch=_interopRequireWildcard(Touch),Announcer=_interopRequireWildcard(Announcer);const controllers=[];let emojis={},listening=!1,replaying=!1;_exports.init=cfg=>{listening||(listening=!0,(0,_utils.watchStickerFallbacks)(),Cache.watchLogout(),window.addEventListener("online",replayQueue),TabSync.subscribe((message=>controllers.forEach((controller=>controller.handleSyncMessage(message)))))),emojis={...cfg.retiredemojis,...cfg.emojis,...emojis};const controller=createController(cfg,{replayQueue:replayQueue,share:share});controllers.push(controller),controller.start()};_exports.scan=()=>{controllers.forEach((controller=>controller.scan()))};_exports.getState=(component,itemtype,itemId)=>{for(const controller of controllers){const state=controller.handles(component,itemtype)?controller.getState(itemId):null;if(state)return state}return null};_exports.toggle=async(component,itemtype,itemId,emoji)=>{const controller=controllers.find((c=>c.handles(component,itemtype)&&c.getState(itemId)));if(!controller)throw new Error("No reactions loaded for ".concat(component," ").concat(itemtype," ").concat(itemId));return controller.toggle(itemId,emoji)};_exports.refresh=async function(component,itemtype){let itemIds=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null;await Promise.all(controllers.filter((controller=>controller.handles(component,itemtype))).map((controller=>controller.refresh(itemIds))))};const share=(message,source)=>{TabSync.publish(message),controllers.filter((controller=>controller!==source)).forEach((controller=>controller.handleSyncMessage(message)))},replayQueue=async()=>{if(!replaying&&navigator.onLine){replaying=!0;try{let result;do{result=await OfflineQueue.replay();for(const controller of controllers)await controller.applyReplayResult(result);await reportRejected(result.rejected)}while(result.processed.length&&navigator.onLine);for(const controller of controllers)await controller.dropSentElsewhere()}finally{replaying=!1}}},reportRejected=async rejected=>{for(const{entry:entry,error:error}of rejected)_notification.default.addNotification({type:"error",message:await(0,_str.getString)("offlinetogglerejected","local_reactions",{emoji:emojis[entry.emoji]||entry.emoji,error:(null==error?void 0:error.message)||""})})},createController=(cfg,options)=>{const config=cfg,currentDataMap={},pendingToggles={},toggleQueues={},freshDataWaits={},renderedDataMap={},renderSequence={},longPressItems=new WeakSet;let pollingInitialised=!1,tracker=null,watchList=null,changeCursor=null;const getState=itemId=>currentDataMap[itemId]?{...getDetail(itemId,getDisplayData(itemId)),pending:(pendingToggles[itemId]||[]).length>0}:null,getDetail=(itemId,data)=>Events.itemDetail(config.component,config.itemtype,itemId,data),getBar=itemId=>{var _getItemElement;return(null===(_getItemElement=getItemElement(itemId))||void 0===_getItemElement?void 0:_getItemElement.querySelector('[data-region="reactions-bar"]'))||null},watchMutationRoot=rootSelector=>{const itemSelector=config.selectors.item,isNewItem=node=>node.nodeType===Node.ELEMENT_NODE&&(node.matches(itemSelector)||node.querySelector(itemSelector))&&(node.closest(rootSelector)||node.querySelector(rootSelector));new MutationObserver((mutations=>{mutations.some((mutation=>[...mutation.addedNodes].some(isNewItem)))&&loadReactions()})).observe(document.body,{childList:!0,subtree:!0})},getItemId=el=>{const selectors=config.selectors||{};if(selectors.itemIdAttr)return parseInt(el.getAttribute(selectors.itemIdAttr));if(selectors.itemIdPrefix&&el.id&&el.id.startsWith(selectors.itemIdPrefix))return parseInt(el.id.slice(selectors.itemIdPrefix.length));for(const{selector:selector,param:param}of selectors.itemIdLinks||[]){var _el$querySelector;const value=getUrlParam(null===(_el$querySelector=el.querySelector(selector))||void 0===_el$querySelector?void 0:_el$querySelector.href,param);if(value)return parseInt(value)}return selectors.itemIdPageParam?parseInt(getUrlParam(window.location.href,selectors.itemIdPageParam)):NaN},getItemElement=itemId=>{const selectors=config.selectors||{};if(selectors.itemIdAttr)return[...document.querySelectorAll("[".concat(selectors.itemIdAttr,'="').concat(itemId,'"]'))].find((el=>!selectors.item||el.matches(selectors.item)))||null;if(selectors.itemIdPrefix){const element=document.getElementById("".concat(selectors.itemIdPrefix).concat(itemId));if(element)return element}return selectors.item&&[...document.querySelectorAll(selectors.item)].find((el=>getItemId(el)===itemId))||null},collectItemIds=()=>{const ids=[],itemSelector=config.selectors&&config.selectors.item||"";return itemSelector?(document.querySelectorAll(itemSelector).forEach((el=>{const id=getItemId(el);id&&ids.push(id)})),ids):ids},insertBar=(itemEl,element)=>{const selectors=config.selectors||{};if(selectors.insertBeforeSelector){const anchor=itemEl.querySelector(selectors.insertBeforeSelector);if(anchor&&anchor.parentElement)return void anchor.parentElement.insertBefore(element,anchor)}const fallbacks=selectors.appendFallbackSelectors||[];for(const fallbackSelector of fallbacks){const target=itemEl.querySelector(fallbackSelector);if(target)return void target.appendChild(element)}selectors.appendToItem&&itemEl.appendChild(element)},createSkeleton=()=>{const skeleton=document.createElement("div");if(skeleton.className="local-reactions-bar local-reactions-skeleton d-flex flex-wrap align-items-center mt-2 mb-1",skeleton.setAttribute("data-region","reactions-skeleton"),config.compactview){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill local-reactions-skeleton-pill-compact",skeleton.appendChild(pill)}else for(let i=0;i<3;i++){const pill=document.createElement("span");pill.className="local-reactions-skeleton-pill",skeleton.appendChild(pill)}return skeleton},loadReactions=()=>{const itemSelector=config.selectors&&config.selectors.item||"";if(!itemSelector)return;const itemEls=[],itemIds=[];if(document.querySelectorAll(itemSelector).forEach((itemEl=>{const itemId=getItemId(itemEl);itemId&&!itemEl.querySelector('[data-region="reactions-bar"]')&&(itemEls.push(itemEl),itemIds.push(itemId))})),itemIds.length){var _document$getElementB;if((itemIds=>{for(const itemId of itemIds){const itemEl=getItemElement(itemId);itemEl&&!itemEl.querySelector('[data-region="reactions-skeleton"]')&&insertBar(itemEl,createSkeleton())}})(itemIds),!config.embedded)null===(_document$getElementB=document.getElementById("local-reactions-reserve-".concat(config.component,"-").concat(config.itemtype)))||void 0===_document$getElementB||_document$getElementB.remove();itemEls.forEach((itemEl=>tracker.observe(itemEl)))}},handleViewportEnter=(newIds,staleIds)=>{newIds.length&&loadItems(newIds);const loadedIds=staleIds.filter((id=>currentDataMap[id]));loadedIds.length&&refreshItems(loadedIds)},loadItems=async itemIds=>{const cachedItemIds=new Set,cachedDataMap={};if(await Cache.isAvailable()){const cacheKeys=itemIds.map((id=>Cache.itemKey(config.component,config.itemtype,id))),cached=await Cache.getMultiple(cacheKeys),renderPromises=[];for(const itemId of itemIds){const key=Cache.itemKey(config.component,config.itemtype,itemId),cachedData=cached.get(key);cachedData&&(cachedDataMap[itemId]={itemid:itemId,userreactions:[],...cachedData},cachedItemIds.add(itemId),renderPromises.push(renderBar(itemId,cachedDataMap[itemId],!0)))}await Promise.all(renderPromises)}try{const response=await Scheduler.call("local_reactions_get_reactions",{component:config.component,itemtype:config.itemtype,itemids:itemIds,contextid:config.contextid,versions:(0,_utils.getKnownVersions)(itemIds,cachedDataMap,"itemid")}),reactionsMap={};response.items.forEach((item=>{reactionsMap[item.itemid]=item})),response.unchanged.forEach((itemId=>{reactionsMap[itemId]=cachedDataMap[itemId]})),null===changeCursor&&(changeCursor=response.cursor);for(const itemId of itemIds){const freshData=reactionsMap[itemId]||{itemid:itemId,userreactions:[],counts:[]};var _getBar;if(currentDataMap[itemId]=freshData,cachedItemIds.has(itemId))releaseToggles(itemId),await reconcileBar(itemId),null===(_getBar=getBar(itemId))||void 0===_getBar||_getBar.setAttribute("data-source","live");else await renderBar(itemId,freshData,!1)}await(0,_utils.updateCacheBatch)(itemIds,(id=>Cache.itemKey(config.component,config.itemtype,id)),currentDataMap)}catch(err){_notification.default.exception(err),cachedItemIds.forEach(releaseToggles)}if(await restoreQueuedToggles(itemIds),options.replayQueue(),!pollingInitialised){pollingInitialised=!0;const{component:component,itemtype:itemtype,contextid:contextid}=config,leaderScope="items:".concat(component,":").concat(itemtype,":").concat(contextid,":").concat(window.location.pathname).concat(window.location.search);watchList=TabSync.createWatchList(leaderScope,{getIds:()=>tracker.visibleIds().filter((id=>currentDataMap[id])),onPolled:itemIds=>tracker.markPolled(itemIds)}),LiveUpdates.start({transport:config.livetransport,pollinterval:config.pollinterval,pollFn:pollReactions,leaderScope:leaderScope,getWatch:()=>({component:component,itemtype:itemtype,contextid:contextid,itemids:[...new Set([...collectItemIds().filter((id=>currentDataMap[id])),...watchList.getIds()])],discussions:!1}),cursor:changeCursor})}},releaseToggles=itemId=>{const release=freshDataWaits[itemId];release&&(delete freshDataWaits[itemId],release())},renderBar=async(itemId,data,fromCache)=>{const itemEl=getItemElement(itemId);if(!itemEl||itemEl.querySelector('[data-region="reactions-bar"]'))return;const context=(0,_utils.buildTemplateContext)(data,config.emojis,{canreact:config.canreact,compactview:config.compactview,userreactions:data.userreactions||[],extraemojis:await EmojiCatalogue.getExtraEmojis(config,data),stickers:config.stickers,emojinames:config.emojinames,extendedpicker:config.extendedpicker});try{const{element:barElement,js:js}=await(0,_utils.renderToElement)("local_reactions/reactions_bar",context);barElement.setAttribute("data-source",fromCache?"cache":"live");const skeleton=itemEl.querySelector('[data-region="reactions-skeleton"]');skeleton?skeleton.replaceWith(barElement):insertBar(itemEl,barElement),_templates.default.runTemplateJS(js),fromCache&&(currentDataMap[itemId]=data,toggleQueues[itemId]=new Promise((resolve=>{freshDataWaits[itemId]=resolve}))),bindHandlers(barElement,itemId),renderedDataMap[itemId]=data,Events.notifyRendered(barElement,getDetail(itemId,data),fromCache?"cache":"live")}catch(err){_notification.default.exception(err)}},rerenderBarWithAnimation=async function(itemId,freshData,diffs){let rollbackEmoji=arguments.length>3&&void 0!==arguments[3]?arguments[3]:null;const itemEl=getItemElement(itemId);if(!itemEl)return;if(!itemEl.querySelector('[data-region="reactions-bar"]'))return;const sequence=(renderSequence[itemId]||0)+1;renderSequence[itemId]=sequence;const context=(0,_utils.buildTemplateContext)(freshData,config.emojis,{canreact:config.canreact,compactview:config.compactview,userreactions:freshData.userreactions||[],extraemojis:await EmojiCatalogue.getExtraEmojis(config,freshData),stickers:config.stickers,emojinames:config.emojinames,extendedpicker:config.extendedpicker});try{const{element:newBar,js:js}=await(0,_utils.renderToElement)("local_reactions/reactions_bar",context);if(renderSequence[itemId]!==sequence)return;const existingBar=itemEl.querySelector('[data-region="reactions-bar"]');if(!existingBar)return;if(newBar.setAttribute("data-source",freshDataWaits[itemId]?"cache":"live"),await markPending(newBar,itemId),renderSequence[itemId]!==sequence)return;(0,_utils.applyDiffAnimations)(newBar,diffs,config.compactview),rollbackEmoji&&(0,_utils.applyRollbackAnimation)(newBar,rollbackEmoji,config.compactview);const focusSelector=getFocusSelector(existingBar);if(existingBar.replaceWith(newBar),_templates.default.runTemplateJS(js),bindHandlers(newBar,itemId),focusSelector){const target=newBar.querySelector(focusSelector)||newBar.querySelector('[data-action="open-picker"]');null==target||target.focus()}const previous=renderedDataMap[itemId];renderedDataMap[itemId]=freshData;const detail=getDetail(itemId,freshData);Events.notifyRendered(newBar,detail,newBar.getAttribute("data-source")),diffs.hasChanges&&Events.notifyCountsChanged(newBar,detail,previous),(diffs.hasChanges||rollbackEmoji)&&(0,_utils.clearAnimationClasses)(newBar)}catch(err){_notification.default.exception(err)}},bindHandlers=(barElement,itemId)=>{Picker.bind(barElement,{emojis:config.emojis,getSelected:()=>getDisplayData(itemId).userreactions,onSelect:emoji=>toggleReaction(itemId,emoji,Touch.isTap()),onOpen:()=>Events.notifyPickerOpened(barElement,getDetail(itemId,getDisplayData(itemId))),onQuickTap:()=>quickReact(barElement,itemId),onShowReactors:config.canviewreactors?Reactors.showFor:null}),config.canviewreactors&&Reactors.attach(barElement,itemId,config),barElement.querySelectorAll(".local-reactions-pill").forEach((pill=>{Touch.onLongPress(pill,(()=>{!Picker.openSheet(barElement,pill)&&config.canviewreactors&&Reactors.showFor(pill)}))})),bindItemLongPress(itemId),config.canreact&&barElement.querySelectorAll('[data-action="toggle-reaction"]').forEach((btn=>{btn.addEventListener("click",(async e=>{e.preventDefault(),e.stopPropagation(),Picker.closeAll(!!btn.closest('[data-region="reactions-picker"]'));const emoji=btn.getAttribute("data-emoji");await toggleReaction(itemId,emoji,Touch.isTap())}))}))},bindItemLongPress=itemId=>{const itemEl=getItemElement(itemId);config.canreact&&itemEl&&!longPressItems.has(itemEl)&&(longPressItems.add(itemEl),Touch.onLongPress(itemEl,(()=>Picker.openSheet(getBar(itemId))),'a, button, input, select, textarea, label, img, video, audio, iframe, [contenteditable="true"]'))},quickReact=(barElement,itemId)=>{const emoji=Touch.getLastEmoji();return!(!emoji||!barElement.querySelector('[data-action="toggle-reaction"][data-emoji="'.concat(CSS.escape(emoji),'"]')))&&(toggleReaction(itemId,emoji,!0),!0)},getDisplayData=itemId=>{const confirmed=currentDataMap[itemId]||{itemid:itemId,userreactions:[],counts:[]};return(pendingToggles[itemId]||[]).reduce(((data,toggle)=>data.userreactions.includes(toggle.emoji)===toggle.add?data:(0,_utils.applyToggle)(data,toggle.emoji,!1!==config.allowmultiple)),confirmed)},markPending=async(bar,itemId)=>{const toggles=pendingToggles[itemId]||[];bar.toggleAttribute("data-pending",toggles.length>0);const queued=new Set(toggles.filter((t=>t.queued)).map((t=>t.emoji))),title=queued.size?await(0,_str.getString)("pendingoffline","local_reactions"):"";bar.querySelectorAll("[data-emoji], .local-reactions-pill-compact").forEach((el=>{(el.hasAttribute("data-emoji")?queued.has(el.getAttribute("data-emoji")):queued.size>0)?(el.setAttribute("data-queued","true"),el.setAttribute("title",title)):el.hasAttribute("data-queued")&&(el.removeAttribute("data-queued"),el.removeAttribute("title"))}))},hasQueuedToggles=itemId=>(pendingToggles[itemId]||[]).some((t=>t.queued)),reconcileBar=async function(itemId){let rollbackEmoji=arguments.length>1&&void 0!==arguments[1]?arguments[1]:null;const next=getDisplayData(itemId),previous=renderedDataMap[itemId],diffs=(0,_utils.computeDiffs)(previous,next);if(diffs.hasChanges||!(0,_utils.sameUserReactions)(previous,next)||rollbackEmoji)await rerenderBarWithAnimation(itemId,next,diffs,rollbackEmoji);else{const bar=getBar(itemId);bar&&await markPending(bar,itemId)}},toggleReaction=async function(itemId,emoji){let confirm=arguments.length>2&&void 0!==arguments[2]&&arguments[2];const toggle={emoji:emoji,add:!getDisplayData(itemId).userreactions.includes(emoji)};pendingToggles[itemId]||(pendingToggles[itemId]=[]),pendingToggles[itemId].push(toggle);const request=(toggleQueues[itemId]||Promise.resolve()).then((()=>sendToggle(itemId,toggle)));toggleQueues[itemId]=request,await reconcileBar(itemId),confirm&&Touch.confirm(getBar(itemId),emoji),await request},queueToggle=async(itemId,toggle)=>{const queueId=await OfflineQueue.enqueue({component:config.component,itemtype:config.itemtype,contextid:config.contextid,itemid:itemId,emoji:toggle.emoji,add:toggle.add});return null!==queueId&&(toggle.queued=!0,toggle.queueId=queueId,await reconcileBar(itemId),!0)},sendToggle=async(itemId,toggle)=>{const confirmed=currentDataMap[itemId];if(!hasQueuedToggles(itemId)&&confirmed&&confirmed.userreactions.includes(toggle.emoji)===toggle.add)return pendingToggles[itemId]=pendingToggles[itemId].filter((t=>t!==toggle)),void await reconcileBar(itemId);if((!navigator.onLine||hasQueuedToggles(itemId))&&await queueToggle(itemId,toggle))return;let failed=!1,action=null;try{const response=await _ajax.default.call([{methodname:"local_reactions_toggle_reaction",args:{component:config.component,itemtype:config.itemtype,itemid:itemId,emoji:toggle.emoji}}])[0];currentDataMap[itemId]={itemid:itemId,userreactions:response.userreactions,counts:response.counts},action=response.action,"added"===action&&Touch.setLastEmoji(toggle.emoji),config.extendedpicker&&"added"===action&&EmojiCatalogue.noteRecent(toggle.emoji)}catch(err){if(OfflineQueue.isNetworkError(err)&&await queueToggle(itemId,toggle))return;failed=!0,_notification.default.exception(err)}pendingToggles[itemId]=(pendingToggles[itemId]||[]).filter((t=>t!==toggle)),await reconcileBar(itemId,failed?toggle.emoji:null),failed||(Events.notifyToggled(getBar(itemId)||document,getDetail(itemId,currentDataMap[itemId]),toggle.emoji,action),shareItems([itemId],"toggle"),await(0,_utils.updateCacheBatch)([itemId],(id=>Cache.itemKey(config.component,config.itemtype,id)),currentDataMap))},restoreQueuedToggles=async itemIds=>{const entries=await OfflineQueue.getQueued(config.component,config.itemtype),known=new Set(Object.values(pendingToggles).flat().map((t=>t.queueId))),restored=new Set;entries.forEach((entry=>{itemIds.includes(entry.itemid)&&!known.has(entry.id)&&(pendingToggles[entry.itemid]||(pendingToggles[entry.itemid]=[]),pendingToggles[entry.itemid].push({emoji:entry.emoji,add:entry.add,queued:!0,queueId:entry.id}),restored.add(entry.itemid))}));for(const itemId of restored)await reconcileBar(itemId)},applyFreshItems=async freshItems=>{const updatedIds=[],otherTabItems=[];for(const freshData of freshItems){var _pendingToggles$itemI;const itemId=freshData.itemid;if(!currentDataMap[itemId]){otherTabItems.push(freshData);continue}if(null!==(_pendingToggles$itemI=pendingToggles[itemId])&&void 0!==_pendingToggles$itemI&&_pendingToggles$itemI.length)continue;const previousData=renderedDataMap[itemId]||currentDataMap[itemId];if(currentDataMap[itemId]=freshData,updatedIds.push(itemId),previousData){const diffs=(0,_utils.computeDiffs)(previousData,freshData);diffs.hasChanges&&(await rerenderBarWithAnimation(itemId,freshData,diffs),announceCounts("".concat(config.component,":").concat(config.itemtype,":").concat(itemId),freshData))}}shareItems(updatedIds,"poll",otherTabItems),await(0,_utils.updateCacheBatch)(updatedIds,(id=>Cache.itemKey(config.component,config.itemtype,id)),currentDataMap)},announceCounts=(key,data)=>Announcer.countsChanged(key,(data.counts||[]).map((c=>({name:(0,_utils.getEmojiName)(c.emoji,config),count:c.count})))),pollReactions=async()=>{const itemIds=watchList.getIds();if(itemIds.length){tracker.markPolled();try{await applyFreshItems(await(async itemIds=>{const args={component:config.component,itemtype:config.itemtype,itemids:itemIds,contextid:config.contextid};if(null!==changeCursor){const changes=await Scheduler.call("local_reactions_get_reaction_changes",{...args,cursor:changeCursor});if(!changes.expired)return changeCursor=changes.cursor,changes.items}const response=await Scheduler.call("local_reactions_get_reactions",{...args,versions:(0,_utils.getKnownVersions)(itemIds,currentDataMap,"itemid")});return changeCursor=response.cursor,response.items})(itemIds)),watchList.notifyPolled(itemIds)}catch{}}},refreshItems=async itemIds=>{try{const response=await Scheduler.call("local_reactions_get_reactions",{component:config.component,itemtype:config.itemtype,itemids:itemIds,contextid:config.contextid,versions:(0,_utils.getKnownVersions)(itemIds,currentDataMap,"itemid")});await applyFreshItems(response.items)}catch{}},shareItems=function(itemIds,reason){let otherTabItems=arguments.length>2&&void 0!==arguments[2]?arguments[2]:[];const items=[...itemIds.map((id=>currentDataMap[id])).filter(Boolean),...otherTabItems];items.length&&options.share({type:"items",reason:reason,component:config.component,itemtype:config.itemtype,items:items},controller)},controller={handles:(component,itemtype)=>component===config.component&&itemtype===config.itemtype,start:()=>{tracker=Viewport.createTracker({getId:getItemId,onEnter:handleViewportEnter}),loadReactions(),config.selectors&&config.selectors.mutationRoot&&watchMutationRoot(config.selectors.mutationRoot)},scan:loadReactions,getState:getState,toggle:async(itemId,emoji)=>{if(!config.canreact)throw new Error("The current user cannot react here");return await toggleReaction(itemId,emoji),getState(itemId)},refresh:async itemIds=>{const ids=(itemIds||collectItemIds()).filter((id=>currentDataMap[id]));ids.length&&await refreshItems(ids)},applyReplayResult:async result=>{const{state:state,processed:processed,rejected:rejected}=result,processedIds=new Set(processed),touched=new Map;Object.keys(pendingToggles).forEach((itemId=>{const remaining=pendingToggles[itemId].filter((t=>!t.queued||!processedIds.has(t.queueId)));remaining.length!==pendingToggles[itemId].length&&(pendingToggles[itemId]=remaining,touched.set(parseInt(itemId),null))})),collectItemIds().forEach((itemId=>{const data=state.get(Cache.itemKey(config.component,config.itemtype,itemId));data&&(currentDataMap[itemId]=data,touched.set(itemId,null))}));for(const{entry:entry}of rejected)entry.component===config.component&&entry.itemtype===config.itemtype&&touched.has(entry.itemid)&&touched.set(entry.itemid,entry.emoji);for(const[itemId,rollbackEmoji]of touched)await reconcileBar(itemId,rollbackEmoji);touched.size&&(shareItems([...touched.keys()],"toggle"),await(0,_utils.updateCacheBatch)([...touched.keys()],(id=>Cache.itemKey(config.component,config.itemtype,id)),currentDataMap))},dropSentElsewhere:async()=>{const stillQueued=new Set((await OfflineQueue.getQueued(config.component,config.itemtype)).map((e=>e.id))),stale=Object.keys(pendingToggles).filter((itemId=>pendingToggles[itemId].some((t=>t.queued&&!stillQueued.has(t.queueId)))));if(stale.length){for(const itemId of stale)pendingToggles[itemId]=pendingToggles[itemId].filter((t=>!t.queued||stillQueued.has(t.queueId))),await reconcileBar(parseInt(itemId));await pollReactions()}},handleSyncMessage:async message=>{if("items"===message.type&&message.component===config.component&&message.itemtype===config.itemtype)for(const data of message.items){var _pendingToggles$data$;!currentDataMap[data.itemid]||null!==(_pendingToggles$data$=pendingToggles[data.itemid])&&void 0!==_pendingToggles$data$&&_pendingToggles$data$.length||!getItemElement(data.itemid)||(currentDataMap[data.itemid]=data,await reconcileBar(data.itemid))}}};return controller},getUrlParam=(href,param)=>href?new URL(href,window.location.href).searchParams.get(param):null,getFocusSelector=bar=>{const active=document.activeElement;if(!active||!bar.contains(active))return null;if(active.classList.contains("local-reactions-trigger"))return".local-reactions-trigger";if(active.classList.contains("local-reactions-pill-compact"))return".local-reactions-pill-compact";const emoji=active.getAttribute("data-emoji");return emoji?active.classList.contains("local-reactions-picker-btn")?'.local-reactions-picker-btn[data-emoji="'.concat(emoji,'"]'):'.local-reactions-pill[data-emoji="'.concat(emoji,'"]'):null}}));
 
 //# sourceMappingURL=reactions.min.js.map
\ No newline at end of file
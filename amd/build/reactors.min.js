@@ -0,0 +1,15 @@
+define("local_reactions/reactors",["exports","core/ajax","core/templates","core/notification","core/str","local_reactions/positioning","local_reactions/utils"],(function(_exports,_ajax,_templates,_notification,_str,Positioning,_utils){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+/**
+   * "Who reacted" popover for reaction pills.
+   *
+   * Hovering a pill with a mouse lazily loads the first page of reactors for that emoji (or for all emoji
+   * on the compact pill) and shows them in a popover. Further pages are loaded on demand. On a touch screen
+   * the popover is opened with showFor(), from the pill's long-press. Only attached when the item's
+   * visibility mode lets the user see names; the web service enforces the same rule.
+   *
+   * @module     local_reactions/reactors
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.showFor=_exports.close=_exports.attach=void 0,_ajax=_interopRequireDefault(_ajax),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification),Positioning=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(Positioning);let current=null,showTimer=null,hideTimer=null,documentListenersRegistered=!1;const requests=new WeakMap;_exports.attach=(barElement,itemId,cfg)=>{registerDocumentListeners(),barElement.querySelectorAll(".local-reactions-pill").forEach((pill=>{const emoji=pill.getAttribute("data-emoji")||"",request={component:cfg.component,itemtype:cfg.itemtype,itemid:itemId,emoji:emoji,name:emoji?(0,_utils.getEmojiName)(emoji,cfg):""};requests.set(pill,request),pill.addEventListener("pointerenter",(e=>{"mouse"===e.pointerType&&(clearTimeout(hideTimer),clearTimeout(showTimer),showTimer=setTimeout((()=>show(pill,request)),400))})),pill.addEventListener("pointerleave",(e=>{"mouse"===e.pointerType&&(clearTimeout(showTimer),scheduleHide())}))}))};_exports.showFor=pill=>{const request=requests.get(pill);request&&(clearTimeout(showTimer),show(pill,request))};const close=()=>{var _current$position,_current$element;(clearTimeout(showTimer),clearTimeout(hideTimer),current)&&(null===(_current$position=current.position)||void 0===_current$position||_current$position.detach(),null===(_current$element=current.element)||void 0===_current$element||_current$element.remove(),current=null)};_exports.close=close;const registerDocumentListeners=()=>{documentListenersRegistered||(documentListenersRegistered=!0,document.addEventListener("keydown",(e=>{"Escape"===e.key&&current&&close()})),document.addEventListener("pointerdown",(e=>{!current||e.target.closest('[data-region="reactors-popover"]')||current.pill.contains(e.target)||close()})))},scheduleHide=()=>{clearTimeout(hideTimer),hideTimer=setTimeout(close,250)},fetchPage=(request,page)=>_ajax.default.call([{methodname:"local_reactions_get_reactors",args:{component:request.component,itemtype:request.itemtype,itemid:request.itemid,emoji:request.emoji,page:page,perpage:20}}])[0],show=async(pill,request)=>{var _current;if((null===(_current=current)||void 0===_current?void 0:_current.pill)===pill)return;close();const opening={element:null,position:null,pill:pill,request:request,page:0};current=opening;try{var _element$querySelecto;const[response,label]=await Promise.all([fetchPage(request,0),request.emoji?(0,_str.getString)("reactorslistemoji","local_reactions",request.name):(0,_str.getString)("reactorslist","local_reactions")]);if(current!==opening||!pill.isConnected)return;const{element:element}=await(0,_utils.renderToElement)("local_reactions/reactors_popover",{label:label,showemoji:!request.emoji,hasmore:response.hasmore,reactors:response.reactors});if(current!==opening)return;opening.element=element,document.body.appendChild(element),opening.position=Positioning.attach(element,pill,close),element.addEventListener("pointerenter",(()=>clearTimeout(hideTimer))),element.addEventListener("pointerleave",(e=>{"mouse"===e.pointerType&&scheduleHide()})),null===(_element$querySelecto=element.querySelector('[data-action="show-more-reactors"]'))||void 0===_element$querySelecto||_element$querySelecto.addEventListener("click",(e=>{e.preventDefault(),loadMore(opening,e.currentTarget)}))}catch(err){current===opening&&(current=null),_notification.default.exception(err)}},loadMore=async(popover,button)=>{button.disabled=!0;try{const response=await fetchPage(popover.request,popover.page+1);if(current!==popover)return;popover.page++;const{html:html,js:js}=await _templates.default.renderForPromise("local_reactions/reactors_list_items",{showemoji:!popover.request.emoji,reactors:response.reactors});_templates.default.appendNodeContents(popover.element.querySelector('[data-region="reactors-list"]'),html,js),response.hasmore?button.disabled=!1:button.remove(),popover.position.update()}catch(err){button.disabled=!1,_notification.default.exception(err)}}}));
+
+//# sourceMappingURL=reactors.min.js.map
\ No newline at end of file
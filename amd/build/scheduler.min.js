@@ -0,0 +1,19 @@
+define("local_reactions/scheduler",["exports","core/ajax"],(function(_exports,_ajax){var obj;
+/**
+   * Batch the fetches of everything showing reactions on a page into as few requests as possible.
+   *
+   * Each set of reactions on a page (forum posts, comments, embedded items...) loads and polls its own
+   * items. Web service calls made through call() within one tick are sent together in a single
+   * Ajax.call, which core/ajax turns into one HTTP request. A tick is a little longer than a frame, so
+   * sets of items that read the browser cache before fetching still end up in the same request.
+   *
+   * The server stops at the first call in a request that throws, and core/ajax rejects the calls after it
+   * with the same exception. Those calls are sent again, so one set failing (e.g. reactions disabled, or
+   * a deleted context) doesn't fail the others.
+   *
+   * @module     local_reactions/scheduler
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.call=void 0,_ajax=(obj=_ajax)&&obj.__esModule?obj:{default:obj};let waiting=[],timer=null;_exports.call=(methodname,args)=>new Promise(((resolve,reject)=>{waiting.push({methodname:methodname,args:args,resolve:resolve,reject:reject}),null===timer&&(timer=setTimeout(send,20))}));const send=()=>{const calls=waiting;waiting=[],timer=null,sendBatch(calls)},sendBatch=async calls=>{const results=await Promise.allSettled(_ajax.default.call(calls.map((_ref=>{let{methodname:methodname,args:args}=_ref;return{methodname:methodname,args:args}})))),failed=results.findIndex((result=>"rejected"===result.status)),done=-1===failed?calls.length:failed;for(let i=0;i<done;i++)calls[i].resolve(results[i].value);if(-1===failed)return;const reason=results[failed].reason,rest=calls.slice(failed+1);calls[failed].reject(reason),null!=reason&&reason.errorcode?rest.length&&sendBatch(rest):rest.forEach(((call,i)=>call.reject(results[failed+1+i].reason)))}}));
+
+//# sourceMappingURL=scheduler.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("local_reactions/tab_sync",["exports","core/config"],(function(_exports,_config){var obj;
+/**
+   * Cross-tab messaging and leader election for emoji reactions.
+   *
+   * Tabs on the same site share toggles and poll results over a BroadcastChannel, falling back to
+   * localStorage "storage" events where BroadcastChannel is unavailable. For each page one visible tab
+   * is elected (with a renewable lease in localStorage) to do the polling, so server load does not
+   * grow with the number of open tabs. The other tabs tell it which items they need polled, as they
+   * can have items it has not.
+   *
+   * @module     local_reactions/tab_sync
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.subscribe=_exports.publish=_exports.createWatchList=_exports.createElection=void 0,_config=(obj=_config)&&obj.__esModule?obj:{default:obj};const PREFIX="local_reactions_sync",tabId="".concat(Date.now().toString(36),"-").concat(Math.random().toString(36).slice(2));let channel=null;const listeners=new Set,dispatch=message=>{message&&message.source!==tabId&&listeners.forEach((listener=>listener(message)))},getChannel=()=>{if(channel)return channel;const name="".concat(PREFIX,":").concat(_config.default.wwwroot);if("undefined"!=typeof BroadcastChannel){const broadcast=new BroadcastChannel(name);return broadcast.onmessage=e=>dispatch(e.data),channel={post:message=>broadcast.postMessage(message)},channel}const key="".concat(name,":message");return window.addEventListener("storage",(e=>{if(e.key===key&&e.newValue)try{dispatch(JSON.parse(e.newValue).message)}catch{}})),channel={post:message=>{try{localStorage.setItem(key,JSON.stringify({message:message,nonce:"".concat(tabId,":").concat(Date.now(),":").concat(Math.random())}))}catch{}}},channel},subscribe=listener=>{getChannel(),listeners.add(listener)};_exports.subscribe=subscribe;const publish=message=>{getChannel().post({...message,source:tabId})};_exports.publish=publish;_exports.createElection=scope=>{const key="".concat(PREFIX,":").concat(_config.default.wwwroot,":leader:").concat(scope);let leader=!1;const readLease=()=>{try{return JSON.parse(localStorage.getItem(key))}catch{return null}};try{localStorage.setItem("".concat(key,":test"),"1"),localStorage.removeItem("".concat(key,":test"))}catch{return{isLeader:()=>!0}}const resign=()=>{var _readLease;leader&&(null===(_readLease=readLease())||void 0===_readLease?void 0:_readLease.tab)===tabId&&localStorage.removeItem(key),leader=!1},renew=()=>{if(document.hidden)return void resign();const lease=readLease();var _readLease2;!lease||lease.tab===tabId||lease.expires<Date.now()?(localStorage.setItem(key,JSON.stringify({tab:tabId,expires:Date.now()+1e4})),leader=(null===(_readLease2=readLease())||void 0===_readLease2?void 0:_readLease2.tab)===tabId):leader=!1};return renew(),setInterval(renew,4e3),document.addEventListener("visibilitychange",renew),window.addEventListener("pagehide",resign),{isLeader:()=>leader}};_exports.createWatchList=(scope,_ref)=>{let{getIds:getIds,onPolled:onPolled=null}=_ref;const reports=new Map;subscribe((message=>{message.scope===scope&&("watch"===message.type?reports.set(message.source,{ids:message.ids,expires:Date.now()+1e4}):"polled"===message.type&&onPolled&&onPolled(message.ids))}));const report=()=>publish({type:"watch",scope:scope,ids:getIds()});return report(),setInterval(report,4e3),{getIds:()=>{const ids=new Set(getIds());return reports.forEach(((other,tab)=>{other.expires<Date.now()?reports.delete(tab):other.ids.forEach((id=>ids.add(id)))})),[...ids]},notifyPolled:ids=>publish({type:"polled",scope:scope,ids:ids})}}}));
+
+//# sourceMappingURL=tab_sync.min.js.map
\ No newline at end of file
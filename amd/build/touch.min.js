@@ -0,0 +1,14 @@
+define("local_reactions/touch",["exports","core/config"],(function(_exports,_config){var obj;
+/**
+   * Touch gestures for reactions: long-press, telling taps from clicks, the last-used emoji and the
+   * confirmation played when a reaction is made with a finger.
+   *
+   * Only touch and pen input is handled here, so mouse users keep clicks and hover. A finger that moves
+   * before the long-press fires is scrolling (e.g. swiping along a row of pills), and cancels it.
+   *
+   * @module     local_reactions/touch
+   * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setLastEmoji=_exports.onLongPress=_exports.isTap=_exports.getLastEmoji=_exports.confirm=void 0,_config=(obj=_config)&&obj.__esModule?obj:{default:obj};let lastPointer={type:"",time:0},documentListenerRegistered=!1;const claimed=new WeakSet,swallowClick=e=>{e.preventDefault(),e.stopPropagation()},registerDocumentListener=()=>{documentListenerRegistered||(documentListenerRegistered=!0,document.addEventListener("pointerdown",(e=>{lastPointer={type:e.pointerType,time:Date.now()},document.removeEventListener("click",swallowClick,!0)}),{capture:!0,passive:!0}))};_exports.isTap=()=>""!==lastPointer.type&&"mouse"!==lastPointer.type&&Date.now()-lastPointer.time<1e3;_exports.onLongPress=function(element,callback){let ignoreSelector=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"";registerDocumentListener();let timer=null,start=null,pressed=!1;const cancel=()=>{clearTimeout(timer),timer=null};element.addEventListener("pointerdown",(e=>{pressed=!1,cancel(),"mouse"===e.pointerType||!e.isPrimary||claimed.has(e)||ignoreSelector&&e.target.closest(ignoreSelector)||(claimed.add(e),start={x:e.clientX,y:e.clientY},timer=setTimeout((()=>{timer=null,pressed=!0,document.addEventListener("click",swallowClick,{capture:!0,once:!0}),callback(e)}),500))})),element.addEventListener("pointermove",(e=>{timer&&Math.hypot(e.clientX-start.x,e.clientY-start.y)>10&&cancel()})),["pointerup","pointercancel","pointerleave"].forEach((type=>element.addEventListener(type,cancel))),element.addEventListener("contextmenu",(e=>{(timer||pressed)&&e.preventDefault()}))};const getLastEmojiKey=()=>"".concat("local_reactions_lastemoji",":").concat(_config.default.wwwroot,"|").concat(Number(_config.default.userId)||0);_exports.getLastEmoji=()=>{try{return window.localStorage.getItem(getLastEmojiKey())}catch(e){return null}};_exports.setLastEmoji=shortcode=>{try{window.localStorage.setItem(getLastEmojiKey(),shortcode)}catch(e){}};_exports.confirm=(barElement,emoji)=>{try{var _navigator$vibrate,_navigator;null===(_navigator$vibrate=(_navigator=navigator).vibrate)||void 0===_navigator$vibrate||_navigator$vibrate.call(_navigator,15)}catch(e){}const target=(null==barElement?void 0:barElement.querySelector('.local-reactions-pill[data-emoji="'.concat(CSS.escape(emoji),'"]')))||(null==barElement?void 0:barElement.querySelector(".local-reactions-pill-compact, .local-reactions-trigger"));target&&(target.classList.add("local-reactions-touch-confirm"),target.addEventListener("animationend",(()=>target.classList.remove("local-reactions-touch-confirm")),{once:!0}))}}));
+
+//# sourceMappingURL=touch.min.js.map
\ No newline at end of file
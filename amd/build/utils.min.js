@@ -1,10 +1,10 @@
-define("local_reactions/utils",["exports","core/templates","local_reactions/cache"],(function(_exports,_templates,Cache){var obj;
+define("local_reactions/utils",["exports","core/templates","local_reactions/cache","local_reactions/tab_sync","local_reactions/emoji_catalogue"],(function(_exports,_templates,Cache,TabSync,EmojiCatalogue){var obj;
 /**
    * Shared utilities for emoji reactions modules.
    *
    * @module     local_reactions/utils
    * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.updateCacheBatch=_exports.renderToElement=_exports.createPoller=_exports.computeDiffs=_exports.collectIds=_exports.clearAnimationClasses=_exports.buildTemplateContext=_exports.applyDiffAnimations=_exports.ANIMATION_TIMEOUT=void 0,_templates=(obj=_templates)&&obj.__esModule?obj:{default:obj},Cache=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(Cache);_exports.ANIMATION_TIMEOUT=2100;_exports.renderToElement=async(templateName,context)=>{const{html:html,js:js}=await _templates.default.renderForPromise(templateName,context),container=document.createElement("div");return container.innerHTML=html,{element:container.firstElementChild,js:js}};_exports.computeDiffs=(cachedData,freshData)=>{const cachedCounts={};((null==cachedData?void 0:cachedData.counts)||[]).forEach((c=>{cachedCounts[c.emoji]=c.count}));const freshCounts={};((null==freshData?void 0:freshData.counts)||[]).forEach((c=>{freshCounts[c.emoji]=c.count}));const changedEmojis=new Set,newEmojis=new Set,removedEmojis=new Set;for(const emoji of Object.keys(freshCounts))emoji in cachedCounts?freshCounts[emoji]!==cachedCounts[emoji]&&changedEmojis.add(emoji):freshCounts[emoji]>0&&newEmojis.add(emoji);for(const emoji of Object.keys(cachedCounts))cachedCounts[emoji]>0&&(!(emoji in freshCounts)||0===freshCounts[emoji])&&removedEmojis.add(emoji);return{hasChanges:changedEmojis.size>0||newEmojis.size>0||removedEmojis.size>0,changedEmojis:changedEmojis,newEmojis:newEmojis,removedEmojis:removedEmojis}};_exports.buildTemplateContext=function(data,emojis){let{canreact:canreact=!1,compactview:compactview=!1,userreactions:userreactions=[]}=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};const countsMap={};((null==data?void 0:data.counts)||[]).forEach((c=>{countsMap[c.emoji]=c.count}));const buttons=[];let totalCount=0;const reactedEmojis=[];let hasAnySelected=!1;for(const[shortcode,unicode]of Object.entries(emojis)){const count=countsMap[shortcode]||0,isSelected=userreactions.includes(shortcode);buttons.push({shortcode:shortcode,unicode:unicode,count:count,hascount:count>0,selected:isSelected,canreact:canreact}),count>0&&(totalCount+=count,reactedEmojis.push({unicode:unicode}),isSelected&&(hasAnySelected=!0))}return{buttons:buttons,canreact:canreact,compactview:compactview,hasanycount:totalCount>0,totalcount:totalCount,reactedEmojis:reactedEmojis,selected:hasAnySelected}};_exports.createPoller=(intervalSeconds,pollFn)=>{if(!intervalSeconds||intervalSeconds<=0)return;let timer=setInterval(pollFn,1e3*intervalSeconds);document.addEventListener("visibilitychange",(()=>{document.hidden?timer&&(clearInterval(timer),timer=null):timer||(pollFn(),timer=setInterval(pollFn,1e3*intervalSeconds))}))};_exports.collectIds=(selector,attribute)=>{const ids=[];return document.querySelectorAll(selector).forEach((el=>{const id=parseInt(el.getAttribute(attribute));id&&ids.push(id)})),ids};_exports.applyDiffAnimations=(newBar,diffs,compactview)=>{if(diffs.hasChanges)if(compactview){const compactPill=newBar.querySelector(".local-reactions-pill-compact");compactPill&&compactPill.classList.add("local-reactions-count-changed")}else newBar.querySelectorAll("[data-emoji]").forEach((pill=>{const emoji=pill.getAttribute("data-emoji");diffs.changedEmojis.has(emoji)&&pill.classList.add("local-reactions-count-changed"),diffs.newEmojis.has(emoji)&&pill.classList.add("local-reactions-pill-new")}))};_exports.clearAnimationClasses=bar=>{setTimeout((()=>{bar.querySelectorAll(".local-reactions-count-changed, .local-reactions-pill-new").forEach((el=>{el.classList.remove("local-reactions-count-changed","local-reactions-pill-new")}))}),2100)};_exports.updateCacheBatch=async(ids,keyFn,dataMap)=>{if(!await Cache.isAvailable())return;const entries=[];for(const id of ids){const data=dataMap[id];data&&entries.push({key:keyFn(id),data:{counts:data.counts||[]}})}entries.length>0&&await Cache.setMultiple(entries)}}));
+   */function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.watchStickerFallbacks=_exports.updateCacheBatch=_exports.sameUserReactions=_exports.renderToElement=_exports.getKnownVersions=_exports.getEmojiName=_exports.createPoller=_exports.computeDiffs=_exports.collectIds=_exports.clearAnimationClasses=_exports.buildTemplateContext=_exports.applyToggle=_exports.applyRollbackAnimation=_exports.applyDiffAnimations=void 0,_templates=(obj=_templates)&&obj.__esModule?obj:{default:obj},Cache=_interopRequireWildcard(Cache),TabSync=_interopRequireWildcard(TabSync),EmojiCatalogue=_interopRequireWildcard(EmojiCatalogue);const ANIMATION_CLASSES=["local-reactions-count-changed","local-reactions-pill-new","local-reactions-rollback"];_exports.renderToElement=async(templateName,context)=>{const{html:html,js:js}=await _templates.default.renderForPromise(templateName,context),container=document.createElement("div");return container.innerHTML=html,{element:container.firstElementChild,js:js}};_exports.computeDiffs=(cachedData,freshData)=>{const cachedCounts={};((null==cachedData?void 0:cachedData.counts)||[]).forEach((c=>{cachedCounts[c.emoji]=c.count}));const freshCounts={};((null==freshData?void 0:freshData.counts)||[]).forEach((c=>{freshCounts[c.emoji]=c.count}));const changedEmojis=new Set,newEmojis=new Set,removedEmojis=new Set;for(const emoji of Object.keys(freshCounts))emoji in cachedCounts?freshCounts[emoji]!==cachedCounts[emoji]&&changedEmojis.add(emoji):freshCounts[emoji]>0&&newEmojis.add(emoji);for(const emoji of Object.keys(cachedCounts))cachedCounts[emoji]>0&&(!(emoji in freshCounts)||0===freshCounts[emoji])&&removedEmojis.add(emoji);return{hasChanges:changedEmojis.size>0||newEmojis.size>0||removedEmojis.size>0,changedEmojis:changedEmojis,newEmojis:newEmojis,removedEmojis:removedEmojis}};_exports.applyToggle=(data,emoji,allowmultiple)=>{const counts={};((null==data?void 0:data.counts)||[]).forEach((c=>{counts[c.emoji]=c.count}));let userreactions=[...(null==data?void 0:data.userreactions)||[]];return userreactions.includes(emoji)?(userreactions=userreactions.filter((e=>e!==emoji)),counts[emoji]=Math.max(0,(counts[emoji]||0)-1)):(allowmultiple||(userreactions.forEach((e=>{counts[e]=Math.max(0,(counts[e]||0)-1)})),userreactions=[]),userreactions.push(emoji),counts[emoji]=(counts[emoji]||0)+1),{...data,userreactions:userreactions,counts:Object.entries(counts).filter((_ref=>{let[,count]=_ref;return count>0})).map((_ref2=>{let[e,count]=_ref2;return{emoji:e,count:count}}))}};_exports.sameUserReactions=(a,b)=>{const left=[...(null==a?void 0:a.userreactions)||[]].sort(),right=[...(null==b?void 0:b.userreactions)||[]].sort();return left.length===right.length&&left.every(((e,i)=>e===right[i]))};const getEmojiName=(shortcode,cfg)=>{var _cfg$stickers,_cfg$stickers$shortco,_cfg$emojinames;return(null===(_cfg$stickers=cfg.stickers)||void 0===_cfg$stickers||null===(_cfg$stickers$shortco=_cfg$stickers[shortcode])||void 0===_cfg$stickers$shortco?void 0:_cfg$stickers$shortco.alt)||(null===(_cfg$emojinames=cfg.emojinames)||void 0===_cfg$emojinames?void 0:_cfg$emojinames[shortcode])||EmojiCatalogue.getName(shortcode)||shortcode.replace(/[_-]+/g," ")};_exports.getEmojiName=getEmojiName;_exports.buildTemplateContext=function(data,emojis){let options=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};const{canreact:canreact=!1,compactview:compactview=!1,userreactions:userreactions=[],extraemojis:extraemojis={},extendedpicker:extendedpicker=!1}=options,stickers=options.stickers||{},emojinames=options.emojinames||{},countsMap={};((null==data?void 0:data.counts)||[]).forEach((c=>{countsMap[c.emoji]=c.count}));const buttons=[];let totalCount=0;const reactedEmojis=[];let hasAnySelected=!1;const entries=Object.entries(emojis).map((_ref3=>{let[shortcode,unicode]=_ref3;return[shortcode,unicode,!0,null]}));for(const[shortcode,sticker]of Object.entries(stickers))shortcode in emojis||entries.push([shortcode,"",!0,sticker]);for(const[shortcode,unicode]of Object.entries(extraemojis))shortcode in emojis||shortcode in stickers||entries.push([shortcode,unicode,!1,null]);for(const[shortcode,unicode,inpicker,sticker]of entries){const count=countsMap[shortcode]||0,isSelected=userreactions.includes(shortcode),image=sticker?sticker.url:"",label=sticker?sticker.alt:unicode;buttons.push({shortcode:shortcode,unicode:unicode,image:image,label:label,name:getEmojiName(shortcode,{emojinames:emojinames,stickers:stickers}),count:count,countone:1===count,hascount:count>0,selected:isSelected,canreact:canreact,inpicker:inpicker}),count>0&&(totalCount+=count,reactedEmojis.push({unicode:unicode,image:image,label:label}),isSelected&&(hasAnySelected=!0))}return{buttons:buttons,canreact:canreact,compactview:compactview,extendedpicker:extendedpicker,hasanycount:totalCount>0,totalcount:totalCount,totalone:1===totalCount,reactedEmojis:reactedEmojis,selected:hasAnySelected}};let stickerFallbacksWatched=!1;_exports.watchStickerFallbacks=()=>{stickerFallbacksWatched||(stickerFallbacksWatched=!0,document.addEventListener("error",(e=>{const image=e.target;if(!(image instanceof HTMLImageElement&&image.classList.contains("local-reactions-sticker")))return;const fallback=document.createElement("span");fallback.className="local-reactions-sticker-fallback",fallback.textContent=image.alt,image.replaceWith(fallback)}),!0))};_exports.createPoller=function(intervalSeconds,pollFn){let leaderScope=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null;if(!intervalSeconds||intervalSeconds<=0)return;const election=leaderScope?TabSync.createElection(leaderScope):null,tick=()=>{election&&!election.isLeader()||pollFn()};let timer=setInterval(tick,1e3*intervalSeconds);return document.addEventListener("visibilitychange",(()=>{document.hidden?timer&&(clearInterval(timer),timer=null):timer||(tick(),timer=setInterval(tick,1e3*intervalSeconds))})),{pollNow:tick}};_exports.collectIds=(selector,attribute)=>{const ids=[];return document.querySelectorAll(selector).forEach((el=>{const id=parseInt(el.getAttribute(attribute));id&&ids.push(id)})),ids};_exports.applyDiffAnimations=(newBar,diffs,compactview)=>{if(diffs.hasChanges)if(compactview){const compactPill=newBar.querySelector(".local-reactions-pill-compact");compactPill&&compactPill.classList.add("local-reactions-count-changed")}else newBar.querySelectorAll("[data-emoji]").forEach((pill=>{const emoji=pill.getAttribute("data-emoji");diffs.changedEmojis.has(emoji)&&pill.classList.add("local-reactions-count-changed"),diffs.newEmojis.has(emoji)&&pill.classList.add("local-reactions-pill-new")}))};_exports.applyRollbackAnimation=(bar,emoji,compactview)=>{const target=!compactview&&bar.querySelector('.local-reactions-pill[data-emoji="'.concat(emoji,'"]'))||bar.querySelector(".local-reactions-pill-compact")||bar.querySelector(".local-reactions-trigger");target&&target.classList.add("local-reactions-rollback")};_exports.clearAnimationClasses=bar=>{bar.querySelectorAll(ANIMATION_CLASSES.map((name=>".".concat(name))).join(", ")).forEach((el=>{const clear=()=>el.classList.remove(...ANIMATION_CLASSES);el.addEventListener("animationend",clear,{once:!0}),el.addEventListener("animationcancel",clear,{once:!0})}))};_exports.getKnownVersions=(ids,dataMap,idKey)=>ids.filter((id=>{var _dataMap$id;return null===(_dataMap$id=dataMap[id])||void 0===_dataMap$id?void 0:_dataMap$id.version})).map((id=>({[idKey]:id,version:dataMap[id].version})));_exports.updateCacheBatch=async(ids,keyFn,dataMap)=>{if(!await Cache.isAvailable())return;const entries=[];for(const id of ids){const data=dataMap[id];data&&entries.push({key:keyFn(id),data:{counts:data.counts||[],userreactions:data.userreactions||[],version:data.version||null,...data.firstpostid?{firstpostid:data.firstpostid}:{}}})}entries.length>0&&await Cache.setMultiple(entries)}}));
 
 //# sourceMappingURL=utils.min.js.map
\ No newline at end of file
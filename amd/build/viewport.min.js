@@ -0,0 +1,3 @@
+define("local_reactions/viewport",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.createTracker=void 0;_exports.createTracker=options=>{const{getId:getId,onEnter:onEnter}=options,observed=new WeakSet,seen=new WeakSet,leftAt=new WeakMap,visible=new Set;let generation=0;const enter=elements=>{const newIds=[],staleIds=[];for(const element of elements){const id=getId(element);visible.add(element),id&&(seen.has(element)?leftAt.has(element)&&leftAt.get(element)<generation&&staleIds.push(id):(seen.add(element),newIds.push(id)),leftAt.delete(element))}(newIds.length||staleIds.length)&&onEnter(newIds,staleIds)},observer="undefined"==typeof IntersectionObserver?null:new IntersectionObserver((entries=>{const entered=[];for(const entry of entries)entry.isIntersecting?entered.push(entry.target):visible.delete(entry.target)&&!leftAt.has(entry.target)&&leftAt.set(entry.target,generation);enter(entered)}),{rootMargin:"300px 0px"});document.addEventListener("visibilitychange",(()=>{document.hidden?visible.forEach((element=>leftAt.set(element,generation))):enter([...visible])}));const visibleIds=()=>{const ids=[];if(document.hidden)return ids;for(const element of visible){if(!element.isConnected){visible.delete(element);continue}const id=getId(element);id&&ids.push(id)}return ids};let unobservable=[];return{observe:element=>{observed.has(element)||(observed.add(element),observer?observer.observe(element):(unobservable.length||setTimeout((()=>{const elements=unobservable;unobservable=[],enter(elements)})),unobservable.push(element)))},visibleIds:visibleIds,markPolled:function(){let coveredIds=arguments.length>0&&void 0!==arguments[0]?arguments[0]:null;if(generation++,!coveredIds||document.hidden)return;const covered=new Set(coveredIds),missedIds=visibleIds().filter((id=>!covered.has(id)));missedIds.length&&onEnter([],missedIds)}}}}));
+
+//# sourceMappingURL=viewport.min.js.map
\ No newline at end of file
@@ -0,0 +1,114 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tell screen reader users about reactions that change while they are on the page.
+ *
+ * Live updates only animate the pills, so changes picked up by polling or live updates are summarised
+ * in a polite aria-live region as well. Changes arriving together are gathered into one announcement,
+ * and announcements are at least THROTTLE apart, so a busy discussion doesn't talk over everything else:
+ * a single item is read out with its counts, several items just as how many changed.
+ *
+ * @module     local_reactions/announcer
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getString} from 'core/str';
+
+/** @var {number} How long in ms to wait for more changes before announcing. */
+const GATHER = 1500;
+
+/** @var {number} Shortest time in ms between two announcements. */
+const THROTTLE = 10000;
+
+/** @var {Map<string, Object[]>} Latest counts of the items changed since the last announcement, by item key. */
+const pending = new Map();
+
+/** @var {number|null} Timer making the next announcement. */
+let timer = null;
+
+/** @var {number} When the last announcement was made. */
+let lastAnnounced = 0;
+
+/** @var {HTMLElement|null} The aria-live region, added to the page on first use. */
+let region = null;
+
+/**
+ * Note that the reactions on an item changed, to be announced shortly.
+ *
+ * @param {string} key Identifies the item, so later changes to it replace earlier ones.
+ * @param {Object[]} counts The item's counts now, each with the emoji's name and its count.
+ */
+export const countsChanged = (key, counts) => {
+    // Added well before it is used, as screen readers can miss changes to a region that has only just appeared.
+    getRegion();
+    pending.set(key, counts);
+    if (timer === null) {
+        timer = setTimeout(announce, Math.max(GATHER, lastAnnounced + THROTTLE - Date.now()));
+    }
+};
+
+/**
+ * Announce the changes gathered so far.
+ */
+const announce = async() => {
+    timer = null;
+    const changes = [...pending.values()];
+    pending.clear();
+    if (!changes.length) {
+        return;
+    }
+    lastAnnounced = Date.now();
+
+    let message;
+    try {
+        if (changes.length > 1) {
+            message = await getString('livechangesitems', 'local_reactions', changes.length);
+        } else if (changes[0].length) {
+            const parts = await Promise.all(changes[0].map(({name, count}) =>
+                getString('liveemojicount', 'local_reactions', {name, count})));
+            message = await getString('livechanges', 'local_reactions', parts.join(', '));
+        } else {
+            message = await getString('livechanges', 'local_reactions', await getString('noreactions', 'local_reactions'));
+        }
+    } catch {
+        return;
+    }
+
+    const live = getRegion();
+    // Emptied first, so a message that is the same as the last one is still read out.
+    live.textContent = '';
+    setTimeout(() => {
+        live.textContent = message;
+    }, 100);
+};
+
+/**
+ * Get the aria-live region, adding it to the page if needed.
+ *
+ * @returns {HTMLElement}
+ */
+const getRegion = () => {
+    if (!region || !region.isConnected) {
+        region = document.createElement('div');
+        region.className = 'sr-only';
+        region.setAttribute('data-region', 'reactions-announcer');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+    return region;
+};
@@ -16,32 +16,228 @@
 /**
  * IndexedDB cache for emoji reactions data.
  *
- * Stores reaction counts locally so they can be rendered instantly on page load
- * before the web service response arrives. Only counts are cached (no user-specific
- * state). If IndexedDB is unavailable, all methods silently return null/void.
+ * Stores reaction counts and the user's own reactions locally so they can be rendered
+ * instantly (and reacted to) on page load before the web service response arrives.
+ * The same database also holds the queue of toggles made while offline, so they
+ * survive a page reload until they can be replayed. If IndexedDB is unavailable,
+ * all methods silently return null/void.
+ *
+ * One database serves every Moodle site on the origin and every user of the browser,
+ * so each record is scoped to the site (wwwroot) and user it was stored for, and is
+ * only ever read back in that scope. Records of other users of the site are purged
+ * when a different user starts using the cache (e.g. on a shared lab computer, or
+ * with "Log in as"), and all of the site's records when the user logs out. Reaction
+ * data is capped at MAX_ENTRIES, evicting the least recently used, and expired
+ * records are swept out at most once per SWEEP_INTERVAL.
  *
  * @module     local_reactions/cache
  * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import Config from 'core/config';
+
 /** @var {string} Database name. */
 const DB_NAME = 'local_reactions_cache';
 
-/** @var {number} Database schema version. */
-const DB_VERSION = 1;
-
 /** @var {string} Object store name. */
 const STORE_NAME = 'reactions';
 
+/** @var {string} Object store for toggles waiting to be sent to the server, in the order they were made. */
+const QUEUE_STORE_NAME = 'pending_toggles';
+
+/**
+ * @var {Function[]} Schema migrations. Entry n upgrades a version n database to version n + 1, so a
+ *     new schema version is added by appending a migration; DB_VERSION follows automatically.
+ */
+const MIGRATIONS = [
+    // Version 1: reaction data.
+    (database) => {
+        database.createObjectStore(STORE_NAME, {keyPath: 'cacheKey'});
+    },
+    // Version 2: offline toggle queue.
+    (database) => {
+        database.createObjectStore(QUEUE_STORE_NAME, {keyPath: 'id', autoIncrement: true});
+    },
+    // Version 3: records are scoped by site and user. Older records can't be attributed to a user,
+    // so they are dropped rather than risk showing them to the wrong one.
+    (database, tx) => {
+        const store = tx.objectStore(STORE_NAME);
+        store.clear();
+        store.createIndex('site', 'site');
+        store.createIndex('accessed', 'accessed');
+        store.createIndex('timestamp', 'timestamp');
+        const queue = tx.objectStore(QUEUE_STORE_NAME);
+        queue.clear();
+        queue.createIndex('site', 'site');
+        queue.createIndex('scope', 'scope');
+    },
+];
+
+/** @var {number} Database schema version. */
+const DB_VERSION = MIGRATIONS.length;
+
 /** @var {number} Cache TTL in milliseconds (1 week). */
 const CACHE_TTL = 604800000;
 
-/** @var {IDBDatabase|null} Cached database connection. */
-let db = null;
+/** @var {number} Most reaction data records kept; the least recently used go first. */
+const MAX_ENTRIES = 2000;
+
+/** @var {number} How stale in ms a record's last-access time may get before a read refreshes it. */
+const ACCESS_RESOLUTION = 3600000;
+
+/** @var {number} Shortest time in ms between sweeps of expired records (1 day). */
+const SWEEP_INTERVAL = 86400000;
+
+/** @var {string} Prefix of the localStorage keys recording the last user and the last sweep. */
+const STORAGE_PREFIX = 'local_reactions_cache';
+
+/** @var {Promise<IDBDatabase|null>|null} The database connection, opened on first use. */
+let dbPromise = null;
+
+/** @var {boolean} Whether the logout listener has been registered. */
+let logoutWatched = false;
+
+/**
+ * The site and user the cache is being used for.
+ *
+ * @returns {Object} {site, userid, scope} where scope combines the two.
+ */
+const getScope = () => {
+    const site = Config.wwwroot;
+    const userid = Number(Config.userId) || 0;
+    return {site, userid, scope: `${site}|${userid}`};
+};
+
+/**
+ * Read a localStorage value, or null if storage is unavailable.
+ *
+ * @param {string} name Key, without the prefix.
+ * @returns {string|null}
+ */
+const readStorage = (name) => {
+    try {
+        return window.localStorage.getItem(`${STORAGE_PREFIX}:${name}:${Config.wwwroot}`);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Write a localStorage value, ignoring unavailable or full storage.
+ *
+ * @param {string} name Key, without the prefix.
+ * @param {string} value The value.
+ */
+const writeStorage = (name, value) => {
+    try {
+        window.localStorage.setItem(`${STORAGE_PREFIX}:${name}:${Config.wwwroot}`, value);
+    } catch (e) {
+        // Silently fail.
+    }
+};
+
+/**
+ * Delete the site's records that don't belong to a scope.
+ *
+ * @param {IDBDatabase} database The database.
+ * @param {string|null} keepScope Scope to keep, or null to delete all of the site's records.
+ * @returns {Promise<void>} Resolves once the deletions are committed.
+ */
+const purgeSite = (database, keepScope) => new Promise((resolve) => {
+    try {
+        const tx = database.transaction([STORE_NAME, QUEUE_STORE_NAME], 'readwrite');
+        [STORE_NAME, QUEUE_STORE_NAME].forEach((name) => {
+            const request = tx.objectStore(name).index('site').openCursor(IDBKeyRange.only(Config.wwwroot));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (cursor.value.scope !== keepScope) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => resolve();
+        tx.onabort = () => resolve();
+    } catch (e) {
+        resolve();
+    }
+});
+
+/**
+ * Delete reaction data older than the TTL, whoever it belongs to. Runs at most once per SWEEP_INTERVAL.
+ *
+ * @param {IDBDatabase} database The database.
+ */
+const sweepExpired = (database) => {
+    const now = Date.now();
+    if (now - (Number(readStorage('sweep')) || 0) < SWEEP_INTERVAL) {
+        return;
+    }
+    writeStorage('sweep', String(now));
+
+    try {
+        const request = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME)
+            .index('timestamp').openCursor(IDBKeyRange.upperBound(now - CACHE_TTL));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    } catch (e) {
+        // Silently fail.
+    }
+};
+
+/**
+ * Evict the least recently used reaction data until at most MAX_ENTRIES records are left.
+ *
+ * @param {IDBDatabase} database The database.
+ */
+const evictLeastRecentlyUsed = (database) => {
+    try {
+        const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - MAX_ENTRIES;
+            if (excess <= 0) {
+                return;
+            }
+            const request = store.index('accessed').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+        };
+    } catch (e) {
+        // Silently fail.
+    }
+};
 
-/** @var {boolean} Whether we have already attempted to open the database. */
-let dbAttempted = false;
+/**
+ * Housekeeping done once per page after opening the database: purge other users' records if the
+ * user has changed since the cache was last used on this site, and sweep expired records.
+ *
+ * @param {IDBDatabase} database The database.
+ * @returns {Promise<void>}
+ */
+const housekeep = async(database) => {
+    const {scope} = getScope();
+    if (readStorage('scope') !== scope) {
+        await purgeSite(database, scope);
+        writeStorage('scope', scope);
+    }
+    sweepExpired(database);
+};
 
 /**
  * Open (or return the cached) IndexedDB database connection.
@@ -49,32 +245,35 @@ let dbAttempted = false;
  * @returns {Promise<IDBDatabase|null>} The database, or null if unavailable.
  */
 const getDb = () => {
-    if (db) {
-        return Promise.resolve(db);
-    }
-    if (dbAttempted) {
-        return Promise.resolve(null);
+    if (dbPromise) {
+        return dbPromise;
     }
-    dbAttempted = true;
 
     if (typeof indexedDB === 'undefined') {
-        return Promise.resolve(null);
+        dbPromise = Promise.resolve(null);
+        return dbPromise;
     }
 
-    return new Promise((resolve) => {
+    dbPromise = new Promise((resolve) => {
         try {
             const request = indexedDB.open(DB_NAME, DB_VERSION);
 
             request.onupgradeneeded = (event) => {
                 const database = event.target.result;
-                if (!database.objectStoreNames.contains(STORE_NAME)) {
-                    database.createObjectStore(STORE_NAME, {keyPath: 'cacheKey'});
+                for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                    MIGRATIONS[version](database, event.target.transaction);
                 }
             };
 
-            request.onsuccess = (event) => {
-                db = event.target.result;
-                resolve(db);
+            request.onsuccess = async(event) => {
+                const database = event.target.result;
+                // Let a newer version of this code in another tab upgrade the schema; reopen on next use.
+                database.onversionchange = () => {
+                    database.close();
+                    dbPromise = null;
+                };
+                await housekeep(database);
+                resolve(database);
             };
 
             request.onerror = () => {
@@ -88,6 +287,34 @@ const getDb = () => {
             resolve(null);
         }
     });
+    return dbPromise;
+};
+
+/**
+ * Purge the site's cached data when the user logs out, before leaving the page.
+ *
+ * Registered once per page, by whichever reactions module starts first. The logout link is
+ * followed once the purge is done, or after a short wait if it takes too long.
+ */
+export const watchLogout = () => {
+    if (logoutWatched) {
+        return;
+    }
+    logoutWatched = true;
+
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest?.('a[href*="/login/logout.php"]');
+        if (!link || e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey) {
+            return;
+        }
+        e.preventDefault();
+        const purge = getDb().then((database) => database && purgeSite(database, null));
+        const timeout = new Promise((resolve) => setTimeout(resolve, 1000));
+        const leave = () => {
+            window.location.href = link.href;
+        };
+        Promise.race([purge, timeout]).then(leave).catch(leave);
+    });
 };
 
 /**
@@ -124,6 +351,15 @@ export const discussionKey = (component, itemtype, discussionid) => {
     return `${component}:${itemtype}:discussion:${discussionid}`;
 };
 
+/**
+ * Build the stored key of a cache key in the current scope.
+ *
+ * @param {string} scope The current scope.
+ * @param {string} key Cache key from itemKey() or discussionKey().
+ * @returns {string}
+ */
+const scopedKey = (scope, key) => `${scope}|${key}`;
+
 /**
  * Get multiple cached entries by keys.
  *
@@ -141,13 +377,15 @@ export const getMultiple = async(keys) => {
 
     try {
         return await new Promise((resolve) => {
-            const tx = database.transaction(STORE_NAME, 'readonly');
+            // Read-write, to note when records were last used for the least-recently-used eviction.
+            const tx = database.transaction(STORE_NAME, 'readwrite');
             const store = tx.objectStore(STORE_NAME);
+            const {scope} = getScope();
             const now = Date.now();
             let pending = keys.length;
 
             keys.forEach((key) => {
-                const request = store.get(key);
+                const request = store.get(scopedKey(scope, key));
 
                 request.onsuccess = () => {
                     const record = request.result;
@@ -155,6 +393,9 @@ export const getMultiple = async(keys) => {
                         results.set(key, null);
                     } else {
                         results.set(key, record.data);
+                        if (now - record.accessed > ACCESS_RESOLUTION) {
+                            store.put({...record, accessed: now});
+                        }
                     }
                     pending--;
                     if (pending === 0) {
@@ -196,15 +437,118 @@ export const setMultiple = async(entries) => {
     try {
         const tx = database.transaction(STORE_NAME, 'readwrite');
         const store = tx.objectStore(STORE_NAME);
+        const {site, scope} = getScope();
         const now = Date.now();
 
         entries.forEach((entry) => {
             store.put({
-                cacheKey: entry.key,
+                cacheKey: scopedKey(scope, entry.key),
+                site: site,
+                scope: scope,
                 data: entry.data,
                 timestamp: now,
+                accessed: now,
             });
         });
+        tx.oncomplete = () => evictLeastRecentlyUsed(database);
+    } catch (e) {
+        // Silently fail.
+    }
+};
+
+/**
+ * Add a toggle to the offline queue.
+ *
+ * @param {Object} entry Toggle details: component, itemtype, contextid, itemid, emoji and add (the intended state).
+ * @returns {Promise<number|null>} The queue ID, or null if the toggle could not be stored.
+ */
+export const queueToggle = async(entry) => {
+    const database = await getDb();
+    if (!database) {
+        return null;
+    }
+
+    try {
+        return await new Promise((resolve) => {
+            const tx = database.transaction(QUEUE_STORE_NAME, 'readwrite');
+            const {site, scope} = getScope();
+            const request = tx.objectStore(QUEUE_STORE_NAME).add({...entry, site, scope, timestamp: Date.now()});
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => resolve(null);
+            tx.onabort = () => resolve(null);
+        });
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Get every toggle the current user has queued on this site, oldest first, without removing them.
+ *
+ * @returns {Promise<Object[]>}
+ */
+export const getQueuedToggles = async() => {
+    const database = await getDb();
+    if (!database) {
+        return [];
+    }
+
+    try {
+        return await new Promise((resolve) => {
+            const request = database.transaction(QUEUE_STORE_NAME, 'readonly').objectStore(QUEUE_STORE_NAME)
+                .index('scope').getAll(getScope().scope);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => resolve([]);
+        });
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Take every toggle the current user has queued on this site out of the queue, oldest first.
+ *
+ * Reading and clearing happen in one transaction, so when several tabs replay at once each toggle
+ * is claimed by exactly one of them.
+ *
+ * @returns {Promise<Object[]>}
+ */
+export const claimQueuedToggles = async() => {
+    const database = await getDb();
+    if (!database) {
+        return [];
+    }
+
+    try {
+        return await new Promise((resolve) => {
+            const tx = database.transaction(QUEUE_STORE_NAME, 'readwrite');
+            const store = tx.objectStore(QUEUE_STORE_NAME);
+            const request = store.index('scope').getAll(getScope().scope);
+            request.onsuccess = () => request.result.forEach((entry) => store.delete(entry.id));
+            tx.oncomplete = () => resolve(request.result || []);
+            tx.onerror = () => resolve([]);
+            tx.onabort = () => resolve([]);
+        });
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Put claimed toggles back into the queue under their original IDs, so they keep their place in line.
+ *
+ * @param {Object[]} entries Entries previously returned by claimQueuedToggles().
+ * @returns {Promise<void>}
+ */
+export const requeueToggles = async(entries) => {
+    const database = await getDb();
+    if (!database || !entries.length) {
+        return;
+    }
+
+    try {
+        const store = database.transaction(QUEUE_STORE_NAME, 'readwrite').objectStore(QUEUE_STORE_NAME);
+        entries.forEach((entry) => store.put(entry));
     } catch (e) {
         // Silently fail.
     }
@@ -19,6 +19,12 @@
  * Renders cached reactions instantly from IndexedDB, then refreshes from the
  * web service and animates any differences.
  *
+ * When the forum allows it, each row also offers reacting to the discussion's opening post. The pills
+ * keep showing the totals for the whole discussion; the reaction only changes them by the one post.
+ *
+ * Bars fire the events in local_reactions/events, with the itemtype `discussion` for discussion totals,
+ * and getState(), toggle() and refresh() give other code access to the discussions' reactions.
+ *
  * @module     local_reactions/discussion_list_reactions
  * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
@@ -28,9 +34,20 @@ import Ajax from 'core/ajax';
 import Templates from 'core/templates';
 import Notification from 'core/notification';
 import * as Cache from 'local_reactions/cache';
+import * as TabSync from 'local_reactions/tab_sync';
+import * as LiveUpdates from 'local_reactions/live_updates';
+import * as Viewport from 'local_reactions/viewport';
+import * as EmojiCatalogue from 'local_reactions/emoji_catalogue';
+import * as Picker from 'local_reactions/picker';
+import * as GradingSummary from 'local_reactions/grading_summary';
+import * as Events from 'local_reactions/events';
+import * as Scheduler from 'local_reactions/scheduler';
+import * as Touch from 'local_reactions/touch';
+import * as Announcer from 'local_reactions/announcer';
 import {
-    computeDiffs, renderToElement, buildTemplateContext, createPoller, collectIds,
-    applyDiffAnimations, clearAnimationClasses, updateCacheBatch,
+    computeDiffs, renderToElement, buildTemplateContext, collectIds, applyToggle, sameUserReactions,
+    applyDiffAnimations, applyRollbackAnimation, clearAnimationClasses, updateCacheBatch, watchStickerFallbacks,
+    getKnownVersions, getEmojiName,
 } from 'local_reactions/utils';
 
 /** @var {Object} Module-level config set during init. */
@@ -42,6 +59,33 @@ let currentDataMap = {};
 /** @var {boolean} Whether polling has been initialised. */
 let pollingInitialised = false;
 
+/** @var {Object|null} Viewport tracker deciding which discussion rows load and poll. */
+let tracker = null;
+
+/** @var {Object|null} Viewport tracker deciding which grading panel posts load. */
+let gradingTracker = null;
+
+/** @var {Object|null} The rows every tab showing this list needs polled, see TabSync.createWatchList(). */
+let watchList = null;
+
+/** @var {number|null} Change cursor for delta polling, or null until the first full fetch. */
+let changeCursor = null;
+
+/** @var {Object|undefined} Live updates (poller or push listener), used to refresh early when another tab reports a toggle. */
+let poller;
+
+/** @var {Object} Opening post toggles in flight per discussion ID, in click order; polls leave those rows alone. */
+const pendingToggles = {};
+
+/** @var {Object} Per discussion ID with toggles in flight, its data without them, plus those the server confirmed. */
+const confirmedData = {};
+
+/** @var {Object} Per-discussion promise chain, so opening post toggles are sent one at a time in click order. */
+const toggleQueues = {};
+
+/** @var {Object} The data each discussion's bar was last rendered with, to report count changes. */
+const renderedDataMap = {};
+
 /**
  * Initialise the discussion list reactions module.
  *
@@ -49,10 +93,77 @@ let pollingInitialised = false;
  */
 export const init = (cfg) => {
     config = cfg;
+    watchStickerFallbacks();
+    Cache.watchLogout();
+    tracker = Viewport.createTracker({
+        getId: (row) => parseInt(row.getAttribute('data-discussionid')),
+        onEnter: handleViewportEnter,
+    });
+    gradingTracker = Viewport.createTracker({
+        getId: (article) => parseInt(article.getAttribute('data-post-id')),
+        // Grading panel bars are not polled, so they never go stale.
+        onEnter: (newIds) => newIds.length && loadGradingPosts(newIds),
+    });
     loadDiscussionReactions();
     observeGradingPanel();
+    TabSync.subscribe(handleSyncMessage);
+};
+
+/**
+ * Get the reaction totals shown for a discussion on the list.
+ *
+ * Rows load as they near the viewport, so there is no state for rows not loaded yet.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @returns {Object|null} The discussion's component, itemtype (`discussion`), itemid, counts and
+ *     userreactions (on the opening post), as in the local_reactions/events details, and `firstpostid`; or null.
+ */
+export const getState = (discussionId) => {
+    const data = currentDataMap[discussionId];
+    if (!data) {
+        return null;
+    }
+    return {...getDetail(discussionId, data), firstpostid: data.firstpostid || null};
+};
+
+/**
+ * Toggle the current user's reaction on a discussion's opening post, as if they had clicked it on the list.
+ *
+ * Only possible when the forum lets students react from the discussion list.
+ *
+ * @param {number} discussionId The forum discussion ID, which must be loaded (see getState()).
+ * @param {string} emoji The emoji shortcode.
+ * @returns {Promise<Object>} The discussion's state once the server has answered.
+ */
+export const toggle = async(discussionId, emoji) => {
+    if (!config.reactfromlist || !currentDataMap[discussionId]?.firstpostid) {
+        throw new Error(`Cannot react to the opening post of discussion ${discussionId} from the list`);
+    }
+    await toggleOpeningPost(discussionId, emoji);
+    return getState(discussionId);
+};
+
+/**
+ * Fetch the latest totals for discussions from the server, re-rendering any that changed.
+ *
+ * @param {number[]|null} [discussionIds=null] The discussion IDs, or null for every row loaded on the page.
+ */
+export const refresh = async(discussionIds = null) => {
+    const ids = (discussionIds || Object.keys(currentDataMap).map(Number)).filter((id) => currentDataMap[id]);
+    if (ids.length) {
+        await refreshDiscussions(ids);
+    }
 };
 
+/**
+ * Describe a discussion and its reaction totals for the local_reactions/events details.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @param {Object} data Discussion reaction data.
+ * @returns {Object}
+ */
+const getDetail = (discussionId, data) => Events.itemDetail(config.component, 'discussion', discussionId, data);
+
 /**
  * Insert an element after the badges div inside a discussion row, or append to the wrapper.
  *
@@ -118,36 +229,63 @@ const insertSkeletons = (rows) => {
 };
 
 /**
- * Remove all remaining skeleton placeholders from the page.
+ * Remove any skeleton placeholders left in the given discussion rows.
+ *
+ * @param {number[]} discussionIds The forum discussion IDs.
  */
-const removeSkeletons = () => {
-    document.querySelectorAll('[data-region="reactions-skeleton"]').forEach((el) => el.remove());
+const removeSkeletons = (discussionIds) => {
+    discussionIds.forEach((discussionId) => {
+        document.querySelector(
+            `[data-region="discussion-list-item"][data-discussionid="${discussionId}"] [data-region="reactions-skeleton"]`
+        )?.remove();
+    });
 };
 
 /**
- * Find all discussion rows on the page and load their aggregated reactions.
+ * Find all discussion rows on the page and start tracking them.
  *
- * Uses a cache-first strategy: renders cached counts instantly, then fetches
- * fresh data from the web service and animates any differences.
+ * Every row gets a skeleton straight away; its aggregated reactions load once it nears the viewport.
  */
-const loadDiscussionReactions = async() => {
-    const rows = document.querySelectorAll('[data-region="discussion-list-item"]');
+const loadDiscussionReactions = () => {
+    const rows = [...document.querySelectorAll('[data-region="discussion-list-item"]')]
+        .filter((row) => parseInt(row.getAttribute('data-discussionid')));
     if (!rows.length) {
         return;
     }
 
-    const discussionIds = [];
-    rows.forEach((row) => {
-        const discussionId = parseInt(row.getAttribute('data-discussionid'));
-        if (discussionId) {
-            discussionIds.push(discussionId);
-        }
-    });
+    // Swap the CSS reservation for skeletons in one go so off-screen rows keep their space until they load.
+    insertSkeletons(rows);
+    document.getElementById(`local-reactions-reserve-${config.component}-${config.itemtype}`)?.remove();
+    rows.forEach((row) => tracker.observe(row));
+};
 
-    if (!discussionIds.length) {
-        return;
+/**
+ * Load rows that have come near the viewport, and catch up rows that missed a poll.
+ *
+ * @param {number[]} newIds Discussions near the viewport for the first time.
+ * @param {number[]} staleIds Discussions returning after a poll ran while they were away, or that a poll
+ *     run by another tab missed. Those still loading get fresh data anyway.
+ */
+const handleViewportEnter = (newIds, staleIds) => {
+    if (newIds.length) {
+        loadDiscussions(newIds);
+    }
+    const loadedIds = staleIds.filter((id) => currentDataMap[id]);
+    if (loadedIds.length) {
+        refreshDiscussions(loadedIds);
     }
+};
 
+/**
+ * Load the reactions for some discussion rows.
+ *
+ * Uses a cache-first strategy: renders cached counts instantly, then fetches
+ * fresh data from the web service and animates any differences. The server only
+ * sends back discussions whose totals differ from the cached version.
+ *
+ * @param {number[]} discussionIds The forum discussion IDs, each row showing a skeleton.
+ */
+const loadDiscussions = async(discussionIds) => {
     // Phase 1: Pre-render cached bars off-DOM (all async work before any DOM mutations).
     const cachedDiscussionIds = new Set();
     const cachedDataMap = {};
@@ -165,9 +303,7 @@ const loadDiscussionReactions = async() => {
                 cachedDataMap[discussionId] = cachedData;
                 cachedDiscussionIds.add(discussionId);
                 try {
-                    const context = buildTemplateContext(cachedData, config.emojis, {
-                        compactview: config.compactview,
-                    });
+                    const context = await buildBarContext(discussionId, cachedData);
                     const {element: barElement, js} = await renderToElement(
                         'local_reactions/discussion_list_reactions', context
                     );
@@ -181,10 +317,8 @@ const loadDiscussionReactions = async() => {
         }
     }
 
-    // Phase 2: Synchronous DOM batch - remove reservation, insert cached bars and skeletons
-    // in one go so the browser repaints only once (no gap, no double-height).
-    document.getElementById('local-reactions-reserve')?.remove();
-
+    // Phase 2: Synchronous DOM batch - swap the skeletons for cached bars in one go so the
+    // browser repaints only once.
     for (const {discussionId, barElement, js} of preRenderedBars) {
         const row = document.querySelector(
             `[data-region="discussion-list-item"][data-discussionid="${discussionId}"]`
@@ -192,34 +326,42 @@ const loadDiscussionReactions = async() => {
         if (!row || row.querySelector('[data-region="reactions-bar"]')) {
             continue;
         }
-        insertAfterBadges(row, barElement);
+        const skeleton = row.querySelector('[data-region="reactions-skeleton"]');
+        if (skeleton) {
+            skeleton.replaceWith(barElement);
+        } else {
+            insertAfterBadges(row, barElement);
+        }
         Templates.runTemplateJS(js);
-    }
-
-    const uncachedRows = [...rows].filter((row) => {
-        const id = parseInt(row.getAttribute('data-discussionid'));
-        return !cachedDiscussionIds.has(id);
-    });
-    if (uncachedRows.length > 0) {
-        insertSkeletons(uncachedRows);
+        bindOpeningPostReaction(discussionId, barElement);
     }
 
     // Phase 3: Fetch fresh data from web service (for ALL discussions).
     try {
-        const response = await Ajax.call([{
-            methodname: 'local_reactions_get_discussion_reactions',
-            args: {
-                component: config.component,
-                itemtype: config.itemtype,
-                discussionids: discussionIds,
-                contextid: config.contextid,
-            },
-        }])[0];
+        const response = await Scheduler.call('local_reactions_get_discussion_reactions', {
+            component: config.component,
+            itemtype: config.itemtype,
+            discussionids: discussionIds,
+            contextid: config.contextid,
+            // Data cached before the list could react to opening posts doesn't say which post that is.
+            versions: getKnownVersions(
+                discussionIds.filter((id) => !config.reactfromlist || cachedDataMap[id]?.firstpostid),
+                cachedDataMap,
+                'discussionid'
+            ),
+        });
 
         const reactionsMap = {};
         response.items.forEach((item) => {
             reactionsMap[item.discussionid] = item;
         });
+        response.unchanged.forEach((discussionId) => {
+            reactionsMap[discussionId] = cachedDataMap[discussionId];
+        });
+        // Rows loaded later keep the earlier cursor, so the next poll covers them too.
+        if (changeCursor === null) {
+            changeCursor = response.cursor;
+        }
 
         // Phase 4: Update UI and cache.
         for (const discussionId of discussionIds) {
@@ -228,7 +370,7 @@ const loadDiscussionReactions = async() => {
             if (cachedDiscussionIds.has(discussionId)) {
                 // This discussion was rendered from cache - compute diffs and re-render with animation.
                 const diffs = computeDiffs(cachedDataMap[discussionId], freshData);
-                if (diffs.hasChanges) {
+                if (needsRerender(cachedDataMap[discussionId], freshData, diffs)) {
                     await rerenderBarWithAnimation(discussionId, freshData, diffs);
                 } else {
                     // No count changes - just update data-source to live.
@@ -255,13 +397,88 @@ const loadDiscussionReactions = async() => {
         Notification.exception(err);
     }
 
-    removeSkeletons();
+    removeSkeletons(discussionIds);
     if (!pollingInitialised) {
         pollingInitialised = true;
-        createPoller(config.pollinterval, pollDiscussionReactions);
+        const {component, itemtype, contextid} = config;
+        const {pathname, search} = window.location;
+        const leaderScope = `discussions:${component}:${itemtype}:${contextid}:${pathname}${search}`;
+        watchList = TabSync.createWatchList(leaderScope, {
+            getIds: () => tracker.visibleIds().filter((id) => currentDataMap[id]),
+            onPolled: (discussionIds) => tracker.markPolled(discussionIds),
+        });
+        poller = LiveUpdates.start({
+            transport: config.livetransport,
+            pollinterval: config.pollinterval,
+            pollFn: pollDiscussionReactions,
+            leaderScope: leaderScope,
+            getWatch: () => ({
+                component,
+                itemtype,
+                contextid,
+                itemids: [...new Set([
+                    ...collectIds('[data-region="discussion-list-item"]', 'data-discussionid')
+                        .filter((id) => currentDataMap[id]),
+                    ...watchList.getIds(),
+                ])],
+                discussions: true,
+            }),
+            cursor: changeCursor,
+        });
     }
 };
 
+/**
+ * Find a discussion's row in the list.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @returns {HTMLElement|null}
+ */
+const getRow = (discussionId) => document.querySelector(
+    `[data-region="discussion-list-item"][data-discussionid="${discussionId}"]`
+);
+
+/**
+ * Build the template context for a discussion's bar.
+ *
+ * The pills always show the discussion totals without a selected state. The user's own reactions
+ * only show in the separate opening post picker, as they are reactions to that one post.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @param {Object} data Discussion reaction data.
+ * @returns {Promise<Object>} Template context.
+ */
+const buildBarContext = async(discussionId, data) => {
+    const options = {
+        compactview: config.compactview,
+        extraemojis: await EmojiCatalogue.getExtraEmojis(config, data),
+        stickers: config.stickers,
+        emojinames: config.emojinames,
+    };
+    const context = buildTemplateContext(data, config.emojis, options);
+    if (config.reactfromlist && data.firstpostid) {
+        const userreactions = data.userreactions || [];
+        const title = getRow(discussionId)?.querySelector('th.topic a[href*="discuss.php"]');
+        context.reactfromlist = true;
+        context.discussionname = title ? title.textContent.trim() : '';
+        context.openingpostselected = userreactions.length > 0;
+        context.extendedpicker = !!config.extendedpicker;
+        context.pickerbuttons = buildTemplateContext(data, config.emojis, {...options, userreactions}).buttons;
+    }
+    return context;
+};
+
+/**
+ * Whether a discussion's bar must be re-rendered to go from one set of data to another.
+ *
+ * @param {Object} previous The data the bar shows.
+ * @param {Object} next The new data.
+ * @param {Object} diffs The diff result from computeDiffs.
+ * @returns {boolean}
+ */
+const needsRerender = (previous, next, diffs) => diffs.hasChanges
+    || (!!config.reactfromlist && (!sameUserReactions(previous, next) || previous?.firstpostid !== next.firstpostid));
+
 /**
  * Build the template context and render the read-only reactions bar into a discussion row.
  *
@@ -277,9 +494,7 @@ const renderBar = async(discussionId, data, fromCache) => {
         return;
     }
 
-    const context = buildTemplateContext(data, config.emojis, {
-        compactview: config.compactview,
-    });
+    const context = await buildBarContext(discussionId, data);
 
     try {
         const {element: barElement, js} = await renderToElement('local_reactions/discussion_list_reactions', context);
@@ -293,6 +508,9 @@ const renderBar = async(discussionId, data, fromCache) => {
             insertAfterBadges(row, barElement);
         }
         Templates.runTemplateJS(js);
+        bindOpeningPostReaction(discussionId, barElement);
+        renderedDataMap[discussionId] = data;
+        Events.notifyRendered(barElement, getDetail(discussionId, data), fromCache ? 'cache' : 'live');
     } catch (err) {
         Notification.exception(err);
     }
@@ -304,8 +522,9 @@ const renderBar = async(discussionId, data, fromCache) => {
  * @param {number} discussionId The forum discussion ID.
  * @param {Object} freshData Fresh reaction data from the web service.
  * @param {Object} diffs The diff result from computeDiffs.
+ * @param {string|null} [rollbackEmoji=null] Emoji whose opening post toggle failed and should animate back.
  */
-const rerenderBarWithAnimation = async(discussionId, freshData, diffs) => {
+const rerenderBarWithAnimation = async(discussionId, freshData, diffs, rollbackEmoji = null) => {
     const row = document.querySelector(
         `[data-region="discussion-list-item"][data-discussionid="${discussionId}"]`
     );
@@ -318,18 +537,32 @@ const rerenderBarWithAnimation = async(discussionId, freshData, diffs) => {
         return;
     }
 
-    const context = buildTemplateContext(freshData, config.emojis, {
-        compactview: config.compactview,
-    });
+    const context = await buildBarContext(discussionId, freshData);
 
     try {
         const {element: newBar, js} = await renderToElement('local_reactions/discussion_list_reactions', context);
         newBar.setAttribute('data-source', 'live');
 
         applyDiffAnimations(newBar, diffs, config.compactview);
+        if (rollbackEmoji) {
+            applyRollbackAnimation(newBar, rollbackEmoji, config.compactview);
+        }
 
+        const hadFocus = existingBar.contains(document.activeElement);
         existingBar.replaceWith(newBar);
         Templates.runTemplateJS(js);
+        bindOpeningPostReaction(discussionId, newBar);
+        if (hadFocus) {
+            newBar.querySelector('[data-region="opening-post-reaction"] [data-action="open-picker"]')?.focus();
+        }
+
+        const previous = renderedDataMap[discussionId];
+        renderedDataMap[discussionId] = freshData;
+        const detail = getDetail(discussionId, freshData);
+        Events.notifyRendered(newBar, detail, 'live');
+        if (diffs.hasChanges) {
+            Events.notifyCountsChanged(newBar, detail, previous);
+        }
 
         clearAnimationClasses(newBar);
     } catch (err) {
@@ -337,6 +570,152 @@ const rerenderBarWithAnimation = async(discussionId, freshData, diffs) => {
     }
 };
 
+/**
+ * Make the opening post picker of a discussion's bar work, if it has one.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @param {HTMLElement} barElement The reactions bar container.
+ */
+const bindOpeningPostReaction = (discussionId, barElement) => {
+    const control = barElement.querySelector('[data-region="opening-post-reaction"]');
+    if (!control) {
+        return;
+    }
+    // Bound to the control only, so the read-only compact pill beside it doesn't open the picker.
+    Picker.bind(control, {
+        emojis: config.emojis,
+        getSelected: () => currentDataMap[discussionId]?.userreactions || [],
+        onSelect: (emoji) => toggleOpeningPost(discussionId, emoji),
+        onOpen: () => Events.notifyPickerOpened(barElement, getDetail(discussionId, currentDataMap[discussionId])),
+    });
+    control.querySelectorAll('[data-action="toggle-reaction"]').forEach((btn) => {
+        btn.addEventListener('click', async(e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            Picker.closeAll(true);
+            await toggleOpeningPost(discussionId, btn.getAttribute('data-emoji'));
+        });
+    });
+};
+
+/**
+ * Toggle a reaction on a discussion's opening post optimistically, then confirm it with the web service.
+ *
+ * The user's own reactions on the opening post are part of the discussion totals, so the totals change
+ * by the same amount as the post's would. Once no toggles are left in flight, the discussion totals are
+ * fetched again, since other people may have reacted anywhere in the discussion meanwhile.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @param {string} emoji The emoji shortcode.
+ */
+const toggleOpeningPost = async(discussionId, emoji) => {
+    const previous = currentDataMap[discussionId];
+    if (!previous?.firstpostid) {
+        return;
+    }
+    if (!pendingToggles[discussionId]) {
+        pendingToggles[discussionId] = [];
+        confirmedData[discussionId] = previous;
+    }
+    const toggle = {emoji, add: !previous.userreactions.includes(emoji)};
+    pendingToggles[discussionId].push(toggle);
+    const optimistic = getDisplayData(discussionId);
+    currentDataMap[discussionId] = optimistic;
+    await rerenderBarWithAnimation(discussionId, optimistic, computeDiffs(previous, optimistic));
+
+    const request = (toggleQueues[discussionId] || Promise.resolve())
+        .then(() => sendOpeningPostToggle(discussionId, previous.firstpostid, toggle));
+    toggleQueues[discussionId] = request;
+    await request;
+};
+
+/**
+ * Apply an opening post toggle to discussion data, unless it is already in the state the user asked for.
+ *
+ * @param {Object} data Discussion data.
+ * @param {Object} toggle The toggle, with emoji and add.
+ * @returns {Object} The discussion data after the toggle. It has no version, so the refresh after the toggles
+ *     is always sent in full.
+ */
+const applyOpeningPostToggle = (data, toggle) => {
+    if (data.userreactions.includes(toggle.emoji) === toggle.add) {
+        return data;
+    }
+    return {...applyToggle(data, toggle.emoji, config.allowmultiple !== false), version: null};
+};
+
+/**
+ * Compute the data to display for a discussion: its data without the opening post toggles in flight, plus
+ * those confirmed, with the toggles still in flight applied.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @returns {Object} Discussion data.
+ */
+const getDisplayData = (discussionId) =>
+    (pendingToggles[discussionId] || []).reduce(applyOpeningPostToggle, confirmedData[discussionId]);
+
+/**
+ * Send an opening post toggle to the server, rolling back only that toggle if it fails.
+ *
+ * @param {number} discussionId The forum discussion ID.
+ * @param {number} postId The opening post ID.
+ * @param {Object} toggle The toggle, with emoji and add.
+ */
+const sendOpeningPostToggle = async(discussionId, postId, toggle) => {
+    const emoji = toggle.emoji;
+    try {
+        const response = await Ajax.call([{
+            methodname: 'local_reactions_toggle_reaction',
+            args: {
+                component: config.component,
+                itemtype: config.itemtype,
+                itemid: postId,
+                emoji: emoji,
+            },
+        }])[0];
+        if (response.action === 'added') {
+            Touch.setLastEmoji(emoji);
+        }
+        if (config.extendedpicker && response.action === 'added') {
+            EmojiCatalogue.noteRecent(emoji);
+        }
+        Events.notifyToggled(
+            getRow(discussionId)?.querySelector('[data-region="reactions-bar"]') || document,
+            {...Events.itemDetail(config.component, config.itemtype, postId, response), discussionid: discussionId},
+            emoji,
+            response.action,
+        );
+        // Discussion pages open in other tabs update the post itself.
+        TabSync.publish({
+            type: 'items',
+            reason: 'toggle',
+            component: config.component,
+            itemtype: config.itemtype,
+            items: [{
+                itemid: postId,
+                userreactions: response.userreactions,
+                counts: response.counts,
+                version: response.version,
+            }],
+        });
+        confirmedData[discussionId] = applyOpeningPostToggle(confirmedData[discussionId], toggle);
+        pendingToggles[discussionId] = pendingToggles[discussionId].filter((t) => t !== toggle);
+    } catch (err) {
+        Notification.exception(err);
+        pendingToggles[discussionId] = pendingToggles[discussionId].filter((t) => t !== toggle);
+        const current = currentDataMap[discussionId];
+        const next = getDisplayData(discussionId);
+        currentDataMap[discussionId] = next;
+        await rerenderBarWithAnimation(discussionId, next, computeDiffs(current, next), emoji);
+    }
+
+    if (!pendingToggles[discussionId].length) {
+        delete pendingToggles[discussionId];
+        delete confirmedData[discussionId];
+        await refreshDiscussions([discussionId]);
+    }
+};
+
 /**
  * Insert a read-only reactions bar into a forum post article within the grading panel.
  *
@@ -360,46 +739,38 @@ const insertIntoGradingPost = (article, element) => {
     }
 };
 
+// Flag to suppress the grading MutationObserver while we insert reaction bars,
+// preventing it from re-entering loadGradingReactions for our own DOM changes.
+let gradingInserting = false;
+
 /**
- * Load read-only reactions for posts displayed in the whole-forum grading panel.
+ * Start tracking the posts displayed in the whole-forum grading panel.
  *
- * Collects post IDs from articles within the grading content region,
- * fetches per-post reactions, and renders compact read-only bars.
+ * Each post's read-only reactions load once it nears the viewport.
  *
  * @param {HTMLElement} container The grading module_content container.
  */
-// Flag to suppress the grading MutationObserver while we insert reaction bars,
-// preventing it from re-entering loadGradingReactions for our own DOM changes.
-let gradingInserting = false;
-
-const loadGradingReactions = async(container) => {
-    const articles = container.querySelectorAll('.post-container article[data-post-id]');
-    if (!articles.length) {
-        return;
-    }
-
-    const postIds = [];
-    articles.forEach((article) => {
-        const postId = parseInt(article.getAttribute('data-post-id'));
-        if (postId && !article.querySelector('[data-region="reactions-bar"]')) {
-            postIds.push(postId);
+const loadGradingReactions = (container) => {
+    container.querySelectorAll('.post-container article[data-post-id]').forEach((article) => {
+        if (!article.querySelector('[data-region="reactions-bar"]')) {
+            gradingTracker.observe(article);
         }
     });
+};
 
-    if (!postIds.length) {
-        return;
-    }
-
+/**
+ * Fetch per-post reactions for grading panel posts and render compact read-only bars.
+ *
+ * @param {number[]} postIds The forum post IDs.
+ */
+const loadGradingPosts = async(postIds) => {
     try {
-        const response = await Ajax.call([{
-            methodname: 'local_reactions_get_reactions_for_grading',
-            args: {
-                component: config.component,
-                itemtype: config.itemtype,
-                itemids: postIds,
-                contextid: config.contextid,
-            },
-        }])[0];
+        const response = await Scheduler.call('local_reactions_get_reactions_for_grading', {
+            component: config.component,
+            itemtype: config.itemtype,
+            itemids: postIds,
+            contextid: config.contextid,
+        });
 
         const reactionsMap = {};
         response.items.forEach((item) => {
@@ -409,7 +780,9 @@ const loadGradingReactions = async(container) => {
         gradingInserting = true;
         try {
             for (const postId of postIds) {
-                const article = container.querySelector(`.post-container article[data-post-id="${postId}"]`);
+                const article = document.querySelector(
+                    `[data-region="module_content"] .post-container article[data-post-id="${postId}"]`
+                );
                 if (!article || article.querySelector('[data-region="reactions-bar"]')) {
                     continue;
                 }
@@ -417,6 +790,9 @@ const loadGradingReactions = async(container) => {
                 const data = reactionsMap[postId] || {itemid: postId, counts: [], userreactions: []};
                 const context = buildTemplateContext(data, config.emojis, {
                     compactview: config.compactview,
+                    extraemojis: await EmojiCatalogue.getExtraEmojis(config, data),
+                    stickers: config.stickers,
+                    emojinames: config.emojinames,
                     userreactions: data.userreactions || [],
                 });
 
@@ -427,6 +803,7 @@ const loadGradingReactions = async(container) => {
 
                 insertIntoGradingPost(article, barElement);
                 Templates.runTemplateJS(js);
+                Events.notifyRendered(barElement, Events.itemDetail(config.component, config.itemtype, postId, data), 'live');
             }
         } finally {
             gradingInserting = false;
@@ -437,7 +814,7 @@ const loadGradingReactions = async(container) => {
 };
 
 /**
- * Observe the DOM for the grading panel to appear and load reactions when posts are inserted.
+ * Observe the DOM for the grading panel to appear, load reactions when posts are inserted and show the summary card.
  *
  * The whole-forum grading panel dynamically inserts posts into
  * [data-region="module_content"]. Two-phase approach: cheaply wait on document.body
@@ -452,6 +829,8 @@ const observeGradingPanel = () => {
         if (target.querySelector('.post-container article[data-post-id]')) {
             loadGradingReactions(target);
         }
+        // Students without posts get a summary card too.
+        GradingSummary.update(target, config);
     };
 
     const attachScopedObserver = (moduleContent) => {
@@ -482,50 +861,156 @@ const observeGradingPanel = () => {
 };
 
 /**
- * Poll the server for updated discussion reaction data and animate any changes.
+ * Fetch discussion totals for polling: only the discussions changed since the change cursor, or
+ * every discussion when there is no cursor yet or it has expired.
+ *
+ * @param {number[]} discussionIds The discussion IDs on the page.
+ * @returns {Promise<Object[]>} Fresh reaction data for the discussions that may have changed.
+ */
+const fetchPollData = async(discussionIds) => {
+    const args = {
+        component: config.component,
+        itemtype: config.itemtype,
+        discussionids: discussionIds,
+        contextid: config.contextid,
+    };
+
+    if (changeCursor !== null) {
+        const changes = await Scheduler.call('local_reactions_get_discussion_reaction_changes', {...args, cursor: changeCursor});
+        if (!changes.expired) {
+            changeCursor = changes.cursor;
+            return changes.items;
+        }
+    }
+
+    const response = await Scheduler.call('local_reactions_get_discussion_reactions', {
+        ...args,
+        versions: getKnownVersions(discussionIds, currentDataMap, 'discussionid'),
+    });
+    changeCursor = response.cursor;
+    return response.items;
+};
+
+/**
+ * Apply fresh discussion totals from a poll or catch-up refresh, animating any changes.
+ *
+ * Rows not loaded here were polled for another tab, and are only passed on to it.
+ *
+ * @param {Object[]} freshItems Fresh reaction data.
+ */
+const applyFreshDiscussions = async(freshItems) => {
+    // Rows with opening post toggles in flight are refreshed once those are confirmed.
+    freshItems = freshItems.filter((item) => !pendingToggles[item.discussionid]);
+    const updatedIds = [];
+    for (const freshData of freshItems) {
+        const discussionId = freshData.discussionid;
+        const previousData = currentDataMap[discussionId];
+        if (!previousData) {
+            continue;
+        }
+
+        const diffs = computeDiffs(previousData, freshData);
+        if (needsRerender(previousData, freshData, diffs)) {
+            await rerenderBarWithAnimation(discussionId, freshData, diffs);
+        }
+        if (diffs.hasChanges) {
+            Announcer.countsChanged(`${config.component}:discussion:${discussionId}`, (freshData.counts || []).map((c) => ({
+                name: getEmojiName(c.emoji, config),
+                count: c.count,
+            })));
+        }
+
+        currentDataMap[discussionId] = freshData;
+        updatedIds.push(discussionId);
+    }
+
+    if (!freshItems.length) {
+        return;
+    }
+
+    TabSync.publish({
+        type: 'discussions',
+        component: config.component,
+        itemtype: config.itemtype,
+        items: freshItems,
+    });
+
+    await updateCacheBatch(
+        updatedIds,
+        (id) => Cache.discussionKey(config.component, config.itemtype, id),
+        currentDataMap,
+    );
+};
+
+/**
+ * Poll the server for updated discussion reaction data on the loaded rows near the viewport, in this tab
+ * and in the other tabs showing the list, then tell those tabs what the poll covered.
  */
 const pollDiscussionReactions = async() => {
-    const discussionIds = collectIds('[data-region="discussion-list-item"]', 'data-discussionid');
+    const discussionIds = watchList.getIds();
     if (!discussionIds.length) {
         return;
     }
+    tracker.markPolled();
 
     try {
-        const response = await Ajax.call([{
-            methodname: 'local_reactions_get_discussion_reactions',
-            args: {
-                component: config.component,
-                itemtype: config.itemtype,
-                discussionids: discussionIds,
-                contextid: config.contextid,
-            },
-        }])[0];
+        await applyFreshDiscussions(await fetchPollData(discussionIds));
+        watchList.notifyPolled(discussionIds);
+    } catch {
+        // Silently ignore poll errors to avoid disrupting the user.
+    }
+};
 
-        const reactionsMap = {};
-        response.items.forEach((item) => {
-            reactionsMap[item.discussionid] = item;
+/**
+ * Refresh rows that missed polls while they were away from the viewport.
+ *
+ * Fetches them in full rather than by change cursor, which the polls have already moved past.
+ *
+ * @param {number[]} discussionIds The forum discussion IDs.
+ */
+const refreshDiscussions = async(discussionIds) => {
+    try {
+        const response = await Scheduler.call('local_reactions_get_discussion_reactions', {
+            component: config.component,
+            itemtype: config.itemtype,
+            discussionids: discussionIds,
+            contextid: config.contextid,
+            versions: getKnownVersions(discussionIds, currentDataMap, 'discussionid'),
         });
+        await applyFreshDiscussions(response.items);
+    } catch {
+        // Silently ignore, as for polls; the next poll or visit catches up.
+    }
+};
 
-        for (const discussionId of discussionIds) {
-            const freshData = reactionsMap[discussionId] || {discussionid: discussionId, counts: []};
-            const previousData = currentDataMap[discussionId];
+/**
+ * Apply discussion totals shared by another tab, or refresh early when another tab reports a toggle.
+ *
+ * @param {Object} message The message from local_reactions/tab_sync.
+ */
+const handleSyncMessage = async(message) => {
+    if (message.component !== config.component || message.itemtype !== config.itemtype) {
+        return;
+    }
 
-            if (previousData) {
-                const diffs = computeDiffs(previousData, freshData);
-                if (diffs.hasChanges) {
-                    await rerenderBarWithAnimation(discussionId, freshData, diffs);
-                }
-            }
+    if (message.type === 'items' && message.reason === 'toggle') {
+        // A post's reactions changed elsewhere; only the server knows the new discussion totals.
+        poller?.pollNow();
+        return;
+    }
 
-            currentDataMap[discussionId] = freshData;
+    if (message.type !== 'discussions') {
+        return;
+    }
+    for (const freshData of message.items) {
+        const previousData = currentDataMap[freshData.discussionid];
+        if (!previousData || pendingToggles[freshData.discussionid]) {
+            continue;
+        }
+        const diffs = computeDiffs(previousData, freshData);
+        currentDataMap[freshData.discussionid] = freshData;
+        if (needsRerender(previousData, freshData, diffs)) {
+            await rerenderBarWithAnimation(freshData.discussionid, freshData, diffs);
         }
-
-        await updateCacheBatch(
-            discussionIds,
-            (id) => Cache.discussionKey(config.component, config.itemtype, id),
-            currentDataMap,
-        );
-    } catch {
-        // Silently ignore poll errors to avoid disrupting the user.
     }
 };
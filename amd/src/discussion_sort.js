@@ -0,0 +1,247 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Sorting and filtering the forum discussion list by reactions.
+ *
+ * The forum paginates its discussion list on the server, so the rows on the page are only part of the
+ * forum. While a sort or filter is chosen, the server ranks every discussion the user can see and the
+ * forum's own table and paging bar are swapped for pages of that ranking. Choosing "Forum order" and
+ * "All discussions" brings the forum's list back. The choice lasts for the browser tab's session.
+ *
+ * The ranked bars are a snapshot and are not polled; choosing again fetches them afresh.
+ *
+ * @module     local_reactions/discussion_sort
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Templates from 'core/templates';
+import Notification from 'core/notification';
+import {getString} from 'core/str';
+import * as EmojiCatalogue from 'local_reactions/emoji_catalogue';
+import {renderToElement, buildTemplateContext} from 'local_reactions/utils';
+
+/** @var {string} sessionStorage key prefix for the chosen sort and filter, followed by the course module ID. */
+const STORAGE_PREFIX = 'local_reactions_discussionsort';
+
+/** @var {Object} Module-level config set during init. */
+let config = {};
+
+/** @var {Object} The chosen sort ('default', 'reactions', 'emoji' or 'recent'), emoji and filter. */
+let state = {sort: 'default', emoji: '', filter: 'all'};
+
+/** @var {HTMLElement|null} The controls container, holding the ranking region. */
+let controls = null;
+
+/** @var {number} Incremented on every fetch, so a slow response to an earlier choice is ignored. */
+let requestId = 0;
+
+/**
+ * Initialise the controls above the forum discussion list.
+ *
+ * @param {Object} cfg Configuration from PHP.
+ */
+export const init = async(cfg) => {
+    config = cfg;
+    const table = document.querySelector('[data-region="discussion-list-item"]')?.closest('table');
+    if (!table) {
+        return;
+    }
+
+    const emojis = Object.keys(config.emojis).map((shortcode) => ({shortcode, label: config.emojis[shortcode]}));
+    Object.entries(config.stickers || {}).forEach(([shortcode, sticker]) => {
+        emojis.push({shortcode, label: sticker.alt});
+    });
+
+    try {
+        const {element, js} = await renderToElement('local_reactions/discussion_sort_controls', {emojis});
+        controls = element;
+        table.before(controls);
+        Templates.runTemplateJS(js);
+    } catch (err) {
+        Notification.exception(err);
+        return;
+    }
+
+    const sortSelect = controls.querySelector('[data-region="discussion-sort"]');
+    const filterSelect = controls.querySelector('[data-region="discussion-filter"]');
+    state = {...state, ...readState()};
+    const sortValue = state.sort === 'emoji' ? `emoji:${state.emoji}` : state.sort;
+    if (sortSelect.querySelector(`option[value="${CSS.escape(sortValue)}"]`)) {
+        sortSelect.value = sortValue;
+    } else {
+        state = {...state, sort: 'default', emoji: ''};
+    }
+    filterSelect.value = state.filter;
+
+    const handleChange = () => {
+        const [sort, emoji = ''] = sortSelect.value.split(':');
+        state = {sort, emoji, filter: filterSelect.value};
+        writeState();
+        apply(0);
+    };
+    sortSelect.addEventListener('change', handleChange);
+    filterSelect.addEventListener('change', handleChange);
+
+    controls.querySelector('[data-region="discussion-ranking"]').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="ranking-page"]');
+        if (button) {
+            e.preventDefault();
+            apply(parseInt(button.getAttribute('data-page')));
+        }
+    });
+
+    if (isRanked()) {
+        apply(0);
+    }
+};
+
+/**
+ * Whether the current choice differs from the forum's own list.
+ *
+ * @returns {boolean}
+ */
+const isRanked = () => state.sort !== 'default' || state.filter !== 'all';
+
+/**
+ * Read the choice saved for this forum earlier in the session.
+ *
+ * @returns {Object} The saved state, or an empty object.
+ */
+const readState = () => {
+    try {
+        return JSON.parse(window.sessionStorage.getItem(`${STORAGE_PREFIX}:${config.cmid}`)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+/**
+ * Save the current choice for this forum, or forget it when it is the forum's own list.
+ */
+const writeState = () => {
+    try {
+        const key = `${STORAGE_PREFIX}:${config.cmid}`;
+        if (isRanked()) {
+            window.sessionStorage.setItem(key, JSON.stringify(state));
+        } else {
+            window.sessionStorage.removeItem(key);
+        }
+    } catch (e) {
+        // Storage may be unavailable (e.g. disabled); the choice then only lasts for this page.
+    }
+};
+
+/**
+ * The forum's own discussion table and paging bars, hidden while the ranking is shown.
+ *
+ * @returns {HTMLElement[]}
+ */
+const getForumListElements = () => {
+    const table = document.querySelector('[data-region="discussion-list-item"]')?.closest('table');
+    const pagers = [...document.querySelectorAll('[role="main"] .pagination')].map((el) => el.closest('nav') || el);
+    return [table, ...pagers].filter(Boolean);
+};
+
+/**
+ * Show the forum's own list, or a page of the ranking for the current choice.
+ *
+ * @param {number} page Zero-based page number of the ranking.
+ */
+const apply = async(page) => {
+    const region = controls.querySelector('[data-region="discussion-ranking"]');
+    const status = controls.querySelector('[data-region="discussion-ranking-status"]');
+    const thisRequest = ++requestId;
+
+    if (!isRanked()) {
+        region.hidden = true;
+        region.replaceChildren();
+        getForumListElements().forEach((el) => {
+            el.hidden = false;
+        });
+        status.textContent = '';
+        return;
+    }
+
+    try {
+        const response = await Ajax.call([{
+            methodname: 'local_reactions_get_discussion_ranking',
+            args: {
+                cmid: config.cmid,
+                sort: state.sort,
+                emoji: state.emoji,
+                filter: state.filter,
+                page: page,
+                perpage: config.perpage || 25,
+            },
+        }])[0];
+        if (thisRequest !== requestId) {
+            return;
+        }
+
+        const pages = Math.ceil(response.total / response.perpage);
+        const {element, js} = await renderToElement('local_reactions/discussion_ranking', {
+            discussions: response.discussions,
+            hasdiscussions: response.discussions.length > 0,
+            haspages: pages > 1,
+            pagenumber: response.page + 1,
+            pages: pages,
+            hasprevious: response.page > 0,
+            previouspage: response.page - 1,
+            hasnext: response.page + 1 < pages,
+            nextpage: response.page + 1,
+        });
+        await renderBars(element, response.discussions);
+        if (thisRequest !== requestId) {
+            return;
+        }
+
+        region.replaceChildren(element);
+        Templates.runTemplateJS(js);
+        region.hidden = false;
+        getForumListElements().forEach((el) => {
+            el.hidden = true;
+        });
+        status.textContent = await getString('discussionranking_count', 'local_reactions', response.total);
+    } catch (err) {
+        Notification.exception(err);
+    }
+};
+
+/**
+ * Render the read-only reactions bar of each ranked discussion.
+ *
+ * @param {HTMLElement} ranking The rendered ranking.
+ * @param {Object[]} discussions The ranked discussions from the web service.
+ */
+const renderBars = async(ranking, discussions) => {
+    for (const discussion of discussions) {
+        const target = ranking.querySelector(
+            `[data-region="ranked-discussion"][data-discussionid="${discussion.discussionid}"] [data-region="ranked-bar"]`
+        );
+        const context = buildTemplateContext(discussion, config.emojis, {
+            compactview: config.compactview,
+            extraemojis: await EmojiCatalogue.getExtraEmojis(config, discussion),
+            stickers: config.stickers,
+            emojinames: config.emojinames,
+        });
+        const {element, js} = await renderToElement('local_reactions/discussion_list_reactions', context);
+        element.setAttribute('data-source', 'live');
+        target.replaceWith(element);
+        Templates.runTemplateJS(js);
+    }
+};
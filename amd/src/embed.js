@@ -0,0 +1,231 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Mount reactions bars on placeholders output by any template, without a content provider for the page:
+ *
+ *     <div data-local-reactions data-component="mod_forum" data-itemtype="post" data-itemid="42"></div>
+ *
+ * Placeholders are found on page load and whenever they are added to the page later. Each batch found is
+ * sent to the server, which checks every item with the provider registered for its component and item
+ * type, and returns the settings of those the user can see. Those placeholders get a full reactions bar
+ * from local_reactions/reactions; the others are left empty. `data-local-reactions-state` on a placeholder
+ * says how far it got: `checking`, `mounted` or `unavailable`.
+ *
+ * Items are mounted with one local_reactions/reactions controller per component, item type, context and
+ * settings, next to any reactions a provider shows on the page.
+ *
+ * @module     local_reactions/embed
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Notification from 'core/notification';
+import * as Reactions from 'local_reactions/reactions';
+
+/** @var {string} Selector for reactions placeholders. */
+const PLACEHOLDER_SELECTOR = '[data-local-reactions]';
+
+/** @var {string} Attribute recording how far a placeholder got. */
+const STATE_ATTR = 'data-local-reactions-state';
+
+/** @var {string} Attribute naming the settings a mounted placeholder's item was started with. */
+const INSTANCE_ATTR = 'data-local-reactions-instance';
+
+/** @var {number} Most items checked in one request, as accepted by local_reactions_get_embed_config. */
+const MAX_ITEMS = 200;
+
+/** @var {Object} Site-wide config set during init. */
+let config = {};
+
+/** @var {Set<string>} Keys of the settings local_reactions/reactions has been started with. */
+const started = new Set();
+
+/**
+ * Initialise the placeholder scan.
+ *
+ * @param {Object} cfg Site-wide configuration from PHP: pollinterval, livetransport and extendedpicker.
+ */
+export const init = (cfg) => {
+    config = cfg;
+    scan();
+
+    const isPlaceholder = (node) => node.nodeType === Node.ELEMENT_NODE
+        && (node.matches(PLACEHOLDER_SELECTOR) || node.querySelector(PLACEHOLDER_SELECTOR));
+    const observer = new MutationObserver((mutations) => {
+        if (mutations.some((mutation) => [...mutation.addedNodes].some(isPlaceholder))) {
+            scan();
+        }
+    });
+    observer.observe(document.body, {childList: true, subtree: true});
+};
+
+/**
+ * Check the placeholders not seen before with the server.
+ */
+const scan = () => {
+    const placeholders = [];
+    const items = new Map();
+    document.querySelectorAll(`${PLACEHOLDER_SELECTOR}:not([${STATE_ATTR}])`).forEach((placeholder) => {
+        const item = getItem(placeholder);
+        if (!item) {
+            placeholder.setAttribute(STATE_ATTR, 'unavailable');
+            return;
+        }
+        placeholder.setAttribute(STATE_ATTR, 'checking');
+        placeholders.push(placeholder);
+        items.set(itemKey(item.component, item.itemtype, item.itemid), item);
+    });
+
+    const list = [...items.values()];
+    for (let i = 0; i < list.length; i += MAX_ITEMS) {
+        const batch = list.slice(i, i + MAX_ITEMS);
+        const batchKeys = new Set(batch.map((item) => itemKey(item.component, item.itemtype, item.itemid)));
+        checkItems(batch, placeholders.filter((placeholder) => batchKeys.has(placeholderKey(placeholder))));
+    }
+};
+
+/**
+ * Read the item a placeholder is for.
+ *
+ * @param {HTMLElement} placeholder
+ * @returns {Object|null} The component, itemtype and itemid, or null if the placeholder doesn't name an item.
+ */
+const getItem = (placeholder) => {
+    const component = placeholder.getAttribute('data-component');
+    const itemtype = placeholder.getAttribute('data-itemtype');
+    const itemid = parseInt(placeholder.getAttribute('data-itemid'));
+    if (!component || !itemtype || !itemid) {
+        return null;
+    }
+    return {component, itemtype, itemid};
+};
+
+/**
+ * Build the key identifying an item.
+ *
+ * @param {string} component
+ * @param {string} itemtype
+ * @param {number} itemid
+ * @returns {string}
+ */
+const itemKey = (component, itemtype, itemid) => `${component}:${itemtype}:${itemid}`;
+
+/**
+ * Build the key identifying a placeholder's item.
+ *
+ * @param {HTMLElement} placeholder
+ * @returns {string}
+ */
+const placeholderKey = (placeholder) => {
+    const {component, itemtype, itemid} = getItem(placeholder);
+    return itemKey(component, itemtype, itemid);
+};
+
+/**
+ * Check a batch of items with the server and mount the placeholders of those the user can see.
+ *
+ * @param {Object[]} items The items, each with component, itemtype and itemid.
+ * @param {HTMLElement[]} placeholders The placeholders for these items.
+ */
+const checkItems = async(items, placeholders) => {
+    let instances;
+    try {
+        const response = await Ajax.call([{
+            methodname: 'local_reactions_get_embed_config',
+            args: {items},
+        }])[0];
+        instances = response.instances;
+    } catch (err) {
+        // Let the next scan try these placeholders again.
+        placeholders.forEach((placeholder) => placeholder.removeAttribute(STATE_ATTR));
+        Notification.exception(err);
+        return;
+    }
+
+    const accepted = new Map();
+    instances.forEach((instance) => instance.itemids.forEach((itemid) => {
+        accepted.set(itemKey(instance.component, instance.itemtype, itemid), instance);
+    }));
+
+    let mounted = false;
+    placeholders.forEach((placeholder) => {
+        const instance = accepted.get(placeholderKey(placeholder));
+        if (!instance) {
+            placeholder.setAttribute(STATE_ATTR, 'unavailable');
+            return;
+        }
+        start(instance);
+        placeholder.setAttribute(INSTANCE_ATTR, instanceKey(instance));
+        placeholder.setAttribute(STATE_ATTR, 'mounted');
+        mounted = true;
+    });
+    if (mounted) {
+        Reactions.scan();
+    }
+};
+
+/**
+ * Build the key identifying the settings items were accepted with.
+ *
+ * @param {Object} instance An instance from local_reactions_get_embed_config.
+ * @returns {string}
+ */
+const instanceKey = (instance) => [
+    instance.component,
+    instance.itemtype,
+    instance.contextid,
+    Number(instance.canreact),
+    Number(instance.allowmultiple),
+    Number(instance.canviewreactors),
+].join(':');
+
+/**
+ * Make sure local_reactions/reactions is running with an instance's settings.
+ *
+ * @param {Object} instance An instance from local_reactions_get_embed_config.
+ */
+const start = (instance) => {
+    const key = instanceKey(instance);
+    if (started.has(key)) {
+        return;
+    }
+    started.add(key);
+    Reactions.init({
+        ...config,
+        // Placeholders have no space reserved by a provider's CSS to release.
+        embedded: true,
+        contextid: instance.contextid,
+        component: instance.component,
+        itemtype: instance.itemtype,
+        canreact: instance.canreact,
+        allowmultiple: instance.allowmultiple,
+        canviewreactors: instance.canviewreactors,
+        compactview: false,
+        // Each activity or course can have an emoji set of its own.
+        emojis: Object.fromEntries(instance.emojis.filter((e) => !e.retired).map((e) => [e.shortcode, e.unicode])),
+        retiredemojis: Object.fromEntries(instance.emojis.filter((e) => e.retired).map((e) => [e.shortcode, e.unicode])),
+        emojinames: Object.fromEntries(instance.emojis.map((e) => [e.shortcode, e.name])),
+        stickers: Object.fromEntries(instance.stickers.map(({shortcode, url, alt}) => [shortcode, {url, alt}])),
+        selectors: {
+            item: `[${INSTANCE_ATTR}="${key}"]`,
+            itemIdAttr: 'data-itemid',
+            appendToItem: true,
+            // Mounted placeholders moved around by the page get their bar back.
+            mutationRoot: 'body',
+        },
+    });
+};
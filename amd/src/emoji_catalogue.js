@@ -0,0 +1,136 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * The bundled emoji catalogue behind the extended picker, fetched once per page on first use.
+ *
+ * Besides feeding the "More emoji" panel, the catalogue supplies the unicode for reactions made with
+ * catalogue emoji, which the page config (holding only the admin emoji set) does not know.
+ *
+ * @module     local_reactions/emoji_catalogue
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+
+/** @var {number} Most recently used emoji remembered, matching emoji_catalogue::RECENT_LIMIT. */
+const RECENT_LIMIT = 16;
+
+/** @var {Promise<Object>|null} The catalogue request, shared by every caller on the page. */
+let cataloguePromise = null;
+
+/** @var {Map<string, string>} Localised names of the catalogue emoji, once the catalogue has loaded. */
+const names = new Map();
+
+/**
+ * Load the catalogue.
+ *
+ * A failed request is forgotten so the next caller tries again.
+ *
+ * @returns {Promise<Object>} {categories, recent, lookup} where lookup maps shortcode to emoji
+ *     ({shortcode, unicode, name, keywords}).
+ */
+export const load = () => {
+    if (!cataloguePromise) {
+        cataloguePromise = Ajax.call([{
+            methodname: 'local_reactions_get_emoji_catalogue',
+            args: {},
+        }])[0].then((response) => {
+            const lookup = new Map();
+            response.categories.forEach((category) => {
+                category.emoji.forEach((emoji) => {
+                    lookup.set(emoji.shortcode, emoji);
+                    names.set(emoji.shortcode, emoji.name);
+                });
+            });
+            return {categories: response.categories, recent: response.recent, lookup: lookup};
+        }).catch((err) => {
+            cataloguePromise = null;
+            throw err;
+        });
+    }
+    return cataloguePromise;
+};
+
+/**
+ * Find the unicode for counted emoji in reaction data that are not in the emoji set.
+ *
+ * Emoji left out of an activity's or course's set (its retired emoji) come from the config. The catalogue
+ * is only loaded when other such emoji are present, so pages using just the emoji set never fetch it.
+ * Emoji the catalogue does not know (e.g. from a category since disallowed) are left out.
+ *
+ * @param {Object} cfg Module config with emojis, retiredemojis and extendedpicker.
+ * @param {Object} data Reaction data with a counts array.
+ * @returns {Promise<Object>} Map of shortcode to unicode.
+ */
+export const getExtraEmojis = async(cfg, data) => {
+    const retired = cfg.retiredemojis || {};
+    const extra = {};
+    const missing = [];
+    (data?.counts || [])
+        .filter((c) => c.count > 0 && !(c.emoji in cfg.emojis) && !(c.emoji in (cfg.stickers || {})))
+        .forEach(({emoji}) => {
+            if (emoji in retired) {
+                extra[emoji] = retired[emoji];
+            } else {
+                missing.push(emoji);
+            }
+        });
+    if (!cfg.extendedpicker || !missing.length) {
+        return extra;
+    }
+
+    let lookup;
+    try {
+        ({lookup} = await load());
+    } catch {
+        return extra;
+    }
+    missing.forEach((shortcode) => {
+        if (lookup.has(shortcode)) {
+            extra[shortcode] = lookup.get(shortcode).unicode;
+        }
+    });
+    return extra;
+};
+
+/**
+ * Get the localised name of a catalogue emoji.
+ *
+ * Only known once the catalogue has been loaded, which getExtraEmojis() does for any catalogue emoji
+ * shown on the page.
+ *
+ * @param {string} shortcode The emoji shortcode.
+ * @returns {string|null}
+ */
+export const getName = (shortcode) => names.get(shortcode) || null;
+
+/**
+ * Move an emoji to the front of the recently used list, as the server does when a reaction is added.
+ *
+ * Does nothing until the catalogue has been loaded; it will come with the server's list then.
+ *
+ * @param {string} shortcode The emoji shortcode the user just reacted with.
+ */
+export const noteRecent = (shortcode) => {
+    if (!cataloguePromise) {
+        return;
+    }
+    cataloguePromise.then((catalogue) => {
+        catalogue.recent = [shortcode, ...catalogue.recent.filter((s) => s !== shortcode)].slice(0, RECENT_LIMIT);
+        return catalogue;
+    }).catch(() => undefined);
+};
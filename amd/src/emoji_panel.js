@@ -0,0 +1,373 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * The extended picker's "More emoji" panel: keyword search, recently used emoji and the bundled
+ * catalogue grouped by category.
+ *
+ * One panel is shared by every reactions bar on the page and lives at the end of the body, so bar
+ * re-renders never take it away. The catalogue runs to hundreds of emoji, so each category's buttons
+ * are only created when the category scrolls into view.
+ *
+ * @module     local_reactions/emoji_panel
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Templates from 'core/templates';
+import * as EmojiCatalogue from 'local_reactions/emoji_catalogue';
+import * as Positioning from 'local_reactions/positioning';
+import {renderToElement} from 'local_reactions/utils';
+
+/** @var {number} Most search results shown at once. */
+const MAX_RESULTS = 64;
+
+/** @var {number} Emoji per grid row; must match the grid-template-columns in styles.css. */
+const COLUMNS = 8;
+
+/** @var {Promise<HTMLElement>|null} The panel element, rendered on first open. */
+let panelPromise = null;
+
+/** @var {HTMLElement|null} The panel element once rendered. */
+let panel = null;
+
+/** @var {Object|null} The catalogue from local_reactions/emoji_catalogue once loaded. */
+let catalogue = null;
+
+/** @var {Object} Options of the current open() call: anchor, emojis, selected, onSelect, onDismiss. */
+let current = {};
+
+/** @var {Object|null} Keeps the open panel next to its anchor while the page scrolls or resizes. */
+let panelPosition = null;
+
+/**
+ * Create an emoji button.
+ *
+ * Built directly rather than from a template, as a category can hold dozens of them.
+ *
+ * @param {Object} emoji {shortcode, unicode, name}.
+ * @returns {HTMLElement}
+ */
+const createButton = (emoji) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'local-reactions-picker-btn';
+    button.setAttribute('data-action', 'select-emoji');
+    button.setAttribute('data-emoji', emoji.shortcode);
+    button.setAttribute('aria-label', emoji.name || emoji.unicode);
+    button.setAttribute('title', emoji.name || emoji.unicode);
+    button.setAttribute('tabindex', '-1');
+    const glyph = document.createElement('span');
+    glyph.setAttribute('aria-hidden', 'true');
+    glyph.textContent = emoji.unicode;
+    button.appendChild(glyph);
+    markSelected(button);
+    return button;
+};
+
+/**
+ * Show whether the current user has reacted to the open item with a button's emoji.
+ *
+ * @param {HTMLElement} button An emoji button.
+ */
+const markSelected = (button) => {
+    const selected = (current.selected || []).includes(button.getAttribute('data-emoji'));
+    button.classList.toggle('local-reactions-selected', selected);
+    button.setAttribute('aria-pressed', selected ? 'true' : 'false');
+};
+
+/**
+ * Replace the buttons in a grid.
+ *
+ * @param {HTMLElement} grid The grid element.
+ * @param {Object[]} emojis Emoji to show.
+ */
+const fillGrid = (grid, emojis) => {
+    const fragment = document.createDocumentFragment();
+    emojis.forEach((emoji) => fragment.appendChild(createButton(emoji)));
+    grid.replaceChildren(fragment);
+};
+
+/**
+ * Add the buttons to a category section if it has none yet.
+ *
+ * @param {HTMLElement} section The category section.
+ */
+const fillSection = (section) => {
+    if (section.hasAttribute('data-filled')) {
+        return;
+    }
+    section.setAttribute('data-filled', '');
+    const category = catalogue.categories.find((c) => c.category === section.getAttribute('data-category'));
+    fillGrid(section.querySelector('[data-region="emoji-grid"]'), category ? category.emoji : []);
+};
+
+/**
+ * Look up an emoji for display, falling back to the admin emoji set for shortcodes outside the catalogue.
+ *
+ * @param {string} shortcode The emoji shortcode.
+ * @returns {Object|null} {shortcode, unicode, name}, or null if unknown.
+ */
+const findEmoji = (shortcode) => {
+    if (catalogue.lookup.has(shortcode)) {
+        return catalogue.lookup.get(shortcode);
+    }
+    const unicode = (current.emojis || {})[shortcode];
+    return unicode ? {shortcode: shortcode, unicode: unicode, name: ''} : null;
+};
+
+/**
+ * Show the recently used emoji, or hide the section if there are none.
+ */
+const renderRecent = () => {
+    const section = panel.querySelector('[data-region="emoji-recent"]');
+    const emojis = catalogue.recent.map(findEmoji).filter((emoji) => emoji);
+    section.hidden = !emojis.length;
+    fillGrid(section.querySelector('[data-region="emoji-grid"]'), emojis);
+};
+
+/**
+ * Show the emoji matching a search, or the categories again when the search is empty.
+ *
+ * Every space-separated term must match the start of a word in the emoji's shortcode, name or keywords.
+ *
+ * @param {string} query The search text.
+ */
+const search = (query) => {
+    const terms = query.trim().toLowerCase().split(/\s+/).filter((t) => t);
+    const results = panel.querySelector('[data-region="emoji-results"]');
+    panel.querySelectorAll('[data-region="emoji-recent"], [data-region="emoji-section"]').forEach((section) => {
+        section.classList.toggle('d-none', terms.length > 0);
+    });
+    results.hidden = !terms.length;
+    if (!terms.length) {
+        return;
+    }
+
+    const matches = [];
+    for (const emoji of catalogue.lookup.values()) {
+        const words = `${emoji.shortcode.replace(/_/g, ' ')} ${emoji.name} ${emoji.keywords}`.toLowerCase().split(/\s+/);
+        if (terms.every((term) => words.some((word) => word.startsWith(term)))) {
+            matches.push(emoji);
+            if (matches.length >= MAX_RESULTS) {
+                break;
+            }
+        }
+    }
+    fillGrid(results.querySelector('[data-region="emoji-grid"]'), matches);
+    results.querySelector('[data-region="emoji-noresults"]').hidden = matches.length > 0;
+    panel.querySelector('[data-region="emoji-panel-body"]').scrollTop = 0;
+};
+
+/**
+ * The emoji buttons currently on show, in DOM order.
+ *
+ * @returns {HTMLElement[]}
+ */
+const getVisibleButtons = () => Array.from(panel.querySelectorAll('[data-action="select-emoji"]'))
+    .filter((button) => button.offsetParent !== null);
+
+/**
+ * Move focus to an emoji button, keeping a single one in the tab order.
+ *
+ * @param {HTMLElement[]} buttons The visible buttons.
+ * @param {number} index Index of the button to focus; clamped to the list.
+ */
+const focusButton = (buttons, index) => {
+    if (!buttons.length) {
+        return;
+    }
+    const target = buttons[Math.max(0, Math.min(buttons.length - 1, index))];
+    panel.querySelectorAll('[data-action="select-emoji"][tabindex="0"]').forEach((b) => b.setAttribute('tabindex', '-1'));
+    target.setAttribute('tabindex', '0');
+    target.focus();
+    const section = target.closest('[data-region="emoji-section"]');
+    const next = section?.nextElementSibling;
+    if (next) {
+        // Arrowing towards the end of a category should find the next one ready.
+        fillSection(next);
+    }
+};
+
+/**
+ * Handle keyboard interaction inside the panel.
+ *
+ * Arrow keys move around the emoji grid, ArrowDown and Enter in the search box move to and pick the
+ * first result, and Escape dismisses the panel.
+ *
+ * @param {KeyboardEvent} e The keydown event.
+ */
+const handleKeydown = (e) => {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        current.onDismiss?.();
+        return;
+    }
+
+    const buttons = getVisibleButtons();
+    if (e.target.matches('[data-region="emoji-search"]')) {
+        if (e.key === 'ArrowDown') {
+            focusButton(buttons, 0);
+        } else if (e.key === 'Enter' && buttons.length) {
+            buttons[0].click();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        return;
+    }
+
+    const index = buttons.indexOf(e.target);
+    if (index === -1) {
+        return;
+    }
+    const rtl = window.getComputedStyle(panel).direction === 'rtl';
+    switch (e.key) {
+        case 'ArrowRight':
+            focusButton(buttons, index + (rtl ? -1 : 1));
+            break;
+        case 'ArrowLeft':
+            focusButton(buttons, index + (rtl ? 1 : -1));
+            break;
+        case 'ArrowDown':
+            focusButton(buttons, index + COLUMNS);
+            break;
+        case 'ArrowUp':
+            if (index < COLUMNS) {
+                panel.querySelector('[data-region="emoji-search"]').focus();
+            } else {
+                focusButton(buttons, index - COLUMNS);
+            }
+            break;
+        case 'Home':
+            focusButton(buttons, 0);
+            break;
+        case 'End':
+            focusButton(buttons, buttons.length - 1);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+};
+
+/**
+ * Render the panel and wire up its search, navigation and lazy rendering.
+ *
+ * @returns {Promise<HTMLElement>}
+ */
+const createPanel = async() => {
+    catalogue = await EmojiCatalogue.load();
+    const {element, js} = await renderToElement('local_reactions/emoji_panel', {
+        uniqid: Math.random().toString(36).slice(2),
+        categories: catalogue.categories.map((category) => ({
+            category: category.category,
+            name: category.name,
+            icon: category.emoji[0]?.unicode || '',
+        })),
+    });
+    document.body.appendChild(element);
+    Templates.runTemplateJS(js);
+
+    const body = element.querySelector('[data-region="emoji-panel-body"]');
+    const sections = element.querySelectorAll('[data-region="emoji-section"]');
+    if (typeof IntersectionObserver === 'undefined') {
+        sections.forEach(fillSection);
+    } else {
+        const observer = new IntersectionObserver((entries) => {
+            entries.filter((entry) => entry.isIntersecting).forEach((entry) => {
+                fillSection(entry.target);
+                observer.unobserve(entry.target);
+            });
+        }, {root: body, rootMargin: '100px 0px'});
+        sections.forEach((section) => observer.observe(section));
+    }
+
+    element.querySelector('[data-region="emoji-search"]').addEventListener('input', (e) => search(e.target.value));
+    element.addEventListener('keydown', handleKeydown);
+    element.addEventListener('click', (e) => {
+        const jump = e.target.closest('[data-action="jump-to-category"]');
+        if (jump) {
+            const section = element.querySelector(
+                `[data-region="emoji-section"][data-category="${jump.getAttribute('data-category')}"]`
+            );
+            fillSection(section);
+            body.scrollTop = section.offsetTop;
+            return;
+        }
+        const button = e.target.closest('[data-action="select-emoji"]');
+        if (button) {
+            current.onSelect?.(button.getAttribute('data-emoji'));
+        }
+    });
+    return element;
+};
+
+/**
+ * Open the panel for a reactions bar and focus its search box.
+ *
+ * @param {Object} options Options.
+ * @param {HTMLElement} options.anchor The control the panel belongs to.
+ * @param {Object} options.emojis Map of shortcode to unicode for the admin emoji set.
+ * @param {string[]} options.selected Emoji the current user has reacted to the item with.
+ * @param {Function} options.onSelect Called with the shortcode of the emoji picked.
+ * @param {Function} options.onDismiss Called when the user presses Escape.
+ * @param {Function} [options.onAnchorHidden] Called when the anchor scrolls out of view; closes the panel by default.
+ * @returns {Promise<void>}
+ */
+export const open = async(options) => {
+    current = options;
+    if (!panelPromise) {
+        panelPromise = createPanel().catch((err) => {
+            panelPromise = null;
+            throw err;
+        });
+    }
+    panel = await panelPromise;
+    if (current !== options) {
+        // Closed or reopened for another item while the catalogue was loading.
+        return;
+    }
+
+    const searchInput = panel.querySelector('[data-region="emoji-search"]');
+    searchInput.value = '';
+    search('');
+    renderRecent();
+    panel.querySelectorAll('[data-action="select-emoji"]').forEach(markSelected);
+    panel.hidden = false;
+    panelPosition = Positioning.attach(panel, options.anchor, options.onAnchorHidden || close);
+    searchInput.focus();
+};
+
+/**
+ * Hide the panel if it is open.
+ */
+export const close = () => {
+    current = {};
+    panelPosition?.detach();
+    panelPosition = null;
+    if (panel) {
+        panel.hidden = true;
+    }
+};
+
+/**
+ * Whether an element is inside the panel.
+ *
+ * @param {Node} node The element.
+ * @returns {boolean}
+ */
+export const contains = (node) => !!panel && panel.contains(node);
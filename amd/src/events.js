@@ -0,0 +1,125 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Events fired by reactions bars, for themes and other plugins to listen to.
+ *
+ * Every event is a bubbling CustomEvent dispatched on the reactions bar, so it can be listened to on
+ * the document. The detail always has `component`, `itemtype` and `itemid` naming the item, and
+ * `counts` (a list of `{emoji, count}`) and `userreactions` (the current user's emoji shortcodes)
+ * holding what the bar shows. Bars on the forum discussion list show a discussion's totals, so they
+ * use the itemtype `discussion` and the discussion ID.
+ *
+ *   - `local_reactions:rendered`: a bar was rendered or re-rendered. Also has `source`, which is
+ *     `cache` while the bar shows data from the browser cache, and `live` otherwise.
+ *   - `local_reactions:countsChanged`: the counts shown by a bar changed, for whatever reason: a toggle
+ *     (including optimistically, before the server confirms it, and when it is rolled back), a poll, or
+ *     another tab. Also has `previouscounts`.
+ *   - `local_reactions:toggled`: the server confirmed a toggle the current user made on the page. Also has
+ *     `emoji` and `action` (`added` or `removed`). On the discussion list, the item is the opening post
+ *     reacted to, and `discussionid` is set. Toggles queued while offline are not reported when sent later.
+ *   - `local_reactions:pickerOpened`: the user opened a bar's emoji picker.
+ *
+ * @example <caption>Listening for reactions made by the current user.</caption>
+ * import {eventTypes} from 'local_reactions/events';
+ *
+ * document.addEventListener(eventTypes.toggled, (e) => {
+ *     window.console.log(`${e.detail.action} ${e.detail.emoji} on ${e.detail.component} ${e.detail.itemid}`);
+ * });
+ *
+ * @module     local_reactions/events
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {dispatchEvent} from 'core/event_dispatcher';
+
+/** @var {Object} Names of the events fired by reactions bars. */
+export const eventTypes = {
+    rendered: 'local_reactions:rendered',
+    countsChanged: 'local_reactions:countsChanged',
+    toggled: 'local_reactions:toggled',
+    pickerOpened: 'local_reactions:pickerOpened',
+};
+
+/**
+ * Build the part of an event's detail describing an item and its reactions.
+ *
+ * Copies the counts and the user's reactions, so listeners can't change the data bars are rendered from.
+ *
+ * @param {string} component The component, e.g. `mod_forum`.
+ * @param {string} itemtype The item type, e.g. `post`.
+ * @param {number} itemid The item ID.
+ * @param {Object} data Reaction data with counts and userreactions.
+ * @returns {Object}
+ */
+export const itemDetail = (component, itemtype, itemid, data) => ({
+    component,
+    itemtype,
+    itemid,
+    counts: copyCounts(data),
+    userreactions: [...(data?.userreactions || [])],
+});
+
+/**
+ * Copy the counts of some reaction data.
+ *
+ * @param {Object|undefined} data Reaction data.
+ * @returns {Object[]} List of `{emoji, count}`.
+ */
+const copyCounts = (data) => (data?.counts || []).map((c) => ({emoji: c.emoji, count: c.count}));
+
+/**
+ * Fire the event for a bar that was rendered or re-rendered.
+ *
+ * @param {HTMLElement} bar The reactions bar, in the page.
+ * @param {Object} detail From itemDetail().
+ * @param {string} source `cache` or `live`.
+ * @returns {CustomEvent}
+ */
+export const notifyRendered = (bar, detail, source) => dispatchEvent(eventTypes.rendered, {...detail, source}, bar);
+
+/**
+ * Fire the event for a bar whose counts changed.
+ *
+ * @param {HTMLElement} bar The reactions bar, in the page.
+ * @param {Object} detail From itemDetail(), with the new counts.
+ * @param {Object} previous The reaction data shown before.
+ * @returns {CustomEvent}
+ */
+export const notifyCountsChanged = (bar, detail, previous) => dispatchEvent(eventTypes.countsChanged, {
+    ...detail,
+    previouscounts: copyCounts(previous),
+}, bar);
+
+/**
+ * Fire the event for a toggle the server confirmed.
+ *
+ * @param {HTMLElement|Document} bar The reactions bar, or the document if the bar has left the page.
+ * @param {Object} detail From itemDetail(), with the confirmed data.
+ * @param {string} emoji The emoji shortcode toggled.
+ * @param {string} action `added` or `removed`.
+ * @returns {CustomEvent}
+ */
+export const notifyToggled = (bar, detail, emoji, action) => dispatchEvent(eventTypes.toggled, {...detail, emoji, action}, bar);
+
+/**
+ * Fire the event for a bar whose emoji picker was opened.
+ *
+ * @param {HTMLElement} bar The reactions bar, in the page.
+ * @param {Object} detail From itemDetail().
+ * @returns {CustomEvent}
+ */
+export const notifyPickerOpened = (bar, detail) => dispatchEvent(eventTypes.pickerOpened, detail, bar);
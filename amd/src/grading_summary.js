@@ -0,0 +1,142 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Reaction summary card at the top of the whole-forum grading panel, for the student being graded.
+ *
+ * The grading panel swaps in the next student without reloading the page, so the card is refreshed
+ * whenever the grader's user picker moves to another student, including students without any posts.
+ * Including self and teacher reactions is only for the student currently shown; the next student
+ * starts with the forum's setting again.
+ *
+ * @module     local_reactions/grading_summary
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Templates from 'core/templates';
+import Notification from 'core/notification';
+import * as EmojiCatalogue from 'local_reactions/emoji_catalogue';
+import {renderToElement, buildTemplateContext} from 'local_reactions/utils';
+
+/** @var {string} The grader's user picker. */
+const USER_PICKER = '[data-region="user_picker"]';
+
+/** @var {string} The element of the user picker holding the ID of the student shown, who is being graded. */
+const GRADED_USER = `${USER_PICKER} [data-userid]`;
+
+/** @var {number|null} The student the card was last requested for, to skip unchanged panels. */
+let shownUser = null;
+
+/** @var {HTMLElement|null} The user picker being watched for the grader moving to another student. */
+let watchedPicker = null;
+
+/** @var {MutationObserver|null} Watches watchedPicker. */
+let pickerObserver = null;
+
+/** @var {number} Incremented on every request, so a slow response for an earlier student is ignored. */
+let requestId = 0;
+
+/**
+ * Show or refresh the summary card for the student selected in the grader's user picker.
+ *
+ * Safe to call on every change to the panel; nothing is fetched while the same student is shown.
+ *
+ * @param {HTMLElement} container The grading panel's module_content container.
+ * @param {Object} config Discussion list module config (cmid, emojis, stickers, extendedpicker).
+ */
+export const update = (container, config) => {
+    const picker = document.querySelector(USER_PICKER);
+    if (picker && picker !== watchedPicker) {
+        // The picker can change student after the panel's content, so follow it as well.
+        pickerObserver?.disconnect();
+        watchedPicker = picker;
+        pickerObserver = new MutationObserver(() => update(container, config));
+        pickerObserver.observe(picker, {childList: true, subtree: true, attributeFilter: ['data-userid']});
+    }
+
+    const userId = parseInt(document.querySelector(GRADED_USER)?.getAttribute('data-userid'));
+    const card = container.querySelector('[data-region="reactions-grading-summary"]');
+    if (!userId || (userId === shownUser && card)) {
+        return;
+    }
+    shownUser = userId;
+    render(container, config, userId, false);
+};
+
+/**
+ * Fetch the summary and put its card at the top of the grading panel, replacing any earlier one.
+ *
+ * @param {HTMLElement} container The grading panel's module_content container.
+ * @param {Object} config Discussion list module config.
+ * @param {number} userId The student being graded.
+ * @param {boolean} includeall Whether to include self and teacher reactions.
+ */
+const render = async(container, config, userId, includeall) => {
+    const thisRequest = ++requestId;
+    try {
+        const summary = await Ajax.call([{
+            methodname: 'local_reactions_get_grading_summary',
+            args: {cmid: config.cmid, userid: userId, includeall: includeall},
+        }])[0];
+
+        const buttons = buildTemplateContext(summary, config.emojis, {
+            extraemojis: await EmojiCatalogue.getExtraEmojis(config, summary),
+            stickers: config.stickers,
+            emojinames: config.emojinames,
+        }).buttons;
+        // Most received first, as the server sorted them.
+        const order = summary.counts.map((c) => c.emoji);
+        const breakdown = buttons
+            .filter((button) => button.hascount)
+            .sort((a, b) => order.indexOf(a.shortcode) - order.indexOf(b.shortcode));
+
+        const {element, js} = await renderToElement('local_reactions/grading_summary', {
+            received: summary.received,
+            peeronly: summary.peeronly,
+            breakdown: breakdown,
+            hasbreakdown: breakdown.length > 0,
+            given: summary.given,
+            median: Math.round(summary.median * 10) / 10,
+            participants: summary.participants,
+            abovemedian: summary.received > summary.median,
+            atmedian: summary.received === summary.median,
+            belowmedian: summary.received < summary.median,
+            canincludeall: summary.canincludeall,
+            includeall: includeall,
+        });
+        if (thisRequest !== requestId) {
+            return;
+        }
+
+        element.querySelector('[data-action="include-all-reactions"]')?.addEventListener('change', (e) => {
+            render(container, config, userId, e.target.checked);
+        });
+        const previous = container.querySelector('[data-region="reactions-grading-summary"]');
+        if (previous) {
+            const hadFocus = previous.contains(document.activeElement);
+            previous.replaceWith(element);
+            if (hadFocus) {
+                element.querySelector('[data-action="include-all-reactions"]')?.focus();
+            }
+        } else {
+            container.prepend(element);
+        }
+        Templates.runTemplateJS(js);
+    } catch (err) {
+        Notification.exception(err);
+    }
+};
@@ -0,0 +1,191 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live updates for emoji reactions over a push transport, falling back to interval polling.
+ *
+ * The push transports (long-poll web service or Server-Sent Events from stream.php) only announce
+ * that something changed; the page's poll function then fetches and animates the changes as it would
+ * on a poll tick. As with polling, only the tab elected for the page listens.
+ *
+ * @module     local_reactions/live_updates
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Config from 'core/config';
+import * as TabSync from 'local_reactions/tab_sync';
+import {createPoller} from 'local_reactions/utils';
+
+/** @var {number} Consecutive push failures after which we fall back to polling. */
+const MAX_FAILURES = 3;
+
+/** @var {number} Delay in ms before retrying a failed long-poll request. */
+const RETRY_DELAY = 5000;
+
+/** @var {number} How often in ms an idle tab checks whether it should start listening. */
+const IDLE_CHECK_INTERVAL = 5000;
+
+/**
+ * Resolve after a delay.
+ *
+ * @param {number} ms Delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start live updates for a page.
+ *
+ * @param {Object} options Options.
+ * @param {string} options.transport 'poll', 'longpoll' or 'sse', from the livetransport setting.
+ * @param {number} options.pollinterval Polling interval in seconds, used by 'poll' and the fallback.
+ * @param {Function} options.pollFn Async function that fetches and renders changes.
+ * @param {string} options.leaderScope Scope for electing the single tab that polls or listens.
+ * @param {Function} options.getWatch Returns what to watch:
+ *     {component, itemtype, contextid, itemids, discussions}.
+ * @param {number|null} options.cursor Change cursor returned with the reactions on the page, so changes made
+ *     before the first wait are not missed; null if there is none, which reports any change still in the log.
+ * @returns {Object|undefined} {pollNow} to fetch changes immediately, or undefined if there are no live updates.
+ */
+export const start = (options) => {
+    const {transport, pollinterval, pollFn, leaderScope, getWatch} = options;
+    if (transport !== 'longpoll' && transport !== 'sse') {
+        return createPoller(pollinterval, pollFn, leaderScope);
+    }
+
+    const election = TabSync.createElection(leaderScope);
+    let fallback = null;
+    let failures = 0;
+    let cursor = options.cursor || 0;
+
+    const canListen = () => !fallback && !document.hidden && election.isLeader();
+
+    const fallBack = () => {
+        if (!fallback) {
+            fallback = createPoller(pollinterval, pollFn, leaderScope) || {pollNow: () => undefined};
+        }
+    };
+
+    /**
+     * Hold long-poll requests open one after another while this tab is the listener.
+     */
+    const listenLongPoll = async() => {
+        while (!fallback) {
+            const watch = getWatch();
+            if (!canListen() || !watch.itemids.length) {
+                await delay(IDLE_CHECK_INTERVAL);
+                continue;
+            }
+            try {
+                const result = await Ajax.call([{
+                    methodname: 'local_reactions_wait_for_changes',
+                    args: {...watch, cursor: cursor},
+                }])[0];
+                failures = 0;
+                cursor = result.cursor;
+                if (result.changed) {
+                    await pollFn();
+                }
+            } catch {
+                if (++failures >= MAX_FAILURES) {
+                    fallBack();
+                    return;
+                }
+                await delay(RETRY_DELAY);
+            }
+        }
+    };
+
+    /**
+     * Keep a Server-Sent Events stream open while this tab is the listener.
+     */
+    const listenSse = () => {
+        let source = null;
+
+        const close = () => {
+            source?.close();
+            source = null;
+        };
+
+        const open = () => {
+            const watch = getWatch();
+            if (source || !canListen() || !watch.itemids.length) {
+                return;
+            }
+            const params = new URLSearchParams({
+                component: watch.component,
+                itemtype: watch.itemtype,
+                contextid: watch.contextid,
+                itemids: watch.itemids.join(','),
+                discussions: watch.discussions ? 1 : 0,
+                cursor: cursor,
+                sesskey: Config.sesskey,
+            });
+            source = new EventSource(`${Config.wwwroot}/local/reactions/stream.php?${params}`);
+            source.addEventListener('open', () => {
+                failures = 0;
+            });
+            source.addEventListener('changes', (e) => {
+                cursor = parseInt(e.lastEventId) || cursor;
+                pollFn();
+            });
+            source.addEventListener('end', (e) => {
+                // Reconnect ourselves rather than letting the browser reuse the old URL, so items added
+                // to the page since are watched too.
+                cursor = parseInt(e.lastEventId) || cursor;
+                close();
+                open();
+            });
+            source.addEventListener('error', () => {
+                // The browser reconnects by itself after a dropped stream, but gives up on HTTP errors.
+                if (source?.readyState === EventSource.CLOSED || ++failures >= MAX_FAILURES) {
+                    close();
+                    fallBack();
+                }
+            });
+        };
+
+        const check = () => {
+            if (canListen()) {
+                open();
+            } else {
+                close();
+            }
+        };
+        document.addEventListener('visibilitychange', check);
+        setInterval(check, IDLE_CHECK_INTERVAL);
+        open();
+    };
+
+    if (transport === 'longpoll') {
+        listenLongPoll();
+    } else if (typeof EventSource === 'undefined') {
+        fallBack();
+    } else {
+        listenSse();
+    }
+
+    return {
+        pollNow: () => {
+            if (fallback) {
+                fallback.pollNow();
+            } else if (election.isLeader()) {
+                pollFn();
+            }
+        },
+    };
+};
@@ -0,0 +1,180 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Offline queue for reaction toggles.
+ *
+ * Toggles made while the browser is offline, or whose request failed with a network error, are
+ * stored in the local_reactions_cache IndexedDB database together with the state the user wanted
+ * (reaction added or removed). On replay the server's current state is fetched first, so a toggle
+ * whose intent already holds (e.g. the user reacted from another device meanwhile) is dropped
+ * instead of being sent and undoing it.
+ *
+ * @module     local_reactions/offline_queue
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import * as Cache from 'local_reactions/cache';
+
+/**
+ * Whether a failed Ajax call failed because the server could not be reached.
+ *
+ * Errors raised by the web service carry an errorcode; transport failures do not.
+ *
+ * @param {*} err The rejection value from Ajax.call().
+ * @returns {boolean}
+ */
+export const isNetworkError = (err) => !navigator.onLine || !err?.errorcode;
+
+/**
+ * Store a toggle for later replay.
+ *
+ * @param {Object} entry Toggle details: component, itemtype, contextid, itemid, emoji and add.
+ * @returns {Promise<number|null>} The queue ID, or null if it could not be stored.
+ */
+export const enqueue = (entry) => Cache.queueToggle(entry);
+
+/**
+ * Get the queued toggles for one component/itemtype, oldest first.
+ *
+ * @param {string} component
+ * @param {string} itemtype
+ * @returns {Promise<Object[]>}
+ */
+export const getQueued = async(component, itemtype) => {
+    const entries = await Cache.getQueuedToggles();
+    return entries.filter((entry) => entry.component === component && entry.itemtype === itemtype);
+};
+
+/**
+ * Build the key used to group replay results by item.
+ *
+ * @param {Object} entry A queue entry.
+ * @returns {string}
+ */
+export const entryKey = (entry) => Cache.itemKey(entry.component, entry.itemtype, entry.itemid);
+
+/**
+ * Fetch the server's current state for the items in a set of queue entries.
+ *
+ * @param {Object[]} entries Queue entries.
+ * @param {Map<string, Object>} state Map of entryKey() to reaction data, filled in place.
+ * @param {Map<string, *>} failures Map of entryKey() to the error for items that could not be fetched.
+ * @returns {Promise<void>} Rejects only on a network error.
+ */
+const fetchState = async(entries, state, failures) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const group = `${entry.component}:${entry.itemtype}:${entry.contextid}`;
+        if (!groups.has(group)) {
+            groups.set(group, {entry, itemids: new Set()});
+        }
+        groups.get(group).itemids.add(entry.itemid);
+    });
+
+    for (const {entry, itemids} of groups.values()) {
+        const keyFor = (itemid) => entryKey({...entry, itemid});
+        try {
+            const response = await Ajax.call([{
+                methodname: 'local_reactions_get_reactions',
+                args: {
+                    component: entry.component,
+                    itemtype: entry.itemtype,
+                    itemids: [...itemids],
+                    contextid: entry.contextid,
+                },
+            }])[0];
+            itemids.forEach((itemid) => state.set(keyFor(itemid), {itemid, userreactions: [], counts: []}));
+            response.items.forEach((item) => state.set(keyFor(item.itemid), item));
+        } catch (err) {
+            if (isNetworkError(err)) {
+                throw err;
+            }
+            itemids.forEach((itemid) => failures.set(keyFor(itemid), err));
+        }
+    }
+};
+
+/**
+ * Replay every queued toggle against the server, in the order they were made.
+ *
+ * On a network error the unsent toggles are put back in the queue and replay stops.
+ *
+ * @returns {Promise<Object>} Result with:
+ *   - `state`: Map of entryKey() to the server's reaction data after replay.
+ *   - `processed`: queue IDs that left the queue (sent, already satisfied, or rejected).
+ *   - `rejected`: [{entry, error}] for toggles the server refused.
+ */
+export const replay = async() => {
+    const state = new Map();
+    const failures = new Map();
+    const processed = [];
+    const rejected = [];
+
+    const entries = await Cache.claimQueuedToggles();
+    if (!entries.length) {
+        return {state, processed, rejected};
+    }
+
+    try {
+        await fetchState(entries, state, failures);
+    } catch {
+        await Cache.requeueToggles(entries);
+        return {state, processed, rejected};
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const key = entryKey(entry);
+
+        if (failures.has(key)) {
+            processed.push(entry.id);
+            rejected.push({entry, error: failures.get(key)});
+            continue;
+        }
+
+        const current = state.get(key);
+        if (current.userreactions.includes(entry.emoji) === entry.add) {
+            // Already in the state the user wanted; sending the toggle would undo it.
+            processed.push(entry.id);
+            continue;
+        }
+
+        try {
+            const response = await Ajax.call([{
+                methodname: 'local_reactions_toggle_reaction',
+                args: {
+                    component: entry.component,
+                    itemtype: entry.itemtype,
+                    itemid: entry.itemid,
+                    emoji: entry.emoji,
+                },
+            }])[0];
+            state.set(key, {itemid: entry.itemid, userreactions: response.userreactions, counts: response.counts});
+            processed.push(entry.id);
+        } catch (err) {
+            if (isNetworkError(err)) {
+                await Cache.requeueToggles(entries.slice(i));
+                break;
+            }
+            processed.push(entry.id);
+            rejected.push({entry, error: err});
+        }
+    }
+
+    return {state, processed, rejected};
+};
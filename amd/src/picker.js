@@ -0,0 +1,342 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * The emoji picker of a reactions bar: a WAI-ARIA menu opened from the bar's trigger, with the
+ * "More emoji" panel behind it when the extended picker is on.
+ *
+ * Shared by the post reactions bars and the discussion list's "react to the opening post" control.
+ * Only one picker is open at a time on the page. Choosing an emoji is left to the caller, through
+ * the toggle-reaction buttons in the picker and the onSelect callback for the "More emoji" panel.
+ *
+ * With a finger, the picker opens as a bottom sheet with larger buttons instead of next to its trigger,
+ * where it could end up under the thumb or off-screen. Long-pressing the smiley trigger opens the sheet,
+ * and callers can open it from other long-presses with openSheet(). A tap on the trigger can be taken
+ * over by the caller, e.g. to react with the last-used emoji.
+ *
+ * @module     local_reactions/picker
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Notification from 'core/notification';
+import * as EmojiPanel from 'local_reactions/emoji_panel';
+import * as Positioning from 'local_reactions/positioning';
+import * as Touch from 'local_reactions/touch';
+
+/** @var {HTMLElement|null} The control that opened the currently open picker, to return focus to on close. */
+let opener = null;
+
+/** @var {Object|null} Keeps the open picker next to its opener while the page scrolls or resizes. */
+let position = null;
+
+/** @var {Object} Characters typed in quick succession for picker type-ahead, and the timer that resets them. */
+let typeAhead = {buffer: '', timer: null};
+
+/** @var {number} Delay in ms after which picker type-ahead starts a new search. */
+const TYPEAHEAD_TIMEOUT = 500;
+
+/** @var {boolean} Whether the document listener closing pickers on outside clicks is registered. */
+let documentListenerRegistered = false;
+
+/** @var {HTMLElement|null} Backdrop behind the picker while it is open as a bottom sheet. */
+let backdrop = null;
+
+/** @var {HTMLElement|null} The pill whose long-press opened the bottom sheet, for its "See who reacted" button. */
+let sheetPill = null;
+
+/** @var {WeakMap<HTMLElement, Object>} Options each bound bar was bound with. */
+const boundOptions = new WeakMap();
+
+/**
+ * Close all open emoji pickers and the "More emoji" panel.
+ *
+ * @param {boolean} [restoreFocus=false] Whether to move focus back to the control that opened the picker.
+ */
+export const closeAll = (restoreFocus = false) => {
+    EmojiPanel.close();
+    position?.detach();
+    position = null;
+    backdrop?.remove();
+    backdrop = null;
+    sheetPill = null;
+    document.querySelectorAll('[data-region="reactions-picker"]:not([hidden])').forEach((picker) => {
+        picker.hidden = true;
+        picker.classList.remove('local-reactions-picker-sheet');
+    });
+    document.querySelectorAll('[data-action="open-picker"][aria-expanded="true"]').forEach((trigger) => {
+        trigger.setAttribute('aria-expanded', 'false');
+    });
+
+    const previousOpener = opener;
+    opener = null;
+    if (restoreFocus && previousOpener && previousOpener.isConnected) {
+        previousOpener.focus();
+    }
+};
+
+/**
+ * Open the emoji picker of a bar as a WAI-ARIA menu and move focus into it.
+ *
+ * @param {HTMLElement} barElement The reactions bar container.
+ * @param {HTMLElement} trigger The control that opened the picker (smiley trigger or compact pill).
+ * @param {string} [focusTarget='first'] Which menu item to focus: 'first', 'last' or 'selected'.
+ * @param {Object} [sheet] Open as a bottom sheet rather than next to the trigger.
+ * @param {HTMLElement|null} sheet.pill The pill long-pressed to open it, offered "See who reacted".
+ * @returns {boolean} Whether the bar has a picker to open.
+ */
+const open = (barElement, trigger, focusTarget = 'first', sheet = null) => {
+    const picker = barElement.querySelector('[data-region="reactions-picker"]');
+    if (!picker) {
+        return false;
+    }
+    closeAll();
+
+    picker.hidden = false;
+    picker.classList.toggle('local-reactions-picker-sheet', !!sheet);
+    const reactorsButton = picker.querySelector('[data-action="show-reactors"]');
+    if (reactorsButton) {
+        reactorsButton.hidden = !sheet?.pill || !boundOptions.get(barElement)?.onShowReactors;
+    }
+    if (sheet) {
+        // Pinned to the bottom of the viewport by CSS, so drop any place it was last shown at.
+        picker.style.removeProperty('top');
+        picker.style.removeProperty('left');
+        sheetPill = sheet.pill || null;
+        backdrop = document.createElement('div');
+        backdrop.className = 'local-reactions-sheet-backdrop';
+        document.body.appendChild(backdrop);
+    } else {
+        // Positioned once visible, so it has a real size. Closed when the trigger scrolls out of view.
+        position = Positioning.attach(picker, trigger, () => closeAll());
+    }
+    trigger.setAttribute('aria-expanded', 'true');
+    opener = trigger;
+
+    const items = getMenuItems(picker);
+    let index = focusTarget === 'last' ? items.length - 1 : 0;
+    if (focusTarget === 'selected') {
+        index = Math.max(0, items.findIndex((item) => item.getAttribute('aria-checked') === 'true'));
+    }
+    focusMenuItem(items, index);
+    return true;
+};
+
+/**
+ * Open the emoji picker of a bound bar as a bottom sheet, e.g. after a long-press on its item.
+ *
+ * @param {HTMLElement|null} barElement The element the picker was bound to.
+ * @param {HTMLElement|null} [pill=null] The pill long-pressed to open it, if any.
+ * @returns {boolean} Whether the bar has a picker to open.
+ */
+export const openSheet = (barElement, pill = null) => {
+    const trigger = barElement?.querySelector('[data-action="open-picker"]');
+    if (!trigger || !open(barElement, trigger, 'selected', {pill})) {
+        return false;
+    }
+    boundOptions.get(barElement)?.onOpen?.();
+    return true;
+};
+
+/**
+ * Get the visible menu items of a picker in DOM order.
+ *
+ * @param {HTMLElement} picker The picker element.
+ * @returns {HTMLElement[]}
+ */
+const getMenuItems = (picker) => Array.from(picker.querySelectorAll('[role^="menuitem"]:not([hidden])'));
+
+/**
+ * Move the roving tabindex to a menu item and focus it.
+ *
+ * @param {HTMLElement[]} items The menu items.
+ * @param {number} index Index of the item to focus; wraps around at either end.
+ */
+const focusMenuItem = (items, index) => {
+    if (!items.length) {
+        return;
+    }
+    const target = items[(index + items.length) % items.length];
+    items.forEach((item) => item.setAttribute('tabindex', item === target ? '0' : '-1'));
+    target.focus();
+};
+
+/**
+ * Handle keyboard interaction inside an open picker (WAI-ARIA menu pattern).
+ *
+ * Arrow keys, Tab and Shift+Tab move between items (wrapping, so focus stays in the menu),
+ * Home/End jump to the first/last item, Escape closes the menu and returns focus to its opener,
+ * and printable characters jump to the next emoji whose shortcode starts with the typed text.
+ * Enter and Space are left to the focused item's button, which they activate.
+ *
+ * @param {KeyboardEvent} e The keydown event.
+ * @param {HTMLElement} picker The picker element.
+ */
+const handleKeydown = (e, picker) => {
+    const items = getMenuItems(picker);
+    const current = items.indexOf(document.activeElement);
+    const rtl = window.getComputedStyle(picker).direction === 'rtl';
+
+    switch (e.key) {
+        case 'ArrowRight':
+            focusMenuItem(items, current + (rtl ? -1 : 1));
+            break;
+        case 'ArrowLeft':
+            focusMenuItem(items, current + (rtl ? 1 : -1));
+            break;
+        case 'ArrowDown':
+            focusMenuItem(items, current + 1);
+            break;
+        case 'ArrowUp':
+            focusMenuItem(items, current - 1);
+            break;
+        case 'Tab':
+            focusMenuItem(items, current + (e.shiftKey ? -1 : 1));
+            break;
+        case 'Home':
+            focusMenuItem(items, 0);
+            break;
+        case 'End':
+            focusMenuItem(items, items.length - 1);
+            break;
+        case 'Escape':
+            closeAll(true);
+            break;
+        default:
+            if (e.key.length !== 1 || e.key === ' ' || e.ctrlKey || e.altKey || e.metaKey) {
+                return;
+            }
+            handleTypeAhead(items, current, e.key.toLowerCase());
+    }
+    e.preventDefault();
+    e.stopPropagation();
+};
+
+/**
+ * Focus the next menu item whose shortcode starts with the characters typed so far.
+ *
+ * @param {HTMLElement[]} items The menu items.
+ * @param {number} current Index of the currently focused item.
+ * @param {string} char The character just typed.
+ */
+const handleTypeAhead = (items, current, char) => {
+    clearTimeout(typeAhead.timer);
+    typeAhead.timer = setTimeout(() => {
+        typeAhead.buffer = '';
+    }, TYPEAHEAD_TIMEOUT);
+    typeAhead.buffer += char;
+
+    // Repeating a single character cycles through the items starting with it.
+    const search = typeAhead.buffer.split('').every((c) => c === char) ? char : typeAhead.buffer;
+    const start = search.length === 1 ? current + 1 : current;
+    for (let i = 0; i < items.length; i++) {
+        const index = (start + i) % items.length;
+        if ((items[index].getAttribute('data-emoji') || '').startsWith(search)) {
+            focusMenuItem(items, index);
+            return;
+        }
+    }
+};
+
+/**
+ * Make the picker of a reactions bar work: its trigger(s), keyboard navigation and "More emoji" button.
+ *
+ * @param {HTMLElement} barElement The element holding the trigger(s) and the picker.
+ * @param {Object} options Options.
+ * @param {Object} options.emojis Map of shortcode to unicode for the admin emoji set.
+ * @param {Function} options.getSelected Returns the emoji the user has currently reacted with.
+ * @param {Function} options.onSelect Called with the shortcode picked in the "More emoji" panel.
+ * @param {Function} [options.onOpen] Called when the picker opens.
+ * @param {Function} [options.onQuickTap] Called when the smiley trigger is tapped with a finger; returns
+ *     true if it handled the tap, or false to open the picker as usual.
+ * @param {Function} [options.onShowReactors] Called with the long-pressed pill when "See who reacted" is chosen.
+ */
+export const bind = (barElement, options) => {
+    boundOptions.set(barElement, options);
+    if (!documentListenerRegistered) {
+        documentListenerRegistered = true;
+        // Close any open picker when clicking outside.
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.local-reactions-picker-wrapper') && !EmojiPanel.contains(e.target)) {
+                closeAll();
+            }
+        });
+    }
+
+    // Picker trigger buttons (smiley trigger and compact pill both use data-action="open-picker").
+    barElement.querySelectorAll('[data-action="open-picker"]').forEach((trigger) => {
+        trigger.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (trigger.getAttribute('aria-expanded') === 'true') {
+                closeAll(true);
+                return;
+            }
+            const tap = Touch.isTap();
+            if (tap && trigger.matches('.local-reactions-trigger') && options.onQuickTap?.()) {
+                return;
+            }
+            if (open(barElement, trigger, 'selected', tap ? {pill: null} : null)) {
+                options.onOpen?.();
+            }
+        });
+        if (trigger.matches('.local-reactions-trigger')) {
+            Touch.onLongPress(trigger, () => openSheet(barElement));
+        }
+        trigger.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                e.stopPropagation();
+                if (open(barElement, trigger, e.key === 'ArrowUp' ? 'last' : 'first')) {
+                    options.onOpen?.();
+                }
+            }
+        });
+    });
+
+    const picker = barElement.querySelector('[data-region="reactions-picker"]');
+    if (picker) {
+        picker.addEventListener('keydown', (e) => handleKeydown(e, picker));
+    }
+
+    barElement.querySelector('[data-action="show-reactors"]')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const pill = sheetPill;
+        closeAll();
+        if (pill?.isConnected) {
+            options.onShowReactors?.(pill);
+        }
+    });
+
+    // "More emoji" opens the catalogue panel in place of the quick picker.
+    barElement.querySelector('[data-action="open-emoji-panel"]')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        picker.hidden = true;
+        position?.detach();
+        position = null;
+        EmojiPanel.open({
+            anchor: opener || barElement.querySelector('[data-action="open-picker"]'),
+            emojis: options.emojis,
+            selected: options.getSelected(),
+            onSelect: (emoji) => {
+                closeAll(true);
+                options.onSelect(emoji);
+            },
+            onDismiss: () => closeAll(true),
+            onAnchorHidden: () => closeAll(),
+        }).catch(Notification.exception);
+    });
+};
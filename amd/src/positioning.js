@@ -0,0 +1,143 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Keeps floating elements (the emoji picker, the "More emoji" panel and the reactors popover) next
+ * to the control they belong to.
+ *
+ * Floating elements use fixed coordinates to escape overflow:hidden parents, so they have to be
+ * moved whenever the page or a scrolling ancestor scrolls, or the window is resized. They go above
+ * their anchor, flipping below when there is no room above, and are shifted sideways to stay inside
+ * the viewport. In right-to-left languages they line up with the anchor's right edge instead of its
+ * left edge.
+ *
+ * @module     local_reactions/positioning
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/** @var {number} Gap in px between the anchor and the floating element. */
+const OFFSET = 6;
+
+/** @var {number} Smallest gap in px kept between the floating element and the viewport edges. */
+const MARGIN = 8;
+
+/**
+ * Work out where to place a floating element of a given size next to an anchor.
+ *
+ * @param {DOMRect} anchorRect The anchor's bounding rectangle.
+ * @param {Object} size {width, height} of the floating element.
+ * @param {Object} viewport {width, height} of the viewport, excluding scrollbars.
+ * @param {boolean} rtl Whether to line up with the anchor's right edge.
+ * @returns {Object} {top, left, placement} where placement is 'top' or 'bottom'.
+ */
+export const computePosition = (anchorRect, size, viewport, rtl) => {
+    const above = anchorRect.top - OFFSET - size.height;
+    const below = anchorRect.bottom + OFFSET;
+    let placement = 'top';
+    let top = above;
+    if (above < MARGIN) {
+        const fitsBelow = below + size.height <= viewport.height - MARGIN;
+        // When it fits on neither side, use the roomier one and keep as much of it on screen as possible.
+        if (fitsBelow || viewport.height - anchorRect.bottom > anchorRect.top) {
+            placement = 'bottom';
+            top = fitsBelow ? below : Math.max(MARGIN, viewport.height - MARGIN - size.height);
+        } else {
+            top = MARGIN;
+        }
+    }
+
+    const start = rtl ? anchorRect.right - size.width : anchorRect.left;
+    const left = Math.max(MARGIN, Math.min(start, viewport.width - MARGIN - size.width));
+    return {top, left, placement};
+};
+
+/**
+ * Place a floating element next to its anchor and keep it there until detached.
+ *
+ * The element must be visible (not hidden) when this is called, so it can be measured.
+ *
+ * @param {HTMLElement} element The floating element, styled with position: fixed.
+ * @param {HTMLElement} anchor The control it belongs to.
+ * @param {Function} onAnchorHidden Called once when the anchor scrolls out of view or leaves the page.
+ * @returns {Object} Handle with update(), to call after the element changes size, and detach().
+ */
+export const attach = (element, anchor, onAnchorHidden) => {
+    let frame = null;
+    let detached = false;
+
+    const update = () => {
+        if (detached) {
+            return;
+        }
+        const rtl = window.getComputedStyle(anchor).direction === 'rtl';
+        const viewport = {
+            width: document.documentElement.clientWidth,
+            height: document.documentElement.clientHeight,
+        };
+        const {top, left, placement} = computePosition(
+            anchor.getBoundingClientRect(),
+            {width: element.offsetWidth, height: element.offsetHeight},
+            viewport,
+            rtl
+        );
+        element.style.top = top + 'px';
+        element.style.left = left + 'px';
+        element.setAttribute('data-placement', placement);
+    };
+
+    // Scroll events fire many times per frame while scrolling, so only reposition once per frame.
+    const scheduleUpdate = (e) => {
+        if (e.target instanceof Node && element.contains(e.target)) {
+            // Scrolling inside the floating element itself (e.g. the emoji panel's list) doesn't move it.
+            return;
+        }
+        if (frame === null) {
+            frame = window.requestAnimationFrame(() => {
+                frame = null;
+                update();
+            });
+        }
+    };
+
+    // The observer also notices the anchor being clipped by a scrolling ancestor, not just the window.
+    const observer = new IntersectionObserver((entries) => {
+        if (!detached && entries.some((entry) => !entry.isIntersecting)) {
+            onAnchorHidden();
+        }
+    });
+
+    const detach = () => {
+        if (detached) {
+            return;
+        }
+        detached = true;
+        observer.disconnect();
+        window.removeEventListener('scroll', scheduleUpdate, true);
+        window.removeEventListener('resize', scheduleUpdate);
+        if (frame !== null) {
+            window.cancelAnimationFrame(frame);
+            frame = null;
+        }
+    };
+
+    update();
+    observer.observe(anchor);
+    // Capture scroll events so scrolling ancestors (e.g. a drawer or modal body) are tracked too.
+    window.addEventListener('scroll', scheduleUpdate, {capture: true, passive: true});
+    window.addEventListener('resize', scheduleUpdate, {passive: true});
+
+    return {update, detach};
+};
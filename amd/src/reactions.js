@@ -21,13 +21,30 @@
  *   - `item`: CSS selector that matches each reactable item's root element.
  *   - `itemIdAttr` OR `itemIdPrefix`: how to extract an integer ID from an item
  *     element (attribute value, or strip prefix from element id).
+ *   - `itemIdLinks` / `itemIdPageParam`: for markup without IDs (glossary entries, database
+ *     records), read the ID from a URL parameter of a link inside the item, or of the page itself.
  *   - `insertBeforeSelector`: preferred anchor — bar is inserted before it.
  *   - `appendFallbackSelectors`: ordered list of fallbacks — bar is appended.
- *   - `mutationRoot` (optional): observe this for dynamically added items.
+ *   - `appendToItem`: append the bar to the item itself when no fallback matches.
+ *   - `mutationRoot` (optional): containers to watch for dynamically added items. May match
+ *     several containers, including ones added after page load (e.g. comment lists).
+ *
+ * Placeholders output by any template are mounted through local_reactions/embed, which checks them with
+ * the server and then starts this module on them like a provider would.
+ *
+ * Each init() call starts a controller holding its own config and state, so a page can show several
+ * sets of reactions, e.g. comments on a blog entry next to the entry itself. Their fetches go through
+ * local_reactions/scheduler, which sends the ones made at the same time in one request.
  *
  * Renders cached reactions instantly from IndexedDB, then refreshes from the
  * web service and animates any differences.
  *
+ * On touch screens, long-pressing an item or a pill opens the picker as a bottom sheet, and tapping the
+ * smiley trigger reacts with the last-used emoji (see local_reactions/touch).
+ *
+ * Bars fire the events in local_reactions/events, and getState(), toggle() and refresh() let other
+ * code read and change the reactions on the page without going through the DOM.
+ *
  * @module     local_reactions/reactions
  * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
@@ -37,542 +54,1369 @@ import Ajax from 'core/ajax';
 import Templates from 'core/templates';
 import Notification from 'core/notification';
 import * as Cache from 'local_reactions/cache';
+import * as Reactors from 'local_reactions/reactors';
+import * as OfflineQueue from 'local_reactions/offline_queue';
+import * as TabSync from 'local_reactions/tab_sync';
+import * as LiveUpdates from 'local_reactions/live_updates';
+import * as Viewport from 'local_reactions/viewport';
+import * as EmojiCatalogue from 'local_reactions/emoji_catalogue';
+import * as Picker from 'local_reactions/picker';
+import * as Events from 'local_reactions/events';
+import * as Scheduler from 'local_reactions/scheduler';
+import * as Touch from 'local_reactions/touch';
+import * as Announcer from 'local_reactions/announcer';
+import {getString} from 'core/str';
 import {
-    computeDiffs, renderToElement, buildTemplateContext, createPoller,
+    computeDiffs, renderToElement, buildTemplateContext,
     applyDiffAnimations, clearAnimationClasses, updateCacheBatch,
+    applyToggle, sameUserReactions, applyRollbackAnimation, watchStickerFallbacks, getKnownVersions, getEmojiName,
 } from 'local_reactions/utils';
 
-/** @var {Object} Module-level config set during init. */
-let config = {};
+/** @var {Object[]} Controllers started on the page, one per init() call. */
+const controllers = [];
+
+/** @var {Object} Emoji of every set started on the page, for naming queued toggles. */
+let emojis = {};
 
-/** @var {Object} Tracks last-rendered reaction data per item ID for diff computation during polling. */
-let currentDataMap = {};
+/** @var {boolean} Whether the page-wide listeners are set up. */
+let listening = false;
 
-/** @var {boolean} Whether a toggle request is in-flight (prevents poll from racing with toggle). */
-let toggleInProgress = false;
+/** @var {boolean} Whether the offline queue is currently being replayed. */
+let replaying = false;
 
-/** @var {boolean} Whether polling has been initialised. */
-let pollingInitialised = false;
+/** @var {string} Parts of an item where a long-press keeps its usual meaning rather than opening the picker. */
+const LONG_PRESS_IGNORE = 'a, button, input, select, textarea, label, img, video, audio, iframe, [contenteditable="true"]';
 
 /**
- * Initialise the reactions module.
+ * Initialise a set of reactions on the page.
+ *
+ * Every call starts its own controller, so a page can show reactions for several providers, or for
+ * items embedded from several activities.
  *
  * @param {Object} cfg Configuration from PHP.
  */
 export const init = (cfg) => {
-    config = cfg;
-    loadReactions();
-
-    // Close any open picker when clicking outside.
-    document.addEventListener('click', (e) => {
-        if (!e.target.closest('.local-reactions-picker-wrapper')) {
-            closeAllPickers();
-        }
-    });
-
-    // Re-load when new items (e.g. replies) are dynamically added. Only applies to providers
-    // that expose a mutation root (forum); blog entries aren't dynamically injected.
-    const mutationRootSelector = config.selectors && config.selectors.mutationRoot;
-    if (mutationRootSelector) {
-        const container = document.querySelector(mutationRootSelector);
-        if (container) {
-            const itemSelector = config.selectors.item;
-            const observer = new MutationObserver((mutations) => {
-                for (const mutation of mutations) {
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === Node.ELEMENT_NODE && node.querySelector(itemSelector)) {
-                            loadReactions();
-                            return;
-                        }
-                    }
-                }
-            });
-            observer.observe(container, {childList: true, subtree: true});
-        }
+    if (!listening) {
+        listening = true;
+        watchStickerFallbacks();
+        Cache.watchLogout();
+
+        // Send toggles that were queued while offline as soon as the connection is back.
+        window.addEventListener('online', replayQueue);
+
+        // Pick up toggles and poll results from other tabs.
+        TabSync.subscribe((message) => controllers.forEach((controller) => controller.handleSyncMessage(message)));
     }
+
+    emojis = {...cfg.retiredemojis, ...cfg.emojis, ...emojis};
+    const controller = createController(cfg, {replayQueue, share});
+    controllers.push(controller);
+    controller.start();
 };
 
 /**
- * Close all open emoji pickers.
+ * Start loading items that have appeared on the page since init, and have no reactions bar yet.
+ *
+ * Items added inside the mutation root are picked up by themselves. This is for elements that become
+ * items without being added to the page, like placeholders local_reactions/embed has checked.
  */
-const closeAllPickers = () => {
-    document.querySelectorAll('[data-region="reactions-picker"]:not([hidden])').forEach((picker) => {
-        picker.hidden = true;
-        const trigger = picker.closest('.local-reactions-picker-wrapper')
-            ?.querySelector('[data-action="open-picker"]');
-        if (trigger) {
-            trigger.setAttribute('aria-expanded', 'false');
-        }
-    });
+export const scan = () => {
+    controllers.forEach((controller) => controller.scan());
 };
 
 /**
- * Extract the integer item ID from an item element using the configured strategy.
+ * Get the reactions shown for an item on the page.
  *
- * Supports two strategies declared in config.selectors:
- *   - `itemIdAttr`: read the value of the named attribute (e.g. `data-post-id`).
- *   - `itemIdPrefix`: strip a fixed prefix from the element's `id` (e.g. `b123` → `123`).
+ * Items load as they near the viewport, so there is no state for items not loaded yet.
  *
- * @param {HTMLElement} el The item element.
- * @returns {number} Parsed integer ID, or NaN if it could not be determined.
+ * @param {string} component The component, e.g. `mod_forum`.
+ * @param {string} itemtype The item type, e.g. `post`.
+ * @param {number} itemId The item ID.
+ * @returns {Object|null} The item's component, itemtype, itemid, counts and userreactions, as in the
+ *     local_reactions/events details, and `pending` if toggles are waiting for the server; or null.
  */
-const getItemId = (el) => {
-    const selectors = config.selectors || {};
-    if (selectors.itemIdAttr) {
-        return parseInt(el.getAttribute(selectors.itemIdAttr));
-    }
-    if (selectors.itemIdPrefix && el.id && el.id.startsWith(selectors.itemIdPrefix)) {
-        return parseInt(el.id.slice(selectors.itemIdPrefix.length));
+export const getState = (component, itemtype, itemId) => {
+    for (const controller of controllers) {
+        const state = controller.handles(component, itemtype) ? controller.getState(itemId) : null;
+        if (state) {
+            return state;
+        }
     }
-    return NaN;
+    return null;
 };
 
 /**
- * Look up the item element for a given item ID using the configured strategy.
+ * Toggle the current user's reaction on an item, as if they had clicked it.
  *
- * @param {number} itemId
- * @returns {HTMLElement|null}
+ * @param {string} component The component, e.g. `mod_forum`.
+ * @param {string} itemtype The item type, e.g. `post`.
+ * @param {number} itemId The item ID, which must be loaded (see getState()).
+ * @param {string} emoji The emoji shortcode.
+ * @returns {Promise<Object>} The item's state once the server has answered, or the toggle has been queued offline.
  */
-const getItemElement = (itemId) => {
-    const selectors = config.selectors || {};
-    if (selectors.itemIdAttr) {
-        return document.querySelector(`[${selectors.itemIdAttr}="${itemId}"]`);
-    }
-    if (selectors.itemIdPrefix) {
-        return document.getElementById(`${selectors.itemIdPrefix}${itemId}`);
+export const toggle = async(component, itemtype, itemId, emoji) => {
+    const controller = controllers.find((c) => c.handles(component, itemtype) && c.getState(itemId));
+    if (!controller) {
+        throw new Error(`No reactions loaded for ${component} ${itemtype} ${itemId}`);
     }
-    return null;
+    return controller.toggle(itemId, emoji);
 };
 
 /**
- * Collect integer IDs for every item currently on the page.
+ * Fetch the latest reactions for items from the server, re-rendering any that changed.
  *
- * @returns {number[]}
+ * @param {string} component The component, e.g. `mod_forum`.
+ * @param {string} itemtype The item type, e.g. `post`.
+ * @param {number[]|null} [itemIds=null] The item IDs, or null for every item loaded on the page.
  */
-const collectItemIds = () => {
-    const ids = [];
-    const itemSelector = (config.selectors && config.selectors.item) || '';
-    if (!itemSelector) {
-        return ids;
-    }
-    document.querySelectorAll(itemSelector).forEach((el) => {
-        const id = getItemId(el);
-        if (id) {
-            ids.push(id);
-        }
-    });
-    return ids;
+export const refresh = async(component, itemtype, itemIds = null) => {
+    await Promise.all(controllers
+        .filter((controller) => controller.handles(component, itemtype))
+        .map((controller) => controller.refresh(itemIds)));
 };
 
 /**
- * Insert an element at the provider's preferred position within an item.
+ * Share confirmed reaction data with other tabs, and with the other controllers on this page.
  *
- * Tries `insertBeforeSelector` first (inserts element before the matched anchor's position,
- * using the anchor's parent), then falls back to appending into the first matching
- * `appendFallbackSelectors` entry.
+ * The same item can be shown by two controllers, e.g. a forum post and an embedded copy of it.
  *
- * @param {HTMLElement} itemEl The item root element.
- * @param {HTMLElement} element The element to insert.
+ * @param {Object} message The message for local_reactions/tab_sync.
+ * @param {Object} source The controller sharing the data.
  */
-const insertBar = (itemEl, element) => {
-    const selectors = config.selectors || {};
-    if (selectors.insertBeforeSelector) {
-        const anchor = itemEl.querySelector(selectors.insertBeforeSelector);
-        if (anchor && anchor.parentElement) {
-            anchor.parentElement.insertBefore(element, anchor);
-            return;
-        }
-    }
-    const fallbacks = selectors.appendFallbackSelectors || [];
-    for (const fallbackSelector of fallbacks) {
-        const target = itemEl.querySelector(fallbackSelector);
-        if (target) {
-            target.appendChild(element);
-            return;
-        }
-    }
+const share = (message, source) => {
+    TabSync.publish(message);
+    controllers.filter((controller) => controller !== source).forEach((controller) => controller.handleSyncMessage(message));
 };
 
 /**
- * Create a skeleton placeholder element for a reactions bar.
+ * Replay the offline queue and reconcile the affected bars with the server's counts.
  *
- * @returns {HTMLElement} The skeleton element.
+ * Toggles the server rejects are rolled back and reported. Queued toggles that disappeared from the
+ * queue without being replayed here were sent by another tab, so those items are simply refreshed.
  */
-const createSkeleton = () => {
-    const skeleton = document.createElement('div');
-    skeleton.className = 'local-reactions-bar local-reactions-skeleton d-flex flex-wrap align-items-center mt-2 mb-1';
-    skeleton.setAttribute('data-region', 'reactions-skeleton');
-    if (config.compactview) {
-        const pill = document.createElement('span');
-        pill.className = 'local-reactions-skeleton-pill local-reactions-skeleton-pill-compact';
-        skeleton.appendChild(pill);
-    } else {
-        for (let i = 0; i < 3; i++) {
-            const pill = document.createElement('span');
-            pill.className = 'local-reactions-skeleton-pill';
-            skeleton.appendChild(pill);
+const replayQueue = async() => {
+    if (replaying || !navigator.onLine) {
+        return;
+    }
+    replaying = true;
+    try {
+        let result;
+        do {
+            result = await OfflineQueue.replay();
+            for (const controller of controllers) {
+                await controller.applyReplayResult(result);
+            }
+            await reportRejected(result.rejected);
+        } while (result.processed.length && navigator.onLine);
+
+        for (const controller of controllers) {
+            await controller.dropSentElsewhere();
         }
+    } finally {
+        replaying = false;
     }
-    return skeleton;
 };
 
 /**
- * Insert skeleton placeholders into items that don't yet have a reactions bar.
+ * Tell the user about queued toggles the server rejected.
  *
- * @param {number[]} itemIds The item IDs to insert skeletons for.
+ * @param {Object[]} rejected From OfflineQueue.replay(), each with the queue entry and error.
  */
-const insertSkeletons = (itemIds) => {
-    for (const itemId of itemIds) {
-        const itemEl = getItemElement(itemId);
-        if (!itemEl || itemEl.querySelector('[data-region="reactions-skeleton"]')) {
-            continue;
-        }
-        insertBar(itemEl, createSkeleton());
+const reportRejected = async(rejected) => {
+    for (const {entry, error} of rejected) {
+        Notification.addNotification({
+            type: 'error',
+            message: await getString('offlinetogglerejected', 'local_reactions', {
+                emoji: emojis[entry.emoji] || entry.emoji,
+                error: error?.message || '',
+            }),
+        });
     }
 };
 
 /**
- * Find all reactable items on the page and load their reactions.
+ * Create the controller for one set of reactions on the page, e.g. the posts of a forum discussion.
+ *
+ * All state is held per controller, so several controllers run side by side without sharing their
+ * config, the data they have loaded or their polling.
  *
- * Uses a cache-first strategy: renders cached counts instantly (read-only),
- * then fetches fresh data from the web service and animates any differences.
+ * @param {Object} cfg Configuration from PHP.
+ * @param {Object} options Page-wide services.
+ * @param {Function} options.replayQueue Replays the offline queue.
+ * @param {Function} options.share Shares confirmed reaction data with other tabs and controllers.
+ * @returns {Object} The controller.
  */
-const loadReactions = async() => {
-    const itemSelector = (config.selectors && config.selectors.item) || '';
-    if (!itemSelector) {
-        return;
-    }
-    const items = document.querySelectorAll(itemSelector);
-    if (!items.length) {
-        return;
-    }
+const createController = (cfg, options) => {
+    /** @var {Object} Config from PHP. */
+    const config = cfg;
+
+    /** @var {Object} Tracks last-rendered reaction data per item ID for diff computation during polling. */
+    const currentDataMap = {};
+
+    /** @var {Object} Toggles per item ID that are shown optimistically but not yet confirmed by the server. */
+    const pendingToggles = {};
+
+    /** @var {Object} Tail of the per-item request chain, so toggles reach the server in click order. */
+    const toggleQueues = {};
+
+    /**
+     * @var {Object} Per item ID rendered from cache and still waiting for fresh data, the function that lets
+     *     its toggles through to the server once the fresh data is in.
+     */
+    const freshDataWaits = {};
+
+    /** @var {Object} Last reaction data rendered into each item's bar (may include unconfirmed toggles). */
+    const renderedDataMap = {};
+
+    /** @var {Object} Render sequence number per item, used to drop stale async renders. */
+    const renderSequence = {};
+
+    /** @var {WeakSet<HTMLElement>} Item elements whose long-press opens their bar's picker. */
+    const longPressItems = new WeakSet();
+
+    /** @var {boolean} Whether polling has been initialised. */
+    let pollingInitialised = false;
 
-    const itemIds = [];
-    items.forEach((itemEl) => {
-        const itemId = getItemId(itemEl);
-        if (itemId && !itemEl.querySelector('[data-region="reactions-bar"]')) {
-            itemIds.push(itemId);
+    /** @var {Object|null} Viewport tracker deciding which items load and poll. */
+    let tracker = null;
+
+    /** @var {Object|null} The items every tab showing this page needs polled, see TabSync.createWatchList(). */
+    let watchList = null;
+
+    /** @var {number|null} Change cursor for delta polling, or null until the first full fetch. */
+    let changeCursor = null;
+
+    /**
+     * Start loading the items on the page, and watch for more.
+     */
+    const start = () => {
+        tracker = Viewport.createTracker({getId: getItemId, onEnter: handleViewportEnter});
+        loadReactions();
+
+        // Re-load when new items (e.g. replies or comments) are dynamically added. Only applies to providers
+        // that expose a mutation root; blog entries aren't dynamically injected.
+        if (config.selectors && config.selectors.mutationRoot) {
+            watchMutationRoot(config.selectors.mutationRoot);
         }
-    });
+    };
 
-    if (!itemIds.length) {
-        return;
-    }
+    /**
+     * Get the reactions shown for an item, if it is loaded.
+     *
+     * @param {number} itemId The item ID.
+     * @returns {Object|null} As for the module's getState().
+     */
+    const getState = (itemId) => {
+        if (!currentDataMap[itemId]) {
+            return null;
+        }
+        return {
+            ...getDetail(itemId, getDisplayData(itemId)),
+            pending: (pendingToggles[itemId] || []).length > 0,
+        };
+    };
 
-    // Phase 1: Try to render from cache (read-only, no interaction).
-    const cachedItemIds = new Set();
-    const cachedDataMap = {};
-    const cacheAvailable = await Cache.isAvailable();
+    /**
+     * Toggle the current user's reaction on a loaded item, as if they had clicked it.
+     *
+     * @param {number} itemId The item ID.
+     * @param {string} emoji The emoji shortcode.
+     * @returns {Promise<Object>} As for the module's toggle().
+     */
+    const toggle = async(itemId, emoji) => {
+        if (!config.canreact) {
+            throw new Error('The current user cannot react here');
+        }
+        await toggleReaction(itemId, emoji);
+        return getState(itemId);
+    };
+
+    /**
+     * Fetch the latest reactions for loaded items, re-rendering any that changed.
+     *
+     * @param {number[]|null} itemIds The item IDs, or null for every item loaded.
+     */
+    const refresh = async(itemIds) => {
+        const ids = (itemIds || collectItemIds()).filter((id) => currentDataMap[id]);
+        if (ids.length) {
+            await refreshItems(ids);
+        }
+    };
 
-    if (cacheAvailable) {
-        const cacheKeys = itemIds.map((id) => Cache.itemKey(config.component, config.itemtype, id));
-        const cached = await Cache.getMultiple(cacheKeys);
+    /**
+     * Describe an item and its reactions for the local_reactions/events details.
+     *
+     * @param {number} itemId The item ID.
+     * @param {Object} data Reaction data.
+     * @returns {Object}
+     */
+    const getDetail = (itemId, data) => Events.itemDetail(config.component, config.itemtype, itemId, data);
 
-        const renderPromises = [];
+    /**
+     * Find the reactions bar of an item.
+     *
+     * @param {number} itemId The item ID.
+     * @returns {HTMLElement|null}
+     */
+    const getBar = (itemId) => getItemElement(itemId)?.querySelector('[data-region="reactions-bar"]') || null;
+
+    /**
+     * Load reactions for items added inside the provider's mutation root.
+     *
+     * The root selector can match several containers, and containers can appear after page load (the
+     * comments widget fills its lists when expanded, paged or posted to), so mutations are watched from
+     * the body and only those inside, or bringing in, a matching container count.
+     *
+     * @param {string} rootSelector CSS selector for the containers items are added to.
+     */
+    const watchMutationRoot = (rootSelector) => {
+        const itemSelector = config.selectors.item;
+        const isNewItem = (node) => node.nodeType === Node.ELEMENT_NODE
+            && (node.matches(itemSelector) || node.querySelector(itemSelector))
+            && (node.closest(rootSelector) || node.querySelector(rootSelector));
+        const observer = new MutationObserver((mutations) => {
+            if (mutations.some((mutation) => [...mutation.addedNodes].some(isNewItem))) {
+                loadReactions();
+            }
+        });
+        observer.observe(document.body, {childList: true, subtree: true});
+    };
+
+    /**
+     * Extract the integer item ID from an item element using the configured strategy.
+     *
+     * Supports these strategies declared in config.selectors:
+     *   - `itemIdAttr`: read the value of the named attribute (e.g. `data-post-id`).
+     *   - `itemIdPrefix`: strip a fixed prefix from the element's `id` and read the number after it
+     *     (e.g. `b123` → `123`, `comment-12-<clientid>` → `12`).
+     *   - `itemIdLinks`: list of `{selector, param}`; read `param` from the URL of the first link inside
+     *     the item matching `selector` (e.g. `showentry.php?eid=12` → `12`).
+     *   - `itemIdPageParam`: read the named parameter from the page URL, for pages showing a single item.
+     *
+     * @param {HTMLElement} el The item element.
+     * @returns {number} Parsed integer ID, or NaN if it could not be determined.
+     */
+    const getItemId = (el) => {
+        const selectors = config.selectors || {};
+        if (selectors.itemIdAttr) {
+            return parseInt(el.getAttribute(selectors.itemIdAttr));
+        }
+        if (selectors.itemIdPrefix && el.id && el.id.startsWith(selectors.itemIdPrefix)) {
+            return parseInt(el.id.slice(selectors.itemIdPrefix.length));
+        }
+        for (const {selector, param} of selectors.itemIdLinks || []) {
+            const value = getUrlParam(el.querySelector(selector)?.href, param);
+            if (value) {
+                return parseInt(value);
+            }
+        }
+        if (selectors.itemIdPageParam) {
+            return parseInt(getUrlParam(window.location.href, selectors.itemIdPageParam));
+        }
+        return NaN;
+    };
+
+    /**
+     * Look up the item element for a given item ID using the configured strategy.
+     *
+     * @param {number} itemId
+     * @returns {HTMLElement|null}
+     */
+    const getItemElement = (itemId) => {
+        const selectors = config.selectors || {};
+        if (selectors.itemIdAttr) {
+            // Generic attributes like `data-itemid` can be on other elements too.
+            return [...document.querySelectorAll(`[${selectors.itemIdAttr}="${itemId}"]`)]
+                .find((el) => !selectors.item || el.matches(selectors.item)) || null;
+        }
+        if (selectors.itemIdPrefix) {
+            const element = document.getElementById(`${selectors.itemIdPrefix}${itemId}`);
+            if (element) {
+                return element;
+            }
+        }
+        if (!selectors.item) {
+            return null;
+        }
+        // Element IDs with more after the number (e.g. `comment-12-<clientid>`) can't be looked up directly.
+        return [...document.querySelectorAll(selectors.item)].find((el) => getItemId(el) === itemId) || null;
+    };
+
+    /**
+     * Collect integer IDs for every item currently on the page.
+     *
+     * @returns {number[]}
+     */
+    const collectItemIds = () => {
+        const ids = [];
+        const itemSelector = (config.selectors && config.selectors.item) || '';
+        if (!itemSelector) {
+            return ids;
+        }
+        document.querySelectorAll(itemSelector).forEach((el) => {
+            const id = getItemId(el);
+            if (id) {
+                ids.push(id);
+            }
+        });
+        return ids;
+    };
+
+    /**
+     * Insert an element at the provider's preferred position within an item.
+     *
+     * Tries `insertBeforeSelector` first (inserts element before the matched anchor's position,
+     * using the anchor's parent), then falls back to appending into the first matching
+     * `appendFallbackSelectors` entry, and finally to the item itself if `appendToItem` is set.
+     *
+     * @param {HTMLElement} itemEl The item root element.
+     * @param {HTMLElement} element The element to insert.
+     */
+    const insertBar = (itemEl, element) => {
+        const selectors = config.selectors || {};
+        if (selectors.insertBeforeSelector) {
+            const anchor = itemEl.querySelector(selectors.insertBeforeSelector);
+            if (anchor && anchor.parentElement) {
+                anchor.parentElement.insertBefore(element, anchor);
+                return;
+            }
+        }
+        const fallbacks = selectors.appendFallbackSelectors || [];
+        for (const fallbackSelector of fallbacks) {
+            const target = itemEl.querySelector(fallbackSelector);
+            if (target) {
+                target.appendChild(element);
+                return;
+            }
+        }
+        if (selectors.appendToItem) {
+            itemEl.appendChild(element);
+        }
+    };
+
+    /**
+     * Create a skeleton placeholder element for a reactions bar.
+     *
+     * @returns {HTMLElement} The skeleton element.
+     */
+    const createSkeleton = () => {
+        const skeleton = document.createElement('div');
+        skeleton.className = 'local-reactions-bar local-reactions-skeleton d-flex flex-wrap align-items-center mt-2 mb-1';
+        skeleton.setAttribute('data-region', 'reactions-skeleton');
+        if (config.compactview) {
+            const pill = document.createElement('span');
+            pill.className = 'local-reactions-skeleton-pill local-reactions-skeleton-pill-compact';
+            skeleton.appendChild(pill);
+        } else {
+            for (let i = 0; i < 3; i++) {
+                const pill = document.createElement('span');
+                pill.className = 'local-reactions-skeleton-pill';
+                skeleton.appendChild(pill);
+            }
+        }
+        return skeleton;
+    };
+
+    /**
+     * Insert skeleton placeholders into items that don't yet have a reactions bar.
+     *
+     * @param {number[]} itemIds The item IDs to insert skeletons for.
+     */
+    const insertSkeletons = (itemIds) => {
         for (const itemId of itemIds) {
-            const key = Cache.itemKey(config.component, config.itemtype, itemId);
-            const cachedData = cached.get(key);
-            if (cachedData) {
-                cachedDataMap[itemId] = cachedData;
-                cachedItemIds.add(itemId);
-                renderPromises.push(renderBar(itemId, cachedData, true));
+            const itemEl = getItemElement(itemId);
+            if (!itemEl || itemEl.querySelector('[data-region="reactions-skeleton"]')) {
+                continue;
             }
+            insertBar(itemEl, createSkeleton());
         }
-        await Promise.all(renderPromises);
-    }
+    };
 
-    // Phase 2: Remove CSS reserve skeleton and insert JS skeletons for uncached items.
-    document.getElementById('local-reactions-reserve')?.remove();
-    const uncachedItemIds = itemIds.filter((id) => !cachedItemIds.has(id));
-    if (uncachedItemIds.length > 0) {
-        insertSkeletons(uncachedItemIds);
-    }
+    /**
+     * Find reactable items on the page that have no reactions bar yet and start tracking them.
+     *
+     * Every new item gets a skeleton straight away; its reactions load once it nears the viewport.
+     */
+    const loadReactions = () => {
+        const itemSelector = (config.selectors && config.selectors.item) || '';
+        if (!itemSelector) {
+            return;
+        }
 
-    // Phase 3: Fetch fresh data from web service (for ALL items).
-    try {
-        const response = await Ajax.call([{
-            methodname: 'local_reactions_get_reactions',
-            args: {
+        const itemEls = [];
+        const itemIds = [];
+        document.querySelectorAll(itemSelector).forEach((itemEl) => {
+            const itemId = getItemId(itemEl);
+            if (itemId && !itemEl.querySelector('[data-region="reactions-bar"]')) {
+                itemEls.push(itemEl);
+                itemIds.push(itemId);
+            }
+        });
+
+        if (!itemIds.length) {
+            return;
+        }
+
+        // Swap the CSS reservation for skeletons in one go so off-screen items keep their space until they load.
+        insertSkeletons(itemIds);
+        if (!config.embedded) {
+            document.getElementById(`local-reactions-reserve-${config.component}-${config.itemtype}`)?.remove();
+        }
+        itemEls.forEach((itemEl) => tracker.observe(itemEl));
+    };
+
+    /**
+     * Load items that have come near the viewport, and catch up items that missed a poll.
+     *
+     * @param {number[]} newIds Items near the viewport for the first time.
+     * @param {number[]} staleIds Items returning after a poll ran while they were away, or that a poll run
+     *     by another tab missed. Those still loading get fresh data anyway.
+     */
+    const handleViewportEnter = (newIds, staleIds) => {
+        if (newIds.length) {
+            loadItems(newIds);
+        }
+        const loadedIds = staleIds.filter((id) => currentDataMap[id]);
+        if (loadedIds.length) {
+            refreshItems(loadedIds);
+        }
+    };
+
+    /**
+     * Load the reactions for some items.
+     *
+     * Uses a cache-first strategy: renders cached counts and the user's own reactions instantly, then
+     * fetches fresh data from the web service and animates any differences. The server only sends back
+     * items whose data differs from the cached version, so unchanged bars are left alone. Cached bars can be used
+     * straight away; toggles made on them are shown at once but only sent once the fresh data is in,
+     * so they can be reconciled with it first.
+     *
+     * @param {number[]} itemIds The item IDs, each showing a skeleton.
+     */
+    const loadItems = async(itemIds) => {
+        // Phase 1: Try to render from cache.
+        const cachedItemIds = new Set();
+        const cachedDataMap = {};
+        const cacheAvailable = await Cache.isAvailable();
+
+        if (cacheAvailable) {
+            const cacheKeys = itemIds.map((id) => Cache.itemKey(config.component, config.itemtype, id));
+            const cached = await Cache.getMultiple(cacheKeys);
+
+            const renderPromises = [];
+            for (const itemId of itemIds) {
+                const key = Cache.itemKey(config.component, config.itemtype, itemId);
+                const cachedData = cached.get(key);
+                if (cachedData) {
+                    cachedDataMap[itemId] = {itemid: itemId, userreactions: [], ...cachedData};
+                    cachedItemIds.add(itemId);
+                    renderPromises.push(renderBar(itemId, cachedDataMap[itemId], true));
+                }
+            }
+            await Promise.all(renderPromises);
+        }
+
+        // Phase 2: Fetch fresh data from web service (for ALL items).
+        try {
+            const response = await Scheduler.call('local_reactions_get_reactions', {
                 component: config.component,
                 itemtype: config.itemtype,
                 itemids: itemIds,
                 contextid: config.contextid,
-            },
-        }])[0];
+                versions: getKnownVersions(itemIds, cachedDataMap, 'itemid'),
+            });
+
+            const reactionsMap = {};
+            response.items.forEach((item) => {
+                reactionsMap[item.itemid] = item;
+            });
+            response.unchanged.forEach((itemId) => {
+                reactionsMap[itemId] = cachedDataMap[itemId];
+            });
+            // Items added to the page later keep the earlier cursor, so the next poll covers them too.
+            if (changeCursor === null) {
+                changeCursor = response.cursor;
+            }
+
+            // Phase 3: Update UI and cache.
+            for (const itemId of itemIds) {
+                const freshData = reactionsMap[itemId] || {itemid: itemId, userreactions: [], counts: []};
+                currentDataMap[itemId] = freshData;
 
-        const reactionsMap = {};
-        response.items.forEach((item) => {
-            reactionsMap[item.itemid] = item;
+                if (cachedItemIds.has(itemId)) {
+                    // This item was rendered from cache - re-render with animation if anything changed,
+                    // keeping any toggles made in the meantime, and let those toggles through.
+                    releaseToggles(itemId);
+                    await reconcileBar(itemId);
+                    getBar(itemId)?.setAttribute('data-source', 'live');
+                } else {
+                    // This item was not cached - render normally (replaces skeleton).
+                    await renderBar(itemId, freshData, false);
+                }
+            }
+
+            await updateCacheBatch(
+                itemIds,
+                (id) => Cache.itemKey(config.component, config.itemtype, id),
+                currentDataMap,
+            );
+        } catch (err) {
+            Notification.exception(err);
+            // Without fresh data, toggles made on cached bars go ahead against the cached state.
+            cachedItemIds.forEach(releaseToggles);
+        }
+
+        // Phase 4: Show toggles still waiting in the offline queue, and send them if we're online.
+        await restoreQueuedToggles(itemIds);
+        options.replayQueue();
+
+        if (!pollingInitialised) {
+            pollingInitialised = true;
+            const {component, itemtype, contextid} = config;
+            const leaderScope = `items:${component}:${itemtype}:${contextid}:${window.location.pathname}${window.location.search}`;
+            watchList = TabSync.createWatchList(leaderScope, {
+                getIds: () => tracker.visibleIds().filter((id) => currentDataMap[id]),
+                onPolled: (itemIds) => tracker.markPolled(itemIds),
+            });
+            LiveUpdates.start({
+                transport: config.livetransport,
+                pollinterval: config.pollinterval,
+                pollFn: pollReactions,
+                leaderScope: leaderScope,
+                getWatch: () => ({
+                    component,
+                    itemtype,
+                    contextid,
+                    itemids: [...new Set([...collectItemIds().filter((id) => currentDataMap[id]), ...watchList.getIds()])],
+                    discussions: false,
+                }),
+                cursor: changeCursor,
+            });
+        }
+    };
+
+    /**
+     * Let the toggles made on a bar rendered from cache through to the server.
+     *
+     * @param {number} itemId The item ID.
+     */
+    const releaseToggles = (itemId) => {
+        const release = freshDataWaits[itemId];
+        if (release) {
+            delete freshDataWaits[itemId];
+            release();
+        }
+    };
+
+    /**
+     * Build the template context and render the reactions bar into an item.
+     *
+     * A bar rendered from cache is fully interactive, but holds back its toggles (see loadItems()).
+     *
+     * @param {number} itemId The item ID.
+     * @param {Object} data Reaction data.
+     * @param {boolean} fromCache Whether this render is from cached data.
+     */
+    const renderBar = async(itemId, data, fromCache) => {
+        const itemEl = getItemElement(itemId);
+        if (!itemEl || itemEl.querySelector('[data-region="reactions-bar"]')) {
+            return;
+        }
+
+        const context = buildTemplateContext(data, config.emojis, {
+            canreact: config.canreact,
+            compactview: config.compactview,
+            userreactions: data.userreactions || [],
+            extraemojis: await EmojiCatalogue.getExtraEmojis(config, data),
+            stickers: config.stickers,
+            emojinames: config.emojinames,
+            extendedpicker: config.extendedpicker,
         });
 
-        // Phase 4: Update UI and cache.
-        for (const itemId of itemIds) {
-            const freshData = reactionsMap[itemId] || {itemid: itemId, userreactions: [], counts: []};
+        try {
+            const {element: barElement, js} = await renderToElement('local_reactions/reactions_bar', context);
+            barElement.setAttribute('data-source', fromCache ? 'cache' : 'live');
 
-            if (cachedItemIds.has(itemId)) {
-                // This item was rendered from cache - compute diffs and re-render with animation.
-                const diffs = computeDiffs(cachedDataMap[itemId], freshData);
-                await rerenderBarWithAnimation(itemId, freshData, diffs);
+            // Replace skeleton if present, otherwise insert at the usual location.
+            const skeleton = itemEl.querySelector('[data-region="reactions-skeleton"]');
+            if (skeleton) {
+                skeleton.replaceWith(barElement);
             } else {
-                // This item was not cached - render normally (replaces skeleton).
-                await renderBar(itemId, freshData, false);
+                insertBar(itemEl, barElement);
+            }
+            Templates.runTemplateJS(js);
+            if (fromCache) {
+                // Treat the cached data as confirmed until the fresh data replaces it, and hold toggles till then.
+                currentDataMap[itemId] = data;
+                toggleQueues[itemId] = new Promise((resolve) => {
+                    freshDataWaits[itemId] = resolve;
+                });
             }
+            bindHandlers(barElement, itemId);
+            renderedDataMap[itemId] = data;
+            Events.notifyRendered(barElement, getDetail(itemId, data), fromCache ? 'cache' : 'live');
+        } catch (err) {
+            Notification.exception(err);
+        }
+    };
 
-            currentDataMap[itemId] = freshData;
+    /**
+     * Re-render a reactions bar with animation for changed counts.
+     *
+     * Always re-renders, even without changes. Renders for the same item
+     * can overlap while optimistic toggles are in flight; only the most recently requested one is applied.
+     *
+     * @param {number} itemId The item ID.
+     * @param {Object} freshData Reaction data to render.
+     * @param {Object} diffs The diff result from computeDiffs.
+     * @param {string|null} [rollbackEmoji=null] Emoji whose toggle failed and should animate back.
+     */
+    const rerenderBarWithAnimation = async(itemId, freshData, diffs, rollbackEmoji = null) => {
+        const itemEl = getItemElement(itemId);
+        if (!itemEl) {
+            return;
         }
 
-        await updateCacheBatch(
-            itemIds,
-            (id) => Cache.itemKey(config.component, config.itemtype, id),
-            currentDataMap,
-        );
-    } catch (err) {
-        Notification.exception(err);
-    }
+        if (!itemEl.querySelector('[data-region="reactions-bar"]')) {
+            return;
+        }
 
-    if (!pollingInitialised) {
-        pollingInitialised = true;
-        createPoller(config.pollinterval, pollReactions);
-    }
-};
+        const sequence = (renderSequence[itemId] || 0) + 1;
+        renderSequence[itemId] = sequence;
 
-/**
- * Build the template context and render the reactions bar into an item.
- *
- * @param {number} itemId The item ID.
- * @param {Object} data Reaction data.
- * @param {boolean} fromCache Whether this render is from cached data (read-only).
- */
-const renderBar = async(itemId, data, fromCache) => {
-    const itemEl = getItemElement(itemId);
-    if (!itemEl || itemEl.querySelector('[data-region="reactions-bar"]')) {
-        return;
-    }
+        const context = buildTemplateContext(freshData, config.emojis, {
+            canreact: config.canreact,
+            compactview: config.compactview,
+            userreactions: freshData.userreactions || [],
+            extraemojis: await EmojiCatalogue.getExtraEmojis(config, freshData),
+            stickers: config.stickers,
+            emojinames: config.emojinames,
+            extendedpicker: config.extendedpicker,
+        });
 
-    const context = buildTemplateContext(data, config.emojis, {
-        canreact: config.canreact,
-        compactview: config.compactview,
-        userreactions: fromCache ? [] : (data.userreactions || []),
-    });
+        try {
+            const {element: newBar, js} = await renderToElement('local_reactions/reactions_bar', context);
+            if (renderSequence[itemId] !== sequence) {
+                // A newer render for this item started while the template was rendering.
+                return;
+            }
+            const existingBar = itemEl.querySelector('[data-region="reactions-bar"]');
+            if (!existingBar) {
+                return;
+            }
+            newBar.setAttribute('data-source', freshDataWaits[itemId] ? 'cache' : 'live');
+            await markPending(newBar, itemId);
+            if (renderSequence[itemId] !== sequence) {
+                return;
+            }
 
-    try {
-        const {element: barElement, js} = await renderToElement('local_reactions/reactions_bar', context);
-        barElement.setAttribute('data-source', fromCache ? 'cache' : 'live');
+            applyDiffAnimations(newBar, diffs, config.compactview);
+            if (rollbackEmoji) {
+                applyRollbackAnimation(newBar, rollbackEmoji, config.compactview);
+            }
 
-        // Replace skeleton if present, otherwise insert at the usual location.
-        const skeleton = itemEl.querySelector('[data-region="reactions-skeleton"]');
-        if (skeleton) {
-            skeleton.replaceWith(barElement);
-        } else {
-            insertBar(itemEl, barElement);
+            const focusSelector = getFocusSelector(existingBar);
+            existingBar.replaceWith(newBar);
+            Templates.runTemplateJS(js);
+            bindHandlers(newBar, itemId);
+            if (focusSelector) {
+                // Keep keyboard users where they were, falling back to the trigger if their pill went away.
+                const target = newBar.querySelector(focusSelector) || newBar.querySelector('[data-action="open-picker"]');
+                target?.focus();
+            }
+            const previous = renderedDataMap[itemId];
+            renderedDataMap[itemId] = freshData;
+
+            const detail = getDetail(itemId, freshData);
+            Events.notifyRendered(newBar, detail, newBar.getAttribute('data-source'));
+            if (diffs.hasChanges) {
+                Events.notifyCountsChanged(newBar, detail, previous);
+            }
+
+            if (diffs.hasChanges || rollbackEmoji) {
+                clearAnimationClasses(newBar);
+            }
+        } catch (err) {
+            Notification.exception(err);
         }
-        Templates.runTemplateJS(js);
-        if (fromCache) {
-            // Disable all buttons so the picker and pills are visible but non-interactive.
-            barElement.querySelectorAll('button').forEach((b) => b.setAttribute('disabled', 'disabled'));
+    };
+
+    /**
+     * Bind all event handlers for a reactions bar.
+     *
+     * @param {HTMLElement} barElement The reactions bar container.
+     * @param {number} itemId The item ID.
+     */
+    const bindHandlers = (barElement, itemId) => {
+        Picker.bind(barElement, {
+            emojis: config.emojis,
+            getSelected: () => getDisplayData(itemId).userreactions,
+            onSelect: (emoji) => toggleReaction(itemId, emoji, Touch.isTap()),
+            onOpen: () => Events.notifyPickerOpened(barElement, getDetail(itemId, getDisplayData(itemId))),
+            onQuickTap: () => quickReact(barElement, itemId),
+            onShowReactors: config.canviewreactors ? Reactors.showFor : null,
+        });
+
+        // "Who reacted" popover on hover, when this item's visibility mode allows it.
+        if (config.canviewreactors) {
+            Reactors.attach(barElement, itemId, config);
+        }
+
+        // Long-pressing a pill opens the bottom sheet, offering who reacted too, or just who reacted if it can't.
+        barElement.querySelectorAll('.local-reactions-pill').forEach((pill) => {
+            Touch.onLongPress(pill, () => {
+                if (!Picker.openSheet(barElement, pill) && config.canviewreactors) {
+                    Reactors.showFor(pill);
+                }
+            });
+        });
+        bindItemLongPress(itemId);
+
+        // All toggle-reaction buttons (pills + picker buttons).
+        if (config.canreact) {
+            barElement.querySelectorAll('[data-action="toggle-reaction"]').forEach((btn) => {
+                btn.addEventListener('click', async(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    Picker.closeAll(!!btn.closest('[data-region="reactions-picker"]'));
+                    const emoji = btn.getAttribute('data-emoji');
+                    await toggleReaction(itemId, emoji, Touch.isTap());
+                });
+            });
+        }
+    };
+
+    /**
+     * Let a long-press on an item itself open its bottom sheet. Only done once per item element, as its bar
+     * is replaced on every render.
+     *
+     * @param {number} itemId The item ID.
+     */
+    const bindItemLongPress = (itemId) => {
+        const itemEl = getItemElement(itemId);
+        if (!config.canreact || !itemEl || longPressItems.has(itemEl)) {
+            return;
+        }
+        longPressItems.add(itemEl);
+        // Presses on the item's own controls, links and media keep their usual meaning.
+        Touch.onLongPress(itemEl, () => Picker.openSheet(getBar(itemId)), LONG_PRESS_IGNORE);
+    };
+
+    /**
+     * React to an item with the user's last-used emoji, after a tap on its smiley trigger.
+     *
+     * @param {HTMLElement} barElement The reactions bar container.
+     * @param {number} itemId The item ID.
+     * @returns {boolean} Whether there was an emoji to react with; the picker opens otherwise.
+     */
+    const quickReact = (barElement, itemId) => {
+        const emoji = Touch.getLastEmoji();
+        // Only emoji this bar offers, as the last one may have come from another activity's set.
+        if (!emoji || !barElement.querySelector(`[data-action="toggle-reaction"][data-emoji="${CSS.escape(emoji)}"]`)) {
+            return false;
+        }
+        toggleReaction(itemId, emoji, true);
+        return true;
+    };
+
+    /**
+     * Compute the data to display for an item: the server-confirmed data with any pending toggles applied.
+     *
+     * @param {number} itemId The item ID.
+     * @returns {Object} Reaction data.
+     */
+    const getDisplayData = (itemId) => {
+        const confirmed = currentDataMap[itemId] || {itemid: itemId, userreactions: [], counts: []};
+        return (pendingToggles[itemId] || []).reduce((data, toggle) => {
+            if (data.userreactions.includes(toggle.emoji) === toggle.add) {
+                // Already in the state the user asked for (e.g. confirmed by another tab or device).
+                return data;
+            }
+            return applyToggle(data, toggle.emoji, config.allowmultiple !== false);
+        }, confirmed);
+    };
+
+    /**
+     * Flag a bar and its emoji while toggles are unconfirmed, marking those waiting in the offline queue.
+     *
+     * @param {HTMLElement} bar The reactions bar element.
+     * @param {number} itemId The item ID.
+     */
+    const markPending = async(bar, itemId) => {
+        const toggles = pendingToggles[itemId] || [];
+        bar.toggleAttribute('data-pending', toggles.length > 0);
+
+        const queued = new Set(toggles.filter((t) => t.queued).map((t) => t.emoji));
+        const title = queued.size ? await getString('pendingoffline', 'local_reactions') : '';
+        bar.querySelectorAll('[data-emoji], .local-reactions-pill-compact').forEach((el) => {
+            const isQueued = el.hasAttribute('data-emoji') ? queued.has(el.getAttribute('data-emoji')) : queued.size > 0;
+            if (isQueued) {
+                el.setAttribute('data-queued', 'true');
+                el.setAttribute('title', title);
+            } else if (el.hasAttribute('data-queued')) {
+                el.removeAttribute('data-queued');
+                el.removeAttribute('title');
+            }
+        });
+    };
+
+    /**
+     * Whether an item has toggles waiting in the offline queue.
+     *
+     * @param {number} itemId The item ID.
+     * @returns {boolean}
+     */
+    const hasQueuedToggles = (itemId) => (pendingToggles[itemId] || []).some((t) => t.queued);
+
+    /**
+     * Re-render an item's bar if what should be displayed differs from what is currently rendered.
+     *
+     * @param {number} itemId The item ID.
+     * @param {string|null} [rollbackEmoji=null] Emoji whose toggle failed and should animate back.
+     */
+    const reconcileBar = async(itemId, rollbackEmoji = null) => {
+        const next = getDisplayData(itemId);
+        const previous = renderedDataMap[itemId];
+        const diffs = computeDiffs(previous, next);
+        if (diffs.hasChanges || !sameUserReactions(previous, next) || rollbackEmoji) {
+            await rerenderBarWithAnimation(itemId, next, diffs, rollbackEmoji);
         } else {
-            bindHandlers(barElement, itemId);
+            const bar = getBar(itemId);
+            if (bar) {
+                await markPending(bar, itemId);
+            }
         }
-    } catch (err) {
-        Notification.exception(err);
-    }
-};
+    };
 
-/**
- * Re-render a reactions bar with animation for changed counts.
- *
- * Always re-renders to enable interaction (cache renders are read-only).
- *
- * @param {number} itemId The item ID.
- * @param {Object} freshData Fresh reaction data from the web service.
- * @param {Object} diffs The diff result from computeDiffs.
- */
-const rerenderBarWithAnimation = async(itemId, freshData, diffs) => {
-    const itemEl = getItemElement(itemId);
-    if (!itemEl) {
-        return;
-    }
+    /**
+     * Toggle a reaction optimistically, then confirm it with the web service.
+     *
+     * The bar is re-rendered straight away with the expected result. Requests for the same item are
+     * sent one at a time in click order; when the server answers, the bar is reconciled against its
+     * authoritative counts, and a failed toggle is rolled back with an animation and an error.
+     * Toggles made offline, or that fail to reach the server, wait in the offline queue instead.
+     *
+     * @param {number} itemId The item ID.
+     * @param {string} emoji The emoji shortcode.
+     * @param {boolean} [confirm=false] Whether to confirm the reaction with a vibration and a pop, after a tap.
+     */
+    const toggleReaction = async(itemId, emoji, confirm = false) => {
+        const toggle = {emoji, add: !getDisplayData(itemId).userreactions.includes(emoji)};
+        if (!pendingToggles[itemId]) {
+            pendingToggles[itemId] = [];
+        }
+        pendingToggles[itemId].push(toggle);
+        const request = (toggleQueues[itemId] || Promise.resolve()).then(() => sendToggle(itemId, toggle));
+        toggleQueues[itemId] = request;
 
-    const existingBar = itemEl.querySelector('[data-region="reactions-bar"]');
-    if (!existingBar) {
-        return;
-    }
+        await reconcileBar(itemId);
+        if (confirm) {
+            Touch.confirm(getBar(itemId), emoji);
+        }
+        await request;
+    };
 
-    const context = buildTemplateContext(freshData, config.emojis, {
-        canreact: config.canreact,
-        compactview: config.compactview,
-        userreactions: freshData.userreactions || [],
-    });
+    /**
+     * Store a pending toggle in the offline queue and show it as waiting.
+     *
+     * @param {number} itemId The item ID.
+     * @param {Object} toggle The pending toggle.
+     * @returns {Promise<boolean>} False if the toggle could not be stored (e.g. no IndexedDB).
+     */
+    const queueToggle = async(itemId, toggle) => {
+        const queueId = await OfflineQueue.enqueue({
+            component: config.component,
+            itemtype: config.itemtype,
+            contextid: config.contextid,
+            itemid: itemId,
+            emoji: toggle.emoji,
+            add: toggle.add,
+        });
+        if (queueId === null) {
+            return false;
+        }
+        toggle.queued = true;
+        toggle.queueId = queueId;
+        await reconcileBar(itemId);
+        return true;
+    };
 
-    try {
-        const {element: newBar, js} = await renderToElement('local_reactions/reactions_bar', context);
-        newBar.setAttribute('data-source', 'live');
+    /**
+     * Send a single pending toggle to the server and reconcile the bar with the response.
+     *
+     * @param {number} itemId The item ID.
+     * @param {Object} toggle The pending toggle ({emoji, add}).
+     */
+    const sendToggle = async(itemId, toggle) => {
+        // A toggle made on a bar rendered from cache may already be in effect (e.g. the reaction was made
+        // on another device since the data was cached), and sending it would undo it.
+        const confirmed = currentDataMap[itemId];
+        if (!hasQueuedToggles(itemId) && confirmed && confirmed.userreactions.includes(toggle.emoji) === toggle.add) {
+            pendingToggles[itemId] = pendingToggles[itemId].filter((t) => t !== toggle);
+            await reconcileBar(itemId);
+            return;
+        }
 
-        applyDiffAnimations(newBar, diffs, config.compactview);
+        // Once an item has queued toggles, later ones queue behind them so the server sees them in order.
+        if ((!navigator.onLine || hasQueuedToggles(itemId)) && await queueToggle(itemId, toggle)) {
+            return;
+        }
 
-        existingBar.replaceWith(newBar);
-        Templates.runTemplateJS(js);
-        bindHandlers(newBar, itemId);
+        let failed = false;
+        let action = null;
+        try {
+            const response = await Ajax.call([{
+                methodname: 'local_reactions_toggle_reaction',
+                args: {
+                    component: config.component,
+                    itemtype: config.itemtype,
+                    itemid: itemId,
+                    emoji: toggle.emoji,
+                },
+            }])[0];
 
-        if (diffs.hasChanges) {
-            clearAnimationClasses(newBar);
+            currentDataMap[itemId] = {
+                itemid: itemId,
+                userreactions: response.userreactions,
+                counts: response.counts,
+            };
+            action = response.action;
+            if (action === 'added') {
+                Touch.setLastEmoji(toggle.emoji);
+            }
+            if (config.extendedpicker && action === 'added') {
+                EmojiCatalogue.noteRecent(toggle.emoji);
+            }
+        } catch (err) {
+            if (OfflineQueue.isNetworkError(err) && await queueToggle(itemId, toggle)) {
+                return;
+            }
+            failed = true;
+            Notification.exception(err);
         }
-    } catch (err) {
-        Notification.exception(err);
-    }
-};
 
-/**
- * Bind all event handlers for a reactions bar.
- *
- * @param {HTMLElement} barElement The reactions bar container.
- * @param {number} itemId The item ID.
- */
-const bindHandlers = (barElement, itemId) => {
-    // Picker trigger buttons (smiley trigger and compact pill both use data-action="open-picker").
-    barElement.querySelectorAll('[data-action="open-picker"]').forEach((trigger) => {
-        trigger.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const picker = barElement.querySelector('[data-region="reactions-picker"]');
-            if (!picker) {
+        pendingToggles[itemId] = (pendingToggles[itemId] || []).filter((t) => t !== toggle);
+        await reconcileBar(itemId, failed ? toggle.emoji : null);
+
+        if (!failed) {
+            // The bar may have gone (e.g. a comment list was collapsed), so fall back to the document.
+            Events.notifyToggled(getBar(itemId) || document, getDetail(itemId, currentDataMap[itemId]), toggle.emoji, action);
+            shareItems([itemId], 'toggle');
+            await updateCacheBatch(
+                [itemId],
+                (id) => Cache.itemKey(config.component, config.itemtype, id),
+                currentDataMap,
+            );
+        }
+    };
+
+    /**
+     * Show queued toggles from earlier visits (or other tabs) as pending on the items on this page.
+     *
+     * @param {number[]} itemIds The item IDs just loaded.
+     */
+    const restoreQueuedToggles = async(itemIds) => {
+        const entries = await OfflineQueue.getQueued(config.component, config.itemtype);
+        const known = new Set(Object.values(pendingToggles).flat().map((t) => t.queueId));
+        const restored = new Set();
+        entries.forEach((entry) => {
+            if (!itemIds.includes(entry.itemid) || known.has(entry.id)) {
                 return;
             }
-            const isOpen = !picker.hidden;
-            closeAllPickers();
-            if (!isOpen) {
-                // Position the picker using fixed coordinates to escape overflow:hidden parents.
-                const rect = trigger.getBoundingClientRect();
-                picker.style.left = rect.left + 'px';
-                picker.hidden = false;
-                // Calculate top now that it's visible and has a real height.
-                picker.style.top = (rect.top - picker.offsetHeight - 6) + 'px';
-                trigger.setAttribute('aria-expanded', 'true');
+            if (!pendingToggles[entry.itemid]) {
+                pendingToggles[entry.itemid] = [];
             }
+            pendingToggles[entry.itemid].push({emoji: entry.emoji, add: entry.add, queued: true, queueId: entry.id});
+            restored.add(entry.itemid);
         });
-    });
-
-    // All toggle-reaction buttons (pills + picker buttons).
-    if (config.canreact) {
-        barElement.querySelectorAll('[data-action="toggle-reaction"]').forEach((btn) => {
-            btn.addEventListener('click', async(e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                closeAllPickers();
-                const emoji = btn.getAttribute('data-emoji');
-                await toggleReaction(itemId, emoji, barElement);
-            });
-        });
-    }
-};
-
-/**
- * Toggle a reaction via the web service and rebuild the bar.
- *
- * @param {number} itemId The item ID.
- * @param {string} emoji The emoji shortcode.
- * @param {HTMLElement} barElement The reactions bar to replace.
- */
-const toggleReaction = async(itemId, emoji, barElement) => {
-    // Disable all interactive elements during the request.
-    barElement.querySelectorAll('button').forEach((b) => b.setAttribute('disabled', 'disabled'));
-    toggleInProgress = true;
+        for (const itemId of restored) {
+            await reconcileBar(itemId);
+        }
+    };
 
-    try {
-        const response = await Ajax.call([{
-            methodname: 'local_reactions_toggle_reaction',
-            args: {
-                component: config.component,
-                itemtype: config.itemtype,
-                itemid: itemId,
-                emoji: emoji,
-            },
-        }])[0];
+    /**
+     * Apply the outcome of one offline queue replay to this controller's bars.
+     *
+     * Rejected toggles are rolled back here, and reported once for the page by replayQueue().
+     *
+     * @param {Object} result The result of OfflineQueue.replay().
+     */
+    const applyReplayResult = async(result) => {
+        const {state, processed, rejected} = result;
+        const processedIds = new Set(processed);
+        const touched = new Map();
 
-        const freshData = {
-            userreactions: response.userreactions,
-            counts: response.counts,
-        };
+        Object.keys(pendingToggles).forEach((itemId) => {
+            const remaining = pendingToggles[itemId].filter((t) => !t.queued || !processedIds.has(t.queueId));
+            if (remaining.length !== pendingToggles[itemId].length) {
+                pendingToggles[itemId] = remaining;
+                touched.set(parseInt(itemId), null);
+            }
+        });
 
-        // Rebuild the bar with fresh data to correctly show/hide pills.
-        const context = buildTemplateContext(freshData, config.emojis, {
-            canreact: config.canreact,
-            compactview: config.compactview,
-            userreactions: freshData.userreactions || [],
+        collectItemIds().forEach((itemId) => {
+            const data = state.get(Cache.itemKey(config.component, config.itemtype, itemId));
+            if (data) {
+                currentDataMap[itemId] = data;
+                touched.set(itemId, null);
+            }
         });
-        const {element: newBar, js} = await renderToElement('local_reactions/reactions_bar', context);
-        newBar.setAttribute('data-source', 'live');
 
-        barElement.replaceWith(newBar);
-        Templates.runTemplateJS(js);
-        bindHandlers(newBar, itemId);
+        for (const {entry} of rejected) {
+            if (entry.component === config.component && entry.itemtype === config.itemtype && touched.has(entry.itemid)) {
+                touched.set(entry.itemid, entry.emoji);
+            }
+        }
 
-        currentDataMap[itemId] = freshData;
+        for (const [itemId, rollbackEmoji] of touched) {
+            await reconcileBar(itemId, rollbackEmoji);
+        }
 
-        await updateCacheBatch(
-            [itemId],
-            (id) => Cache.itemKey(config.component, config.itemtype, id),
-            currentDataMap,
-        );
-    } catch (err) {
-        Notification.exception(err);
-        // Re-enable buttons on error — if barElement was already replaced, target the live bar.
-        const itemEl = getItemElement(itemId);
-        const activeBar = itemEl ? itemEl.querySelector('[data-region="reactions-bar"]') : null;
-        (activeBar || barElement).querySelectorAll('button').forEach((b) => b.removeAttribute('disabled'));
-    } finally {
-        toggleInProgress = false;
-    }
-};
+        if (touched.size) {
+            shareItems([...touched.keys()], 'toggle');
+            await updateCacheBatch(
+                [...touched.keys()],
+                (id) => Cache.itemKey(config.component, config.itemtype, id),
+                currentDataMap,
+            );
+        }
+    };
 
-/**
- * Poll the server for updated reaction data and animate any changes.
- */
-const pollReactions = async() => {
-    if (toggleInProgress) {
-        return;
-    }
+    /**
+     * Stop showing queued toggles that disappeared from the offline queue without being replayed here.
+     *
+     * Another tab sent those, so the items are simply refreshed.
+     */
+    const dropSentElsewhere = async() => {
+        const stillQueued = new Set((await OfflineQueue.getQueued(config.component, config.itemtype)).map((e) => e.id));
+        const stale = Object.keys(pendingToggles).filter((itemId) =>
+            pendingToggles[itemId].some((t) => t.queued && !stillQueued.has(t.queueId)));
+        if (stale.length) {
+            for (const itemId of stale) {
+                pendingToggles[itemId] = pendingToggles[itemId].filter((t) => !t.queued || stillQueued.has(t.queueId));
+                await reconcileBar(parseInt(itemId));
+            }
+            await pollReactions();
+        }
+    };
 
-    const itemIds = collectItemIds();
-    if (!itemIds.length) {
-        return;
-    }
+    /**
+     * Fetch reaction data for polling: only the items changed since the change cursor, or every item
+     * when there is no cursor yet or it has expired.
+     *
+     * @param {number[]} itemIds The item IDs on the page.
+     * @returns {Promise<Object[]>} Fresh reaction data for the items that may have changed.
+     */
+    const fetchPollData = async(itemIds) => {
+        const args = {
+            component: config.component,
+            itemtype: config.itemtype,
+            itemids: itemIds,
+            contextid: config.contextid,
+        };
 
-    try {
-        const response = await Ajax.call([{
-            methodname: 'local_reactions_get_reactions',
-            args: {
-                component: config.component,
-                itemtype: config.itemtype,
-                itemids: itemIds,
-                contextid: config.contextid,
-            },
-        }])[0];
+        if (changeCursor !== null) {
+            const changes = await Scheduler.call('local_reactions_get_reaction_changes', {...args, cursor: changeCursor});
+            if (!changes.expired) {
+                changeCursor = changes.cursor;
+                return changes.items;
+            }
+        }
 
-        const reactionsMap = {};
-        response.items.forEach((item) => {
-            reactionsMap[item.itemid] = item;
+        const response = await Scheduler.call('local_reactions_get_reactions', {
+            ...args,
+            versions: getKnownVersions(itemIds, currentDataMap, 'itemid'),
         });
+        changeCursor = response.cursor;
+        return response.items;
+    };
 
-        for (const itemId of itemIds) {
-            const freshData = reactionsMap[itemId] || {itemid: itemId, userreactions: [], counts: []};
-            const previousData = currentDataMap[itemId];
+    /**
+     * Apply fresh reaction data from a poll or catch-up refresh, animating any changes.
+     *
+     * Items not loaded here were polled for another tab, and are only passed on to it.
+     *
+     * @param {Object[]} freshItems Fresh reaction data.
+     */
+    const applyFreshItems = async(freshItems) => {
+        // Items with unconfirmed toggles are reconciled by their own toggle responses instead.
+        const updatedIds = [];
+        const otherTabItems = [];
+        for (const freshData of freshItems) {
+            const itemId = freshData.itemid;
+            if (!currentDataMap[itemId]) {
+                otherTabItems.push(freshData);
+                continue;
+            }
+            if (pendingToggles[itemId]?.length) {
+                continue;
+            }
+            const previousData = renderedDataMap[itemId] || currentDataMap[itemId];
+
+            currentDataMap[itemId] = freshData;
+            updatedIds.push(itemId);
 
             if (previousData) {
                 const diffs = computeDiffs(previousData, freshData);
                 if (diffs.hasChanges) {
                     await rerenderBarWithAnimation(itemId, freshData, diffs);
+                    announceCounts(`${config.component}:${config.itemtype}:${itemId}`, freshData);
                 }
             }
-
-            currentDataMap[itemId] = freshData;
         }
 
+        shareItems(updatedIds, 'poll', otherTabItems);
+
         await updateCacheBatch(
-            itemIds,
+            updatedIds,
             (id) => Cache.itemKey(config.component, config.itemtype, id),
             currentDataMap,
         );
-    } catch {
-        // Silently ignore poll errors to avoid disrupting the user.
+    };
+
+    /**
+     * Have the counts of an item that changed while on the page read out to screen reader users.
+     *
+     * @param {string} key Identifies the item.
+     * @param {Object} data The item's reaction data.
+     */
+    const announceCounts = (key, data) => Announcer.countsChanged(key, (data.counts || []).map((c) => ({
+        name: getEmojiName(c.emoji, config),
+        count: c.count,
+    })));
+
+    /**
+     * Poll the server for updated reaction data on the loaded items near the viewport, in this tab and
+     * in the other tabs showing the page, then tell those tabs what the poll covered.
+     */
+    const pollReactions = async() => {
+        const itemIds = watchList.getIds();
+        if (!itemIds.length) {
+            return;
+        }
+        tracker.markPolled();
+
+        try {
+            await applyFreshItems(await fetchPollData(itemIds));
+            watchList.notifyPolled(itemIds);
+        } catch {
+            // Silently ignore poll errors to avoid disrupting the user.
+        }
+    };
+
+    /**
+     * Refresh items that missed polls while they were away from the viewport.
+     *
+     * Fetches them in full rather than by change cursor, which the polls have already moved past.
+     *
+     * @param {number[]} itemIds The item IDs.
+     */
+    const refreshItems = async(itemIds) => {
+        try {
+            const response = await Scheduler.call('local_reactions_get_reactions', {
+                component: config.component,
+                itemtype: config.itemtype,
+                itemids: itemIds,
+                contextid: config.contextid,
+                versions: getKnownVersions(itemIds, currentDataMap, 'itemid'),
+            });
+            await applyFreshItems(response.items);
+        } catch {
+            // Silently ignore, as for polls; the next poll or visit catches up.
+        }
+    };
+
+    /**
+     * Share the confirmed reaction data for some items with other tabs, and the other reactions on this page.
+     *
+     * @param {number[]} itemIds The item IDs.
+     * @param {string} reason 'toggle' when the current user changed a reaction, 'poll' for poll results.
+     * @param {Object[]} [otherTabItems=[]] Reaction data polled for other tabs, for items not loaded here.
+     */
+    const shareItems = (itemIds, reason, otherTabItems = []) => {
+        const items = [...itemIds.map((id) => currentDataMap[id]).filter(Boolean), ...otherTabItems];
+        if (!items.length) {
+            return;
+        }
+        options.share({
+            type: 'items',
+            reason: reason,
+            component: config.component,
+            itemtype: config.itemtype,
+            items: items,
+        }, controller);
+    };
+
+    /**
+     * Apply reaction data shared by another tab, or other reactions on this page, to this controller's items.
+     *
+     * Items with toggles in flight here are skipped, as with polling: their own responses are authoritative.
+     *
+     * @param {Object} message The message from local_reactions/tab_sync.
+     */
+    const handleSyncMessage = async(message) => {
+        if (message.type !== 'items' || message.component !== config.component || message.itemtype !== config.itemtype) {
+            return;
+        }
+        for (const data of message.items) {
+            if (!currentDataMap[data.itemid] || pendingToggles[data.itemid]?.length || !getItemElement(data.itemid)) {
+                continue;
+            }
+            currentDataMap[data.itemid] = data;
+            await reconcileBar(data.itemid);
+        }
+    };
+
+    const controller = {
+        handles: (component, itemtype) => component === config.component && itemtype === config.itemtype,
+        start,
+        scan: loadReactions,
+        getState,
+        toggle,
+        refresh,
+        applyReplayResult,
+        dropSentElsewhere,
+        handleSyncMessage,
+    };
+    return controller;
+};
+
+/**
+ * Read a query parameter from a URL.
+ *
+ * @param {string|undefined} href The URL, relative or absolute.
+ * @param {string} param The parameter name.
+ * @returns {string|null} The value, or null if there is no URL or it lacks the parameter.
+ */
+const getUrlParam = (href, param) => {
+    if (!href) {
+        return null;
+    }
+    return new URL(href, window.location.href).searchParams.get(param);
+};
+
+/**
+ * Describe the focused control inside a bar so the same control can be focused after a re-render.
+ *
+ * @param {HTMLElement} bar The reactions bar element.
+ * @returns {string|null} A selector for the equivalent control, or null if focus is outside the bar.
+ */
+const getFocusSelector = (bar) => {
+    const active = document.activeElement;
+    if (!active || !bar.contains(active)) {
+        return null;
+    }
+    if (active.classList.contains('local-reactions-trigger')) {
+        return '.local-reactions-trigger';
+    }
+    if (active.classList.contains('local-reactions-pill-compact')) {
+        return '.local-reactions-pill-compact';
+    }
+    const emoji = active.getAttribute('data-emoji');
+    if (!emoji) {
+        return null;
     }
+    return active.classList.contains('local-reactions-picker-btn')
+        ? `.local-reactions-picker-btn[data-emoji="${emoji}"]`
+        : `.local-reactions-pill[data-emoji="${emoji}"]`;
 };
@@ -0,0 +1,259 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * "Who reacted" popover for reaction pills.
+ *
+ * Hovering a pill with a mouse lazily loads the first page of reactors for that emoji (or for all emoji
+ * on the compact pill) and shows them in a popover. Further pages are loaded on demand. On a touch screen
+ * the popover is opened with showFor(), from the pill's long-press. Only attached when the item's
+ * visibility mode lets the user see names; the web service enforces the same rule.
+ *
+ * @module     local_reactions/reactors
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Templates from 'core/templates';
+import Notification from 'core/notification';
+import {getString} from 'core/str';
+import * as Positioning from 'local_reactions/positioning';
+import {renderToElement, getEmojiName} from 'local_reactions/utils';
+
+/** @var {number} Delay in ms before a hovered pill opens its popover. */
+const HOVER_DELAY = 400;
+
+/** @var {number} Delay in ms before the popover closes once the pointer has left it and its pill. */
+const HIDE_DELAY = 250;
+
+/** @var {number} Number of reactors loaded per page. */
+const PER_PAGE = 20;
+
+/** @var {Object|null} The open popover: {element, pill, request, page}. */
+let current = null;
+
+/** @var {number|null} Pending timer that opens a popover. */
+let showTimer = null;
+
+/** @var {number|null} Pending timer that closes the popover. */
+let hideTimer = null;
+
+/** @var {boolean} Whether the document-level listeners have been registered. */
+let documentListenersRegistered = false;
+
+/** @var {WeakMap<HTMLElement, Object>} The reactors request of each attached pill. */
+const requests = new WeakMap();
+
+/**
+ * Attach the popover behaviour to every pill in a reactions bar.
+ *
+ * @param {HTMLElement} barElement The reactions bar container.
+ * @param {number} itemId The item ID.
+ * @param {Object} cfg Module config with component, itemtype and emojis.
+ */
+export const attach = (barElement, itemId, cfg) => {
+    registerDocumentListeners();
+
+    barElement.querySelectorAll('.local-reactions-pill').forEach((pill) => {
+        const emoji = pill.getAttribute('data-emoji') || '';
+        const request = {
+            component: cfg.component,
+            itemtype: cfg.itemtype,
+            itemid: itemId,
+            emoji: emoji,
+            name: emoji ? getEmojiName(emoji, cfg) : '',
+        };
+        requests.set(pill, request);
+
+        pill.addEventListener('pointerenter', (e) => {
+            if (e.pointerType !== 'mouse') {
+                return;
+            }
+            clearTimeout(hideTimer);
+            clearTimeout(showTimer);
+            showTimer = setTimeout(() => show(pill, request), HOVER_DELAY);
+        });
+        pill.addEventListener('pointerleave', (e) => {
+            if (e.pointerType !== 'mouse') {
+                return;
+            }
+            clearTimeout(showTimer);
+            scheduleHide();
+        });
+    });
+};
+
+/**
+ * Open the popover for a pill of an attached bar straight away.
+ *
+ * @param {HTMLElement} pill The pill.
+ */
+export const showFor = (pill) => {
+    const request = requests.get(pill);
+    if (request) {
+        clearTimeout(showTimer);
+        show(pill, request);
+    }
+};
+
+/**
+ * Close the popover, if one is open.
+ */
+export const close = () => {
+    clearTimeout(showTimer);
+    clearTimeout(hideTimer);
+    if (current) {
+        current.position?.detach();
+        current.element?.remove();
+        current = null;
+    }
+};
+
+/**
+ * Register listeners that close the popover on Escape or a tap elsewhere. Only done once per page.
+ */
+const registerDocumentListeners = () => {
+    if (documentListenersRegistered) {
+        return;
+    }
+    documentListenersRegistered = true;
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && current) {
+            close();
+        }
+    });
+    document.addEventListener('pointerdown', (e) => {
+        if (current && !e.target.closest('[data-region="reactors-popover"]') && !current.pill.contains(e.target)) {
+            close();
+        }
+    });
+};
+
+/**
+ * Close the popover after a short delay, unless the pointer comes back to it or its pill.
+ */
+const scheduleHide = () => {
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(close, HIDE_DELAY);
+};
+
+/**
+ * Fetch a page of reactors.
+ *
+ * @param {Object} request The component, itemtype, itemid and emoji to list reactors for.
+ * @param {number} page Zero-based page number.
+ * @returns {Promise<Object>} The web service response.
+ */
+const fetchPage = (request, page) => Ajax.call([{
+    methodname: 'local_reactions_get_reactors',
+    args: {
+        component: request.component,
+        itemtype: request.itemtype,
+        itemid: request.itemid,
+        emoji: request.emoji,
+        page: page,
+        perpage: PER_PAGE,
+    },
+}])[0];
+
+/**
+ * Open the popover for a pill, loading the first page of reactors.
+ *
+ * @param {HTMLElement} pill The pill the popover belongs to.
+ * @param {Object} request The component, itemtype, itemid, emoji and emoji name for the pill.
+ */
+const show = async(pill, request) => {
+    if (current?.pill === pill) {
+        return;
+    }
+    close();
+    const opening = {element: null, position: null, pill, request, page: 0};
+    current = opening;
+
+    try {
+        const [response, label] = await Promise.all([
+            fetchPage(request, 0),
+            request.emoji
+                ? getString('reactorslistemoji', 'local_reactions', request.name)
+                : getString('reactorslist', 'local_reactions'),
+        ]);
+        // The pointer may have moved on, or the bar re-rendered, while the first page was loading.
+        if (current !== opening || !pill.isConnected) {
+            return;
+        }
+
+        const {element} = await renderToElement('local_reactions/reactors_popover', {
+            label: label,
+            showemoji: !request.emoji,
+            hasmore: response.hasmore,
+            reactors: response.reactors,
+        });
+        if (current !== opening) {
+            return;
+        }
+        opening.element = element;
+        document.body.appendChild(element);
+        opening.position = Positioning.attach(element, pill, close);
+
+        element.addEventListener('pointerenter', () => clearTimeout(hideTimer));
+        element.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse') {
+                scheduleHide();
+            }
+        });
+        element.querySelector('[data-action="show-more-reactors"]')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            loadMore(opening, e.currentTarget);
+        });
+    } catch (err) {
+        if (current === opening) {
+            current = null;
+        }
+        Notification.exception(err);
+    }
+};
+
+/**
+ * Append the next page of reactors to an open popover.
+ *
+ * @param {Object} popover The popover state the button belongs to.
+ * @param {HTMLElement} button The "Show more" button.
+ */
+const loadMore = async(popover, button) => {
+    button.disabled = true;
+    try {
+        const response = await fetchPage(popover.request, popover.page + 1);
+        if (current !== popover) {
+            return;
+        }
+        popover.page++;
+        const {html, js} = await Templates.renderForPromise('local_reactions/reactors_list_items', {
+            showemoji: !popover.request.emoji,
+            reactors: response.reactors,
+        });
+        Templates.appendNodeContents(popover.element.querySelector('[data-region="reactors-list"]'), html, js);
+        if (response.hasmore) {
+            button.disabled = false;
+        } else {
+            button.remove();
+        }
+        popover.position.update();
+    } catch (err) {
+        button.disabled = false;
+        Notification.exception(err);
+    }
+};
@@ -0,0 +1,94 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Batch the fetches of everything showing reactions on a page into as few requests as possible.
+ *
+ * Each set of reactions on a page (forum posts, comments, embedded items...) loads and polls its own
+ * items. Web service calls made through call() within one tick are sent together in a single
+ * Ajax.call, which core/ajax turns into one HTTP request. A tick is a little longer than a frame, so
+ * sets of items that read the browser cache before fetching still end up in the same request.
+ *
+ * The server stops at the first call in a request that throws, and core/ajax rejects the calls after it
+ * with the same exception. Those calls are sent again, so one set failing (e.g. reactions disabled, or
+ * a deleted context) doesn't fail the others.
+ *
+ * @module     local_reactions/scheduler
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+
+/** @var {number} How long in ms calls wait for others to join their request. */
+const TICK = 20;
+
+/** @var {Object[]} Calls waiting for the next tick, each with methodname, args, resolve and reject. */
+let waiting = [];
+
+/** @var {number|null} Timer sending the waiting calls, or null when none are waiting. */
+let timer = null;
+
+/**
+ * Call a web service in the next batch.
+ *
+ * @param {string} methodname The web service function.
+ * @param {Object} args Its arguments.
+ * @returns {Promise<Object>} The web service's response.
+ */
+export const call = (methodname, args) => new Promise((resolve, reject) => {
+    waiting.push({methodname, args, resolve, reject});
+    if (timer === null) {
+        timer = setTimeout(send, TICK);
+    }
+});
+
+/**
+ * Send the waiting calls in one request.
+ */
+const send = () => {
+    const calls = waiting;
+    waiting = [];
+    timer = null;
+    sendBatch(calls);
+};
+
+/**
+ * Send calls in one request, then send again the calls after the first one that failed, which the server
+ * never ran.
+ *
+ * @param {Object[]} calls Calls, each with methodname, args, resolve and reject.
+ */
+const sendBatch = async(calls) => {
+    const results = await Promise.allSettled(Ajax.call(calls.map(({methodname, args}) => ({methodname, args}))));
+    const failed = results.findIndex((result) => result.status === 'rejected');
+    const done = failed === -1 ? calls.length : failed;
+    for (let i = 0; i < done; i++) {
+        calls[i].resolve(results[i].value);
+    }
+    if (failed === -1) {
+        return;
+    }
+    const reason = results[failed].reason;
+    const rest = calls.slice(failed + 1);
+    calls[failed].reject(reason);
+    if (!reason?.errorcode) {
+        // Not an exception from the web service but the whole request failing (e.g. the network is down),
+        // which took every call with it: there is nothing to retry.
+        rest.forEach((call, i) => call.reject(results[failed + 1 + i].reason));
+    } else if (rest.length) {
+        sendBatch(rest);
+    }
+};
@@ -0,0 +1,230 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Cross-tab messaging and leader election for emoji reactions.
+ *
+ * Tabs on the same site share toggles and poll results over a BroadcastChannel, falling back to
+ * localStorage "storage" events where BroadcastChannel is unavailable. For each page one visible tab
+ * is elected (with a renewable lease in localStorage) to do the polling, so server load does not
+ * grow with the number of open tabs. The other tabs tell it which items they need polled, as they
+ * can have items it has not.
+ *
+ * @module     local_reactions/tab_sync
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Config from 'core/config';
+
+/** @var {string} Prefix for the channel name and localStorage keys. */
+const PREFIX = 'local_reactions_sync';
+
+/** @var {number} How long in ms a leader's lease lasts without being renewed. */
+const LEASE_DURATION = 10000;
+
+/** @var {number} How often in ms tabs renew (or try to take over) the lease. */
+const LEASE_RENEW_INTERVAL = 4000;
+
+/** @var {string} Random identifier for this tab. */
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/** @var {Object|null} The open channel: {post}. */
+let channel = null;
+
+/** @var {Set<Function>} Callbacks for messages from other tabs. */
+const listeners = new Set();
+
+/**
+ * Deliver a message from another tab to every subscriber.
+ *
+ * @param {Object} message The message.
+ */
+const dispatch = (message) => {
+    if (!message || message.source === tabId) {
+        return;
+    }
+    listeners.forEach((listener) => listener(message));
+};
+
+/**
+ * Open (or return) the channel shared by every tab on this site.
+ *
+ * @returns {Object} The channel: {post}.
+ */
+const getChannel = () => {
+    if (channel) {
+        return channel;
+    }
+
+    const name = `${PREFIX}:${Config.wwwroot}`;
+    if (typeof BroadcastChannel !== 'undefined') {
+        const broadcast = new BroadcastChannel(name);
+        broadcast.onmessage = (e) => dispatch(e.data);
+        channel = {post: (message) => broadcast.postMessage(message)};
+        return channel;
+    }
+
+    // Fallback: other tabs receive a "storage" event whenever the value changes; the nonce makes
+    // every message a change even when its content repeats.
+    const key = `${name}:message`;
+    window.addEventListener('storage', (e) => {
+        if (e.key !== key || !e.newValue) {
+            return;
+        }
+        try {
+            dispatch(JSON.parse(e.newValue).message);
+        } catch {
+            // Ignore malformed values.
+        }
+    });
+    channel = {
+        post: (message) => {
+            try {
+                localStorage.setItem(key, JSON.stringify({message, nonce: `${tabId}:${Date.now()}:${Math.random()}`}));
+            } catch {
+                // Storage full or disabled: other tabs will catch up on their next poll.
+            }
+        },
+    };
+    return channel;
+};
+
+/**
+ * Register a callback for messages published by other tabs.
+ *
+ * @param {Function} listener Called with each message object.
+ */
+export const subscribe = (listener) => {
+    getChannel();
+    listeners.add(listener);
+};
+
+/**
+ * Send a message to every other tab on this site.
+ *
+ * @param {Object} message A structured-cloneable message with a `type`.
+ */
+export const publish = (message) => {
+    getChannel().post({...message, source: tabId});
+};
+
+/**
+ * Take part in electing one tab per scope to do the polling.
+ *
+ * Only visible tabs hold the lease; a tab gives it up when hidden or closed, and another visible tab
+ * takes over within LEASE_RENEW_INTERVAL. If localStorage is unavailable every tab is its own leader,
+ * which is the behaviour without cross-tab sync.
+ *
+ * @param {string} scope Identifies the page/context being polled, e.g. component, context and URL.
+ * @returns {Object} {isLeader: Function} reporting whether this tab currently holds the lease.
+ */
+export const createElection = (scope) => {
+    const key = `${PREFIX}:${Config.wwwroot}:leader:${scope}`;
+    let leader = false;
+
+    const readLease = () => {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch {
+            return null;
+        }
+    };
+
+    try {
+        localStorage.setItem(`${key}:test`, '1');
+        localStorage.removeItem(`${key}:test`);
+    } catch {
+        return {isLeader: () => true};
+    }
+
+    const resign = () => {
+        if (leader && readLease()?.tab === tabId) {
+            localStorage.removeItem(key);
+        }
+        leader = false;
+    };
+
+    const renew = () => {
+        if (document.hidden) {
+            resign();
+            return;
+        }
+        const lease = readLease();
+        if (!lease || lease.tab === tabId || lease.expires < Date.now()) {
+            localStorage.setItem(key, JSON.stringify({tab: tabId, expires: Date.now() + LEASE_DURATION}));
+            // Two tabs can claim an expired lease at once; whoever wrote last wins.
+            leader = readLease()?.tab === tabId;
+        } else {
+            leader = false;
+        }
+    };
+
+    renew();
+    setInterval(renew, LEASE_RENEW_INTERVAL);
+    document.addEventListener('visibilitychange', renew);
+    window.addEventListener('pagehide', resign);
+
+    return {isLeader: () => leader};
+};
+
+/**
+ * Share which IDs each tab of a scope needs polled, so the elected tab can poll for all of them.
+ *
+ * Every tab reports its IDs each LEASE_RENEW_INTERVAL, whether it is the leader or not, so a tab
+ * that takes over the lease already knows what the others need. Reports not renewed within
+ * LEASE_DURATION are dropped, as their tab has been closed.
+ *
+ * @param {string} scope The scope, as for createElection().
+ * @param {Object} options Options.
+ * @param {Function} options.getIds Returns the IDs this tab needs polled.
+ * @param {Function} [options.onPolled] Called with the IDs another tab's poll covered, see notifyPolled.
+ * @returns {Object} {getIds: Function} returning this tab's IDs together with those the other tabs
+ *     reported, and {notifyPolled: Function} to tell the other tabs which IDs a poll covered.
+ */
+export const createWatchList = (scope, {getIds, onPolled = null}) => {
+    /** @var {Map<string, Object>} The latest report from each other tab: {ids, expires}. */
+    const reports = new Map();
+
+    subscribe((message) => {
+        if (message.scope !== scope) {
+            return;
+        }
+        if (message.type === 'watch') {
+            reports.set(message.source, {ids: message.ids, expires: Date.now() + LEASE_DURATION});
+        } else if (message.type === 'polled' && onPolled) {
+            onPolled(message.ids);
+        }
+    });
+
+    const report = () => publish({type: 'watch', scope: scope, ids: getIds()});
+    report();
+    setInterval(report, LEASE_RENEW_INTERVAL);
+
+    return {
+        getIds: () => {
+            const ids = new Set(getIds());
+            reports.forEach((other, tab) => {
+                if (other.expires < Date.now()) {
+                    reports.delete(tab);
+                } else {
+                    other.ids.forEach((id) => ids.add(id));
+                }
+            });
+            return [...ids];
+        },
+        notifyPolled: (ids) => publish({type: 'polled', scope: scope, ids: ids}),
+    };
+};
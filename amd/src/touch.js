@@ -0,0 +1,194 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Touch gestures for reactions: long-press, telling taps from clicks, the last-used emoji and the
+ * confirmation played when a reaction is made with a finger.
+ *
+ * Only touch and pen input is handled here, so mouse users keep clicks and hover. A finger that moves
+ * before the long-press fires is scrolling (e.g. swiping along a row of pills), and cancels it.
+ *
+ * @module     local_reactions/touch
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Config from 'core/config';
+
+/** @var {number} How long in ms a touch must be held to count as a long-press. */
+const LONG_PRESS_DELAY = 500;
+
+/** @var {number} How far in px a finger can move during a long-press before it counts as scrolling. */
+const MOVE_TOLERANCE = 10;
+
+/** @var {number} How long in ms after a touch a click still counts as a tap. */
+const TAP_WINDOW = 1000;
+
+/** @var {number} Length in ms of the vibration confirming a reaction, where the device supports it. */
+const VIBRATION = 15;
+
+/** @var {string} localStorage key prefix for the last emoji reacted with, followed by the site. */
+const STORAGE_PREFIX = 'local_reactions_lastemoji';
+
+/** @var {Object} Type and time of the latest pointerdown on the page. */
+let lastPointer = {type: '', time: 0};
+
+/** @var {boolean} Whether the document listener recording pointerdowns is registered. */
+let documentListenerRegistered = false;
+
+/** @var {WeakSet<PointerEvent>} Presses already taken by a long-press, so nested elements don't both act. */
+const claimed = new WeakSet();
+
+/**
+ * Swallow a click, so the end of a long-press doesn't also act as a tap.
+ *
+ * @param {MouseEvent} e The click event.
+ */
+const swallowClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+};
+
+/**
+ * Record the type of every pointerdown, so clicks can be told apart. Only done once per page.
+ */
+const registerDocumentListener = () => {
+    if (documentListenerRegistered) {
+        return;
+    }
+    documentListenerRegistered = true;
+    document.addEventListener('pointerdown', (e) => {
+        lastPointer = {type: e.pointerType, time: Date.now()};
+        // Not every browser follows a long-press with a click, so don't let the swallower catch a later one.
+        document.removeEventListener('click', swallowClick, true);
+    }, {capture: true, passive: true});
+};
+
+/**
+ * Whether the click being handled comes from a finger or pen rather than a mouse or the keyboard.
+ *
+ * @returns {boolean}
+ */
+export const isTap = () => lastPointer.type !== '' && lastPointer.type !== 'mouse'
+    && Date.now() - lastPointer.time < TAP_WINDOW;
+
+/**
+ * Call a function when an element is long-pressed with a finger or pen.
+ *
+ * The click and context menu that follow a long-press are swallowed, so it doesn't also act as a tap. That is
+ * done on the whole document, as the callback may have put something (e.g. a backdrop) under the finger.
+ * When nested elements are both watched, only the innermost one gets the long-press.
+ *
+ * @param {HTMLElement} element The element to watch.
+ * @param {Function} callback Called with the pointerdown event once the press has been held long enough.
+ * @param {string} [ignoreSelector] Presses starting inside elements matching this are left to the browser.
+ */
+export const onLongPress = (element, callback, ignoreSelector = '') => {
+    registerDocumentListener();
+
+    let timer = null;
+    let start = null;
+    let pressed = false;
+
+    const cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    element.addEventListener('pointerdown', (e) => {
+        pressed = false;
+        cancel();
+        if (e.pointerType === 'mouse' || !e.isPrimary || claimed.has(e)
+                || (ignoreSelector && e.target.closest(ignoreSelector))) {
+            return;
+        }
+        // The innermost element watching takes the press, e.g. a comment inside a glossary entry.
+        claimed.add(e);
+        start = {x: e.clientX, y: e.clientY};
+        timer = setTimeout(() => {
+            timer = null;
+            pressed = true;
+            document.addEventListener('click', swallowClick, {capture: true, once: true});
+            callback(e);
+        }, LONG_PRESS_DELAY);
+    });
+    element.addEventListener('pointermove', (e) => {
+        if (timer && Math.hypot(e.clientX - start.x, e.clientY - start.y) > MOVE_TOLERANCE) {
+            cancel();
+        }
+    });
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach((type) => element.addEventListener(type, cancel));
+    element.addEventListener('contextmenu', (e) => {
+        if (timer || pressed) {
+            e.preventDefault();
+        }
+    });
+};
+
+/**
+ * The localStorage key of the user's last emoji. It is kept per user as well as per site, since
+ * computers can be shared (see local_reactions/cache).
+ *
+ * @returns {string}
+ */
+const getLastEmojiKey = () => `${STORAGE_PREFIX}:${Config.wwwroot}|${Number(Config.userId) || 0}`;
+
+/**
+ * Get the emoji the user last reacted with on this site.
+ *
+ * @returns {string|null} The shortcode, or null if there is none or storage is unavailable.
+ */
+export const getLastEmoji = () => {
+    try {
+        return window.localStorage.getItem(getLastEmojiKey());
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Remember the emoji the user just reacted with, for a quick tap to use next time.
+ *
+ * @param {string} shortcode The emoji shortcode.
+ */
+export const setLastEmoji = (shortcode) => {
+    try {
+        window.localStorage.setItem(getLastEmojiKey(), shortcode);
+    } catch (e) {
+        // Storage may be unavailable (e.g. disabled); a quick tap then opens the picker instead.
+    }
+};
+
+/**
+ * Confirm a reaction made with a finger: a short vibration, and a pop on the emoji's pill.
+ *
+ * @param {HTMLElement|null} barElement The item's reactions bar, as re-rendered with the reaction.
+ * @param {string} emoji The emoji shortcode.
+ */
+export const confirm = (barElement, emoji) => {
+    try {
+        navigator.vibrate?.(VIBRATION);
+    } catch (e) {
+        // Vibration may be blocked (e.g. in a cross-origin frame); the pop still shows.
+    }
+    // The pill is gone when the last reaction with the emoji was removed, so pop the trigger instead.
+    const target = barElement?.querySelector(`.local-reactions-pill[data-emoji="${CSS.escape(emoji)}"]`)
+        || barElement?.querySelector('.local-reactions-pill-compact, .local-reactions-trigger');
+    if (!target) {
+        return;
+    }
+    target.classList.add('local-reactions-touch-confirm');
+    target.addEventListener('animationend', () => target.classList.remove('local-reactions-touch-confirm'), {once: true});
+};
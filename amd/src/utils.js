@@ -23,9 +23,11 @@
 
 import Templates from 'core/templates';
 import * as Cache from 'local_reactions/cache';
+import * as TabSync from 'local_reactions/tab_sync';
+import * as EmojiCatalogue from 'local_reactions/emoji_catalogue';
 
-/** @var {number} Duration in ms to keep animation classes before removal. */
-export const ANIMATION_TIMEOUT = 2100;
+/** @var {string[]} Classes playing an animation on a pill, removed again once it has played. */
+const ANIMATION_CLASSES = ['local-reactions-count-changed', 'local-reactions-pill-new', 'local-reactions-rollback'];
 
 /**
  * Render a Mustache template and return the first element.
@@ -84,6 +86,73 @@ export const computeDiffs = (cachedData, freshData) => {
     return {hasChanges, changedEmojis, newEmojis, removedEmojis};
 };
 
+/**
+ * Apply a single toggle to reaction data locally, mirroring manager::toggle_reaction().
+ *
+ * Used to render the expected result of a toggle before the server confirms it. In
+ * single-reaction mode (allowmultiple false) adding an emoji also removes any other
+ * emoji the user has on the item.
+ *
+ * @param {Object} data Reaction data with counts and userreactions.
+ * @param {string} emoji The emoji shortcode being toggled.
+ * @param {boolean} allowmultiple Whether the user may hold several emoji on the item.
+ * @returns {Object} New reaction data; the input is not modified.
+ */
+export const applyToggle = (data, emoji, allowmultiple) => {
+    const counts = {};
+    (data?.counts || []).forEach((c) => {
+        counts[c.emoji] = c.count;
+    });
+    let userreactions = [...(data?.userreactions || [])];
+
+    if (userreactions.includes(emoji)) {
+        userreactions = userreactions.filter((e) => e !== emoji);
+        counts[emoji] = Math.max(0, (counts[emoji] || 0) - 1);
+    } else {
+        if (!allowmultiple) {
+            userreactions.forEach((e) => {
+                counts[e] = Math.max(0, (counts[e] || 0) - 1);
+            });
+            userreactions = [];
+        }
+        userreactions.push(emoji);
+        counts[emoji] = (counts[emoji] || 0) + 1;
+    }
+
+    return {
+        ...data,
+        userreactions: userreactions,
+        counts: Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([e, count]) => ({emoji: e, count: count})),
+    };
+};
+
+/**
+ * Check whether two reaction data objects hold the same set of user reactions.
+ *
+ * @param {Object} a Reaction data.
+ * @param {Object} b Reaction data.
+ * @returns {boolean}
+ */
+export const sameUserReactions = (a, b) => {
+    const left = [...(a?.userreactions || [])].sort();
+    const right = [...(b?.userreactions || [])].sort();
+    return left.length === right.length && left.every((e, i) => e === right[i]);
+};
+
+/**
+ * Get the localised, human-readable name of an emoji or sticker, for labels read by screen readers.
+ *
+ * @param {string} shortcode The emoji shortcode.
+ * @param {Object} cfg Module config with emojinames and stickers.
+ * @returns {string}
+ */
+export const getEmojiName = (shortcode, cfg) => cfg.stickers?.[shortcode]?.alt
+    || cfg.emojinames?.[shortcode]
+    || EmojiCatalogue.getName(shortcode)
+    || shortcode.replace(/[_-]+/g, ' ');
+
 /**
  * Build Mustache template context from reaction data.
  *
@@ -93,9 +162,19 @@ export const computeDiffs = (cachedData, freshData) => {
  * @param {boolean} [options.canreact=false] Whether the user can react.
  * @param {boolean} [options.compactview=false] Whether to use compact view.
  * @param {string[]} [options.userreactions=[]] Emoji shortcodes the current user has reacted with.
+ * @param {Object} [options.extraemojis={}] Map of shortcode to unicode for reacted emoji outside the
+ *     emoji set (retired from it, or from the extended picker's catalogue); these get pills but no quick
+ *     picker button.
+ * @param {boolean} [options.extendedpicker=false] Whether the picker offers the "More emoji" panel.
+ * @param {Object} [options.stickers={}] Map of shortcode to {url, alt} for the image reactions offered
+ *     after the emoji set.
+ * @param {Object} [options.emojinames={}] Map of shortcode to localised name for the emoji set.
  * @returns {Object} Template context.
  */
-export const buildTemplateContext = (data, emojis, {canreact = false, compactview = false, userreactions = []} = {}) => {
+export const buildTemplateContext = (data, emojis, options = {}) => {
+    const {canreact = false, compactview = false, userreactions = [], extraemojis = {}, extendedpicker = false} = options;
+    const stickers = options.stickers || {};
+    const emojinames = options.emojinames || {};
     const countsMap = {};
     (data?.counts || []).forEach((c) => {
         countsMap[c.emoji] = c.count;
@@ -106,20 +185,39 @@ export const buildTemplateContext = (data, emojis, {canreact = false, compactvie
     const reactedEmojis = [];
     let hasAnySelected = false;
 
-    for (const [shortcode, unicode] of Object.entries(emojis)) {
+    const entries = Object.entries(emojis).map(([shortcode, unicode]) => [shortcode, unicode, true, null]);
+    for (const [shortcode, sticker] of Object.entries(stickers)) {
+        if (!(shortcode in emojis)) {
+            entries.push([shortcode, '', true, sticker]);
+        }
+    }
+    for (const [shortcode, unicode] of Object.entries(extraemojis)) {
+        if (!(shortcode in emojis) && !(shortcode in stickers)) {
+            entries.push([shortcode, unicode, false, null]);
+        }
+    }
+
+    for (const [shortcode, unicode, inpicker, sticker] of entries) {
         const count = countsMap[shortcode] || 0;
         const isSelected = userreactions.includes(shortcode);
+        const image = sticker ? sticker.url : '';
+        const label = sticker ? sticker.alt : unicode;
         buttons.push({
             shortcode: shortcode,
             unicode: unicode,
+            image: image,
+            label: label,
+            name: getEmojiName(shortcode, {emojinames, stickers}),
             count: count,
+            countone: count === 1,
             hascount: count > 0,
             selected: isSelected,
             canreact: canreact,
+            inpicker: inpicker,
         });
         if (count > 0) {
             totalCount += count;
-            reactedEmojis.push({unicode: unicode});
+            reactedEmojis.push({unicode: unicode, image: image, label: label});
             if (isSelected) {
                 hasAnySelected = true;
             }
@@ -130,25 +228,65 @@ export const buildTemplateContext = (data, emojis, {canreact = false, compactvie
         buttons: buttons,
         canreact: canreact,
         compactview: compactview,
+        extendedpicker: extendedpicker,
         hasanycount: totalCount > 0,
         totalcount: totalCount,
+        totalone: totalCount === 1,
         reactedEmojis: reactedEmojis,
         selected: hasAnySelected,
     };
 };
 
+/** @var {boolean} Whether the sticker image fallback listener is registered. */
+let stickerFallbacksWatched = false;
+
+/**
+ * Show a sticker's text alternative in place of its image when the image cannot be loaded, e.g. when a
+ * bar is rendered from the IndexedDB cache while offline or after the sticker was replaced.
+ *
+ * Safe to call more than once; a single capturing listener covers every sticker on the page.
+ */
+export const watchStickerFallbacks = () => {
+    if (stickerFallbacksWatched) {
+        return;
+    }
+    stickerFallbacksWatched = true;
+    document.addEventListener('error', (e) => {
+        const image = e.target;
+        if (!(image instanceof HTMLImageElement) || !image.classList.contains('local-reactions-sticker')) {
+            return;
+        }
+        const fallback = document.createElement('span');
+        fallback.className = 'local-reactions-sticker-fallback';
+        fallback.textContent = image.alt;
+        image.replaceWith(fallback);
+    }, true);
+};
+
 /**
  * Create a poller that periodically calls a function and pauses when the tab is hidden.
  *
+ * When a leader scope is given, only the tab elected for that scope polls; the other tabs rely on
+ * the results it shares over local_reactions/tab_sync, and tell it what to poll for them.
+ *
  * @param {number} intervalSeconds Polling interval in seconds. If <= 0, no polling is started.
  * @param {Function} pollFn The async function to call on each poll tick.
+ * @param {string|null} [leaderScope=null] Scope for electing a single polling tab, or null to always poll.
+ * @returns {Object|undefined} {pollNow} to poll immediately (if this tab is the leader), or undefined if not polling.
  */
-export const createPoller = (intervalSeconds, pollFn) => {
+export const createPoller = (intervalSeconds, pollFn, leaderScope = null) => {
     if (!intervalSeconds || intervalSeconds <= 0) {
-        return;
+        return undefined;
     }
 
-    let timer = setInterval(pollFn, intervalSeconds * 1000);
+    const election = leaderScope ? TabSync.createElection(leaderScope) : null;
+    const tick = () => {
+        if (!election || election.isLeader()) {
+            pollFn();
+        }
+    };
+
+    let timer = setInterval(tick, intervalSeconds * 1000);
 
     document.addEventListener('visibilitychange', () => {
         if (document.hidden) {
@@ -157,10 +295,12 @@ export const createPoller = (intervalSeconds, pollFn) => {
                 timer = null;
             }
         } else if (!timer) {
-            pollFn();
-            timer = setInterval(pollFn, intervalSeconds * 1000);
+            tick();
+            timer = setInterval(tick, intervalSeconds * 1000);
         }
     });
+
+    return {pollNow: tick};
 };
 
 /**
@@ -212,25 +352,59 @@ export const applyDiffAnimations = (newBar, diffs, compactview) => {
 };
 
 /**
- * Remove animation classes from a bar after the animation duration.
+ * Flag the pill for a failed toggle so it visibly snaps back to its previous state.
+ *
+ * Falls back to the compact pill, then the picker trigger, when the emoji no longer has a pill
+ * of its own (e.g. a failed first reaction whose pill was removed again).
+ *
+ * @param {HTMLElement} bar The reactions bar element.
+ * @param {string} emoji The emoji shortcode whose toggle failed.
+ * @param {boolean} compactview Whether compact view is enabled.
+ */
+export const applyRollbackAnimation = (bar, emoji, compactview) => {
+    const target = (!compactview && bar.querySelector(`.local-reactions-pill[data-emoji="${emoji}"]`))
+        || bar.querySelector('.local-reactions-pill-compact')
+        || bar.querySelector('.local-reactions-trigger');
+    if (target) {
+        target.classList.add('local-reactions-rollback');
+    }
+};
+
+/**
+ * Remove animation classes from a bar once their animations have played.
+ *
+ * How long they play is left to the stylesheet, which swaps movement for a short highlight when the
+ * user prefers reduced motion.
  *
  * @param {HTMLElement} bar The reactions bar element.
  */
 export const clearAnimationClasses = (bar) => {
-    setTimeout(() => {
-        bar.querySelectorAll('.local-reactions-count-changed, .local-reactions-pill-new')
-            .forEach((el) => {
-                el.classList.remove('local-reactions-count-changed', 'local-reactions-pill-new');
-            });
-    }, ANIMATION_TIMEOUT);
+    bar.querySelectorAll(ANIMATION_CLASSES.map((name) => `.${name}`).join(', ')).forEach((el) => {
+        const clear = () => el.classList.remove(...ANIMATION_CLASSES);
+        el.addEventListener('animationend', clear, {once: true});
+        el.addEventListener('animationcancel', clear, {once: true});
+    });
 };
 
+/**
+ * List the versions of the reaction data held for some items, so the server can skip those unchanged.
+ *
+ * @param {number[]} ids The item/discussion IDs.
+ * @param {Object} dataMap Map of ID to reaction data, as returned by the web services (with a version).
+ * @param {string} idKey Name of the ID property the web service expects ('itemid' or 'discussionid').
+ * @returns {Object[]} {[idKey], version} for each ID with versioned data.
+ */
+export const getKnownVersions = (ids, dataMap, idKey) => ids
+    .filter((id) => dataMap[id]?.version)
+    .map((id) => ({[idKey]: id, version: dataMap[id].version}));
+
 /**
  * Update the IndexedDB cache for a batch of items.
  *
  * @param {number[]} ids The item/discussion IDs.
  * @param {Function} keyFn Function that takes an ID and returns a cache key.
- * @param {Object} dataMap Map of ID to reaction data (must have a counts property).
+ * @param {Object} dataMap Map of ID to reaction data (must have a counts property). The current user's
+ *     own reactions are cached too; the cache is scoped to the user, so nobody else gets to see them.
  * @returns {Promise<void>}
  */
 export const updateCacheBatch = async(ids, keyFn, dataMap) => {
@@ -245,7 +419,13 @@ export const updateCacheBatch = async(ids, keyFn, dataMap) => {
         if (data) {
             entries.push({
                 key: keyFn(id),
-                data: {counts: data.counts || []},
+                data: {
+                    counts: data.counts || [],
+                    userreactions: data.userreactions || [],
+                    version: data.version || null,
+                    // Discussion totals also name the opening post, which the list can react to.
+                    ...(data.firstpostid ? {firstpostid: data.firstpostid} : {}),
+                },
             });
         }
     }
@@ -0,0 +1,180 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Track which reactable elements are near the viewport, so long pages only load and poll what the
+ * user can see.
+ *
+ * Each tracker reports elements as they first come near the viewport (to load them), and again when
+ * they come back after a poll ran while they were away (to catch them up). While the tab is hidden
+ * every element counts as away. Browsers without IntersectionObserver treat every element as
+ * visible, which is the old load-everything behaviour.
+ *
+ * @module     local_reactions/viewport
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/** @var {string} How far outside the viewport an element still counts as visible, so bars are ready on arrival. */
+const ROOT_MARGIN = '300px 0px';
+
+/**
+ * Create a viewport tracker.
+ *
+ * @param {Object} options Options.
+ * @param {Function} options.getId Returns the numeric ID for a tracked element.
+ * @param {Function} options.onEnter Called with (newIds, staleIds) as elements come near the viewport:
+ *     newIds have not been near it before; staleIds were away while at least one poll ran. Also called
+ *     with visible elements a poll run by another tab did not cover, as staleIds.
+ * @returns {Object} {observe(element), visibleIds(), markPolled(coveredIds)}
+ */
+export const createTracker = (options) => {
+    const {getId, onEnter} = options;
+
+    /** @var {WeakSet<HTMLElement>} Elements already being observed. */
+    const observed = new WeakSet();
+    /** @var {WeakSet<HTMLElement>} Elements that have been near the viewport at least once. */
+    const seen = new WeakSet();
+    /** @var {WeakMap<HTMLElement, number>} Poll generation at which each away element left. */
+    const leftAt = new WeakMap();
+    /** @var {Set<HTMLElement>} Elements currently near the viewport. */
+    const visible = new Set();
+    let generation = 0;
+
+    /**
+     * Record that elements came near the viewport and report them.
+     *
+     * @param {HTMLElement[]} elements
+     */
+    const enter = (elements) => {
+        const newIds = [];
+        const staleIds = [];
+        for (const element of elements) {
+            const id = getId(element);
+            visible.add(element);
+            if (!id) {
+                continue;
+            }
+            if (!seen.has(element)) {
+                seen.add(element);
+                newIds.push(id);
+            } else if (leftAt.has(element) && leftAt.get(element) < generation) {
+                staleIds.push(id);
+            }
+            leftAt.delete(element);
+        }
+        if (newIds.length || staleIds.length) {
+            onEnter(newIds, staleIds);
+        }
+    };
+
+    const observer = typeof IntersectionObserver === 'undefined' ? null : new IntersectionObserver((entries) => {
+        const entered = [];
+        for (const entry of entries) {
+            if (entry.isIntersecting) {
+                entered.push(entry.target);
+            } else if (visible.delete(entry.target) && !leftAt.has(entry.target)) {
+                leftAt.set(entry.target, generation);
+            }
+        }
+        enter(entered);
+    }, {rootMargin: ROOT_MARGIN});
+
+    // Elements of a hidden tab are away, though still where they were when the tab comes back.
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            visible.forEach((element) => leftAt.set(element, generation));
+        } else {
+            enter([...visible]);
+        }
+    });
+
+    /**
+     * IDs of the tracked elements currently near the viewport and still on the page.
+     *
+     * @returns {number[]} None while the tab is hidden.
+     */
+    const visibleIds = () => {
+        const ids = [];
+        if (document.hidden) {
+            return ids;
+        }
+        for (const element of visible) {
+            if (!element.isConnected) {
+                visible.delete(element);
+                continue;
+            }
+            const id = getId(element);
+            if (id) {
+                ids.push(id);
+            }
+        }
+        return ids;
+    };
+
+    /** @var {HTMLElement[]} Elements waiting to be reported when IntersectionObserver is unavailable. */
+    let unobservable = [];
+
+    return {
+        /**
+         * Start tracking an element. Elements already tracked are ignored.
+         *
+         * @param {HTMLElement} element
+         */
+        observe: (element) => {
+            if (observed.has(element)) {
+                return;
+            }
+            observed.add(element);
+            if (observer) {
+                observer.observe(element);
+                return;
+            }
+            // Report everything observed in the same task together, as IntersectionObserver would.
+            if (!unobservable.length) {
+                setTimeout(() => {
+                    const elements = unobservable;
+                    unobservable = [];
+                    enter(elements);
+                });
+            }
+            unobservable.push(element);
+        },
+
+        visibleIds,
+
+        /**
+         * Note that a poll is about to cover the visible elements, so elements away now will need
+         * catching up when they return.
+         *
+         * A poll another tab ran for this one may have missed some visible elements, e.g. ones that
+         * only came near the viewport since this tab last told it what to poll. Those are reported
+         * to onEnter as stale straight away.
+         *
+         * @param {number[]|null} [coveredIds=null] IDs the poll covered, or null for all the visible elements.
+         */
+        markPolled: (coveredIds = null) => {
+            generation++;
+            if (!coveredIds || document.hidden) {
+                return;
+            }
+            const covered = new Set(coveredIds);
+            const missedIds = visibleIds().filter((id) => !covered.has(id));
+            if (missedIds.length) {
+                onEnter([], missedIds);
+            }
+        },
+    };
+};
@@ -24,10 +24,10 @@
 
 
 /**
- * Backup support for local_reactions at the module level.
+ * Backup support for local_reactions at the course and module levels.
  *
- * Backs up per-forum reactions settings and, when user data is included,
- * the individual reaction records.
+ * Backs up the course's stickers and default emoji set, per-activity reactions settings and, when user
+ * data is included, the individual reaction records on the activity's posts, entries or records.
  */
 class backup_local_reactions_plugin extends backup_local_plugin {
     /**
@@ -38,9 +38,10 @@ class backup_local_reactions_plugin extends backup_local_plugin {
         $pluginwrapper = new backup_nested_element($this->get_recommended_name());
         $plugin->add_child($pluginwrapper);
 
-        // Per-forum settings (always included).
+        // Per-activity settings (always included).
         $settings = new backup_nested_element('reactions_enabled', ['id'], [
-            'enabled', 'compactview_list', 'compactview_discuss', 'allowmultiplereactions',
+            'enabled', 'compactview_list', 'compactview_discuss', 'allowmultiplereactions', 'reactorvisibility',
+            'reactfromlist', 'emojis', 'retiredemojis',
         ]);
         $pluginwrapper->add_child($settings);
         $settings->set_source_table('local_reactions_enabled', ['cmid' => backup::VAR_MODID]);
@@ -55,23 +56,65 @@ class backup_local_reactions_plugin extends backup_local_plugin {
             $pluginwrapper->add_child($reactions);
             $reactions->add_child($reaction);
 
-            $reaction->set_source_sql(
-                '
-                SELECT lr.*
-                  FROM {local_reactions} lr
-                  JOIN {forum_posts} fp ON fp.id = lr.itemid
-                  JOIN {forum_discussions} fd ON fd.id = fp.discussion
-                 WHERE fd.forum = ?
-                   AND lr.component = ?
-                   AND lr.itemtype = ?',
-                [backup::VAR_ACTIVITYID,
-                 backup_helper::is_sqlparam('mod_forum'),
-                backup_helper::is_sqlparam('post')]
-            );
+            $provider = \local_reactions\provider_registry::get_for_modulename($this->task->get_modulename());
+            if ($provider) {
+                $reaction->set_source_sql(
+                    "
+                    SELECT lr.*
+                      FROM {local_reactions} lr
+                      JOIN {{$provider->get_item_table()}} i ON i.id = lr.itemid
+                     WHERE i.{$provider->get_instance_field()} = ?
+                       AND lr.component = ?
+                       AND lr.itemtype = ?",
+                    [backup::VAR_ACTIVITYID,
+                     backup_helper::is_sqlparam($provider->get_component()),
+                     backup_helper::is_sqlparam($provider->get_itemtype())]
+                );
+            } else {
+                $reaction->set_source_sql(
+                    '
+                    SELECT lr.*
+                      FROM {local_reactions} lr
+                      JOIN {forum_posts} fp ON fp.id = lr.itemid
+                      JOIN {forum_discussions} fd ON fd.id = fp.discussion
+                     WHERE fd.forum = ?
+                       AND lr.component = ?
+                       AND lr.itemtype = ?',
+                    [backup::VAR_ACTIVITYID,
+                     backup_helper::is_sqlparam('mod_forum'),
+                    backup_helper::is_sqlparam('post')]
+                );
+            }
 
             $reaction->annotate_ids('user', 'userid');
         }
 
         return $plugin;
     }
+
+    /**
+     * Define the course-level plugin structure for backup: the course's stickers and their images, and its
+     * default emoji set.
+     */
+    protected function define_course_plugin_structure() {
+        $plugin = $this->get_plugin_element();
+        $pluginwrapper = new backup_nested_element($this->get_recommended_name());
+        $plugin->add_child($pluginwrapper);
+
+        $stickers = new backup_nested_element('stickers');
+        $sticker = new backup_nested_element('sticker', ['id'], [
+            'shortcode', 'alttext', 'timecreated', 'timemodified',
+        ]);
+        $pluginwrapper->add_child($stickers);
+        $stickers->add_child($sticker);
+
+        $sticker->set_source_table('local_reactions_stickers', ['contextid' => backup::VAR_CONTEXTID]);
+        $sticker->annotate_files('local_reactions', \local_reactions\stickers::FILEAREA, 'id');
+
+        $emojiset = new backup_nested_element('emojiset', ['id'], ['emojis', 'retiredemojis', 'timemodified']);
+        $pluginwrapper->add_child($emojiset);
+        $emojiset->set_source_table('local_reactions_emojisets', ['contextid' => backup::VAR_CONTEXTID]);
+
+        return $plugin;
+    }
 }
@@ -23,14 +23,15 @@
  */
 
 /**
- * Restore support for local_reactions at the module level.
+ * Restore support for local_reactions at the course and module levels.
  *
- * Restores per-forum reactions settings and individual reaction records.
- * Reaction records are deferred to after_restore_module() because forum
- * posts have not yet been restored when process_reaction() is called.
+ * Restores the course's stickers and default emoji set, per-activity reactions settings and individual
+ * reaction records.
+ * Reaction records are deferred to after_restore_module() because forum posts, glossary entries
+ * and database records have not yet been restored when process_reaction() is called.
  */
 class restore_local_reactions_plugin extends restore_local_plugin {
-    /** @var array Reaction records to insert after forum posts are restored. */
+    /** @var array Reaction records to insert after the activity's items are restored. */
     protected $pendingreactions = [];
 
     /**
@@ -68,9 +69,9 @@ class restore_local_reactions_plugin extends restore_local_plugin {
     /**
      * Stash an individual reaction record for deferred processing.
      *
-     * Forum posts are restored after the module structure step, so
-     * post ID mappings are not available yet. We store reaction data
-     * and insert it in after_restore_module().
+     * Items are restored after the module structure step, so their ID
+     * mappings are not available yet. We store reaction data and insert
+     * it in after_restore_module().
      *
      * @param array $data The backed-up reaction data.
      */
@@ -79,13 +80,16 @@ class restore_local_reactions_plugin extends restore_local_plugin {
     }
 
     /**
-     * Insert deferred reaction records now that forum posts have been restored.
+     * Insert deferred reaction records now that the activity's items have been restored.
      */
     public function after_restore_module() {
         global $DB;
 
+        $provider = \local_reactions\provider_registry::get_for_modulename($this->task->get_modulename());
+        $mapping = $provider ? $provider->get_restore_mapping() : 'forum_post';
+        $changed = [];
         foreach ($this->pendingreactions as $data) {
-            $newitemid = $this->get_mappingid('forum_post', $data->itemid);
+            $newitemid = $this->get_mappingid($mapping, $data->itemid);
             if (!$newitemid) {
                 continue;
             }
@@ -100,6 +104,66 @@ class restore_local_reactions_plugin extends restore_local_plugin {
             unset($data->id);
 
             $DB->insert_record('local_reactions', $data);
+            $changed[$data->component][$data->itemtype][] = $newitemid;
         }
+
+        foreach ($changed as $component => $itemtypes) {
+            foreach ($itemtypes as $itemtype => $itemids) {
+                \local_reactions\manager::record_changes($component, $itemtype, $itemids);
+            }
+        }
+    }
+
+    /**
+     * Define the course-level plugin structure for restore.
+     *
+     * @return restore_path_element[]
+     */
+    protected function define_course_plugin_structure() {
+        return [
+            new restore_path_element('sticker', $this->get_pathfor('/stickers/sticker')),
+            new restore_path_element('emojiset', $this->get_pathfor('/emojiset')),
+        ];
+    }
+
+    /**
+     * Restore the course's default emoji set, unless the target course already has one.
+     *
+     * @param array $data The backed-up emoji set data.
+     */
+    public function process_emojiset($data) {
+        $data = (object) $data;
+        $context = \context::instance_by_id($this->task->get_contextid());
+        if (\local_reactions\emoji_sets::get_for_context($context) !== '') {
+            return;
+        }
+        \local_reactions\emoji_sets::save_for_context($context, $data->emojis, (string) ($data->retiredemojis ?? ''));
+    }
+
+    /**
+     * Restore a course sticker, unless the target course already has one with the same shortcode.
+     *
+     * @param array $data The backed-up sticker data.
+     */
+    public function process_sticker($data) {
+        global $DB;
+
+        $data = (object) $data;
+        $oldid = $data->id;
+        $data->contextid = $this->task->get_contextid();
+        unset($data->id);
+
+        if ($DB->record_exists('local_reactions_stickers', ['contextid' => $data->contextid, 'shortcode' => $data->shortcode])) {
+            return;
+        }
+        $newid = $DB->insert_record('local_reactions_stickers', $data);
+        $this->set_mapping('local_reactions_sticker', $oldid, $newid, true);
+    }
+
+    /**
+     * Restore the sticker images now that the sticker records have been mapped.
+     */
+    public function after_execute_course() {
+        $this->add_related_files('local_reactions', \local_reactions\stickers::FILEAREA, 'local_reactions_sticker');
     }
 }
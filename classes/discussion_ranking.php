@@ -0,0 +1,189 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+/**
+ * Sorts and filters a forum's discussions by their reactions, for the discussion list.
+ *
+ * mod_forum paginates the discussion list itself, so reordering the rows on the page would only ever
+ * rank one page. Instead every discussion the user can see in the forum (and their current group) is
+ * ranked here, and the discussion list shows pages of the result in place of its own.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class discussion_ranking {
+    /** @var string Keep the forum's own order. */
+    public const SORT_DEFAULT = 'default';
+
+    /** @var string Most reactions across all posts first. */
+    public const SORT_REACTIONS = 'reactions';
+
+    /** @var string Most reactions with a given emoji first. */
+    public const SORT_EMOJI = 'emoji';
+
+    /** @var string Most recently reacted to first. */
+    public const SORT_RECENT = 'recent';
+
+    /** @var string Every discussion. */
+    public const FILTER_ALL = 'all';
+
+    /** @var string Only discussions nobody has reacted to. */
+    public const FILTER_NOREACTIONS = 'noreactions';
+
+    /** @var string Only discussions the user reacted to somewhere. */
+    public const FILTER_MINE = 'mine';
+
+    /**
+     * The sort options, with the reaction statistic each one ranks by (null to keep the forum's order).
+     *
+     * @return array<string,string|null>
+     */
+    public static function get_sorts(): array {
+        return [
+            self::SORT_DEFAULT => null,
+            self::SORT_REACTIONS => 'total',
+            self::SORT_EMOJI => 'emojicount',
+            self::SORT_RECENT => 'lastreacted',
+        ];
+    }
+
+    /**
+     * The filter options.
+     *
+     * @return string[]
+     */
+    public static function get_filters(): array {
+        return [self::FILTER_ALL, self::FILTER_NOREACTIONS, self::FILTER_MINE];
+    }
+
+    /**
+     * Rank the discussions of a forum that a user can see.
+     *
+     * Discussions tying on the statistic sorted by keep the order of the user's chosen forum sort.
+     *
+     * @param \stdClass $cm The forum's course module.
+     * @param \stdClass $user The user viewing the list.
+     * @param string $sort One of the SORT_* constants.
+     * @param string $emoji Emoji shortcode ranked by for SORT_EMOJI.
+     * @param string $filter One of the FILTER_* constants.
+     * @param int $offset Number of ranked discussions to skip.
+     * @param int $limit Number of ranked discussions to return, 0 for all.
+     * @return array ['total' => number of discussions matching the filter, 'discussions' => list of
+     *     {summary (mod_forum discussion_summary entity), total, emojicount, mine, lastreacted}].
+     */
+    public static function rank(
+        \stdClass $cm,
+        \stdClass $user,
+        string $sort,
+        string $emoji,
+        string $filter,
+        int $offset = 0,
+        int $limit = 0
+    ): array {
+        global $CFG;
+        require_once($CFG->dirroot . '/mod/forum/lib.php');
+
+        $forum = \mod_forum\local\container::get_vault_factory()->get_forum_vault()->get_from_course_module_id($cm->id);
+        $groupid = groups_get_activity_group($cm, true) ?: null;
+        $sortorder = get_user_preferences('forum_discussionlistsortorder', null, $user);
+        $summaries = mod_forum_get_discussion_summaries(
+            $forum,
+            $user,
+            $groupid,
+            $sortorder === null ? null : (int) $sortorder
+        );
+
+        $readprivatereplies = has_capability('mod/forum:readprivatereplies', $forum->get_context(), $user);
+        $stats = self::get_stats($forum->get_id(), $emoji, (int) $user->id, $readprivatereplies);
+        $ranked = [];
+        foreach (array_values($summaries) as $position => $summary) {
+            $row = $stats[$summary->get_discussion()->get_id()] ?? null;
+            $entry = (object) [
+                'summary' => $summary,
+                'position' => $position,
+                'total' => (int) ($row->total ?? 0),
+                'emojicount' => (int) ($row->emojicount ?? 0),
+                'mine' => (int) ($row->mine ?? 0),
+                'lastreacted' => (int) ($row->lastreacted ?? 0),
+            ];
+            if ($filter === self::FILTER_NOREACTIONS && $entry->total > 0) {
+                continue;
+            }
+            if ($filter === self::FILTER_MINE && !$entry->mine) {
+                continue;
+            }
+            $ranked[] = $entry;
+        }
+
+        $key = self::get_sorts()[$sort] ?? null;
+        if ($key !== null) {
+            usort($ranked, fn(\stdClass $a, \stdClass $b): int => [$b->$key, $a->position] <=> [$a->$key, $b->position]);
+        }
+
+        return [
+            'total' => count($ranked),
+            'discussions' => array_slice($ranked, $offset, $limit ?: null),
+        ];
+    }
+
+    /**
+     * Reaction statistics for each reacted-to discussion of a forum.
+     *
+     * @param int $forumid The forum instance ID.
+     * @param string $emoji Emoji shortcode to count separately.
+     * @param int $userid User whose own reactions to count separately, and who the statistics are for.
+     * @param bool $readprivatereplies Whether the user can read private replies addressed to others.
+     * @return array<int,\stdClass> Keyed by discussion ID: {discussionid, total, emojicount, mine, lastreacted}.
+     */
+    private static function get_stats(int $forumid, string $emoji, int $userid, bool $readprivatereplies): array {
+        global $DB;
+
+        $params = [
+            'emoji' => $emoji,
+            'userid' => $userid,
+            'component' => manager::COMPONENT_FORUM,
+            'itemtype' => manager::ITEMTYPE_POST,
+            'forumid' => $forumid,
+        ];
+
+        // Leave out private replies the user can't read: without mod/forum:readprivatereplies, only their
+        // author and the user they reply to see them.
+        $privatesql = '';
+        if (!$readprivatereplies) {
+            $privatesql = 'AND (fp.privatereplyto = 0 OR fp.privatereplyto = :replyto OR fp.userid = :author)';
+            $params['replyto'] = $userid;
+            $params['author'] = $userid;
+        }
+
+        $sql = "SELECT fp.discussion AS discussionid,
+                       COUNT(r.id) AS total,
+                       SUM(CASE WHEN r.emoji = :emoji THEN 1 ELSE 0 END) AS emojicount,
+                       SUM(CASE WHEN r.userid = :userid THEN 1 ELSE 0 END) AS mine,
+                       MAX(r.timecreated) AS lastreacted
+                  FROM {local_reactions} r
+                  JOIN {forum_posts} fp ON fp.id = r.itemid
+                  JOIN {forum_discussions} fd ON fd.id = fp.discussion
+                 WHERE r.component = :component
+                   AND r.itemtype = :itemtype
+                   AND fd.forum = :forumid
+                       $privatesql
+              GROUP BY fp.discussion";
+        return $DB->get_records_sql($sql, $params);
+    }
+}
@@ -0,0 +1,533 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+/**
+ * Bundled emoji catalogue offered by the extended picker, grouped by category.
+ *
+ * Admins choose which categories are offered through the cataloguefilter and cataloguecategories
+ * settings. Shortcodes are unique across the catalogue and may also appear in the admin emoji set,
+ * in which case the admin set's unicode wins.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class emoji_catalogue {
+    /** @var string Offer every catalogue category. */
+    public const FILTER_NONE = 'none';
+
+    /** @var string Offer only the categories selected in cataloguecategories. */
+    public const FILTER_WHITELIST = 'whitelist';
+
+    /** @var string Offer every category except those selected in cataloguecategories. */
+    public const FILTER_BLACKLIST = 'blacklist';
+
+    /** @var int Most recently used emoji remembered per user. */
+    public const RECENT_LIMIT = 16;
+
+    /** @var string User preference holding the user's recently used shortcodes, most recent first. */
+    public const RECENT_PREFERENCE = 'local_reactions_recentemoji';
+
+    /**
+     * @var array<string,array<string,string[]>> Category => shortcode => [unicode, keywords]. Names are the
+     *     emoji:<shortcode> language strings.
+     */
+    private const CATALOGUE = [
+        'smileys' => [
+            'grinning' => ['😀', 'smile happy'],
+            'smiley' => ['😃', 'smile happy joy'],
+            'smile' => ['😄', 'happy joy laugh'],
+            'grin' => ['😁', 'smile happy teeth'],
+            'sweat_smile' => ['😅', 'relief nervous'],
+            'rofl' => ['🤣', 'lol laugh funny'],
+            'joy' => ['😂', 'lol laugh funny cry'],
+            'slightly_smiling' => ['🙂', 'smile'],
+            'wink' => ['😉', 'flirt joke'],
+            'blush' => ['😊', 'happy proud shy'],
+            'innocent' => ['😇', 'angel good'],
+            'heart_eyes' => ['😍', 'love like crush'],
+            'star_struck' => ['🤩', 'amazing wow excited'],
+            'kissing_heart' => ['😘', 'love kiss'],
+            'yum' => ['😋', 'tasty delicious'],
+            'stuck_out_tongue' => ['😛', 'playful silly'],
+            'zany' => ['🤪', 'crazy silly goofy'],
+            'hugging' => ['🤗', 'hug thanks'],
+            'hand_over_mouth' => ['🤭', 'oops giggle'],
+            'shushing' => ['🤫', 'quiet secret'],
+            'thinking' => ['🤔', 'hmm consider question'],
+            'zipper_mouth' => ['🤐', 'secret quiet'],
+            'raised_eyebrow' => ['🤨', 'sceptical doubt'],
+            'neutral' => ['😐', 'meh indifferent'],
+            'expressionless' => ['😑', 'meh blank'],
+            'no_mouth' => ['😶', 'speechless silent'],
+            'smirk' => ['😏', 'smug'],
+            'unamused' => ['😒', 'meh annoyed'],
+            'rolling_eyes' => ['🙄', 'whatever eyeroll'],
+            'grimacing' => ['😬', 'awkward nervous'],
+            'relieved' => ['😌', 'calm phew'],
+            'pensive' => ['😔', 'sad thoughtful'],
+            'sleepy' => ['😪', 'tired'],
+            'sleeping' => ['😴', 'tired zzz bored'],
+            'mask' => ['😷', 'sick ill'],
+            'nerd' => ['🤓', 'geek smart study'],
+            'sunglasses' => ['😎', 'cool'],
+            'confused' => ['😕', 'unsure puzzled'],
+            'worried' => ['😟', 'concerned nervous'],
+            'open_mouth' => ['😮', 'surprise wow'],
+            'astonished' => ['😲', 'shock surprise amazed'],
+            'flushed' => ['😳', 'embarrassed blush'],
+            'pleading' => ['🥺', 'please puppy eyes'],
+            'cry' => ['😢', 'sad tear'],
+            'sob' => ['😭', 'sad cry'],
+            'scream' => ['😱', 'scared shock'],
+            'tired_face' => ['😫', 'exhausted'],
+            'yawning' => ['🥱', 'tired bored'],
+            'triumph' => ['😤', 'proud determined'],
+            'angry' => ['😠', 'mad annoyed'],
+            'exploding_head' => ['🤯', 'mind blown shocked'],
+            'partying' => ['🥳', 'celebrate party birthday'],
+            'cowboy' => ['🤠', 'yeehaw'],
+            'clown' => ['🤡', 'silly joke'],
+            'skull' => ['💀', 'dead funny'],
+            'ghost' => ['👻', 'spooky halloween'],
+            'robot' => ['🤖', 'bot machine'],
+        ],
+        'people' => [
+            'thumbsup' => ['👍', 'like yes agree good'],
+            'thumbsdown' => ['👎', 'dislike no disagree'],
+            'clap' => ['👏', 'applause bravo well done'],
+            'raised_hands' => ['🙌', 'hooray celebrate praise'],
+            'open_hands' => ['👐', 'hug'],
+            'handshake' => ['🤝', 'agreement deal'],
+            'pray' => ['🙏', 'please thanks hope'],
+            'wave' => ['👋', 'hello hi bye'],
+            'ok_hand' => ['👌', 'perfect fine'],
+            'v' => ['✌️', 'peace'],
+            'crossed_fingers' => ['🤞', 'luck hope'],
+            'love_you' => ['🤟', 'ily'],
+            'metal' => ['🤘', 'rock'],
+            'call_me' => ['🤙', 'phone shaka'],
+            'point_up' => ['☝️', 'this attention'],
+            'point_down' => ['👇', 'below'],
+            'point_right' => ['👉', 'next'],
+            'raised_hand' => ['✋', 'stop high five'],
+            'fist' => ['✊', 'solidarity power'],
+            'punch' => ['👊', 'fist bump'],
+            'muscle' => ['💪', 'strong strength'],
+            'writing_hand' => ['✍️', 'write notes'],
+            'eyes' => ['👀', 'look watching'],
+            'brain' => ['🧠', 'smart think'],
+            'facepalm' => ['🤦', 'doh embarrassed'],
+            'shrug' => ['🤷', 'dunno whatever'],
+            'raising_hand' => ['🙋', 'question me'],
+            'bow' => ['🙇', 'sorry respect thanks'],
+            'student' => ['🧑‍🎓', 'graduate learn'],
+            'teacher' => ['🧑‍🏫', 'professor lecture'],
+            'scientist' => ['🧑‍🔬', 'research lab'],
+            'technologist' => ['🧑‍💻', 'coder computer'],
+            'detective' => ['🕵️', 'investigate sleuth'],
+            'superhero' => ['🦸', 'hero power'],
+            'runner' => ['🏃', 'run hurry'],
+            'dancer' => ['💃', 'dance party'],
+        ],
+        'nature' => [
+            'dog' => ['🐶', 'puppy pet'],
+            'cat' => ['🐱', 'kitten pet'],
+            'mouse' => ['🐭', 'rodent'],
+            'rabbit' => ['🐰', 'bunny'],
+            'fox' => ['🦊', 'animal'],
+            'bear' => ['🐻', 'animal'],
+            'panda' => ['🐼', 'animal'],
+            'koala' => ['🐨', 'animal'],
+            'tiger' => ['🐯', 'animal'],
+            'lion' => ['🦁', 'animal'],
+            'cow' => ['🐮', 'animal'],
+            'pig' => ['🐷', 'animal'],
+            'frog' => ['🐸', 'animal'],
+            'monkey' => ['🐵', 'animal'],
+            'see_no_evil' => ['🙈', 'oops shy'],
+            'chicken' => ['🐔', 'bird'],
+            'penguin' => ['🐧', 'bird'],
+            'owl' => ['🦉', 'bird wise'],
+            'kiwi_bird' => ['🥝', 'kiwi'],
+            'unicorn' => ['🦄', 'magic'],
+            'bee' => ['🐝', 'busy insect'],
+            'butterfly' => ['🦋', 'insect pretty'],
+            'turtle' => ['🐢', 'slow'],
+            'octopus' => ['🐙', 'sea'],
+            'whale' => ['🐳', 'sea'],
+            'dolphin' => ['🐬', 'sea'],
+            'sloth' => ['🦥', 'slow lazy'],
+            'seedling' => ['🌱', 'grow plant new'],
+            'evergreen_tree' => ['🌲', 'tree forest'],
+            'fern' => ['🌿', 'leaf plant'],
+            'four_leaf_clover' => ['🍀', 'luck'],
+            'maple_leaf' => ['🍁', 'autumn fall'],
+            'sunflower' => ['🌻', 'flower'],
+            'rose' => ['🌹', 'flower love'],
+            'tulip' => ['🌷', 'flower spring'],
+            'cactus' => ['🌵', 'desert plant'],
+            'sun' => ['☀️', 'sunny weather'],
+            'rainbow' => ['🌈', 'weather pride'],
+            'cloud' => ['☁️', 'weather'],
+            'zap' => ['⚡', 'lightning electric'],
+            'snowflake' => ['❄️', 'cold winter'],
+            'fire' => ['🔥', 'hot lit flame'],
+            'droplet' => ['💧', 'water'],
+            'earth' => ['🌏', 'world planet'],
+            'crescent_moon' => ['🌙', 'night'],
+            'star' => ['⭐', 'favourite'],
+            'sparkles' => ['✨', 'magic shiny new'],
+        ],
+        'food' => [
+            'apple' => ['🍎', 'fruit teacher'],
+            'banana' => ['🍌', 'fruit'],
+            'grapes' => ['🍇', 'fruit'],
+            'strawberry' => ['🍓', 'fruit'],
+            'watermelon' => ['🍉', 'fruit summer'],
+            'peach' => ['🍑', 'fruit'],
+            'avocado' => ['🥑', 'fruit'],
+            'carrot' => ['🥕', 'vegetable'],
+            'bread' => ['🍞', 'toast'],
+            'cheese' => ['🧀', 'food'],
+            'pizza' => ['🍕', 'food'],
+            'hamburger' => ['🍔', 'burger food'],
+            'fries' => ['🍟', 'chips food'],
+            'taco' => ['🌮', 'food'],
+            'sushi' => ['🍣', 'food'],
+            'ramen' => ['🍜', 'noodles food'],
+            'popcorn' => ['🍿', 'movie snack'],
+            'doughnut' => ['🍩', 'donut sweet'],
+            'cookie' => ['🍪', 'biscuit sweet'],
+            'cake' => ['🍰', 'dessert sweet'],
+            'birthday' => ['🎂', 'celebrate party'],
+            'chocolate' => ['🍫', 'sweet'],
+            'ice_cream' => ['🍦', 'dessert'],
+            'coffee' => ['☕', 'coffee tea caffeine'],
+            'tea' => ['🍵', 'green tea'],
+            'bubble_tea' => ['🧋', 'boba'],
+            'beer' => ['🍺', 'drink'],
+            'champagne' => ['🍾', 'celebrate'],
+            'clinking_glasses' => ['🥂', 'cheers celebrate toast'],
+        ],
+        'activities' => [
+            'tada' => ['🎉', 'celebrate congratulations hooray'],
+            'confetti' => ['🎊', 'celebrate party'],
+            'balloon' => ['🎈', 'party birthday'],
+            'gift' => ['🎁', 'present birthday'],
+            'trophy' => ['🏆', 'win award champion'],
+            'medal' => ['🏅', 'win award'],
+            'first_place' => ['🥇', 'gold winner'],
+            'second_place' => ['🥈', 'silver'],
+            'third_place' => ['🥉', 'bronze'],
+            'soccer' => ['⚽', 'football sport'],
+            'basketball' => ['🏀', 'sport'],
+            'football' => ['🏈', 'sport'],
+            'rugby' => ['🏉', 'sport'],
+            'tennis' => ['🎾', 'sport'],
+            'cricket' => ['🏏', 'sport'],
+            'dart' => ['🎯', 'target goal on point'],
+            'video_game' => ['🎮', 'gaming controller'],
+            'chess' => ['♟️', 'game strategy'],
+            'jigsaw' => ['🧩', 'puzzle'],
+            'art' => ['🎨', 'paint creative'],
+            'performing_arts' => ['🎭', 'theatre drama'],
+            'musical_note' => ['🎵', 'music song'],
+            'headphones' => ['🎧', 'music listen'],
+            'guitar' => ['🎸', 'music rock'],
+            'microphone' => ['🎤', 'sing karaoke'],
+            'clapper' => ['🎬', 'movie film'],
+            'books' => ['📚', 'study read library'],
+        ],
+        'travel' => [
+            'rocket' => ['🚀', 'launch ship it fast'],
+            'airplane' => ['✈️', 'travel flight'],
+            'car' => ['🚗', 'drive'],
+            'bus' => ['🚌', 'travel'],
+            'train' => ['🚆', 'travel'],
+            'bike' => ['🚲', 'cycle'],
+            'ship' => ['🚢', 'boat travel'],
+            'anchor' => ['⚓', 'ship'],
+            'construction' => ['🚧', 'work in progress'],
+            'world_map' => ['🗺️', 'travel'],
+            'mountain' => ['⛰️', 'hike'],
+            'volcano' => ['🌋', 'eruption'],
+            'beach' => ['🏖️', 'holiday summer'],
+            'camping' => ['🏕️', 'tent outdoors'],
+            'house' => ['🏠', 'home'],
+            'school' => ['🏫', 'education'],
+            'office' => ['🏢', 'work'],
+            'hospital' => ['🏥', 'health'],
+            'stadium' => ['🏟️', 'sport'],
+            'city' => ['🏙️', 'urban'],
+            'night_stars' => ['🌃', 'city night'],
+            'sunrise' => ['🌅', 'morning'],
+            'hourglass' => ['⏳', 'waiting time'],
+            'alarm_clock' => ['⏰', 'time wake'],
+            'stopwatch' => ['⏱️', 'time timer'],
+        ],
+        'objects' => [
+            'bulb' => ['💡', 'idea tip'],
+            'mag' => ['🔍', 'search find'],
+            'pencil' => ['✏️', 'write edit'],
+            'memo' => ['📝', 'notes write'],
+            'pushpin' => ['📌', 'pin important'],
+            'paperclip' => ['📎', 'attach'],
+            'clipboard' => ['📋', 'list'],
+            'calendar' => ['📅', 'date schedule'],
+            'chart_up' => ['📈', 'growth progress'],
+            'chart_down' => ['📉', 'decline'],
+            'bar_chart' => ['📊', 'stats data'],
+            'book' => ['📖', 'read study'],
+            'notebook' => ['📓', 'notes'],
+            'graduation_cap' => ['🎓', 'graduate degree'],
+            'computer' => ['💻', 'computer'],
+            'keyboard' => ['⌨️', 'type'],
+            'phone' => ['📱', 'phone'],
+            'camera' => ['📷', 'photo'],
+            'tv' => ['📺', 'watch'],
+            'email' => ['📧', 'mail message'],
+            'mailbox' => ['📬', 'mail'],
+            'package' => ['📦', 'box delivery'],
+            'lock' => ['🔒', 'secure private'],
+            'key' => ['🔑', 'password access'],
+            'hammer' => ['🔨', 'build fix'],
+            'wrench' => ['🔧', 'fix tool'],
+            'gear' => ['⚙️', 'settings'],
+            'microscope' => ['🔬', 'science'],
+            'telescope' => ['🔭', 'astronomy'],
+            'test_tube' => ['🧪', 'science experiment'],
+            'dna' => ['🧬', 'biology'],
+            'pill' => ['💊', 'medicine'],
+            'money_bag' => ['💰', 'cash'],
+            'gem' => ['💎', 'diamond valuable'],
+            'bell' => ['🔔', 'notification'],
+            'megaphone' => ['📣', 'announce'],
+            'hourglass_done' => ['⌛', 'time up'],
+            'coffee_cup' => ['🥤', 'drink'],
+            'crystal_ball' => ['🔮', 'future predict'],
+            'magic_wand' => ['🪄', 'magic'],
+        ],
+        'symbols' => [
+            'heart' => ['❤️', 'love like'],
+            'orange_heart' => ['🧡', 'love'],
+            'yellow_heart' => ['💛', 'love friendship'],
+            'green_heart' => ['💚', 'love'],
+            'blue_heart' => ['💙', 'love'],
+            'purple_heart' => ['💜', 'love'],
+            'black_heart' => ['🖤', 'love'],
+            'broken_heart' => ['💔', 'sad'],
+            'sparkling_heart' => ['💖', 'love'],
+            '100' => ['💯', 'perfect score'],
+            'check' => ['✅', 'done yes correct'],
+            'heavy_check' => ['✔️', 'done yes'],
+            'x' => ['❌', 'no wrong'],
+            'question' => ['❓', 'question'],
+            'exclamation' => ['❗', 'important'],
+            'warning' => ['⚠️', 'caution'],
+            'no_entry' => ['⛔', 'stop'],
+            'recycle' => ['♻️', 'recycle'],
+            'infinity' => ['♾️', 'forever'],
+            'plus' => ['➕', 'add'],
+            'minus' => ['➖', 'subtract'],
+            'arrow_up' => ['⬆️', 'up'],
+            'arrow_down' => ['⬇️', 'down'],
+            'repeat' => ['🔄', 'refresh repeat'],
+            'new' => ['🆕', 'new'],
+            'ok' => ['🆗', 'okay'],
+            'cool' => ['🆒', 'cool'],
+            'speech_balloon' => ['💬', 'comment chat'],
+            'thought_balloon' => ['💭', 'think'],
+            'zzz' => ['💤', 'sleep'],
+            'boom' => ['💥', 'boom explode'],
+            'dizzy' => ['💫', 'star'],
+            'musical_notes' => ['🎶', 'music'],
+            'red_circle' => ['🔴', 'circle'],
+            'green_circle' => ['🟢', 'circle'],
+            'star2' => ['🌟', 'star shine'],
+        ],
+    ];
+
+    /**
+     * All catalogue category keys, in display order.
+     *
+     * @return string[]
+     */
+    public static function get_categories(): array {
+        return array_keys(self::CATALOGUE);
+    }
+
+    /**
+     * Category names for the cataloguecategories setting, keyed by category.
+     *
+     * @return array<string,string>
+     */
+    public static function get_category_options(): array {
+        $options = [];
+        foreach (self::get_categories() as $category) {
+            $options[$category] = get_string('category_' . $category, 'local_reactions');
+        }
+        return $options;
+    }
+
+    /**
+     * Options for the cataloguefilter setting, keyed by FILTER_* constant.
+     *
+     * @return array<string,string>
+     */
+    public static function get_filter_options(): array {
+        return [
+            self::FILTER_NONE => get_string('cataloguefilter_none', 'local_reactions'),
+            self::FILTER_WHITELIST => get_string('cataloguefilter_whitelist', 'local_reactions'),
+            self::FILTER_BLACKLIST => get_string('cataloguefilter_blacklist', 'local_reactions'),
+        ];
+    }
+
+    /**
+     * The catalogue categories the admin allows, in display order.
+     *
+     * An unknown filter value is treated as FILTER_NONE.
+     *
+     * @return string[]
+     */
+    public static function get_allowed_categories(): array {
+        $filter = (string) get_config('local_reactions', 'cataloguefilter');
+        $selected = array_filter(explode(',', (string) get_config('local_reactions', 'cataloguecategories')));
+        $categories = self::get_categories();
+        if ($filter === self::FILTER_WHITELIST) {
+            return array_values(array_intersect($categories, $selected));
+        }
+        if ($filter === self::FILTER_BLACKLIST) {
+            return array_values(array_diff($categories, $selected));
+        }
+        return $categories;
+    }
+
+    /**
+     * Shortcodes and unicode of every emoji in the allowed categories.
+     *
+     * @return array<string,string> Shortcode => unicode emoji.
+     */
+    public static function get_emoji(): array {
+        $emoji = [];
+        foreach (self::get_allowed_categories() as $category) {
+            foreach (self::CATALOGUE[$category] as $shortcode => [$unicode]) {
+                $emoji[$shortcode] = $unicode;
+            }
+        }
+        return $emoji;
+    }
+
+    /**
+     * Whether a shortcode is in the catalogue, whichever categories are allowed.
+     *
+     * @param string $shortcode Emoji shortcode.
+     * @return bool
+     */
+    public static function has_shortcode(string $shortcode): bool {
+        foreach (self::CATALOGUE as $emoji) {
+            if (isset($emoji[$shortcode])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * The unicode of a catalogue emoji, whichever categories are allowed.
+     *
+     * @param string $shortcode Emoji shortcode.
+     * @return string|null Null if the shortcode is not in the catalogue.
+     */
+    public static function get_unicode(string $shortcode): ?string {
+        foreach (self::CATALOGUE as $emoji) {
+            if (isset($emoji[$shortcode])) {
+                return $emoji[$shortcode][0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The localised name of an emoji, such as "Thumbs up".
+     *
+     * Shortcodes in the catalogue and the default emoji set have a language string. Others, which admins
+     * can add to the emoji set, are named after the shortcode.
+     *
+     * @param string $shortcode Emoji shortcode.
+     * @return string
+     */
+    public static function get_name(string $shortcode): string {
+        if (get_string_manager()->string_exists('emoji:' . $shortcode, 'local_reactions')) {
+            return get_string('emoji:' . $shortcode, 'local_reactions');
+        }
+        return ucfirst(trim(str_replace(['_', '-'], ' ', $shortcode)));
+    }
+
+    /**
+     * The allowed categories with their emoji, for the picker's "more" panel.
+     *
+     * @return array[] Each with category, name and emoji (shortcode, unicode, name, keywords).
+     */
+    public static function export_categories(): array {
+        $result = [];
+        foreach (self::get_allowed_categories() as $category) {
+            $emoji = [];
+            foreach (self::CATALOGUE[$category] as $shortcode => [$unicode, $keywords]) {
+                $emoji[] = [
+                    'shortcode' => $shortcode,
+                    'unicode' => $unicode,
+                    'name' => self::get_name($shortcode),
+                    'keywords' => $keywords,
+                ];
+            }
+            $result[] = [
+                'category' => $category,
+                'name' => get_string('category_' . $category, 'local_reactions'),
+                'emoji' => $emoji,
+            ];
+        }
+        return $result;
+    }
+
+    /**
+     * A user's recently used emoji that are still allowed, most recent first.
+     *
+     * @param int $userid User ID.
+     * @return string[] Shortcodes.
+     */
+    public static function get_recent(int $userid): array {
+        $recent = array_filter(explode(',', (string) get_user_preferences(self::RECENT_PREFERENCE, '', $userid)));
+        $allowed = manager::get_allowed_emoji();
+        return array_values(array_filter($recent, fn(string $shortcode): bool => isset($allowed[$shortcode])));
+    }
+
+    /**
+     * Move an emoji to the front of a user's recently used list.
+     *
+     * @param int $userid User ID.
+     * @param string $shortcode Emoji shortcode the user just reacted with.
+     */
+    public static function add_recent(int $userid, string $shortcode): void {
+        $recent = array_filter(explode(',', (string) get_user_preferences(self::RECENT_PREFERENCE, '', $userid)));
+        $recent = array_diff($recent, [$shortcode]);
+        array_unshift($recent, $shortcode);
+        $recent = array_slice($recent, 0, self::RECENT_LIMIT);
+        set_user_preference(self::RECENT_PREFERENCE, implode(',', $recent), $userid);
+    }
+}
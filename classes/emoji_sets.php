@@ -0,0 +1,230 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+/**
+ * Emoji sets chosen by teachers for a course or an activity, in place of the site's emoji set.
+ *
+ * A set is written like the site setting, as a comma-separated list. Each entry is either a
+ * shortcode:emoji pair, adding an emoji of its own, or just a shortcode, picking an emoji from the set
+ * it replaces or from the emoji catalogue. So "thumbsup,heart" offers two of the site's emoji, and
+ * "thumbsup,idea:💡" adds a light bulb to the thumbs up. An activity's set is kept with its other
+ * reactions settings in {local_reactions_enabled}; a course's default set is a {local_reactions_emojisets}
+ * row in the course context. manager::get_emoji_set() works out which set applies where.
+ *
+ * Alongside each set is a list, written the same way, of the emoji it has stopped offering, so that
+ * reactions made with them can still be shown after the set changes (see manager::get_retired_emoji()).
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class emoji_sets {
+    /** @var int Longest shortcode, as stored in {local_reactions}.emoji. */
+    public const MAX_SHORTCODE_LENGTH = 20;
+
+    /** @var array<int,\stdClass|false> Per-request cache of {local_reactions_emojisets} rows, keyed by context ID. */
+    private static array $cache = [];
+
+    /**
+     * Parse an emoji set.
+     *
+     * Shortcodes given without an emoji are looked up in the base set, then in the emoji catalogue, and
+     * left out if neither has them.
+     *
+     * @param string $config The set as entered, e.g. "thumbsup,idea:💡".
+     * @param array<string,string> $base Shortcode => unicode of the emoji a shortcode on its own can pick.
+     * @return array<string,string> Shortcode => unicode emoji, in the order entered.
+     */
+    public static function parse(string $config, array $base = []): array {
+        $emojis = [];
+        foreach (self::split($config) as $entry) {
+            $parts = explode(':', $entry, 2);
+            $shortcode = trim($parts[0]);
+            $unicode = count($parts) === 2 ? trim($parts[1]) : ($base[$shortcode] ?? emoji_catalogue::get_unicode($shortcode));
+            if ($shortcode !== '' && (string) $unicode !== '') {
+                $emojis[$shortcode] = $unicode;
+            }
+        }
+        return $emojis;
+    }
+
+    /**
+     * Write an emoji set the way it is entered, e.g. "thumbsup:👍,heart:❤️".
+     *
+     * @param array<string,string> $emojis Shortcode => unicode emoji.
+     * @return string
+     */
+    public static function format(array $emojis): string {
+        return implode(',', array_map(
+            fn(string $shortcode, string $unicode): string => $shortcode . ':' . $unicode,
+            array_keys($emojis),
+            $emojis
+        ));
+    }
+
+    /**
+     * Work out the emoji a context has stopped offering, after its set changed.
+     *
+     * @param string|null $retired The context's retired emoji so far, as formatted by format().
+     * @param array<string,string> $previous Shortcode => unicode of the set the context offered until now.
+     * @param array<string,string> $current Shortcode => unicode of the set it offers from now on.
+     * @return string|null The retired emoji as formatted by format(), or null if there are none.
+     */
+    public static function retire(?string $retired, array $previous, array $current): ?string {
+        $emojis = array_diff_key($previous + self::parse((string) $retired), $current);
+        return $emojis ? self::format($emojis) : null;
+    }
+
+    /**
+     * Check an emoji set entered in a settings form.
+     *
+     * @param string $config The set as entered.
+     * @param array<string,string> $base Shortcode => unicode of the emoji a shortcode on its own can pick.
+     * @param \context $context Context the set is used in, whose stickers its own emoji must not clash with.
+     * @return string|null Error message for the first bad entry, or null if the set is fine.
+     */
+    public static function validate(string $config, array $base, \context $context): ?string {
+        $stickers = stickers::get_for_context($context);
+        foreach (self::split($config) as $entry) {
+            $parts = explode(':', $entry, 2);
+            $shortcode = trim($parts[0]);
+            if (
+                $shortcode === '' || clean_param($shortcode, PARAM_ALPHANUMEXT) !== $shortcode
+                    || \core_text::strlen($shortcode) > self::MAX_SHORTCODE_LENGTH
+            ) {
+                return get_string('emojisetinvalidshortcode', 'local_reactions', s($entry));
+            }
+            if (count($parts) === 1) {
+                if (!isset($base[$shortcode]) && emoji_catalogue::get_unicode($shortcode) === null) {
+                    return get_string('emojisetunknown', 'local_reactions', s($shortcode));
+                }
+                continue;
+            }
+            if (trim($parts[1]) === '') {
+                return get_string('emojisetnoemoji', 'local_reactions', s($shortcode));
+            }
+            if (isset($stickers[$shortcode])) {
+                return get_string('emojisetstickertaken', 'local_reactions', s($shortcode));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The default emoji set of a course.
+     *
+     * @param \context $context Course context.
+     * @return string The set as entered, or an empty string if the course uses the site's set.
+     */
+    public static function get_for_context(\context $context): string {
+        return (string) (self::get_record($context)->emojis ?? '');
+    }
+
+    /**
+     * The emoji a course's default set has stopped offering.
+     *
+     * @param \context $context Course context.
+     * @return array<string,string> Shortcode => unicode emoji.
+     */
+    public static function get_retired_for_context(\context $context): array {
+        return self::parse((string) (self::get_record($context)->retiredemojis ?? ''));
+    }
+
+    /**
+     * Save the default emoji set of a course.
+     *
+     * Emoji the course's previous set offered and the new one doesn't are kept as retired, so the row stays
+     * even when the course goes back to the site's set.
+     *
+     * @param \context $context Course context.
+     * @param string $config The set as entered; empty to go back to the site's set.
+     * @param string $retired Further retired emoji, as formatted by format(), e.g. from a backup.
+     */
+    public static function save_for_context(\context $context, string $config, string $retired = ''): void {
+        global $DB;
+        $config = trim($config);
+        $site = manager::get_emoji_set();
+        $existing = $DB->get_record('local_reactions_emojisets', ['contextid' => $context->id]);
+        $previous = self::parse((string) ($existing->emojis ?? ''), $site) + self::parse($retired);
+        $retired = self::retire($existing->retiredemojis ?? null, $previous, self::parse($config, $site) ?: $site);
+
+        if ($config === '' && $retired === null) {
+            if ($existing) {
+                $DB->delete_records('local_reactions_emojisets', ['id' => $existing->id]);
+            }
+        } else if ($existing) {
+            $DB->update_record('local_reactions_emojisets', (object) [
+                'id' => $existing->id,
+                'emojis' => $config,
+                'retiredemojis' => $retired,
+                'timemodified' => time(),
+            ]);
+        } else {
+            $DB->insert_record('local_reactions_emojisets', (object) [
+                'contextid' => $context->id,
+                'emojis' => $config,
+                'retiredemojis' => $retired,
+                'timemodified' => time(),
+            ]);
+        }
+        self::clear_cache();
+    }
+
+    /**
+     * Delete the default emoji set of a context that is going away.
+     *
+     * @param int $contextid The context ID.
+     */
+    public static function delete_for_context(int $contextid): void {
+        global $DB;
+        $DB->delete_records('local_reactions_emojisets', ['contextid' => $contextid]);
+        self::clear_cache();
+    }
+
+    /**
+     * Clear the per-request caches of course sets and of the emoji sets worked out from them.
+     */
+    public static function clear_cache(): void {
+        self::$cache = [];
+        manager::clear_emoji_set_cache();
+    }
+
+    /**
+     * The {local_reactions_emojisets} row of a course, cached per request.
+     *
+     * @param \context $context Course context.
+     * @return \stdClass|false
+     */
+    private static function get_record(\context $context) {
+        global $DB;
+        if (!array_key_exists($context->id, self::$cache)) {
+            self::$cache[$context->id] = $DB->get_record('local_reactions_emojisets', ['contextid' => $context->id]);
+        }
+        return self::$cache[$context->id];
+    }
+
+    /**
+     * Split an emoji set into its entries. Line breaks separate entries as well as commas.
+     *
+     * @param string $config The set as entered.
+     * @return string[] The non-empty entries, trimmed.
+     */
+    private static function split(string $config): array {
+        return array_values(array_filter(array_map('trim', preg_split('/[,\r\n]+/', $config)), 'strlen'));
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+use local_reactions\discussion_ranking;
+use local_reactions\manager;
+
+/**
+ * External function to get a page of a forum's discussions sorted or filtered by their reactions.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_discussion_ranking extends external_api {
+    /** @var int Largest page size a client may request. */
+    const MAX_PERPAGE = 100;
+
+    /**
+     * Parameters definition.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'cmid' => new external_value(PARAM_INT, 'Forum course module ID'),
+            'sort' => new external_value(PARAM_ALPHA, 'Sort: default, reactions, emoji or recent'),
+            'emoji' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode to sort by, for the emoji sort', VALUE_DEFAULT, ''),
+            'filter' => new external_value(PARAM_ALPHA, 'Filter: all, noreactions or mine', VALUE_DEFAULT, 'all'),
+            'page' => new external_value(PARAM_INT, 'Zero-based page number', VALUE_DEFAULT, 0),
+            'perpage' => new external_value(PARAM_INT, 'Discussions per page', VALUE_DEFAULT, 25),
+        ]);
+    }
+
+    /**
+     * Get one page of ranked discussions.
+     *
+     * @param int $cmid
+     * @param string $sort
+     * @param string $emoji
+     * @param string $filter
+     * @param int $page
+     * @param int $perpage
+     * @return array
+     */
+    public static function execute(
+        int $cmid,
+        string $sort,
+        string $emoji = '',
+        string $filter = 'all',
+        int $page = 0,
+        int $perpage = 25
+    ): array {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'cmid' => $cmid,
+            'sort' => $sort,
+            'emoji' => $emoji,
+            'filter' => $filter,
+            'page' => $page,
+            'perpage' => $perpage,
+        ]);
+
+        if (!array_key_exists($params['sort'], discussion_ranking::get_sorts())) {
+            throw new \invalid_parameter_exception('Unsupported sort: ' . $params['sort']);
+        }
+        if (!in_array($params['filter'], discussion_ranking::get_filters(), true)) {
+            throw new \invalid_parameter_exception('Unsupported filter: ' . $params['filter']);
+        }
+
+        $cm = get_coursemodule_from_id('forum', $params['cmid'], 0, false, MUST_EXIST);
+        $context = \context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('mod/forum:viewdiscussion', $context);
+        require_capability('local/reactions:view', $context);
+
+        $config = manager::get_forum_config($cm->id);
+        if (!get_config('local_reactions', 'enabled') || !$config || !$config->enabled) {
+            throw new \moodle_exception('reactionsnotenabled', 'local_reactions');
+        }
+
+        $page = max(0, $params['page']);
+        $perpage = min(self::MAX_PERPAGE, max(1, $params['perpage']));
+        $result = discussion_ranking::rank(
+            $cm,
+            $USER,
+            $params['sort'],
+            $params['emoji'],
+            $params['filter'],
+            $page * $perpage,
+            $perpage
+        );
+
+        $discussionids = array_map(
+            fn(\stdClass $entry): int => $entry->summary->get_discussion()->get_id(),
+            $result['discussions']
+        );
+        $reactions = manager::get_reactions_by_discussions(manager::COMPONENT_FORUM, manager::ITEMTYPE_POST, $discussionids);
+
+        $discussions = [];
+        foreach ($result['discussions'] as $entry) {
+            $discussion = $entry->summary->get_discussion();
+            $counts = [];
+            foreach ($reactions[$discussion->get_id()]['counts'] as $shortcode => $count) {
+                $counts[] = ['emoji' => $shortcode, 'count' => $count];
+            }
+            $discussions[] = [
+                'discussionid' => $discussion->get_id(),
+                'name' => format_string($discussion->get_name(), true, ['context' => $context]),
+                'url' => (new \moodle_url('/mod/forum/discuss.php', ['d' => $discussion->get_id()]))->out(false),
+                'authorfullname' => $entry->summary->get_first_post_author()->get_full_name(),
+                'lastreacted' => $entry->lastreacted,
+                'counts' => $counts,
+            ];
+        }
+
+        return [
+            'discussions' => $discussions,
+            'total' => $result['total'],
+            'page' => $page,
+            'perpage' => $perpage,
+        ];
+    }
+
+    /**
+     * Return value definition.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'discussions' => new external_multiple_structure(
+                new external_single_structure([
+                    'discussionid' => new external_value(PARAM_INT, 'Discussion ID'),
+                    'name' => new external_value(PARAM_TEXT, 'Discussion name'),
+                    'url' => new external_value(PARAM_URL, 'Discussion URL'),
+                    'authorfullname' => new external_value(PARAM_TEXT, 'Full name of the user who started the discussion'),
+                    'lastreacted' => new external_value(PARAM_INT, 'When anyone last reacted in the discussion, 0 if never'),
+                    'counts' => new external_multiple_structure(
+                        new external_single_structure([
+                            'emoji' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                            'count' => new external_value(PARAM_INT, 'Reactions across all posts of the discussion'),
+                        ])
+                    ),
+                ])
+            ),
+            'total' => new external_value(PARAM_INT, 'Number of discussions matching the filter'),
+            'page' => new external_value(PARAM_INT, 'Zero-based page number returned'),
+            'perpage' => new external_value(PARAM_INT, 'Discussions per page'),
+        ]);
+    }
+}
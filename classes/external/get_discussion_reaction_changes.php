@@ -0,0 +1,153 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+use local_reactions\manager;
+
+/**
+ * External function to get aggregated reactions for only those discussions that changed since a change cursor.
+ *
+ * The discussion list counterpart of get_reaction_changes; on an expired cursor the caller falls back
+ * to get_discussion_reactions.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_discussion_reaction_changes extends external_api {
+    /**
+     * Parameters definition.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'component' => new external_value(PARAM_COMPONENT, 'Component name'),
+            'itemtype' => new external_value(PARAM_ALPHANUMEXT, 'Item type'),
+            'discussionids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Discussion ID')
+            ),
+            'contextid' => new external_value(PARAM_INT, 'Context ID for permission checks'),
+            'cursor' => new external_value(PARAM_INT, 'Change cursor from the previous fetch'),
+        ]);
+    }
+
+    /**
+     * Get aggregated reactions for the given discussions that changed since the cursor.
+     *
+     * @param string $component
+     * @param string $itemtype
+     * @param array $discussionids
+     * @param int $contextid
+     * @param int $cursor
+     * @return array
+     */
+    public static function execute(
+        string $component,
+        string $itemtype,
+        array $discussionids,
+        int $contextid,
+        int $cursor
+    ): array {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'component' => $component,
+            'itemtype' => $itemtype,
+            'discussionids' => $discussionids,
+            'contextid' => $contextid,
+            'cursor' => $cursor,
+        ]);
+
+        $context = \context::instance_by_id($params['contextid']);
+        self::validate_context($context);
+        require_capability('local/reactions:view', $context);
+
+        $current = manager::get_change_cursor();
+        if (manager::is_change_cursor_expired($params['cursor'], $current)) {
+            return ['cursor' => $current, 'expired' => true, 'items' => []];
+        }
+
+        $changed = manager::get_changed_discussionids(
+            $params['component'],
+            $params['itemtype'],
+            $params['discussionids'],
+            $params['cursor'],
+            $current
+        );
+        $reactions = manager::get_reactions_by_discussions(
+            $params['component'],
+            $params['itemtype'],
+            $changed,
+            (int) $USER->id
+        );
+
+        $items = [];
+        foreach ($reactions as $discussionid => $data) {
+            $counts = [];
+            foreach ($data['counts'] as $emoji => $count) {
+                $counts[] = [
+                    'emoji' => $emoji,
+                    'count' => $count,
+                ];
+            }
+            $items[] = [
+                'discussionid' => $discussionid,
+                'counts' => $counts,
+                'firstpostid' => $data['firstpostid'],
+                'userreactions' => $data['userreactions'],
+                'version' => manager::get_version($data['counts'], $data['userreactions']),
+            ];
+        }
+
+        return ['cursor' => $current, 'expired' => false, 'items' => $items];
+    }
+
+    /**
+     * Return value definition.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'cursor' => new external_value(PARAM_INT, 'Change cursor to pass to the next delta poll'),
+            'expired' => new external_value(PARAM_BOOL, 'Whether the cursor expired; if so, do a full refresh'),
+            'items' => new external_multiple_structure(
+                new external_single_structure([
+                    'discussionid' => new external_value(PARAM_INT, 'Discussion ID'),
+                    'counts' => new external_multiple_structure(
+                        new external_single_structure([
+                            'emoji' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                            'count' => new external_value(PARAM_INT, 'Reaction count'),
+                        ])
+                    ),
+                    'firstpostid' => new external_value(PARAM_INT, 'ID of the discussion\'s opening post'),
+                    'userreactions' => new external_multiple_structure(
+                        new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                        'Emoji the current user reacted with on the opening post'
+                    ),
+                    'version' => new external_value(PARAM_ALPHANUM, 'Version of this data, to send back next time'),
+                ])
+            ),
+        ]);
+    }
+}
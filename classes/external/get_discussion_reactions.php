@@ -44,6 +44,15 @@ class get_discussion_reactions extends external_api {
                 new external_value(PARAM_INT, 'Discussion ID')
             ),
             'contextid' => new external_value(PARAM_INT, 'Context ID for permission checks'),
+            'versions' => new external_multiple_structure(
+                new external_single_structure([
+                    'discussionid' => new external_value(PARAM_INT, 'Discussion ID'),
+                    'version' => new external_value(PARAM_ALPHANUM, 'Version of the data the client holds'),
+                ]),
+                'Versions of the discussions the client already holds; those still current are not sent back',
+                VALUE_DEFAULT,
+                []
+            ),
         ]);
     }
 
@@ -54,29 +63,40 @@ class get_discussion_reactions extends external_api {
      * @param string $itemtype
      * @param array $discussionids
      * @param int $contextid
+     * @param array $versions
      * @return array
      */
     public static function execute(
         string $component,
         string $itemtype,
         array $discussionids,
-        int $contextid
+        int $contextid,
+        array $versions = []
     ): array {
+        global $USER;
+
         $params = self::validate_parameters(self::execute_parameters(), [
             'component' => $component,
             'itemtype' => $itemtype,
             'discussionids' => $discussionids,
             'contextid' => $contextid,
+            'versions' => $versions,
         ]);
 
         $context = \context::instance_by_id($params['contextid']);
         self::validate_context($context);
         require_capability('local/reactions:view', $context);
 
-        $reactions = manager::get_reactions_by_discussions(
-            $params['component'],
-            $params['itemtype'],
-            $params['discussionids']
+        // Read the cursor first: a change made while we read is then reported again by the next delta poll.
+        $cursor = manager::get_change_cursor();
+        [$reactions, $unchanged] = manager::filter_unchanged(
+            manager::get_reactions_by_discussions(
+                $params['component'],
+                $params['itemtype'],
+                $params['discussionids'],
+                (int) $USER->id
+            ),
+            array_column($params['versions'], 'version', 'discussionid')
         );
 
         $items = [];
@@ -91,10 +111,13 @@ class get_discussion_reactions extends external_api {
             $items[] = [
                 'discussionid' => $discussionid,
                 'counts' => $counts,
+                'firstpostid' => $data['firstpostid'],
+                'userreactions' => $data['userreactions'],
+                'version' => $data['version'],
             ];
         }
 
-        return ['items' => $items];
+        return ['cursor' => $cursor, 'items' => $items, 'unchanged' => $unchanged];
     }
 
     /**
@@ -104,6 +127,7 @@ class get_discussion_reactions extends external_api {
      */
     public static function execute_returns(): external_single_structure {
         return new external_single_structure([
+            'cursor' => new external_value(PARAM_INT, 'Change cursor to pass to the next delta poll'),
             'items' => new external_multiple_structure(
                 new external_single_structure([
                     'discussionid' => new external_value(PARAM_INT, 'Discussion ID'),
@@ -113,8 +137,17 @@ class get_discussion_reactions extends external_api {
                             'count' => new external_value(PARAM_INT, 'Reaction count'),
                         ])
                     ),
+                    'firstpostid' => new external_value(PARAM_INT, 'ID of the discussion\'s opening post'),
+                    'userreactions' => new external_multiple_structure(
+                        new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                        'Emoji the current user reacted with on the opening post'
+                    ),
+                    'version' => new external_value(PARAM_ALPHANUM, 'Version of this data, to send back next time'),
                 ])
             ),
+            'unchanged' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'ID of a discussion whose data is still at the version the client sent')
+            ),
         ]);
     }
 }
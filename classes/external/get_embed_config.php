@@ -0,0 +1,205 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+use local_reactions\manager;
+use local_reactions\provider_registry;
+use local_reactions\stickers;
+
+/**
+ * External function to check access to items embedded with reactions placeholders, and get their settings.
+ *
+ * Placeholders can name any item, so each one is checked against the provider registered for its
+ * component and item type, in the item's own context. Items that don't exist, have reactions
+ * disabled or can't be viewed by the current user are left out of the result.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_embed_config extends external_api {
+    /** @var int Most items checked in one call. */
+    const MAX_ITEMS = 200;
+
+    /**
+     * Parameters definition.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'items' => new external_multiple_structure(
+                new external_single_structure([
+                    'component' => new external_value(PARAM_COMPONENT, 'Component name'),
+                    'itemtype' => new external_value(PARAM_ALPHANUMEXT, 'Item type'),
+                    'itemid' => new external_value(PARAM_INT, 'Item ID'),
+                ])
+            ),
+        ]);
+    }
+
+    /**
+     * Check access to embedded items and group the accessible ones by context and settings.
+     *
+     * @param array $items List of component, itemtype and itemid.
+     * @return array
+     */
+    public static function execute(array $items): array {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'items' => $items,
+        ]);
+        if (count($params['items']) > self::MAX_ITEMS) {
+            throw new \invalid_parameter_exception('Too many items, at most ' . self::MAX_ITEMS . ' can be checked at once');
+        }
+
+        $instances = [];
+        foreach ($params['items'] as $item) {
+            $instance = self::check_item($item['component'], $item['itemtype'], $item['itemid']);
+            if ($instance === null) {
+                continue;
+            }
+            $key = implode(':', [
+                $item['component'],
+                $item['itemtype'],
+                $instance['contextid'],
+                (int) $instance['canreact'],
+                (int) $instance['allowmultiple'],
+                (int) $instance['canviewreactors'],
+            ]);
+            if (!isset($instances[$key])) {
+                $instances[$key] = $instance + ['itemids' => []];
+            }
+            $instances[$key]['itemids'][] = $item['itemid'];
+        }
+
+        return ['instances' => array_values($instances)];
+    }
+
+    /**
+     * Check that the current user can see the reactions on an item, and work out its settings.
+     *
+     * @param string $component
+     * @param string $itemtype
+     * @param int $itemid
+     * @return array|null The item's instance settings, without itemids, or null if it can't be shown.
+     */
+    private static function check_item(string $component, string $itemtype, int $itemid): ?array {
+        $provider = provider_registry::get_for_component_itemtype($component, $itemtype);
+        if (!$provider || !$provider->is_globally_enabled()) {
+            return null;
+        }
+        $context = $provider->get_context_for_item($itemid);
+        if (!$context) {
+            return null;
+        }
+        try {
+            self::validate_context($context);
+            $provider->require_view_capability($context);
+        } catch (\moodle_exception $e) {
+            return null;
+        }
+        $settings = $provider->get_runtime_settings_for_item($itemid);
+        if (!$settings || empty($settings->enabled)) {
+            return null;
+        }
+
+        try {
+            $provider->require_react_capability($context);
+            $canreact = true;
+        } catch (\required_capability_exception $e) {
+            $canreact = false;
+        }
+
+        $stickers = [];
+        foreach (stickers::export_for_js($context) as $shortcode => $sticker) {
+            $stickers[] = ['shortcode' => $shortcode] + $sticker;
+        }
+
+        $emojis = [];
+        $js = manager::export_emoji_for_js($context);
+        foreach (['emojis' => false, 'retiredemojis' => true] as $list => $retired) {
+            foreach ($js[$list] as $shortcode => $unicode) {
+                $emojis[] = [
+                    'shortcode' => $shortcode,
+                    'unicode' => $unicode,
+                    'name' => $js['emojinames'][$shortcode],
+                    'retired' => $retired,
+                ];
+            }
+        }
+
+        return [
+            'component' => $component,
+            'itemtype' => $itemtype,
+            'contextid' => $context->id,
+            'canreact' => $canreact,
+            'allowmultiple' => (bool) $settings->allowmultiple,
+            'canviewreactors' => manager::can_view_reactors(
+                (int) ($settings->reactorvisibility ?? manager::REACTORS_ANONYMOUS),
+                $context
+            ),
+            'emojis' => $emojis,
+            'stickers' => $stickers,
+        ];
+    }
+
+    /**
+     * Return value definition.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'instances' => new external_multiple_structure(
+                new external_single_structure([
+                    'component' => new external_value(PARAM_COMPONENT, 'Component name'),
+                    'itemtype' => new external_value(PARAM_ALPHANUMEXT, 'Item type'),
+                    'contextid' => new external_value(PARAM_INT, 'Context ID of the items'),
+                    'canreact' => new external_value(PARAM_BOOL, 'Whether the current user can react to the items'),
+                    'allowmultiple' => new external_value(PARAM_BOOL, 'Whether a user can add several reactions to an item'),
+                    'canviewreactors' => new external_value(PARAM_BOOL, 'Whether the current user can see who reacted'),
+                    'emojis' => new external_multiple_structure(
+                        new external_single_structure([
+                            'shortcode' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                            'unicode' => new external_value(PARAM_RAW, 'Unicode emoji'),
+                            'name' => new external_value(PARAM_TEXT, 'Localised name of the emoji'),
+                            'retired' => new external_value(
+                                PARAM_BOOL,
+                                'Whether the emoji was left out of the set, so only existing reactions with it are shown'
+                            ),
+                        ])
+                    ),
+                    'stickers' => new external_multiple_structure(
+                        new external_single_structure([
+                            'shortcode' => new external_value(PARAM_ALPHANUMEXT, 'Sticker shortcode'),
+                            'url' => new external_value(PARAM_URL, 'Sticker image URL'),
+                            'alt' => new external_value(PARAM_TEXT, 'Text alternative of the sticker'),
+                        ])
+                    ),
+                    'itemids' => new external_multiple_structure(
+                        new external_value(PARAM_INT, 'ID of an item with these settings')
+                    ),
+                ])
+            ),
+        ]);
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+use local_reactions\emoji_catalogue;
+use local_reactions\manager;
+
+/**
+ * External function to get the emoji catalogue for the extended picker.
+ *
+ * Returns the admin-allowed catalogue categories and the current user's recently used emoji, or
+ * nothing when the extended picker is disabled.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_emoji_catalogue extends external_api {
+    /**
+     * Parameters definition.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([]);
+    }
+
+    /**
+     * Get the emoji catalogue.
+     *
+     * @return array
+     */
+    public static function execute(): array {
+        global $USER;
+
+        self::validate_context(\context_system::instance());
+
+        if (!manager::is_extended_picker_enabled()) {
+            return ['categories' => [], 'recent' => []];
+        }
+
+        return [
+            'categories' => emoji_catalogue::export_categories(),
+            'recent' => emoji_catalogue::get_recent($USER->id),
+        ];
+    }
+
+    /**
+     * Return value definition.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'categories' => new external_multiple_structure(
+                new external_single_structure([
+                    'category' => new external_value(PARAM_ALPHA, 'Category key'),
+                    'name' => new external_value(PARAM_TEXT, 'Localised category name'),
+                    'emoji' => new external_multiple_structure(
+                        new external_single_structure([
+                            'shortcode' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                            'unicode' => new external_value(PARAM_RAW, 'Unicode emoji'),
+                            'name' => new external_value(PARAM_TEXT, 'Emoji name'),
+                            'keywords' => new external_value(PARAM_TEXT, 'Space-separated search keywords'),
+                        ])
+                    ),
+                ])
+            ),
+            'recent' => new external_multiple_structure(
+                new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode, most recently used first')
+            ),
+        ]);
+    }
+}
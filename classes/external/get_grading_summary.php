@@ -0,0 +1,124 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+use local_reactions\grading_summary;
+use local_reactions\manager;
+
+/**
+ * External function to summarise the reactions of the student shown in the whole-forum grading panel.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_grading_summary extends external_api {
+    /**
+     * Parameters definition.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'cmid' => new external_value(PARAM_INT, 'Forum course module ID'),
+            'userid' => new external_value(PARAM_INT, 'The student being graded, as selected in the grader'),
+            'includeall' => new external_value(
+                PARAM_BOOL,
+                'Include self and non-student reactions even if the forum leaves them out when grading',
+                VALUE_DEFAULT,
+                false
+            ),
+        ]);
+    }
+
+    /**
+     * Summarise the reactions of the student being graded.
+     *
+     * @param int $cmid
+     * @param int $userid
+     * @param bool $includeall
+     * @return array
+     */
+    public static function execute(int $cmid, int $userid, bool $includeall = false): array {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'cmid' => $cmid,
+            'userid' => $userid,
+            'includeall' => $includeall,
+        ]);
+
+        $cm = get_coursemodule_from_id('forum', $params['cmid'], 0, false, MUST_EXIST);
+        $context = \context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('mod/forum:grade', $context);
+        require_capability('local/reactions:view', $context);
+
+        $config = manager::get_forum_config($cm->id);
+        if (!get_config('local_reactions', 'enabled') || !$config || !$config->enabled) {
+            throw new \moodle_exception('reactionsnotenabled', 'local_reactions');
+        }
+
+        $userid = $params['userid'];
+        if (!is_enrolled($context, $userid)) {
+            throw new \invalid_parameter_exception('The user is not enrolled in the forum\'s course');
+        }
+
+        $summary = grading_summary::get($context, (int) $cm->instance, $userid, $params['includeall']);
+        $counts = [];
+        foreach ($summary['counts'] as $emoji => $count) {
+            $counts[] = ['emoji' => $emoji, 'count' => $count];
+        }
+
+        return [
+            'userid' => $userid,
+            'received' => $summary['received'],
+            'counts' => $counts,
+            'given' => $summary['given'],
+            'median' => $summary['median'],
+            'participants' => $summary['participants'],
+            'peeronly' => $summary['peeronly'],
+            'canincludeall' => $summary['canincludeall'],
+        ];
+    }
+
+    /**
+     * Return value definition.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'userid' => new external_value(PARAM_INT, 'The student being graded'),
+            'received' => new external_value(PARAM_INT, 'Reactions received on their posts in the forum'),
+            'counts' => new external_multiple_structure(
+                new external_single_structure([
+                    'emoji' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                    'count' => new external_value(PARAM_INT, 'Reactions received with this emoji'),
+                ])
+            ),
+            'given' => new external_value(PARAM_INT, 'Reactions they made on other people\'s posts in the forum'),
+            'median' => new external_value(PARAM_FLOAT, 'Median of the reactions received by everyone compared'),
+            'participants' => new external_value(PARAM_INT, 'Number of people compared for the median'),
+            'peeronly' => new external_value(PARAM_BOOL, 'Whether only reactions by other students were counted'),
+            'canincludeall' => new external_value(PARAM_BOOL, 'Whether the forum leaves out self and non-student reactions'),
+        ]);
+    }
+}
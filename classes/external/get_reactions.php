@@ -45,6 +45,15 @@ class get_reactions extends external_api {
                 new external_value(PARAM_INT, 'Item ID')
             ),
             'contextid' => new external_value(PARAM_INT, 'Context ID for permission checks'),
+            'versions' => new external_multiple_structure(
+                new external_single_structure([
+                    'itemid' => new external_value(PARAM_INT, 'Item ID'),
+                    'version' => new external_value(PARAM_ALPHANUM, 'Version of the data the client holds'),
+                ]),
+                'Versions of the items the client already holds; those still current are not sent back',
+                VALUE_DEFAULT,
+                []
+            ),
         ]);
     }
 
@@ -55,13 +64,15 @@ class get_reactions extends external_api {
      * @param string $itemtype
      * @param array $itemids
      * @param int $contextid
+     * @param array $versions
      * @return array
      */
     public static function execute(
         string $component,
         string $itemtype,
         array $itemids,
-        int $contextid
+        int $contextid,
+        array $versions = []
     ): array {
         global $USER;
 
@@ -70,6 +81,7 @@ class get_reactions extends external_api {
             'itemtype' => $itemtype,
             'itemids' => $itemids,
             'contextid' => $contextid,
+            'versions' => $versions,
         ]);
 
         $context = \context::instance_by_id($params['contextid']);
@@ -85,11 +97,11 @@ class get_reactions extends external_api {
         }
         $provider->require_view_capability($context);
 
-        $reactions = manager::get_reactions(
-            $params['component'],
-            $params['itemtype'],
-            $params['itemids'],
-            $USER->id
+        // Read the cursor first: a change made while we read is then reported again by the next delta poll.
+        $cursor = manager::get_change_cursor();
+        [$reactions, $unchanged] = manager::filter_unchanged(
+            manager::get_reactions($params['component'], $params['itemtype'], $params['itemids'], $USER->id),
+            array_column($params['versions'], 'version', 'itemid')
         );
 
         $items = [];
@@ -105,10 +117,11 @@ class get_reactions extends external_api {
                 'itemid' => $itemid,
                 'userreactions' => $data['userreactions'],
                 'counts' => $counts,
+                'version' => $data['version'],
             ];
         }
 
-        return ['items' => $items];
+        return ['cursor' => $cursor, 'items' => $items, 'unchanged' => $unchanged];
     }
 
     /**
@@ -118,6 +131,7 @@ class get_reactions extends external_api {
      */
     public static function execute_returns(): external_single_structure {
         return new external_single_structure([
+            'cursor' => new external_value(PARAM_INT, 'Change cursor to pass to the next delta poll'),
             'items' => new external_multiple_structure(
                 new external_single_structure([
                     'itemid' => new external_value(PARAM_INT, 'Item ID'),
@@ -130,8 +144,12 @@ class get_reactions extends external_api {
                             'count' => new external_value(PARAM_INT, 'Reaction count'),
                         ])
                     ),
+                    'version' => new external_value(PARAM_ALPHANUM, 'Version of this data, to send back next time'),
                 ])
             ),
+            'unchanged' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'ID of an item whose data is still at the version the client sent')
+            ),
         ]);
     }
 }
@@ -0,0 +1,177 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+use local_reactions\emoji_catalogue;
+use local_reactions\manager;
+use local_reactions\provider_registry;
+use local_reactions\stickers;
+
+/**
+ * External function to list the users who reacted to an item.
+ *
+ * Only answers when the item's "who can see who reacted" mode allows the current user to see names.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_reactors extends external_api {
+    /** @var int Largest page size a client may request. */
+    const MAX_PERPAGE = 50;
+
+    /**
+     * Parameters definition.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'component' => new external_value(PARAM_COMPONENT, 'Component name'),
+            'itemtype' => new external_value(PARAM_ALPHANUMEXT, 'Item type'),
+            'itemid' => new external_value(PARAM_INT, 'Item ID'),
+            'emoji' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode, or empty for all emoji', VALUE_DEFAULT, ''),
+            'page' => new external_value(PARAM_INT, 'Zero-based page number', VALUE_DEFAULT, 0),
+            'perpage' => new external_value(PARAM_INT, 'Reactors per page', VALUE_DEFAULT, 20),
+        ]);
+    }
+
+    /**
+     * Get one page of reactors for an item.
+     *
+     * @param string $component
+     * @param string $itemtype
+     * @param int $itemid
+     * @param string $emoji
+     * @param int $page
+     * @param int $perpage
+     * @return array
+     */
+    public static function execute(
+        string $component,
+        string $itemtype,
+        int $itemid,
+        string $emoji = '',
+        int $page = 0,
+        int $perpage = 20
+    ): array {
+        global $PAGE;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'component' => $component,
+            'itemtype' => $itemtype,
+            'itemid' => $itemid,
+            'emoji' => $emoji,
+            'page' => $page,
+            'perpage' => $perpage,
+        ]);
+
+        $provider = provider_registry::get_for_component_itemtype($params['component'], $params['itemtype']);
+        if (!$provider) {
+            throw new \invalid_parameter_exception(
+                'Unsupported component/itemtype: ' . $params['component'] . '/' . $params['itemtype']
+            );
+        }
+
+        $context = $provider->get_context_for_item($params['itemid']);
+        if (!$context) {
+            throw new \invalid_parameter_exception('Item not found');
+        }
+
+        self::validate_context($context);
+        $provider->require_view_capability($context);
+
+        $settings = $provider->get_runtime_settings_for_item($params['itemid']);
+        if (!$settings || empty($settings->enabled)) {
+            throw new \moodle_exception('reactionsnotenabled', 'local_reactions');
+        }
+        $visibility = (int) ($settings->reactorvisibility ?? manager::REACTORS_ANONYMOUS);
+        if (!manager::can_view_reactors($visibility, $context)) {
+            throw new \moodle_exception('reactorsnotvisible', 'local_reactions');
+        }
+
+        $page = max(0, $params['page']);
+        $perpage = min(self::MAX_PERPAGE, max(1, $params['perpage']));
+
+        $result = manager::get_reactors(
+            $params['component'],
+            $params['itemtype'],
+            $params['itemid'],
+            $params['emoji'],
+            $page * $perpage,
+            $perpage
+        );
+
+        $emojiset = manager::get_allowed_emoji($context) + manager::get_retired_emoji($context);
+        $stickers = stickers::get_for_context($context);
+        $viewfullnames = has_capability('moodle/site:viewfullnames', $context);
+        $reactors = [];
+        foreach ($result['reactors'] as $row) {
+            $user = \user_picture::unalias($row, null, 'userid');
+            $userpicture = new \user_picture($user);
+            $userpicture->size = 0;
+            $reactors[] = [
+                'userid' => (int) $row->userid,
+                'fullname' => fullname($user, $viewfullnames),
+                'profileimageurl' => $userpicture->get_url($PAGE)->out(false),
+                'emoji' => $row->emoji,
+                'unicode' => $emojiset[$row->emoji] ?? '',
+                'imageurl' => isset($stickers[$row->emoji]) ? $stickers[$row->emoji]->url : '',
+                'name' => isset($stickers[$row->emoji]) ? $stickers[$row->emoji]->alttext : emoji_catalogue::get_name($row->emoji),
+                'timecreated' => (int) $row->timecreated,
+            ];
+        }
+
+        return [
+            'reactors' => $reactors,
+            'total' => $result['total'],
+            'hasmore' => ($page + 1) * $perpage < $result['total'],
+        ];
+    }
+
+    /**
+     * Return value definition.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'reactors' => new external_multiple_structure(
+                new external_single_structure([
+                    'userid' => new external_value(PARAM_INT, 'User ID'),
+                    'fullname' => new external_value(PARAM_TEXT, 'User full name'),
+                    'profileimageurl' => new external_value(PARAM_URL, 'Small profile picture URL'),
+                    'emoji' => new external_value(PARAM_ALPHANUMEXT, 'Emoji shortcode'),
+                    'unicode' => new external_value(
+                        PARAM_RAW,
+                        'Emoji character (alt text for stickers), empty if no longer configured'
+                    ),
+                    'imageurl' => new external_value(PARAM_URL, 'Sticker image URL, empty for emoji'),
+                    'name' => new external_value(PARAM_TEXT, 'Localised name of the emoji, or the sticker\'s alt text'),
+                    'timecreated' => new external_value(PARAM_INT, 'When the reaction was made'),
+                ])
+            ),
+            'total' => new external_value(PARAM_INT, 'Total number of reactors'),
+            'hasmore' => new external_value(PARAM_BOOL, 'Whether there are further pages'),
+        ]);
+    }
+}
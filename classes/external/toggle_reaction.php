@@ -21,8 +21,10 @@ use core_external\external_function_parameters;
 use core_external\external_single_structure;
 use core_external\external_multiple_structure;
 use core_external\external_value;
+use local_reactions\emoji_catalogue;
 use local_reactions\manager;
 use local_reactions\provider_registry;
+use local_reactions\stickers;
 
 /**
  * External function to toggle an emoji reaction.
@@ -98,8 +100,13 @@ class toggle_reaction extends external_api {
             $params['itemid'],
             $USER->id,
             $params['emoji'],
-            $allowmultiple
+            $allowmultiple,
+            $context
         );
+        $issticker = isset(stickers::get_for_context($context)[$params['emoji']]);
+        if ($result['action'] === 'added' && manager::is_extended_picker_enabled() && !$issticker) {
+            emoji_catalogue::add_recent($USER->id, $params['emoji']);
+        }
 
         // Return updated reactions for this item.
         $reactions = manager::get_reactions(
@@ -122,6 +129,7 @@ class toggle_reaction extends external_api {
             'action' => $result['action'],
             'userreactions' => $itemreactions['userreactions'],
             'counts' => $counts,
+            'version' => manager::get_version($itemreactions['counts'], $itemreactions['userreactions']),
         ];
     }
 
@@ -142,6 +150,7 @@ class toggle_reaction extends external_api {
                     'count' => new external_value(PARAM_INT, 'Reaction count'),
                 ])
             ),
+            'version' => new external_value(PARAM_ALPHANUM, 'Version of the item\'s reaction data'),
         ]);
     }
 }
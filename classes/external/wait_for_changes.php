@@ -0,0 +1,169 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+use local_reactions\manager;
+use local_reactions\provider_registry;
+
+/**
+ * Long-poll external function: hold the request open until reactions change on the watched items.
+ *
+ * Only reports whether something changed; the caller then fetches the changes with
+ * get_reaction_changes or get_discussion_reaction_changes.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class wait_for_changes extends external_api {
+    /** @var int Longest a request is held open, in seconds; kept below common proxy and PHP time limits. */
+    public const TIMEOUT = 20;
+
+    /**
+     * Parameters definition.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'component' => new external_value(PARAM_COMPONENT, 'Component name'),
+            'itemtype' => new external_value(PARAM_ALPHANUMEXT, 'Item type'),
+            'itemids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Item ID, or discussion ID when watching discussions')
+            ),
+            'discussions' => new external_value(PARAM_BOOL, 'Whether itemids are forum discussion IDs'),
+            'contextid' => new external_value(PARAM_INT, 'Context ID for permission checks'),
+            'cursor' => new external_value(PARAM_INT, 'Cursor from the last fetch or wait, or 0 for none', VALUE_DEFAULT, 0),
+        ]);
+    }
+
+    /**
+     * Wait for reactions on the given items to change.
+     *
+     * @param string $component
+     * @param string $itemtype
+     * @param array $itemids
+     * @param bool $discussions
+     * @param int $contextid
+     * @param int $cursor
+     * @return array
+     */
+    public static function execute(
+        string $component,
+        string $itemtype,
+        array $itemids,
+        bool $discussions,
+        int $contextid,
+        int $cursor = 0
+    ): array {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'component' => $component,
+            'itemtype' => $itemtype,
+            'itemids' => $itemids,
+            'discussions' => $discussions,
+            'contextid' => $contextid,
+            'cursor' => $cursor,
+        ]);
+
+        $context = \context::instance_by_id($params['contextid']);
+        self::validate_context($context);
+        self::require_watch_capability(
+            $params['component'],
+            $params['itemtype'],
+            $params['itemids'],
+            $params['discussions'],
+            $context
+        );
+
+        // Don't hold the session lock while waiting, or every other request from this user would queue behind us.
+        \core\session\manager::write_close();
+        \core_php_time_limit::raise(self::TIMEOUT + 10);
+
+        return manager::wait_for_changes(
+            $params['component'],
+            $params['itemtype'],
+            $params['itemids'],
+            $params['discussions'],
+            $params['cursor'],
+            self::TIMEOUT
+        );
+    }
+
+    /**
+     * Check the current user may watch reactions in the given context, as get_reactions or
+     * get_discussion_reactions would, and that every watched item belongs to that context.
+     * Shared with the Server-Sent Events endpoint, stream.php.
+     *
+     * @param string $component
+     * @param string $itemtype
+     * @param int[] $itemids Item IDs, or discussion IDs when watching discussions.
+     * @param bool $discussions Whether forum discussions are being watched.
+     * @param \context $context
+     */
+    public static function require_watch_capability(
+        string $component,
+        string $itemtype,
+        array $itemids,
+        bool $discussions,
+        \context $context
+    ): void {
+        global $DB;
+
+        if ($discussions) {
+            require_capability('local/reactions:view', $context);
+            if (!$itemids) {
+                return;
+            }
+            $cm = $context->contextlevel == CONTEXT_MODULE ? get_coursemodule_from_id('forum', $context->instanceid) : false;
+            [$insql, $params] = $DB->get_in_or_equal($itemids, SQL_PARAMS_NAMED);
+            $params['forumid'] = $cm ? $cm->instance : 0;
+            if ($DB->record_exists_select('forum_discussions', "id $insql AND forum <> :forumid", $params)) {
+                throw new \invalid_parameter_exception('Discussion not in context ' . $context->id);
+            }
+            return;
+        }
+        $provider = provider_registry::get_for_component_itemtype($component, $itemtype);
+        if (!$provider) {
+            throw new \invalid_parameter_exception('Unsupported component/itemtype: ' . $component . '/' . $itemtype);
+        }
+        $provider->require_view_capability($context);
+        foreach ($itemids as $itemid) {
+            // Items deleted since the page loaded have no context, and nothing left to report.
+            $itemcontext = $provider->get_context_for_item($itemid);
+            if ($itemcontext && $itemcontext->id != $context->id) {
+                throw new \invalid_parameter_exception('Item ' . $itemid . ' not in context ' . $context->id);
+            }
+        }
+    }
+
+    /**
+     * Return value definition.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'changed' => new external_value(PARAM_BOOL, 'Whether reactions changed on any watched item'),
+            'cursor' => new external_value(PARAM_INT, 'Cursor to pass to the next wait'),
+        ]);
+    }
+}
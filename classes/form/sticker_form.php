@@ -0,0 +1,98 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\form;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/formslib.php');
+
+use local_reactions\stickers;
+
+/**
+ * Form to add or edit a sticker (custom image reaction).
+ *
+ * Custom data: context (the system or course context the sticker belongs to).
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class sticker_form extends \moodleform {
+    #[\Override]
+    protected function definition() {
+        $mform = $this->_form;
+
+        $mform->addElement('hidden', 'id', 0);
+        $mform->setType('id', PARAM_INT);
+        $mform->addElement('hidden', 'contextid', $this->_customdata['context']->id);
+        $mform->setType('contextid', PARAM_INT);
+        $mform->addElement('hidden', 'action', 'edit');
+        $mform->setType('action', PARAM_ALPHA);
+
+        $mform->addElement('text', 'shortcode', get_string('stickershortcode', 'local_reactions'), ['maxlength' => 20]);
+        $mform->setType('shortcode', PARAM_ALPHANUMEXT);
+        $mform->addRule('shortcode', null, 'required', null, 'client');
+        $mform->addRule('shortcode', null, 'maxlength', 20, 'client');
+        $mform->addHelpButton('shortcode', 'stickershortcode', 'local_reactions');
+
+        $mform->addElement('text', 'alttext', get_string('stickeralttext', 'local_reactions'), ['size' => 40]);
+        $mform->setType('alttext', PARAM_TEXT);
+        $mform->addRule('alttext', null, 'required', null, 'client');
+        $mform->addRule('alttext', null, 'maxlength', 255, 'client');
+        $mform->addHelpButton('alttext', 'stickeralttext', 'local_reactions');
+
+        $mform->addElement(
+            'filemanager',
+            'image',
+            get_string('stickerimage', 'local_reactions'),
+            null,
+            stickers::get_filemanager_options()
+        );
+        $mform->addRule('image', null, 'required');
+        $mform->addHelpButton('image', 'stickerimage', 'local_reactions');
+
+        $this->add_action_buttons();
+    }
+
+    #[\Override]
+    public function validation($data, $files) {
+        global $USER;
+        $errors = parent::validation($data, $files);
+
+        if ($data['shortcode'] !== '' && stickers::is_shortcode_taken(
+            $this->_customdata['context'],
+            $data['shortcode'],
+            (int) $data['id']
+        )) {
+            $errors['shortcode'] = get_string('stickershortcodetaken', 'local_reactions');
+        }
+
+        $draftfiles = get_file_storage()->get_area_files(
+            \context_user::instance($USER->id)->id,
+            'user',
+            'draft',
+            $data['image'],
+            'id',
+            false
+        );
+        if (!$draftfiles) {
+            $errors['image'] = get_string('required');
+        }
+
+        return $errors;
+    }
+}
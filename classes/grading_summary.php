@@ -0,0 +1,204 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+/**
+ * Per-student reaction totals for the summary card in the whole-forum grading panel.
+ *
+ * Counts follow the forum's "Only show peer reactions when grading" option like the per-post bars do:
+ * when it is on, reactions on a student's own posts and reactions by non-students are left out, unless
+ * the grader asks to include them.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class grading_summary {
+    /**
+     * Summarise the reactions a student received and gave in a forum.
+     *
+     * @param \context_module $context The forum's module context.
+     * @param int $forumid The forum instance ID.
+     * @param int $userid The student being graded.
+     * @param bool $includeall Include self and non-student reactions even when the forum leaves them out.
+     * @return array {received, counts (emoji => count), given, median, participants, peeronly, canincludeall}.
+     */
+    public static function get(\context_module $context, int $forumid, int $userid, bool $includeall = false): array {
+        $canincludeall = manager::is_only_peer_grading_enabled($context);
+        $peeronly = $canincludeall && !$includeall;
+        $studentuserids = $peeronly ? manager::get_student_userids($context) : null;
+
+        $counts = self::get_received_counts($forumid, $userid, $studentuserids);
+        $participants = self::get_received_totals($forumid, $studentuserids);
+        // The student is part of the comparison even if they haven't posted yet.
+        $participants[$userid] = array_sum($counts);
+
+        return [
+            'received' => array_sum($counts),
+            'counts' => $counts,
+            'given' => self::get_given_total($forumid, $userid),
+            'median' => self::median(array_values($participants)),
+            'participants' => count($participants),
+            'peeronly' => $peeronly,
+            'canincludeall' => $canincludeall,
+        ];
+    }
+
+    /**
+     * Build the reactor condition shared by the received-reaction queries.
+     *
+     * @param int[]|null $studentuserids Students whose reactions count, or null to count everyone's.
+     * @return array [$sql, $params] to AND onto a query joining {local_reactions} r and {forum_posts} fp.
+     */
+    private static function get_reactor_condition(?array $studentuserids): array {
+        global $DB;
+
+        if ($studentuserids === null) {
+            return ['', []];
+        }
+        if (empty($studentuserids)) {
+            return [' AND 1 = 0', []];
+        }
+        [$insql, $params] = $DB->get_in_or_equal($studentuserids, SQL_PARAMS_NAMED, 'student');
+        return [" AND r.userid $insql AND r.userid <> fp.userid", $params];
+    }
+
+    /**
+     * Reactions received on a user's posts in a forum, per emoji.
+     *
+     * @param int $forumid The forum instance ID.
+     * @param int $userid The post author.
+     * @param int[]|null $studentuserids Students whose reactions count, or null to count everyone's.
+     * @return array<string,int> Emoji shortcode => count, most used first.
+     */
+    private static function get_received_counts(int $forumid, int $userid, ?array $studentuserids): array {
+        global $DB;
+
+        [$reactorsql, $params] = self::get_reactor_condition($studentuserids);
+        $params += [
+            'component' => manager::COMPONENT_FORUM,
+            'itemtype' => manager::ITEMTYPE_POST,
+            'forumid' => $forumid,
+            'userid' => $userid,
+        ];
+        $sql = "SELECT r.emoji, COUNT(r.id) AS total
+                  FROM {local_reactions} r
+                  JOIN {forum_posts} fp ON fp.id = r.itemid
+                  JOIN {forum_discussions} fd ON fd.id = fp.discussion
+                 WHERE r.component = :component
+                   AND r.itemtype = :itemtype
+                   AND fd.forum = :forumid
+                   AND fp.userid = :userid
+                       $reactorsql
+              GROUP BY r.emoji
+              ORDER BY total DESC, r.emoji ASC";
+        return array_map('intval', $DB->get_records_sql_menu($sql, $params));
+    }
+
+    /**
+     * Reactions received by every author of posts in a forum, for the median.
+     *
+     * When counting only peer reactions, only students are compared.
+     *
+     * @param int $forumid The forum instance ID.
+     * @param int[]|null $studentuserids Students whose reactions count, or null to count everyone's.
+     * @return array<int,int> Author user ID => reactions received, including authors with none.
+     */
+    private static function get_received_totals(int $forumid, ?array $studentuserids): array {
+        global $DB;
+
+        $authors = $DB->get_fieldset_sql(
+            "SELECT DISTINCT fp.userid
+               FROM {forum_posts} fp
+               JOIN {forum_discussions} fd ON fd.id = fp.discussion
+              WHERE fd.forum = :forumid",
+            ['forumid' => $forumid]
+        );
+        if ($studentuserids !== null) {
+            $authors = array_intersect($authors, $studentuserids);
+        }
+        $totals = array_fill_keys(array_map('intval', $authors), 0);
+
+        [$reactorsql, $params] = self::get_reactor_condition($studentuserids);
+        $params += [
+            'component' => manager::COMPONENT_FORUM,
+            'itemtype' => manager::ITEMTYPE_POST,
+            'forumid' => $forumid,
+        ];
+        $sql = "SELECT fp.userid, COUNT(r.id) AS total
+                  FROM {local_reactions} r
+                  JOIN {forum_posts} fp ON fp.id = r.itemid
+                  JOIN {forum_discussions} fd ON fd.id = fp.discussion
+                 WHERE r.component = :component
+                   AND r.itemtype = :itemtype
+                   AND fd.forum = :forumid
+                       $reactorsql
+              GROUP BY fp.userid";
+        foreach ($DB->get_records_sql_menu($sql, $params) as $authorid => $total) {
+            if (array_key_exists((int) $authorid, $totals)) {
+                $totals[(int) $authorid] = (int) $total;
+            }
+        }
+        return $totals;
+    }
+
+    /**
+     * Reactions a user made on other people's posts in a forum.
+     *
+     * @param int $forumid The forum instance ID.
+     * @param int $userid The reactor.
+     * @return int
+     */
+    private static function get_given_total(int $forumid, int $userid): int {
+        global $DB;
+
+        $sql = "SELECT COUNT(r.id)
+                  FROM {local_reactions} r
+                  JOIN {forum_posts} fp ON fp.id = r.itemid
+                  JOIN {forum_discussions} fd ON fd.id = fp.discussion
+                 WHERE r.component = :component
+                   AND r.itemtype = :itemtype
+                   AND fd.forum = :forumid
+                   AND r.userid = :userid
+                   AND fp.userid <> :author";
+        return (int) $DB->count_records_sql($sql, [
+            'component' => manager::COMPONENT_FORUM,
+            'itemtype' => manager::ITEMTYPE_POST,
+            'forumid' => $forumid,
+            'userid' => $userid,
+            'author' => $userid,
+        ]);
+    }
+
+    /**
+     * The median of a list of numbers.
+     *
+     * @param int[] $values
+     * @return float 0 for an empty list.
+     */
+    private static function median(array $values): float {
+        if (empty($values)) {
+            return 0.0;
+        }
+        sort($values);
+        $middle = intdiv(count($values), 2);
+        if (count($values) % 2) {
+            return (float) $values[$middle];
+        }
+        return ($values[$middle - 1] + $values[$middle]) / 2;
+    }
+}
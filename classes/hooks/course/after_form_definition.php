@@ -0,0 +1,54 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\hooks\course;
+
+use local_reactions\emoji_sets;
+use local_reactions\manager;
+
+/**
+ * Hook callback adding the course's default emoji set to the course settings form.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class after_form_definition {
+    /**
+     * Add the default emoji set field, filled in with the course's current set.
+     *
+     * @param \core_course\hook\after_form_definition $hook
+     */
+    public static function callback(\core_course\hook\after_form_definition $hook): void {
+        if (!get_config('local_reactions', 'enabled')) {
+            return;
+        }
+
+        $mform = $hook->mform;
+        $mform->addElement('header', 'local_reactions_header', get_string('reactionssettings', 'local_reactions'));
+        $mform->addElement('textarea', 'local_reactions_emojis', get_string('courseemojiset', 'local_reactions'), [
+            'rows' => 2,
+            'placeholder' => emoji_sets::format(manager::get_emoji_set()),
+        ]);
+        $mform->setType('local_reactions_emojis', PARAM_TEXT);
+        $mform->addHelpButton('local_reactions_emojis', 'courseemojiset', 'local_reactions');
+
+        $course = $hook->formwrapper->get_course();
+        if (!empty($course->id)) {
+            $mform->setDefault('local_reactions_emojis', emoji_sets::get_for_context(\context_course::instance($course->id)));
+        }
+    }
+}
@@ -0,0 +1,41 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\hooks\course;
+
+use local_reactions\emoji_sets;
+
+/**
+ * Hook callback saving the default emoji set from the course settings form.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class after_form_submission {
+    /**
+     * Save the course's default emoji set, or remove it when the field was emptied.
+     *
+     * @param \core_course\hook\after_form_submission $hook
+     */
+    public static function callback(\core_course\hook\after_form_submission $hook): void {
+        $data = $hook->get_data();
+        if (!get_config('local_reactions', 'enabled') || !isset($data->local_reactions_emojis) || empty($data->id)) {
+            return;
+        }
+        emoji_sets::save_for_context(\context_course::instance($data->id), $data->local_reactions_emojis);
+    }
+}
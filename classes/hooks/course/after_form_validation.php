@@ -0,0 +1,48 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\hooks\course;
+
+use local_reactions\emoji_sets;
+use local_reactions\manager;
+
+/**
+ * Hook callback checking the default emoji set entered in the course settings form.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class after_form_validation {
+    /**
+     * Reject sets with malformed entries, shortcodes that pick no emoji, or emoji clashing with stickers.
+     *
+     * @param \core_course\hook\after_form_validation $hook
+     */
+    public static function callback(\core_course\hook\after_form_validation $hook): void {
+        $data = $hook->get_data();
+        if (!get_config('local_reactions', 'enabled') || !isset($data['local_reactions_emojis'])) {
+            return;
+        }
+
+        // A new course has no stickers of its own yet, so only the site's can clash.
+        $context = !empty($data['id']) ? \context_course::instance($data['id']) : \context_system::instance();
+        $error = emoji_sets::validate($data['local_reactions_emojis'], manager::get_emoji_set(), $context);
+        if ($error !== null) {
+            $hook->add_errors(['local_reactions_emojis' => $error]);
+        }
+    }
+}
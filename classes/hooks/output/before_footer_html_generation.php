@@ -16,10 +16,12 @@
 
 namespace local_reactions\hooks\output;
 
+use local_reactions\manager;
 use local_reactions\provider_registry;
 
 /**
- * Hook callback to inject the reactions AMD module on any page a provider claims.
+ * Hook callback to inject the reactions AMD module on any page a provider claims, and the module
+ * mounting reactions placeholders on every page.
  *
  * @package    local_reactions
  * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
@@ -27,7 +29,7 @@ use local_reactions\provider_registry;
  */
 class before_footer_html_generation {
     /**
-     * Schedule each claiming provider's AMD init calls.
+     * Schedule each claiming provider's AMD init calls, then the placeholder scan.
      *
      * @param \core\hook\output\before_footer_html_generation $hook
      */
@@ -44,5 +46,15 @@ class before_footer_html_generation {
                 $PAGE->requires->js_call_amd($amdmodule, $method, $args);
             }
         }
+
+        // Any template can output placeholders, so watch for them on every page. The module only talks to
+        // the server once it finds one, and the server checks each item with its provider.
+        if (get_config('local_reactions', 'enabled') && isloggedin()) {
+            $PAGE->requires->js_call_amd('local_reactions/embed', 'init', [[
+                'pollinterval' => (int) get_config('local_reactions', 'pollinterval'),
+                'livetransport' => manager::get_live_transport(),
+                'extendedpicker' => manager::is_extended_picker_enabled(),
+            ]]);
+        }
     }
 }
@@ -22,8 +22,8 @@ use local_reactions\provider_registry;
  * Hook callback to inject space-reserving CSS for the reactions bar.
  *
  * Injects an inline style into the page head that uses pseudo-elements to reserve vertical space
- * for the reactions bar before JavaScript loads. The JS module removes this style once it inserts
- * its own skeleton loaders.
+ * for the reactions bar before JavaScript loads. The JS module removes each provider's style once it
+ * inserts its own skeleton loaders.
  *
  * @package    local_reactions
  * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
@@ -38,7 +38,6 @@ class before_standard_head_html_generation {
     public static function callback(\core\hook\output\before_standard_head_html_generation $hook): void {
         global $PAGE;
 
-        $cssfragments = [];
         foreach (provider_registry::get_all() as $provider) {
             $decision = $provider->resolve_for_page($PAGE);
             if ($decision === null) {
@@ -46,12 +45,10 @@ class before_standard_head_html_generation {
             }
             $css = $provider->render_skeleton_css($decision);
             if ($css !== null && $css !== '') {
-                $cssfragments[] = $css;
+                // One style per provider, so each set of reactions on the page only removes its own.
+                $id = 'local-reactions-reserve-' . $provider->get_component() . '-' . $provider->get_itemtype();
+                $hook->add_html('<style id="' . $id . '">' . $css . '</style>');
             }
         }
-
-        if (!empty($cssfragments)) {
-            $hook->add_html('<style id="local-reactions-reserve">' . implode('', $cssfragments) . '</style>');
-        }
     }
 }
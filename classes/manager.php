@@ -39,45 +39,184 @@ class manager {
     /** @var string Canonical item type for blog entry reactions. */
     public const ITEMTYPE_ENTRY = 'entry';
 
-    /** @var array<string,string>|null Per-request cache of the parsed emoji set. */
-    private static ?array $emojisetcache = null;
+    /** @var string Canonical component name for glossary entry reactions (item type ITEMTYPE_ENTRY). */
+    public const COMPONENT_GLOSSARY = 'mod_glossary';
+
+    /** @var string Canonical component name for database activity record reactions. */
+    public const COMPONENT_DATA = 'mod_data';
+
+    /** @var string Canonical item type for database activity record reactions. */
+    public const ITEMTYPE_RECORD = 'record';
+
+    /** @var string Canonical component name for reactions on core comments. */
+    public const COMPONENT_COMMENT = 'core_comment';
+
+    /** @var string Canonical item type for reactions on core comments. */
+    public const ITEMTYPE_COMMENT = 'comment';
+
+    /** @var int Reactions are anonymous: nobody can see who reacted. */
+    public const REACTORS_ANONYMOUS = 0;
+
+    /** @var int Users with local/reactions:viewreactors (teachers by default) can see who reacted. */
+    public const REACTORS_TEACHERS = 1;
+
+    /** @var int Everyone who can view the reactions can see who reacted. */
+    public const REACTORS_EVERYONE = 2;
+
+    /** @var int Seconds entries stay in the change log; change cursors older than this have expired. */
+    public const CHANGES_RETENTION = DAYSECS;
+
+    /** @var string Live updates by polling every pollinterval seconds. */
+    public const TRANSPORT_POLL = 'poll';
+
+    /** @var string Live updates by a long-poll web service request held open until something changes. */
+    public const TRANSPORT_LONGPOLL = 'longpoll';
+
+    /** @var string Live updates by Server-Sent Events from stream.php. */
+    public const TRANSPORT_SSE = 'sse';
+
+    /** @var int Seconds between change log checks while a push request waits for changes. */
+    public const WAIT_CHECK_INTERVAL = 2;
+
+    /** @var array<int,array<string,string>> Per-request cache of the emoji sets, keyed by context ID (0 for the site). */
+    private static array $emojisetcache = [];
 
     /** @var array<int,\stdClass|null> Per-request cache of forum config keyed by cmid. */
     private static array $forumconfigcache = [];
 
     /**
-     * Get the configured emoji set.
+     * Get the emoji set offered in a context.
+     *
+     * That is the site's emoji set, unless the course has a default set or the activity a set of its own
+     * (see emoji_sets). An activity's set replaces the course's, which replaces the site's.
+     *
+     * @param \context|null $context Context of the items, or null for the site's set.
+     * @return array Associative array of shortcode => unicode emoji.
+     */
+    public static function get_emoji_set(?\context $context = null): array {
+        $key = $context ? $context->id : 0;
+        if (isset(self::$emojisetcache[$key])) {
+            return self::$emojisetcache[$key];
+        }
+
+        if (!$context) {
+            $config = get_config('local_reactions', 'emojis');
+            if (empty($config)) {
+                $config = self::DEFAULT_EMOJIS;
+            }
+            return self::$emojisetcache[$key] = emoji_sets::parse($config);
+        }
+
+        $site = self::get_emoji_set();
+        $emojis = $site;
+        $coursecontext = $context->get_course_context(false);
+        if ($coursecontext && $coursecontext->instanceid != SITEID) {
+            $emojis = emoji_sets::parse(emoji_sets::get_for_context($coursecontext), $site) ?: $emojis;
+        }
+        if ($context->contextlevel == CONTEXT_MODULE) {
+            $record = self::get_forum_config($context->instanceid);
+            $emojis = emoji_sets::parse((string) ($record->emojis ?? ''), $emojis + $site) ?: $emojis;
+        }
+        return self::$emojisetcache[$key] = $emojis;
+    }
+
+    /**
+     * Emoji that could once be reacted with in a context but are left out of its emoji set: those of the
+     * site's set, and of the course's default set, that an activity or course set doesn't offer, and those
+     * the course's or activity's set offered before it was changed.
+     *
+     * Reactions made with them are kept, and still shown, but nobody can add more.
      *
+     * @param \context $context Context of the items.
      * @return array Associative array of shortcode => unicode emoji.
      */
-    public static function get_emoji_set(): array {
-        if (self::$emojisetcache !== null) {
-            return self::$emojisetcache;
+    public static function get_retired_emoji(\context $context): array {
+        $known = self::get_emoji_set();
+        $coursecontext = $context->get_course_context(false);
+        if ($coursecontext && $coursecontext->instanceid != SITEID) {
+            $known = self::get_emoji_set($coursecontext) + emoji_sets::get_retired_for_context($coursecontext) + $known;
         }
+        if ($context->contextlevel == CONTEXT_MODULE) {
+            $record = self::get_forum_config($context->instanceid);
+            $known = emoji_sets::parse((string) ($record->retiredemojis ?? '')) + $known;
+        }
+        return array_diff_key($known, self::get_emoji_set($context));
+    }
 
-        $config = get_config('local_reactions', 'emojis');
-        if (empty($config)) {
-            $config = self::DEFAULT_EMOJIS;
+    /**
+     * Get the localised names of the emoji set offered in a context, and of its retired emoji, for labels
+     * read by screen readers.
+     *
+     * @param \context|null $context Context of the items, or null for the site's set.
+     * @return array Associative array of shortcode => name.
+     */
+    public static function get_emoji_names(?\context $context = null): array {
+        $emojis = self::get_emoji_set($context) + ($context ? self::get_retired_emoji($context) : []);
+        $names = [];
+        foreach (array_keys($emojis) as $shortcode) {
+            $names[$shortcode] = emoji_catalogue::get_name($shortcode);
         }
+        return $names;
+    }
+
+    /**
+     * The emoji settings of the reactions JS for the items in a context.
+     *
+     * @param \context|null $context Context of the items, or null for the site's set.
+     * @return array With emojis and retiredemojis (shortcode => unicode) and emojinames (shortcode => name).
+     */
+    public static function export_emoji_for_js(?\context $context = null): array {
+        return [
+            'emojis' => self::get_emoji_set($context),
+            'retiredemojis' => $context ? self::get_retired_emoji($context) : [],
+            'emojinames' => self::get_emoji_names($context),
+        ];
+    }
+
+    /**
+     * Clear the per-request emoji set cache, after an emoji set was changed.
+     */
+    public static function clear_emoji_set_cache(): void {
+        self::$emojisetcache = [];
+    }
+
+    /**
+     * Whether the picker offers the bundled emoji catalogue beyond the admin emoji set.
+     *
+     * @return bool
+     */
+    public static function is_extended_picker_enabled(): bool {
+        return (bool) get_config('local_reactions', 'extendedpicker');
+    }
 
-        $emojis = [];
-        $pairs = explode(',', $config);
-        foreach ($pairs as $pair) {
-            $parts = explode(':', trim($pair), 2);
-            if (count($parts) === 2) {
-                $emojis[trim($parts[0])] = trim($parts[1]);
+    /**
+     * Every emoji users may react with: the emoji set of the context, followed by the allowed catalogue
+     * categories when the extended picker is enabled, then the stickers offered in the context.
+     *
+     * @param \context|null $context Context of the item being reacted to, or null for the site's set without stickers.
+     * @return array Associative array of shortcode => unicode emoji; stickers map to their alt text.
+     */
+    public static function get_allowed_emoji(?\context $context = null): array {
+        $emoji = self::get_emoji_set($context);
+        if (self::is_extended_picker_enabled()) {
+            $emoji += emoji_catalogue::get_emoji();
+        }
+        if ($context) {
+            foreach (stickers::get_for_context($context) as $shortcode => $sticker) {
+                $emoji += [$shortcode => $sticker->alttext];
             }
         }
-        return self::$emojisetcache = $emojis;
+        return $emoji;
     }
 
     /**
-     * Look up the per-forum reactions configuration for a course module.
+     * Look up the per-activity reactions configuration for a course module.
      *
+     * Forums, glossaries and database activities all keep their settings in local_reactions_enabled.
      * Results are cached per-request so repeated lookups (e.g. the two output hooks
      * firing back-to-back on the same page render) hit the database only once.
      *
-     * @param int $cmid Course module ID of the forum.
+     * @param int $cmid Course module ID of the forum, glossary or database activity.
      * @return \stdClass|null The local_reactions_enabled record, or null if none exists.
      */
     public static function get_forum_config(int $cmid): ?\stdClass {
@@ -95,6 +234,8 @@ class manager {
      * @param int|null $cmid Clear only this cmid, or pass null to clear the whole cache.
      */
     public static function clear_forum_config_cache(?int $cmid = null): void {
+        // Activities keep their emoji set with their other settings.
+        self::clear_emoji_set_cache();
         if ($cmid === null) {
             self::$forumconfigcache = [];
             return;
@@ -115,6 +256,7 @@ class manager {
      * @param int $userid User ID.
      * @param string $emoji Emoji shortcode.
      * @param bool $allowmultiple When false, enforce single-reaction-per-post mode.
+     * @param \context|null $context Context of the item, so its stickers are accepted too.
      * @return array ['action' => 'added'|'removed', 'emoji' => string]
      */
     public static function toggle_reaction(
@@ -123,16 +265,11 @@ class manager {
         int $itemid,
         int $userid,
         string $emoji,
-        bool $allowmultiple = true
+        bool $allowmultiple = true,
+        ?\context $context = null
     ): array {
         global $DB;
 
-        // Validate emoji is in the configured set.
-        $emojiset = self::get_emoji_set();
-        if (!isset($emojiset[$emoji])) {
-            throw new \invalid_parameter_exception('Invalid emoji: ' . $emoji);
-        }
-
         $existing = $DB->get_record('local_reactions', [
             'component' => $component,
             'itemtype' => $itemtype,
@@ -142,11 +279,18 @@ class manager {
         ]);
 
         if ($existing) {
-            // Already reacted with this emoji - remove it.
+            // Already reacted with this emoji - remove it, even if the emoji has since been left out of the set.
             $DB->delete_records('local_reactions', ['id' => $existing->id]);
+            self::record_changes($component, $itemtype, [$itemid]);
             return ['action' => 'removed', 'emoji' => $emoji];
         }
 
+        // Validate emoji is in the context's set, the allowed catalogue categories or the stickers.
+        $emojiset = self::get_allowed_emoji($context);
+        if (!isset($emojiset[$emoji])) {
+            throw new \invalid_parameter_exception('Invalid emoji: ' . $emoji);
+        }
+
         // In single-reaction mode, wrap the delete-then-insert atomically so that
         // concurrent requests from the same user cannot both slip through and add
         // multiple reactions in a mode that is meant to allow only one.
@@ -184,6 +328,7 @@ class manager {
         if ($transaction) {
             $DB->commit_delegated_transaction($transaction);
         }
+        self::record_changes($component, $itemtype, [$itemid]);
         return ['action' => 'added', 'emoji' => $emoji];
     }
 
@@ -320,7 +465,7 @@ class manager {
      * @param \context $context Module context for the forum.
      * @return bool True if peer-only filtering should be applied (defaults to true).
      */
-    private static function is_only_peer_grading_enabled(\context $context): bool {
+    public static function is_only_peer_grading_enabled(\context $context): bool {
         if (!($context instanceof \context_module)) {
             return true;
         }
@@ -437,7 +582,7 @@ class manager {
      * @param \context $context Any context (module or course); the course context is derived.
      * @return int[] List of student user IDs.
      */
-    private static function get_student_userids(\context $context): array {
+    public static function get_student_userids(\context $context): array {
         $coursecontext = $context->get_course_context(false);
         if (!$coursecontext) {
             return [];
@@ -504,21 +649,42 @@ class manager {
         );
     }
 
+    /**
+     * Check whether any reactions exist for the items of an activity with per-activity settings.
+     *
+     * @param string $modulename The activity's module name, e.g. forum or glossary.
+     * @param int $instanceid The activity instance ID.
+     * @return bool True if at least one reaction exists.
+     */
+    public static function activity_has_reactions(string $modulename, int $instanceid): bool {
+        if ($modulename === 'forum') {
+            return self::forum_has_reactions($instanceid);
+        }
+        $provider = provider_registry::get_for_modulename($modulename);
+        return $provider !== null && $provider->has_reactions($instanceid);
+    }
+
     /**
      * Get aggregated reaction counts across all posts in the given discussions.
      *
      * Unlike get_reactions() which returns per-post data, this method
      * aggregates across all posts belonging to each discussion.
      *
+     * When a user is given, each discussion also carries the ID of its opening post and the emoji
+     * that user reacted with on it, so the discussion list can offer reacting to the opening post.
+     *
      * @param string $component Component name e.g. mod_forum.
      * @param string $itemtype Item type e.g. post.
      * @param array $discussionids Array of forum_discussions IDs.
-     * @return array Keyed by discussionid, each containing 'counts' as emoji => total.
+     * @param int|null $userid User whose reactions on each opening post to include.
+     * @return array Keyed by discussionid, each containing 'counts' as emoji => total, plus 'firstpostid'
+     *     and 'userreactions' when a user is given.
      */
     public static function get_reactions_by_discussions(
         string $component,
         string $itemtype,
-        array $discussionids
+        array $discussionids,
+        ?int $userid = null
     ): array {
         global $DB;
 
@@ -556,6 +722,393 @@ class manager {
             $result[$row->discussionid]['counts'][$row->emoji] = (int) $row->total;
         }
 
+        if ($userid === null) {
+            return $result;
+        }
+
+        $firstposts = $DB->get_records_sql_menu(
+            "SELECT fd.id, fd.firstpost
+               FROM {forum_discussions} fd
+              WHERE fd.id $insql",
+            $params
+        );
+        foreach ($result as $discussionid => $data) {
+            $result[$discussionid]['firstpostid'] = (int) ($firstposts[$discussionid] ?? 0);
+            $result[$discussionid]['userreactions'] = [];
+        }
+
+        $params['userid'] = $userid;
+        $uid = $DB->sql_concat('fd.id', "'_'", 'r.emoji');
+        $sql = "SELECT $uid AS uid,
+                       fd.id AS discussionid,
+                       r.emoji
+                  FROM {local_reactions} r
+                  JOIN {forum_discussions} fd ON fd.firstpost = r.itemid
+                 WHERE r.component = :component
+                   AND r.itemtype = :itemtype
+                   AND r.userid = :userid
+                   AND fd.id $insql
+              ORDER BY fd.id, r.timecreated";
+        foreach ($DB->get_records_sql($sql, $params) as $row) {
+            $result[$row->discussionid]['userreactions'][] = $row->emoji;
+        }
+
         return $result;
     }
+
+    /**
+     * A short hash of an item's reaction data, so clients can tell whether the copy they hold is current.
+     *
+     * @param array $counts Emoji shortcode => count.
+     * @param array $userreactions The current user's emoji shortcodes, if the data includes them.
+     * @return string
+     */
+    public static function get_version(array $counts, array $userreactions = []): string {
+        // Equal counts come back from the database in no particular order.
+        ksort($counts);
+        sort($userreactions);
+        return substr(sha1(json_encode([$counts, $userreactions])), 0, 16);
+    }
+
+    /**
+     * Split the versions a client sent into those still current and those to send back.
+     *
+     * @param array $reactions Reaction data keyed by item (or discussion) ID, each with 'counts' and
+     *     optionally 'userreactions'.
+     * @param array $versions Versions the client holds, as [ID => version].
+     * @return array [$changed, $unchanged]: the reaction data to send with an added 'version', and the
+     *     IDs whose version the client already has.
+     */
+    public static function filter_unchanged(array $reactions, array $versions): array {
+        $changed = [];
+        $unchanged = [];
+        foreach ($reactions as $id => $data) {
+            $data['version'] = self::get_version($data['counts'], $data['userreactions'] ?? []);
+            if (($versions[$id] ?? null) === $data['version']) {
+                $unchanged[] = $id;
+            } else {
+                $changed[$id] = $data;
+            }
+        }
+        return [$changed, $unchanged];
+    }
+
+    /**
+     * Options for the live updates transport setting, keyed by TRANSPORT_* constant.
+     *
+     * @return array<string,string>
+     */
+    public static function get_live_transport_options(): array {
+        return [
+            self::TRANSPORT_POLL => get_string('livetransport_poll', 'local_reactions'),
+            self::TRANSPORT_LONGPOLL => get_string('livetransport_longpoll', 'local_reactions'),
+            self::TRANSPORT_SSE => get_string('livetransport_sse', 'local_reactions'),
+        ];
+    }
+
+    /**
+     * The configured live updates transport, or polling if the setting holds an unknown value.
+     *
+     * @return string One of the TRANSPORT_* constants.
+     */
+    public static function get_live_transport(): string {
+        $transport = (string) get_config('local_reactions', 'livetransport');
+        return array_key_exists($transport, self::get_live_transport_options()) ? $transport : self::TRANSPORT_POLL;
+    }
+
+    /**
+     * Options for the "who can see who reacted" settings, keyed by REACTORS_* constant.
+     *
+     * @return array<int,string>
+     */
+    public static function get_reactor_visibility_options(): array {
+        return [
+            self::REACTORS_ANONYMOUS => get_string('reactorvisibility_anonymous', 'local_reactions'),
+            self::REACTORS_TEACHERS => get_string('reactorvisibility_teachers', 'local_reactions'),
+            self::REACTORS_EVERYONE => get_string('reactorvisibility_everyone', 'local_reactions'),
+        ];
+    }
+
+    /**
+     * Whether the current user may see who reacted, given an item's visibility mode.
+     *
+     * Unknown modes are treated as anonymous.
+     *
+     * @param int $visibility One of the REACTORS_* constants.
+     * @param \context $context The context of the item being reacted to.
+     * @return bool
+     */
+    public static function can_view_reactors(int $visibility, \context $context): bool {
+        if ($visibility === self::REACTORS_EVERYONE) {
+            return true;
+        }
+        if ($visibility === self::REACTORS_TEACHERS) {
+            return has_capability('local/reactions:viewreactors', $context);
+        }
+        return false;
+    }
+
+    /**
+     * Get one page of the users who reacted to an item, most recent first.
+     *
+     * @param string $component Component name e.g. mod_forum.
+     * @param string $itemtype Item type e.g. post.
+     * @param int $itemid Item ID.
+     * @param string $emoji Only return reactions with this shortcode, or '' for every emoji.
+     * @param int $limitfrom Number of reactions to skip.
+     * @param int $limitnum Maximum number of reactions to return.
+     * @return array ['total' => int, 'reactors' => \stdClass[]] where each reactor carries the
+     *               user picture fields plus `emoji` and `timecreated`.
+     */
+    public static function get_reactors(
+        string $component,
+        string $itemtype,
+        int $itemid,
+        string $emoji,
+        int $limitfrom,
+        int $limitnum
+    ): array {
+        global $DB;
+
+        $params = [
+            'component' => $component,
+            'itemtype' => $itemtype,
+            'itemid' => $itemid,
+        ];
+        $emojisql = '';
+        if ($emoji !== '') {
+            $params['emoji'] = $emoji;
+            $emojisql = 'AND lr.emoji = :emoji';
+        }
+        $from = "FROM {local_reactions} lr
+                  JOIN {user} u ON u.id = lr.userid
+                 WHERE lr.component = :component
+                   AND lr.itemtype = :itemtype
+                   AND lr.itemid = :itemid
+                   AND u.deleted = 0
+                   $emojisql";
+
+        $total = $DB->count_records_sql("SELECT COUNT(1) $from", $params);
+
+        $userfields = \core_user\fields::for_userpic()->get_sql('u', false, '', 'userid', false)->selects;
+        $sql = "SELECT lr.id, lr.emoji, lr.timecreated, $userfields
+                  $from
+              ORDER BY lr.timecreated DESC, lr.id DESC";
+
+        return [
+            'total' => $total,
+            'reactors' => array_values($DB->get_records_sql($sql, $params, $limitfrom, $limitnum)),
+        ];
+    }
+
+    /**
+     * Note in the change log that the reactions on some items have changed.
+     *
+     * Anything that adds or removes rows in {local_reactions} outside toggle_reaction() must call this,
+     * or pollers holding a change cursor will not see the change. Call it after committing any
+     * transaction of your own: change cursors assume entries commit in the order of their IDs, and an
+     * entry written inside a transaction can commit after a later one has been handed out as a cursor,
+     * and so never be reported.
+     *
+     * @param string $component Component name e.g. mod_forum.
+     * @param string $itemtype Item type e.g. post.
+     * @param int[] $itemids The items whose reactions changed.
+     */
+    public static function record_changes(string $component, string $itemtype, array $itemids): void {
+        global $DB;
+        $now = time();
+        $records = [];
+        foreach (array_unique($itemids) as $itemid) {
+            $records[] = [
+                'component' => $component,
+                'itemtype' => $itemtype,
+                'itemid' => (int) $itemid,
+                'timecreated' => $now,
+            ];
+        }
+        if ($records) {
+            $DB->insert_records('local_reactions_changes', $records);
+        }
+    }
+
+    /**
+     * The change cursor for the current state: the position of the latest entry in the change log.
+     *
+     * Read it before reading reactions, so a change made in between is reported again by the next
+     * delta poll rather than lost.
+     *
+     * @return int
+     */
+    public static function get_change_cursor(): int {
+        global $DB;
+        $latest = (int) $DB->get_field_sql('SELECT MAX(id) FROM {local_reactions_changes}');
+        // Once the log has been pruned empty, stay at the pruning horizon so new cursors remain valid.
+        return max($latest, (int) get_config('local_reactions', 'changesprunedto'));
+    }
+
+    /**
+     * Whether a change cursor is too old (or otherwise unknown) to compute a delta from.
+     *
+     * @param int $cursor A cursor previously returned by get_change_cursor().
+     * @param int $current The current cursor, from get_change_cursor().
+     * @return bool True if the caller must do a full refresh instead.
+     */
+    public static function is_change_cursor_expired(int $cursor, int $current): bool {
+        // A cursor ahead of the log can only come from a log that has since been reset (e.g. a restored database).
+        return $cursor < (int) get_config('local_reactions', 'changesprunedto') || $cursor > $current;
+    }
+
+    /**
+     * Which of the given items have had reactions added or removed between two change cursors.
+     *
+     * @param string $component Component name e.g. mod_forum.
+     * @param string $itemtype Item type e.g. post.
+     * @param int[] $itemids The items to check.
+     * @param int $since Cursor of the caller's last read (exclusive).
+     * @param int $until Current cursor (inclusive).
+     * @return int[] The changed item IDs.
+     */
+    public static function get_changed_itemids(
+        string $component,
+        string $itemtype,
+        array $itemids,
+        int $since,
+        int $until
+    ): array {
+        global $DB;
+
+        if (empty($itemids) || $until <= $since) {
+            return [];
+        }
+
+        [$insql, $params] = $DB->get_in_or_equal($itemids, SQL_PARAMS_NAMED);
+        $params += [
+            'component' => $component,
+            'itemtype' => $itemtype,
+            'since' => $since,
+            'until' => $until,
+        ];
+        $sql = "SELECT DISTINCT itemid
+                  FROM {local_reactions_changes}
+                 WHERE component = :component
+                   AND itemtype = :itemtype
+                   AND id > :since
+                   AND id <= :until
+                   AND itemid $insql";
+        return array_map('intval', $DB->get_fieldset_sql($sql, $params));
+    }
+
+    /**
+     * Which of the given forum discussions have had reactions added or removed on any of their posts
+     * between two change cursors.
+     *
+     * @param string $component Component name e.g. mod_forum.
+     * @param string $itemtype Item type e.g. post.
+     * @param int[] $discussionids The forum_discussions IDs to check.
+     * @param int $since Cursor of the caller's last read (exclusive).
+     * @param int $until Current cursor (inclusive).
+     * @return int[] The changed discussion IDs.
+     */
+    public static function get_changed_discussionids(
+        string $component,
+        string $itemtype,
+        array $discussionids,
+        int $since,
+        int $until
+    ): array {
+        global $DB;
+
+        if (empty($discussionids) || $until <= $since) {
+            return [];
+        }
+
+        [$insql, $params] = $DB->get_in_or_equal($discussionids, SQL_PARAMS_NAMED);
+        $params += [
+            'component' => $component,
+            'itemtype' => $itemtype,
+            'since' => $since,
+            'until' => $until,
+        ];
+        $sql = "SELECT DISTINCT fp.discussion
+                  FROM {local_reactions_changes} c
+                  JOIN {forum_posts} fp ON fp.id = c.itemid
+                 WHERE c.component = :component
+                   AND c.itemtype = :itemtype
+                   AND c.id > :since
+                   AND c.id <= :until
+                   AND fp.discussion $insql";
+        return array_map('intval', $DB->get_fieldset_sql($sql, $params));
+    }
+
+    /**
+     * Drop change log entries older than CHANGES_RETENTION, expiring any cursor that pointed into them.
+     *
+     * @return int The number of entries removed.
+     */
+    public static function prune_changes(): int {
+        global $DB;
+        $cutoff = time() - self::CHANGES_RETENTION;
+        $horizon = (int) $DB->get_field_sql(
+            'SELECT MAX(id) FROM {local_reactions_changes} WHERE timecreated < :cutoff',
+            ['cutoff' => $cutoff]
+        );
+        if (!$horizon) {
+            return 0;
+        }
+        // Move the horizon before deleting, so a cursor is never accepted for entries already gone.
+        $horizon = max($horizon, (int) get_config('local_reactions', 'changesprunedto'));
+        set_config('changesprunedto', $horizon, 'local_reactions');
+        $count = $DB->count_records_select('local_reactions_changes', 'id <= :horizon', ['horizon' => $horizon]);
+        $DB->delete_records_select('local_reactions_changes', 'id <= :horizon', ['horizon' => $horizon]);
+        return $count;
+    }
+
+    /**
+     * Block until reactions change on any of the watched items, or until the timeout passes.
+     *
+     * This is the server half of the push transports: it checks the change log every
+     * WAIT_CHECK_INTERVAL seconds, so it needs nothing beyond the database. Callers should release
+     * the session lock first so the user's other requests are not held up.
+     *
+     * @param string $component Component name e.g. mod_forum.
+     * @param string $itemtype Item type e.g. post.
+     * @param int[] $itemids Items to watch, or forum discussions when $discussions is true.
+     * @param bool $discussions Whether $itemids are forum discussion IDs rather than item IDs.
+     * @param int $cursor Change cursor to wait from, as returned with the reactions the caller shows. 0, for a
+     *     caller without one, reports any change still in the change log, so nothing made since is missed.
+     * @param int $timeout Maximum seconds to wait.
+     * @return array ['changed' => bool, 'cursor' => int] where cursor is the one to wait from next time.
+     */
+    public static function wait_for_changes(
+        string $component,
+        string $itemtype,
+        array $itemids,
+        bool $discussions,
+        int $cursor,
+        int $timeout
+    ): array {
+        $current = self::get_change_cursor();
+        $deadline = time() + $timeout;
+
+        while (true) {
+            if (self::is_change_cursor_expired($cursor, $current)) {
+                return ['changed' => true, 'cursor' => $current];
+            }
+            if ($current > $cursor) {
+                $changed = $discussions
+                    ? self::get_changed_discussionids($component, $itemtype, $itemids, $cursor, $current)
+                    : self::get_changed_itemids($component, $itemtype, $itemids, $cursor, $current);
+                // Entries for other items are of no interest; skip past them.
+                $cursor = $current;
+                if ($changed) {
+                    return ['changed' => true, 'cursor' => $cursor];
+                }
+            }
+            if (time() + self::WAIT_CHECK_INTERVAL > $deadline) {
+                return ['changed' => false, 'cursor' => $cursor];
+            }
+            sleep(self::WAIT_CHECK_INTERVAL);
+            $current = self::get_change_cursor();
+        }
+    }
 }
@@ -39,5 +39,70 @@ class observer {
             'itemtype'  => manager::ITEMTYPE_POST,
             'itemid'    => $event->objectid,
         ]);
+        manager::record_changes(manager::COMPONENT_FORUM, manager::ITEMTYPE_POST, [$event->objectid]);
+    }
+
+    /**
+     * Clean up reactions belonging to a glossary entry that has just been deleted.
+     *
+     * @param \mod_glossary\event\entry_deleted $event The entry_deleted event.
+     */
+    public static function entry_deleted(\mod_glossary\event\entry_deleted $event): void {
+        self::delete_item_reactions(manager::COMPONENT_GLOSSARY, manager::ITEMTYPE_ENTRY, $event->objectid);
+    }
+
+    /**
+     * Clean up reactions belonging to a database record that has just been deleted.
+     *
+     * @param \mod_data\event\record_deleted $event The record_deleted event.
+     */
+    public static function record_deleted(\mod_data\event\record_deleted $event): void {
+        self::delete_item_reactions(manager::COMPONENT_DATA, manager::ITEMTYPE_RECORD, $event->objectid);
+    }
+
+    /**
+     * Delete the reactions on one item and record the change for clients holding its version.
+     *
+     * @param string $component
+     * @param string $itemtype
+     * @param int $itemid
+     */
+    private static function delete_item_reactions(string $component, string $itemtype, int $itemid): void {
+        global $DB;
+        $DB->delete_records('local_reactions', [
+            'component' => $component,
+            'itemtype'  => $itemtype,
+            'itemid'    => $itemid,
+        ]);
+        manager::record_changes($component, $itemtype, [$itemid]);
+    }
+
+    /**
+     * Clean up reactions belonging to a comment that has just been deleted.
+     *
+     * Each component fires its own subclass of \core\event\comment_deleted (e.g. for glossary entries,
+     * database records or blog entries); observing the base class covers them all.
+     *
+     * @param \core\event\comment_deleted $event The comment_deleted event.
+     */
+    public static function comment_deleted(\core\event\comment_deleted $event): void {
+        global $DB;
+        $DB->delete_records('local_reactions', [
+            'component' => manager::COMPONENT_COMMENT,
+            'itemtype'  => manager::ITEMTYPE_COMMENT,
+            'itemid'    => $event->objectid,
+        ]);
+        manager::record_changes(manager::COMPONENT_COMMENT, manager::ITEMTYPE_COMMENT, [$event->objectid]);
+    }
+
+    /**
+     * Remove the stickers and default emoji set of a course that has just been deleted. Sticker images go
+     * with the course context.
+     *
+     * @param \core\event\course_deleted $event The course_deleted event.
+     */
+    public static function course_deleted(\core\event\course_deleted $event): void {
+        stickers::delete_for_context($event->contextid);
+        emoji_sets::delete_for_context($event->contextid);
     }
 }
@@ -17,7 +17,10 @@
 namespace local_reactions\output;
 
 use html_writer;
+use local_reactions\manager;
+use local_reactions\provider_registry;
 use local_reactions\report;
+use local_reactions\stickers;
 use moodle_url;
 
 /**
@@ -52,7 +55,7 @@ class renderer extends \plugin_renderer_base {
         $html .= $this->render_engagement_section($ratiodata);
         $html .= $this->render_active_participants_section($report->get_active_participants());
         $html .= $this->render_zero_reactions_section($report->get_posts_with_zero_reactions(20));
-        $html .= $this->render_most_reacted_section($report->get_most_reacted_posts_this_week(10));
+        $html .= $this->render_most_reacted_section($report->get_most_reacted_posts_this_week(10), $report->get_context());
 
         return $html;
     }
@@ -142,7 +145,7 @@ class renderer extends \plugin_renderer_base {
 
         $headers = [
             html_writer::tag('th', get_string('postheader', 'local_reactions')),
-            html_writer::tag('th', get_string('forumheader', 'local_reactions')),
+            html_writer::tag('th', get_string('activityheader', 'local_reactions')),
             html_writer::tag('th', get_string('dateheader', 'local_reactions')),
         ];
 
@@ -158,9 +161,10 @@ class renderer extends \plugin_renderer_base {
      * Render the "most-reacted posts this week" block.
      *
      * @param array $mostreacted Records returned by report::get_most_reacted_posts_this_week().
+     * @param \context $context The course context, for its stickers.
      * @return string HTML output.
      */
-    private function render_most_reacted_section(array $mostreacted): string {
+    private function render_most_reacted_section(array $mostreacted, \context $context): string {
         $html = $this->output->heading(get_string('report:topperformers', 'local_reactions'), 3);
 
         if (empty($mostreacted)) {
@@ -181,13 +185,22 @@ class renderer extends \plugin_renderer_base {
 
         $headers = [
             html_writer::tag('th', get_string('postheader', 'local_reactions')),
-            html_writer::tag('th', get_string('forumheader', 'local_reactions')),
+            html_writer::tag('th', get_string('activityheader', 'local_reactions')),
             html_writer::tag('th', get_string('reactionsheader', 'local_reactions')),
             html_writer::tag('th', get_string('dateheader', 'local_reactions')),
         ];
 
+        $stickers = stickers::get_for_context($context);
+        $emojisets = [];
         $rows = [];
         foreach ($mostreacted as $post) {
+            // Each activity can have its own emoji set, and its posts can keep reactions with emoji since left out.
+            $cmid = (int) ($post->cmid ?? 0);
+            if (!isset($emojisets[$cmid])) {
+                $cmcontext = ($cmid ? \context_module::instance($cmid, IGNORE_MISSING) : null) ?: $context;
+                $emojisets[$cmid] = manager::get_allowed_emoji($cmcontext) + manager::get_retired_emoji($cmcontext);
+            }
+            $post->breakdown = $this->render_reaction_breakdown($post->emojicounts ?? [], $emojisets[$cmid], $stickers);
             $rows[] = $this->render_post_row($post, true);
         }
 
@@ -195,30 +208,119 @@ class renderer extends \plugin_renderer_base {
     }
 
     /**
-     * Render a single post row for one of the report tables.
+     * Render a single post (or glossary entry, database record) row for one of the report tables.
      *
-     * @param \stdClass $post A post record with cmid, discussionid, subject, forumname, created, reactioncount.
+     * @param \stdClass $post A record with modulename, cmid, subject, activityname, created, reactioncount,
+     *     and discussionid for forum posts.
      * @param bool $showcount Whether to include a reactioncount cell.
      * @return string HTML <tr> markup.
      */
     private function render_post_row(\stdClass $post, bool $showcount): string {
-        $posturl = new moodle_url(
-            '/mod/forum/discuss.php',
-            ['d' => $post->discussionid],
-            'p' . $post->id
-        );
-        $forumurl = new moodle_url('/mod/forum/view.php', ['id' => $post->cmid]);
+        $provider = provider_registry::get_for_modulename($post->modulename);
+        if ($provider) {
+            $posturl = $provider->get_item_url($post->id);
+        } else {
+            $posturl = new moodle_url(
+                '/mod/forum/discuss.php',
+                ['d' => $post->discussionid],
+                'p' . $post->id
+            );
+        }
+        $activityurl = new moodle_url("/mod/{$post->modulename}/view.php", ['id' => $post->cmid]);
 
         $cells  = html_writer::tag('td', html_writer::link($posturl, format_string($post->subject)));
-        $cells .= html_writer::tag('td', html_writer::link($forumurl, format_string($post->forumname)));
+        $cells .= html_writer::tag('td', html_writer::link($activityurl, format_string($post->activityname)));
         if ($showcount) {
-            $cells .= html_writer::tag('td', $post->reactioncount);
+            $cells .= html_writer::tag('td', $post->reactioncount . ($post->breakdown ?? ''));
         }
         $cells .= html_writer::tag('td', userdate($post->created, get_string('strftimedatetimeshort')));
 
         return html_writer::tag('tr', $cells);
     }
 
+    /**
+     * Render the per-emoji counts of a post's reactions, with stickers shown as their images.
+     *
+     * Emoji no longer configured are shown by shortcode.
+     *
+     * @param array<string,int> $emojicounts Emoji shortcode => count.
+     * @param array<string,string> $emojiset Shortcode => unicode, from manager::get_allowed_emoji() and
+     *     manager::get_retired_emoji() for the post's activity.
+     * @param \stdClass[] $stickers Sticker records keyed by shortcode, from stickers::get_for_context().
+     * @return string HTML output, empty if there are no counts.
+     */
+    private function render_reaction_breakdown(array $emojicounts, array $emojiset, array $stickers): string {
+        $items = [];
+        foreach ($emojicounts as $emoji => $count) {
+            if (isset($stickers[$emoji])) {
+                $glyph = html_writer::empty_tag('img', [
+                    'src' => $stickers[$emoji]->url,
+                    'alt' => $stickers[$emoji]->alttext,
+                    'class' => 'local-reactions-sticker',
+                ]);
+            } else if (isset($emojiset[$emoji])) {
+                $glyph = html_writer::span(s($emojiset[$emoji]), '', ['title' => $emoji]);
+            } else {
+                $glyph = html_writer::span(s($emoji), 'text-muted');
+            }
+            $items[] = html_writer::span($glyph . ' ' . $count, 'local-reactions-breakdown-item me-2');
+        }
+        if (!$items) {
+            return '';
+        }
+        return html_writer::div(implode('', $items), 'local-reactions-breakdown small');
+    }
+
+    /**
+     * Render the stickers defined in a context, with edit and delete links, for the stickers page.
+     *
+     * @param \stdClass[] $stickers Sticker records from stickers::get_stickers_in_context().
+     * @param \context $context The system or course context of the stickers.
+     * @return string HTML output.
+     */
+    public function render_stickers(array $stickers, \context $context): string {
+        $addurl = new moodle_url('/local/reactions/stickers.php', ['contextid' => $context->id, 'action' => 'edit']);
+        $html = html_writer::div(
+            $this->output->single_button($addurl, get_string('addsticker', 'local_reactions'), 'get'),
+            'mb-3'
+        );
+
+        if (empty($stickers)) {
+            return $html . html_writer::tag('p', get_string('nostickers', 'local_reactions'), ['class' => 'alert alert-info']);
+        }
+
+        $headers = [
+            html_writer::tag('th', get_string('stickerimage', 'local_reactions')),
+            html_writer::tag('th', get_string('stickershortcode', 'local_reactions')),
+            html_writer::tag('th', get_string('stickeralttext', 'local_reactions')),
+            html_writer::tag('th', get_string('actions')),
+        ];
+
+        $rows = [];
+        foreach ($stickers as $sticker) {
+            $params = ['contextid' => $context->id, 'id' => $sticker->id];
+            $image = $sticker->url ? html_writer::empty_tag('img', [
+                'src' => $sticker->url,
+                'alt' => $sticker->alttext,
+                'class' => 'local-reactions-sticker',
+            ]) : '';
+            $actions = $this->output->action_icon(
+                new moodle_url('/local/reactions/stickers.php', $params + ['action' => 'edit']),
+                new \pix_icon('t/edit', get_string('edit'))
+            ) . $this->output->action_icon(
+                new moodle_url('/local/reactions/stickers.php', $params + ['action' => 'delete']),
+                new \pix_icon('t/delete', get_string('delete'))
+            );
+            $cells  = html_writer::tag('td', $image);
+            $cells .= html_writer::tag('td', s($sticker->shortcode));
+            $cells .= html_writer::tag('td', s($sticker->alttext));
+            $cells .= html_writer::tag('td', $actions);
+            $rows[] = html_writer::tag('tr', $cells);
+        }
+
+        return $html . $this->render_post_table($headers, $rows);
+    }
+
     /**
      * Wrap header + row HTML in a striped Bootstrap table.
      *
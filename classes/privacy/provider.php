@@ -22,6 +22,8 @@ use core_privacy\local\request\approved_userlist;
 use core_privacy\local\request\contextlist;
 use core_privacy\local\request\userlist;
 use core_privacy\local\request\writer;
+use local_reactions\emoji_catalogue;
+use local_reactions\manager;
 use local_reactions\provider_registry;
 
 // phpcs:disable Universal.OOStructures.AlphabeticExtendsImplements
@@ -39,7 +41,8 @@ use local_reactions\provider_registry;
 class provider implements
     \core_privacy\local\metadata\provider,
     \core_privacy\local\request\core_userlist_provider,
-    \core_privacy\local\request\plugin\provider {
+    \core_privacy\local\request\plugin\provider,
+    \core_privacy\local\request\user_preference_provider {
     /**
      * Return the fields which contain personal data.
      *
@@ -60,9 +63,31 @@ class provider implements
             'privacy:metadata:local_reactions'
         );
 
+        $collection->add_user_preference(
+            emoji_catalogue::RECENT_PREFERENCE,
+            'privacy:metadata:preference:recentemoji'
+        );
+
         return $collection;
     }
 
+    /**
+     * Export the user's recently used emoji preference.
+     *
+     * @param int $userid The user whose preferences are being exported.
+     */
+    public static function export_user_preferences(int $userid) {
+        $recent = get_user_preferences(emoji_catalogue::RECENT_PREFERENCE, null, $userid);
+        if ($recent !== null) {
+            writer::export_user_preference(
+                'local_reactions',
+                emoji_catalogue::RECENT_PREFERENCE,
+                $recent,
+                get_string('privacy:metadata:preference:recentemoji', 'local_reactions')
+            );
+        }
+    }
+
     /**
      * Get the list of contexts that contain user information for the specified user.
      *
@@ -209,7 +234,9 @@ class provider implements
             $ids = $DB->get_fieldset_sql($sql, $params);
             if (!empty($ids)) {
                 [$insql, $inparams] = $DB->get_in_or_equal($ids, SQL_PARAMS_NAMED);
+                $itemids = $DB->get_fieldset_select('local_reactions', 'DISTINCT itemid', "id $insql", $inparams);
                 $DB->delete_records_select('local_reactions', "id $insql", $inparams);
+                manager::record_changes($cp->get_component(), $cp->get_itemtype(), $itemids);
             }
         }
     }
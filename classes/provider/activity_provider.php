@@ -0,0 +1,326 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\provider;
+
+use local_reactions\manager;
+use local_reactions\stickers;
+
+/**
+ * Base for content providers whose items belong to an activity enabled per course module, like forums.
+ *
+ * Each item is a row in the activity's item table (e.g. {glossary_entries}) pointing at its activity
+ * instance. Settings live in the activity's local_reactions_enabled row, edited in the activity settings
+ * form, and access is checked with the local/reactions capabilities in the module context.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+abstract class activity_provider implements content_provider {
+    /**
+     * Module name of the activity, e.g. 'glossary'.
+     *
+     * @return string
+     */
+    abstract public function get_modulename(): string;
+
+    /**
+     * Table holding the items, without braces, e.g. 'glossary_entries'.
+     *
+     * @return string
+     */
+    abstract public function get_item_table(): string;
+
+    /**
+     * Field of the item table holding the activity instance ID, e.g. 'glossaryid'.
+     *
+     * @return string
+     */
+    abstract public function get_instance_field(): string;
+
+    /**
+     * Restore mapping name the activity's restore step records for its items, e.g. 'glossary_entry'.
+     *
+     * @return string
+     */
+    abstract public function get_restore_mapping(): string;
+
+    /**
+     * Field of the item table holding the item's title, or null if items have none.
+     *
+     * @return string|null
+     */
+    abstract public function get_title_field(): ?string;
+
+    /**
+     * Title for an item in the reactions report.
+     *
+     * @param \stdClass $item Item with id, and subject holding the title field when there is one.
+     * @return string
+     */
+    public function get_item_title(\stdClass $item): string {
+        return $item->subject ?? '';
+    }
+
+    /**
+     * URL of the page showing a single item.
+     *
+     * @param int $itemid
+     * @return \moodle_url
+     */
+    abstract public function get_item_url(int $itemid): \moodle_url;
+
+    /**
+     * CSS selectors and insertion points used by reactions.js on one of the provider's pages.
+     *
+     * @param string $pagetype
+     * @return array
+     */
+    abstract public function get_interactive_selectors(string $pagetype): array;
+
+    #[\Override]
+    public function is_globally_enabled(): bool {
+        return (bool) get_config('local_reactions', 'enabled');
+    }
+
+    #[\Override]
+    public function resolve_for_page(\moodle_page $page): ?\stdClass {
+        if (!$this->is_globally_enabled()) {
+            return null;
+        }
+        if (!in_array($page->pagetype, $this->get_pagetypes(), true)) {
+            return null;
+        }
+        $cm = $page->cm;
+        if (!$cm || $cm->modname !== $this->get_modulename()) {
+            return null;
+        }
+        $record = manager::get_forum_config($cm->id);
+        if (!$record || !$record->enabled) {
+            return null;
+        }
+        $context = $page->context;
+        if (!has_capability('local/reactions:view', $context)) {
+            return null;
+        }
+
+        $decision = new \stdClass();
+        $decision->pagetype = $page->pagetype;
+        $decision->context = $context;
+        $decision->compactview = false;
+        $decision->canreact = has_capability('local/reactions:react', $context);
+        $decision->allowmultiple = !empty($record->allowmultiplereactions);
+        $decision->canviewreactors = manager::can_view_reactors((int) ($record->reactorvisibility ?? 0), $context);
+        $decision->pollinterval = (int) get_config('local_reactions', 'pollinterval');
+        $decision->livetransport = manager::get_live_transport();
+        return $decision;
+    }
+
+    #[\Override]
+    public function render_skeleton_css(\stdClass $decision): ?string {
+        // Entry markup comes from display formats and teacher-edited templates, so there is no reliable box to reserve.
+        return null;
+    }
+
+    #[\Override]
+    public function get_js_calls(\stdClass $decision): array {
+        $cfg = [
+            'contextid' => $decision->context->id,
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+            'canreact' => (bool) $decision->canreact,
+            'allowmultiple' => (bool) $decision->allowmultiple,
+            'canviewreactors' => (bool) $decision->canviewreactors,
+            'compactview' => (bool) $decision->compactview,
+            'pollinterval' => $decision->pollinterval,
+            'livetransport' => $decision->livetransport,
+            'extendedpicker' => manager::is_extended_picker_enabled(),
+            'stickers' => stickers::export_for_js($decision->context),
+            'selectors' => $this->get_interactive_selectors($decision->pagetype),
+        ] + manager::export_emoji_for_js($decision->context);
+        return [[
+            'local_reactions/reactions',
+            'init',
+            [$cfg],
+        ]];
+    }
+
+    /**
+     * Find the course module of the activity an item belongs to.
+     *
+     * @param int $itemid
+     * @return \stdClass|null
+     */
+    protected function get_cm_for_item(int $itemid): ?\stdClass {
+        global $DB;
+        $instanceid = $DB->get_field($this->get_item_table(), $this->get_instance_field(), ['id' => $itemid]);
+        if (!$instanceid) {
+            return null;
+        }
+        return get_coursemodule_from_instance($this->get_modulename(), $instanceid, 0, false, IGNORE_MISSING) ?: null;
+    }
+
+    #[\Override]
+    public function get_context_for_item(int $itemid): ?\context {
+        $cm = $this->get_cm_for_item($itemid);
+        return $cm ? \context_module::instance($cm->id) : null;
+    }
+
+    #[\Override]
+    public function require_view_capability(\context $context): void {
+        require_capability('local/reactions:view', $context);
+    }
+
+    #[\Override]
+    public function require_react_capability(\context $context): void {
+        require_capability('local/reactions:react', $context);
+    }
+
+    #[\Override]
+    public function get_runtime_settings_for_item(int $itemid): ?\stdClass {
+        if (!$this->is_globally_enabled()) {
+            return null;
+        }
+        $cm = $this->get_cm_for_item($itemid);
+        if (!$cm) {
+            return null;
+        }
+        $config = manager::get_forum_config($cm->id);
+        if (!$config || !$config->enabled) {
+            return null;
+        }
+        $result = new \stdClass();
+        $result->enabled = true;
+        $result->allowmultiple = (bool) $config->allowmultiplereactions;
+        $result->reactorvisibility = (int) ($config->reactorvisibility ?? manager::REACTORS_ANONYMOUS);
+        return $result;
+    }
+
+    /**
+     * Check whether any reactions exist for the items of an activity.
+     *
+     * @param int $instanceid The activity instance ID.
+     * @return bool
+     */
+    public function has_reactions(int $instanceid): bool {
+        global $DB;
+        return $DB->record_exists_sql(
+            "SELECT 1
+               FROM {local_reactions} lr
+               JOIN {{$this->get_item_table()}} i ON i.id = lr.itemid
+              WHERE i.{$this->get_instance_field()} = :instanceid
+                AND lr.component = :component
+                AND lr.itemtype = :itemtype",
+            [
+                'instanceid' => $instanceid,
+                'component' => $this->get_component(),
+                'itemtype' => $this->get_itemtype(),
+            ]
+        );
+    }
+
+    #[\Override]
+    public function get_privacy_contexts_sql(int $userid): ?array {
+        $sql = "SELECT ctx.id
+                  FROM {context} ctx
+                  JOIN {course_modules} cm ON cm.id = ctx.instanceid AND ctx.contextlevel = :contextlevel
+                  JOIN {modules} m ON m.id = cm.module
+                  JOIN {{$this->get_item_table()}} i ON i.{$this->get_instance_field()} = cm.instance
+                  JOIN {local_reactions} lr ON lr.component = :component
+                                           AND lr.itemtype = :itemtype
+                                           AND lr.itemid = i.id
+                 WHERE lr.userid = :userid
+                   AND m.name = :modulename";
+        $params = [
+            'contextlevel' => CONTEXT_MODULE,
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+            'userid' => $userid,
+            'modulename' => $this->get_modulename(),
+        ];
+        return [$sql, $params];
+    }
+
+    #[\Override]
+    public function get_privacy_users_sql(\context $context): ?array {
+        $instanceid = $this->resolve_instance_id_from_module_context($context);
+        if ($instanceid === null) {
+            return null;
+        }
+        $sql = "SELECT lr.userid AS userid
+                  FROM {{$this->get_item_table()}} i
+                  JOIN {local_reactions} lr ON lr.component = :component
+                                           AND lr.itemtype = :itemtype
+                                           AND lr.itemid = i.id
+                 WHERE i.{$this->get_instance_field()} = :instanceid";
+        $params = [
+            'instanceid' => $instanceid,
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+        ];
+        return [$sql, $params];
+    }
+
+    #[\Override]
+    public function get_privacy_reaction_ids_sql(\context $context, ?int $userid, ?array $userids): ?array {
+        global $DB;
+        $instanceid = $this->resolve_instance_id_from_module_context($context);
+        if ($instanceid === null) {
+            return null;
+        }
+        $params = [
+            'instanceid' => $instanceid,
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+        ];
+        $where = '';
+        if ($userid !== null) {
+            $params['userid'] = $userid;
+            $where = ' AND lr.userid = :userid';
+        } else if (!empty($userids)) {
+            [$insql, $inparams] = $DB->get_in_or_equal($userids, SQL_PARAMS_NAMED, 'uid');
+            $params += $inparams;
+            $where = " AND lr.userid $insql";
+        }
+        $sql = "SELECT lr.id
+                  FROM {{$this->get_item_table()}} i
+                  JOIN {local_reactions} lr ON lr.component = :component
+                                           AND lr.itemtype = :itemtype
+                                           AND lr.itemid = i.id
+                 WHERE i.{$this->get_instance_field()} = :instanceid"
+                . $where;
+        return [$sql, $params];
+    }
+
+    /**
+     * Return the activity instance ID for a CONTEXT_MODULE context of this provider's module,
+     * or null if the context is not one.
+     *
+     * @param \context $context
+     * @return int|null
+     */
+    private function resolve_instance_id_from_module_context(\context $context): ?int {
+        if (!$context instanceof \context_module) {
+            return null;
+        }
+        $cm = get_coursemodule_from_id($this->get_modulename(), $context->instanceid, 0, false, IGNORE_MISSING);
+        if (!$cm) {
+            return null;
+        }
+        return (int) $cm->instance;
+    }
+}
@@ -17,6 +17,7 @@
 namespace local_reactions\provider;
 
 use local_reactions\manager;
+use local_reactions\stickers;
 
 /**
  * Content provider for Moodle core blog entries.
@@ -76,7 +77,10 @@ class blog_provider implements content_provider {
         $decision->context = $systemcontext;
         $decision->compactview = false;
         $decision->canreact = true;
+        $decision->allowmultiple = (bool) get_config('local_reactions', 'allowmultiplereactionsblog');
+        $decision->canviewreactors = manager::can_view_reactors(self::get_reactor_visibility(), $systemcontext);
         $decision->pollinterval = (int) get_config('local_reactions', 'pollinterval');
+        $decision->livetransport = manager::get_live_transport();
         return $decision;
     }
 
@@ -98,17 +102,20 @@ class blog_provider implements content_provider {
 
     #[\Override]
     public function get_js_calls(\stdClass $decision): array {
-        $emojiset = manager::get_emoji_set();
         $cfg = [
             'contextid' => $decision->context->id,
             'component' => $this->get_component(),
             'itemtype' => $this->get_itemtype(),
             'canreact' => (bool) $decision->canreact,
-            'emojis' => $emojiset,
+            'allowmultiple' => (bool) $decision->allowmultiple,
+            'canviewreactors' => (bool) $decision->canviewreactors,
             'compactview' => (bool) $decision->compactview,
             'pollinterval' => $decision->pollinterval,
+            'livetransport' => $decision->livetransport,
+            'extendedpicker' => manager::is_extended_picker_enabled(),
+            'stickers' => stickers::export_for_js($decision->context),
             'selectors' => self::get_interactive_selectors(),
-        ];
+        ] + manager::export_emoji_for_js($decision->context);
         return [[
             'local_reactions/reactions',
             'init',
@@ -153,9 +160,19 @@ class blog_provider implements content_provider {
         $result = new \stdClass();
         $result->enabled = true;
         $result->allowmultiple = (bool) get_config('local_reactions', 'allowmultiplereactionsblog');
+        $result->reactorvisibility = self::get_reactor_visibility();
         return $result;
     }
 
+    /**
+     * Site-wide "who can see who reacted" mode for blog entries.
+     *
+     * @return int One of the manager::REACTORS_* constants.
+     */
+    private static function get_reactor_visibility(): int {
+        return (int) get_config('local_reactions', 'reactorvisibilityblog');
+    }
+
     #[\Override]
     public function get_privacy_contexts_sql(int $userid): ?array {
         // Blog reactions exist at SYSTEM context. If the user has any, add system context.
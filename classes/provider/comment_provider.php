@@ -0,0 +1,240 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\provider;
+
+use local_reactions\manager;
+use local_reactions\stickers;
+
+/**
+ * Content provider for comments made with the core comments widget (core_comment).
+ *
+ * Comments live in the {comments} table, each in the context of the thing commented on (the glossary or
+ * database activity, or the blog author's user context). Reactions to a comment are checked against that
+ * context with the core comment capabilities. The site-wide admin setting `local_reactions/enabledcomments`
+ * gates whether reactions load on pages showing comments.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class comment_provider implements content_provider {
+    /** @var string[] Pagetypes where comment reactions render. */
+    private const PAGETYPES = ['blog-index', 'mod-glossary-view', 'mod-glossary-showentry', 'mod-data-view'];
+
+    #[\Override]
+    public function get_component(): string {
+        return manager::COMPONENT_COMMENT;
+    }
+
+    #[\Override]
+    public function get_itemtype(): string {
+        return manager::ITEMTYPE_COMMENT;
+    }
+
+    #[\Override]
+    public function is_globally_enabled(): bool {
+        global $CFG;
+        return !empty($CFG->usecomments) && (bool) get_config('local_reactions', 'enabledcomments');
+    }
+
+    #[\Override]
+    public function get_pagetypes(): array {
+        return self::PAGETYPES;
+    }
+
+    #[\Override]
+    public function resolve_for_page(\moodle_page $page): ?\stdClass {
+        if (!$this->is_globally_enabled()) {
+            return null;
+        }
+        if (!in_array($page->pagetype, self::PAGETYPES, true)) {
+            return null;
+        }
+        if (!isloggedin() || isguestuser()) {
+            return null;
+        }
+        $context = $page->context;
+        if (!has_capability('moodle/comment:view', $context)) {
+            return null;
+        }
+
+        $decision = new \stdClass();
+        $decision->pagetype = $page->pagetype;
+        $decision->context = $context;
+        $decision->compactview = false;
+        $decision->canreact = has_capability('moodle/comment:post', $context);
+        $decision->allowmultiple = true;
+        $decision->canviewreactors = manager::can_view_reactors(self::get_reactor_visibility(), $context);
+        $decision->pollinterval = (int) get_config('local_reactions', 'pollinterval');
+        $decision->livetransport = manager::get_live_transport();
+        return $decision;
+    }
+
+    #[\Override]
+    public function render_skeleton_css(\stdClass $decision): ?string {
+        // Comments are loaded by the comments widget after the page, so there is no space to reserve up front.
+        return null;
+    }
+
+    #[\Override]
+    public function get_js_calls(\stdClass $decision): array {
+        $cfg = [
+            'contextid' => $decision->context->id,
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+            'canreact' => (bool) $decision->canreact,
+            'allowmultiple' => (bool) $decision->allowmultiple,
+            'canviewreactors' => (bool) $decision->canviewreactors,
+            'compactview' => (bool) $decision->compactview,
+            'pollinterval' => $decision->pollinterval,
+            'livetransport' => $decision->livetransport,
+            'extendedpicker' => manager::is_extended_picker_enabled(),
+            'stickers' => stickers::export_for_js($decision->context),
+            'selectors' => self::get_interactive_selectors(),
+        ] + manager::export_emoji_for_js($decision->context);
+        return [[
+            'local_reactions/reactions',
+            'init',
+            [$cfg],
+        ]];
+    }
+
+    #[\Override]
+    public function get_context_for_item(int $itemid): ?\context {
+        global $DB;
+        $contextid = $DB->get_field('comments', 'contextid', ['id' => $itemid]);
+        if (!$contextid) {
+            return null;
+        }
+        return \context::instance_by_id($contextid, IGNORE_MISSING) ?: null;
+    }
+
+    #[\Override]
+    public function require_view_capability(\context $context): void {
+        require_capability('moodle/comment:view', $context);
+    }
+
+    #[\Override]
+    public function require_react_capability(\context $context): void {
+        if (!isloggedin() || isguestuser()) {
+            throw new \required_capability_exception($context, 'moodle/comment:post', 'nopermissions', '');
+        }
+        require_capability('moodle/comment:view', $context);
+        require_capability('moodle/comment:post', $context);
+    }
+
+    #[\Override]
+    public function get_runtime_settings_for_item(int $itemid): ?\stdClass {
+        if (!$this->is_globally_enabled()) {
+            return null;
+        }
+        if (!$this->get_context_for_item($itemid)) {
+            return null;
+        }
+        $result = new \stdClass();
+        $result->enabled = true;
+        $result->allowmultiple = true;
+        $result->reactorvisibility = self::get_reactor_visibility();
+        return $result;
+    }
+
+    /**
+     * Site-wide "who can see who reacted" mode for comments.
+     *
+     * @return int One of the manager::REACTORS_* constants.
+     */
+    private static function get_reactor_visibility(): int {
+        return (int) get_config('local_reactions', 'reactorvisibilitycomments');
+    }
+
+    #[\Override]
+    public function get_privacy_contexts_sql(int $userid): ?array {
+        $sql = "SELECT c.contextid
+                  FROM {comments} c
+                  JOIN {local_reactions} lr ON lr.itemid = c.id
+                 WHERE lr.component = :component
+                   AND lr.itemtype = :itemtype
+                   AND lr.userid = :userid";
+        $params = [
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+            'userid' => $userid,
+        ];
+        return [$sql, $params];
+    }
+
+    #[\Override]
+    public function get_privacy_users_sql(\context $context): ?array {
+        $sql = "SELECT lr.userid AS userid
+                  FROM {local_reactions} lr
+                  JOIN {comments} c ON c.id = lr.itemid
+                 WHERE lr.component = :component
+                   AND lr.itemtype = :itemtype
+                   AND c.contextid = :contextid";
+        $params = [
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+            'contextid' => $context->id,
+        ];
+        return [$sql, $params];
+    }
+
+    #[\Override]
+    public function get_privacy_reaction_ids_sql(\context $context, ?int $userid, ?array $userids): ?array {
+        global $DB;
+        $params = [
+            'component' => $this->get_component(),
+            'itemtype' => $this->get_itemtype(),
+            'contextid' => $context->id,
+        ];
+        $where = '';
+        if ($userid !== null) {
+            $params['userid'] = $userid;
+            $where = ' AND lr.userid = :userid';
+        } else if (!empty($userids)) {
+            [$insql, $inparams] = $DB->get_in_or_equal($userids, SQL_PARAMS_NAMED, 'uid');
+            $params += $inparams;
+            $where = " AND lr.userid $insql";
+        }
+        $sql = "SELECT lr.id
+                  FROM {local_reactions} lr
+                  JOIN {comments} c ON c.id = lr.itemid
+                 WHERE lr.component = :component
+                   AND lr.itemtype = :itemtype
+                   AND c.contextid = :contextid"
+                . $where;
+        return [$sql, $params];
+    }
+
+    /**
+     * CSS selectors and insertion points used by reactions.js on pages showing comments.
+     *
+     * Comment list items have IDs like `comment-12-<clientid>`, so the number after the prefix is the comment ID.
+     * The comments widget fills its lists after the page loads (when expanded, paged with "show more" or
+     * after posting), so every list is a mutation root.
+     *
+     * @return array
+     */
+    public static function get_interactive_selectors(): array {
+        return [
+            'item' => '.comment-list > li[id^="comment-"]',
+            'itemIdPrefix' => 'comment-',
+            'appendFallbackSelectors' => ['.comment-message'],
+            'mutationRoot' => '.comment-list',
+        ];
+    }
+}
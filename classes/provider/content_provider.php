@@ -56,7 +56,8 @@ interface content_provider {
      * Decide whether reactions should load on the given page for the current user.
      *
      * Returns a decision object carrying the context, pagetype and any per-page settings (compactview, canreact,
-     * allowmultiple) used to render the skeleton CSS and the AMD config; or null if reactions should not load.
+     * allowmultiple, canviewreactors) used to render the skeleton CSS and the AMD config; or null if reactions
+     * should not load.
      *
      * @param \moodle_page $page
      * @return \stdClass|null
@@ -114,10 +115,12 @@ interface content_provider {
 
     /**
      * Return whether reactions are enabled for the specific item (site toggle + any per-instance setting),
-     * plus the allowmultiple flag for the toggle_reaction webservice.
+     * plus the allowmultiple flag for the toggle_reaction webservice and the reactorvisibility mode
+     * (a manager::REACTORS_* constant) for the get_reactors webservice.
      *
      * @param int $itemid
-     * @return \stdClass|null Object with bool `enabled` and bool `allowmultiple`, or null if not applicable.
+     * @return \stdClass|null Object with bool `enabled`, bool `allowmultiple` and int `reactorvisibility`,
+     *                        or null if not applicable.
      */
     public function get_runtime_settings_for_item(int $itemid): ?\stdClass;
 
@@ -0,0 +1,101 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\provider;
+
+use local_reactions\manager;
+
+/**
+ * Content provider for database activity records (mod_data).
+ *
+ * Records are printed through the activity's list and single templates, which teachers can edit. The default
+ * templates wrap each record in a `defaulttemplate-*` element and link to it with a `rid` parameter, so that is
+ * what identifies a record. Custom templates need to keep the wrapper and a `##moreurl##` or `##actionsmenu##`
+ * for records to get reactions in the list view.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class data_provider extends activity_provider {
+    /** @var string[] Pagetypes where database record reactions render. */
+    private const PAGETYPES = ['mod-data-view'];
+
+    #[\Override]
+    public function get_component(): string {
+        return manager::COMPONENT_DATA;
+    }
+
+    #[\Override]
+    public function get_itemtype(): string {
+        return manager::ITEMTYPE_RECORD;
+    }
+
+    #[\Override]
+    public function get_pagetypes(): array {
+        return self::PAGETYPES;
+    }
+
+    #[\Override]
+    public function get_modulename(): string {
+        return 'data';
+    }
+
+    #[\Override]
+    public function get_item_table(): string {
+        return 'data_records';
+    }
+
+    #[\Override]
+    public function get_instance_field(): string {
+        return 'dataid';
+    }
+
+    #[\Override]
+    public function get_restore_mapping(): string {
+        return 'data_record';
+    }
+
+    #[\Override]
+    public function get_title_field(): ?string {
+        return null;
+    }
+
+    #[\Override]
+    public function get_item_title(\stdClass $item): string {
+        // Records are sets of teacher-defined fields with no title, so name them by number.
+        return get_string('databaserecord', 'local_reactions', $item->id);
+    }
+
+    #[\Override]
+    public function get_item_url(int $itemid): \moodle_url {
+        return new \moodle_url('/mod/data/view.php', ['rid' => $itemid]);
+    }
+
+    #[\Override]
+    public function get_interactive_selectors(string $pagetype): array {
+        return [
+            'item' => '.defaulttemplate-listentry, .defaulttemplate-single',
+            'itemIdLinks' => [
+                ['selector' => 'a[href*="view.php"][href*="rid="]', 'param' => 'rid'],
+                ['selector' => 'a[href*="edit.php"][href*="rid="]', 'param' => 'rid'],
+            ],
+            // The single view is view.php?d=...&rid=..., and may not link to the record it shows.
+            'itemIdPageParam' => 'rid',
+            'appendToItem' => true,
+        ];
+    }
+}
@@ -17,6 +17,7 @@
 namespace local_reactions\provider;
 
 use local_reactions\manager;
+use local_reactions\stickers;
 
 /**
  * Content provider for forum posts.
@@ -79,8 +80,13 @@ class forum_provider implements content_provider {
             ? !empty($record->compactview_list)
             : !empty($record->compactview_discuss);
         $decision->canreact = has_capability('local/reactions:react', $context);
+        $decision->allowmultiple = !empty($record->allowmultiplereactions);
+        $decision->canviewreactors = manager::can_view_reactors((int) ($record->reactorvisibility ?? 0), $context);
         $decision->pollinterval = (int) get_config('local_reactions', 'pollinterval');
+        $decision->livetransport = manager::get_live_transport();
         $decision->isdiscussionlist = $isdiscussionlist;
+        $decision->reactfromlist = $isdiscussionlist && !empty($record->reactfromlist);
+        $decision->cmid = (int) $cm->id;
         return $decision;
     }
 
@@ -120,26 +126,37 @@ class forum_provider implements content_provider {
 
     #[\Override]
     public function get_js_calls(\stdClass $decision): array {
-        $emojiset = manager::get_emoji_set();
         $base = [
             'contextid' => $decision->context->id,
             'component' => $this->get_component(),
             'itemtype' => $this->get_itemtype(),
-            'emojis' => $emojiset,
             'compactview' => (bool) $decision->compactview,
             'pollinterval' => $decision->pollinterval,
-        ];
+            'livetransport' => $decision->livetransport,
+            'extendedpicker' => manager::is_extended_picker_enabled(),
+            'stickers' => stickers::export_for_js($decision->context),
+        ] + manager::export_emoji_for_js($decision->context);
 
         if ($decision->isdiscussionlist) {
-            return [[
-                'local_reactions/discussion_list_reactions',
-                'init',
-                [$base],
-            ]];
+            $listcfg = array_merge($base, [
+                'cmid' => $decision->cmid,
+                'reactfromlist' => $decision->reactfromlist && $decision->canreact,
+                'allowmultiple' => (bool) $decision->allowmultiple,
+            ]);
+            $sortcfg = array_merge($base, [
+                'cmid' => $decision->cmid,
+                'perpage' => (int) get_config('core', 'forum_manydiscussions'),
+            ]);
+            return [
+                ['local_reactions/discussion_list_reactions', 'init', [$listcfg]],
+                ['local_reactions/discussion_sort', 'init', [$sortcfg]],
+            ];
         }
 
         $interactivecfg = array_merge($base, [
             'canreact' => (bool) $decision->canreact,
+            'allowmultiple' => (bool) $decision->allowmultiple,
+            'canviewreactors' => (bool) $decision->canviewreactors,
             'selectors' => self::get_interactive_selectors(),
         ]);
         return [[
@@ -198,6 +215,7 @@ class forum_provider implements content_provider {
         $result = new \stdClass();
         $result->enabled = true;
         $result->allowmultiple = (bool) $config->allowmultiplereactions;
+        $result->reactorvisibility = (int) ($config->reactorvisibility ?? manager::REACTORS_ANONYMOUS);
         return $result;
     }
 
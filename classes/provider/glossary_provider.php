@@ -0,0 +1,96 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\provider;
+
+use local_reactions\manager;
+
+/**
+ * Content provider for glossary entries (mod_glossary).
+ *
+ * Entries are printed by the glossary's display formats, which give them no ID attribute, so the entry ID is
+ * read from the links in the entry's lower section. Every format prints an "Entry link" to showentry.php there,
+ * and authors and teachers also get edit and delete links. Links in the definition are skipped, since the
+ * auto-linking filter points those at other entries.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class glossary_provider extends activity_provider {
+    /** @var string[] Pagetypes where glossary entry reactions render. */
+    private const PAGETYPES = ['mod-glossary-view', 'mod-glossary-showentry'];
+
+    #[\Override]
+    public function get_component(): string {
+        return manager::COMPONENT_GLOSSARY;
+    }
+
+    #[\Override]
+    public function get_itemtype(): string {
+        return manager::ITEMTYPE_ENTRY;
+    }
+
+    #[\Override]
+    public function get_pagetypes(): array {
+        return self::PAGETYPES;
+    }
+
+    #[\Override]
+    public function get_modulename(): string {
+        return 'glossary';
+    }
+
+    #[\Override]
+    public function get_item_table(): string {
+        return 'glossary_entries';
+    }
+
+    #[\Override]
+    public function get_instance_field(): string {
+        return 'glossaryid';
+    }
+
+    #[\Override]
+    public function get_restore_mapping(): string {
+        return 'glossary_entry';
+    }
+
+    #[\Override]
+    public function get_title_field(): ?string {
+        return 'concept';
+    }
+
+    #[\Override]
+    public function get_item_url(int $itemid): \moodle_url {
+        return new \moodle_url('/mod/glossary/showentry.php', ['eid' => $itemid]);
+    }
+
+    #[\Override]
+    public function get_interactive_selectors(string $pagetype): array {
+        return [
+            'item' => 'table.glossarypost',
+            'itemIdLinks' => [
+                ['selector' => '.entrylowersection a[href*="showentry.php"][href*="eid="]', 'param' => 'eid'],
+                ['selector' => '.entrylowersection a[href*="edit.php"][href*="id="]', 'param' => 'id'],
+                ['selector' => '.entrylowersection a[href*="deleteentry.php"][href*="entry="]', 'param' => 'entry'],
+            ],
+            'itemIdPageParam' => $pagetype === 'mod-glossary-showentry' ? 'eid' : null,
+            'appendFallbackSelectors' => ['.entrylowersection', '.entry'],
+            'appendToItem' => true,
+        ];
+    }
+}
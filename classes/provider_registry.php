@@ -16,6 +16,7 @@
 
 namespace local_reactions;
 
+use local_reactions\provider\activity_provider;
 use local_reactions\provider\content_provider;
 
 /**
@@ -41,6 +42,9 @@ class provider_registry {
         self::$providers = [
             new \local_reactions\provider\forum_provider(),
             new \local_reactions\provider\blog_provider(),
+            new \local_reactions\provider\comment_provider(),
+            new \local_reactions\provider\glossary_provider(),
+            new \local_reactions\provider\data_provider(),
         ];
         return self::$providers;
     }
@@ -61,6 +65,21 @@ class provider_registry {
         return null;
     }
 
+    /**
+     * Find the provider for the items of an activity module with its own reactions settings (other than forums).
+     *
+     * @param string $modulename Module name, e.g. glossary.
+     * @return activity_provider|null
+     */
+    public static function get_for_modulename(string $modulename): ?activity_provider {
+        foreach (self::get_all() as $provider) {
+            if ($provider instanceof activity_provider && $provider->get_modulename() === $modulename) {
+                return $provider;
+            }
+        }
+        return null;
+    }
+
     /**
      * Clear the in-memory provider cache. Test-only helper.
      */
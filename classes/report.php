@@ -19,6 +19,10 @@ namespace local_reactions;
 /**
  * Report class for reactions statistics.
  *
+ * Covers forum posts and the items of the other activities with reactions (glossary entries and database
+ * records). Forum figures come from the forum tables; each other activity type adds its own from its
+ * provider's item table, and the lists are merged in PHP.
+ *
  * @package    local_reactions
  * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
@@ -33,6 +37,9 @@ class report {
     /** @var array<int,int> Map of forum instance ID => course module ID */
     private $forumtocmid = [];
 
+    /** @var array<string,array<int,\cm_info>> Module name => instance ID => cm, for other activities with reactions enabled */
+    private $activities = [];
+
     /**
      * Constructor.
      *
@@ -41,6 +48,7 @@ class report {
     public function __construct(int $courseid) {
         $this->courseid = $courseid;
         $this->forumids = $this->get_enabled_forums();
+        $this->activities = $this->get_enabled_activities();
     }
 
     /**
@@ -69,6 +77,49 @@ class report {
         return $forumids;
     }
 
+    /**
+     * Get the glossaries, databases and other non-forum activities in this course that have reactions enabled.
+     *
+     * @return array<string,array<int,\cm_info>> Module name => instance ID => cm.
+     */
+    private function get_enabled_activities(): array {
+        $modinfo = get_fast_modinfo($this->courseid);
+        $activities = [];
+        foreach (provider_registry::get_all() as $provider) {
+            if (!$provider instanceof provider\activity_provider || !$provider->is_globally_enabled()) {
+                continue;
+            }
+            foreach ($modinfo->get_instances_of($provider->get_modulename()) as $cm) {
+                if (!empty($cm->deletioninprogress)) {
+                    continue;
+                }
+                $config = manager::get_forum_config($cm->id);
+                if ($config && !empty($config->enabled)) {
+                    $activities[$provider->get_modulename()][(int) $cm->instance] = $cm;
+                }
+            }
+        }
+        return $activities;
+    }
+
+    /**
+     * The provider and SQL scoping its items to the enabled instances, for each non-forum activity type.
+     *
+     * @return array[] List of [$provider, $insql, $params] for the instances' `i.<instance field> $insql`.
+     */
+    private function get_activity_sources(): array {
+        global $DB;
+        $sources = [];
+        foreach ($this->activities as $modulename => $cms) {
+            $provider = provider_registry::get_for_modulename($modulename);
+            [$insql, $params] = $DB->get_in_or_equal(array_keys($cms), SQL_PARAMS_NAMED, 'inst');
+            $params['component'] = $provider->get_component();
+            $params['itemtype'] = $provider->get_itemtype();
+            $sources[] = [$provider, $insql, $params];
+        }
+        return $sources;
+    }
+
     /**
      * Get total reactions vs posts ratio.
      *
@@ -77,32 +128,46 @@ class report {
     public function get_reactions_vs_posts_ratio(): array {
         global $DB;
 
-        if (empty($this->forumids)) {
-            return ['total_reactions' => 0, 'total_posts' => 0, 'ratio' => 0];
-        }
+        $totalposts = 0;
+        $totalreactions = 0;
 
-        [$insql, $params] = $DB->get_in_or_equal($this->forumids, SQL_PARAMS_NAMED);
+        if (!empty($this->forumids)) {
+            [$insql, $params] = $DB->get_in_or_equal($this->forumids, SQL_PARAMS_NAMED);
 
-        // Get total posts (p.id is the PK so DISTINCT is redundant).
-        $sql = "SELECT COUNT(p.id) as total
-                  FROM {forum_posts} p
-                  JOIN {forum_discussions} d ON d.id = p.discussion
-                 WHERE d.forum $insql";
+            // Get total posts (p.id is the PK so DISTINCT is redundant).
+            $sql = "SELECT COUNT(p.id) as total
+                      FROM {forum_posts} p
+                      JOIN {forum_discussions} d ON d.id = p.discussion
+                     WHERE d.forum $insql";
 
-        $totalposts = $DB->count_records_sql($sql, $params);
+            $totalposts += $DB->count_records_sql($sql, $params);
 
-        // Get total reactions.
-        $params['component'] = manager::COMPONENT_FORUM;
-        $params['itemtype'] = manager::ITEMTYPE_POST;
-        $sql = "SELECT COUNT(*) as total
-                  FROM {local_reactions} r
-                  JOIN {forum_posts} p ON p.id = r.itemid
-                  JOIN {forum_discussions} d ON d.id = p.discussion
-                 WHERE r.component = :component
-                   AND r.itemtype = :itemtype
-                   AND d.forum $insql";
+            // Get total reactions.
+            $params['component'] = manager::COMPONENT_FORUM;
+            $params['itemtype'] = manager::ITEMTYPE_POST;
+            $sql = "SELECT COUNT(*) as total
+                      FROM {local_reactions} r
+                      JOIN {forum_posts} p ON p.id = r.itemid
+                      JOIN {forum_discussions} d ON d.id = p.discussion
+                     WHERE r.component = :component
+                       AND r.itemtype = :itemtype
+                       AND d.forum $insql";
+
+            $totalreactions += $DB->count_records_sql($sql, $params);
+        }
 
-        $totalreactions = $DB->count_records_sql($sql, $params);
+        foreach ($this->get_activity_sources() as [$provider, $insql, $params]) {
+            $table = $provider->get_item_table();
+            $field = $provider->get_instance_field();
+            $totalposts += $DB->count_records_sql("SELECT COUNT(i.id) FROM {{$table}} i WHERE i.$field $insql", $params);
+            $sql = "SELECT COUNT(*)
+                      FROM {local_reactions} r
+                      JOIN {{$table}} i ON i.id = r.itemid
+                     WHERE r.component = :component
+                       AND r.itemtype = :itemtype
+                       AND i.$field $insql";
+            $totalreactions += $DB->count_records_sql($sql, $params);
+        }
 
         $ratio = $totalposts > 0 ? $totalreactions / $totalposts : 0;
 
@@ -121,46 +186,95 @@ class report {
     public function get_active_participants(): array {
         global $DB;
 
-        if (empty($this->forumids)) {
-            return ['active_reactors' => 0, 'active_posters' => 0];
+        // The same person can post in a forum and add glossary entries, so collect IDs and count them once.
+        $reactors = [];
+        $posters = [];
+
+        if (!empty($this->forumids)) {
+            [$insql, $params] = $DB->get_in_or_equal($this->forumids, SQL_PARAMS_NAMED);
+            $params['component'] = manager::COMPONENT_FORUM;
+            $params['itemtype'] = manager::ITEMTYPE_POST;
+
+            // Get active reactors.
+            $sql = "SELECT DISTINCT r.userid
+                      FROM {local_reactions} r
+                      JOIN {forum_posts} p ON p.id = r.itemid
+                      JOIN {forum_discussions} d ON d.id = p.discussion
+                     WHERE r.component = :component
+                       AND r.itemtype = :itemtype
+                       AND d.forum $insql";
+
+            $reactors = array_merge($reactors, $DB->get_fieldset_sql($sql, $params));
+
+            // Get active posters.
+            $sql = "SELECT DISTINCT p.userid
+                      FROM {forum_posts} p
+                      JOIN {forum_discussions} d ON d.id = p.discussion
+                     WHERE d.forum $insql";
+
+            $posters = array_merge($posters, $DB->get_fieldset_sql($sql, $params));
         }
 
-        [$insql, $params] = $DB->get_in_or_equal($this->forumids, SQL_PARAMS_NAMED);
-        $params['component'] = manager::COMPONENT_FORUM;
-        $params['itemtype'] = manager::ITEMTYPE_POST;
-
-        // Get active reactors.
-        $sql = "SELECT COUNT(DISTINCT r.userid) as total
-                  FROM {local_reactions} r
-                  JOIN {forum_posts} p ON p.id = r.itemid
-                  JOIN {forum_discussions} d ON d.id = p.discussion
-                 WHERE r.component = :component
-                   AND r.itemtype = :itemtype
-                   AND d.forum $insql";
+        foreach ($this->get_activity_sources() as [$provider, $insql, $params]) {
+            $table = $provider->get_item_table();
+            $field = $provider->get_instance_field();
+            $sql = "SELECT DISTINCT r.userid
+                      FROM {local_reactions} r
+                      JOIN {{$table}} i ON i.id = r.itemid
+                     WHERE r.component = :component
+                       AND r.itemtype = :itemtype
+                       AND i.$field $insql";
+            $reactors = array_merge($reactors, $DB->get_fieldset_sql($sql, $params));
+            $posters = array_merge(
+                $posters,
+                $DB->get_fieldset_sql("SELECT DISTINCT i.userid FROM {{$table}} i WHERE i.$field $insql", $params)
+            );
+        }
 
-        $activereactors = $DB->count_records_sql($sql, $params);
+        return [
+            'active_reactors' => count(array_unique(array_map('intval', $reactors))),
+            'active_posters' => count(array_unique(array_map('intval', $posters))),
+        ];
+    }
 
-        // Get active posters.
-        $sql = "SELECT COUNT(DISTINCT p.userid) as total
-                  FROM {forum_posts} p
-                  JOIN {forum_discussions} d ON d.id = p.discussion
-                 WHERE d.forum $insql";
+    /**
+     * Get posts and entries with zero reactions, newest first.
+     *
+     * @param int $limit Maximum number of posts to return
+     * @return array Array of post objects with discussion and forum info; entries and records have
+     *     modulename, cmid and activityname only.
+     */
+    public function get_posts_with_zero_reactions(int $limit = 20): array {
+        global $DB;
 
-        $activeposters = $DB->count_records_sql($sql, $params);
+        $records = $this->get_forum_posts_with_zero_reactions($limit);
+        foreach ($this->get_activity_sources() as [$provider, $insql, $params]) {
+            $sql = "SELECT {$this->get_item_columns($provider)}
+                      FROM {{$provider->get_item_table()}} i
+                     WHERE i.{$provider->get_instance_field()} $insql
+                       AND NOT EXISTS (
+                           SELECT 1
+                             FROM {local_reactions} r
+                            WHERE r.component = :component
+                              AND r.itemtype = :itemtype
+                              AND r.itemid = i.id
+                       )
+                  ORDER BY i.timecreated DESC";
+            $items = $DB->get_records_sql($sql, $params, 0, $limit);
+            $records = array_merge($records, $this->add_activity_info($provider, $items));
+        }
 
-        return [
-            'active_reactors' => $activereactors,
-            'active_posters' => $activeposters,
-        ];
+        usort($records, fn($a, $b) => $b->created <=> $a->created);
+        return array_slice($records, 0, $limit);
     }
 
     /**
-     * Get posts with zero reactions.
+     * Get forum posts with zero reactions.
      *
      * @param int $limit Maximum number of posts to return
      * @return array Array of post objects with discussion and forum info
      */
-    public function get_posts_with_zero_reactions(int $limit = 20): array {
+    private function get_forum_posts_with_zero_reactions(int $limit): array {
         global $DB;
 
         if (empty($this->forumids)) {
@@ -194,12 +308,14 @@ class report {
         $records = $DB->get_records_sql($sql, $params, 0, $limit);
         foreach ($records as $record) {
             $record->cmid = $this->forumtocmid[(int) $record->forumid] ?? null;
+            $record->modulename = 'forum';
+            $record->activityname = $record->forumname;
         }
         return array_values($records);
     }
 
     /**
-     * Get most-reacted posts this week.
+     * Get most-reacted posts and entries this week.
      *
      * @param int $limit Maximum number of posts to return
      * @return array Array of post objects with reaction counts
@@ -207,6 +323,47 @@ class report {
     public function get_most_reacted_posts_this_week(int $limit = 10): array {
         global $DB;
 
+        $weekago = time() - (7 * 24 * 60 * 60);
+        $records = $this->get_most_reacted_forum_posts($limit, $weekago);
+        foreach ($this->get_activity_sources() as [$provider, $insql, $params]) {
+            $params['weekago'] = $weekago;
+            $columns = $this->get_item_columns($provider);
+            $sql = "SELECT $columns, COUNT(r.id) AS reactioncount
+                      FROM {{$provider->get_item_table()}} i
+                      JOIN {local_reactions} r ON r.itemid = i.id
+                                               AND r.component = :component
+                                               AND r.itemtype = :itemtype
+                     WHERE i.{$provider->get_instance_field()} $insql
+                       AND r.timecreated >= :weekago
+                  GROUP BY $columns
+                  ORDER BY reactioncount DESC, i.timecreated DESC";
+            $items = $DB->get_records_sql($sql, $params, 0, $limit);
+            $emojicounts = $this->get_emoji_counts(
+                array_keys($items),
+                $weekago,
+                $provider->get_component(),
+                $provider->get_itemtype()
+            );
+            foreach ($items as $item) {
+                $item->emojicounts = $emojicounts[$item->id] ?? [];
+            }
+            $records = array_merge($records, $this->add_activity_info($provider, $items));
+        }
+
+        usort($records, fn($a, $b) => [$b->reactioncount, $b->created] <=> [$a->reactioncount, $a->created]);
+        return array_slice($records, 0, $limit);
+    }
+
+    /**
+     * Get most-reacted forum posts this week.
+     *
+     * @param int $limit Maximum number of posts to return
+     * @param int $weekago Only count reactions made since this time.
+     * @return array Array of post objects with reaction counts
+     */
+    private function get_most_reacted_forum_posts(int $limit, int $weekago): array {
+        global $DB;
+
         if (empty($this->forumids)) {
             return [];
         }
@@ -214,7 +371,7 @@ class report {
         [$insql, $params] = $DB->get_in_or_equal($this->forumids, SQL_PARAMS_NAMED);
         $params['component'] = manager::COMPONENT_FORUM;
         $params['itemtype'] = manager::ITEMTYPE_POST;
-        $params['weekago'] = time() - (7 * 24 * 60 * 60);
+        $params['weekago'] = $weekago;
 
         // As above: $this->forumids pre-scopes to forum instances, so {course_modules}
         // and {modules} joins are unnecessary - cmid is resolved via $forumtocmid.
@@ -236,9 +393,97 @@ class report {
               ORDER BY reactioncount DESC, p.created DESC";
 
         $records = $DB->get_records_sql($sql, $params, 0, $limit);
+        $emojicounts = $this->get_emoji_counts(array_keys($records), $weekago);
         foreach ($records as $record) {
             $record->cmid = $this->forumtocmid[(int) $record->forumid] ?? null;
+            $record->modulename = 'forum';
+            $record->activityname = $record->forumname;
+            $record->emojicounts = $emojicounts[$record->id] ?? [];
         }
         return array_values($records);
     }
+
+    /**
+     * Columns selected for the items of a non-forum activity, named like the forum post columns.
+     *
+     * @param provider\activity_provider $provider
+     * @return string
+     */
+    private function get_item_columns(provider\activity_provider $provider): string {
+        $field = $provider->get_instance_field();
+        $title = $provider->get_title_field();
+        return "i.id, i.userid, i.timecreated AS created, i.$field AS instanceid" . ($title ? ", i.$title AS subject" : '');
+    }
+
+    /**
+     * Add the module name, course module and activity name to items of a non-forum activity.
+     *
+     * @param provider\activity_provider $provider
+     * @param \stdClass[] $items Records selected with get_item_columns().
+     * @return \stdClass[]
+     */
+    private function add_activity_info(provider\activity_provider $provider, array $items): array {
+        $cms = $this->activities[$provider->get_modulename()];
+        foreach ($items as $item) {
+            $cm = $cms[(int) $item->instanceid];
+            $item->modulename = $provider->get_modulename();
+            $item->cmid = (int) $cm->id;
+            $item->activityname = $cm->name;
+            $item->subject = $provider->get_item_title($item);
+        }
+        return array_values($items);
+    }
+
+    /**
+     * Count the reactions on some posts or entries by emoji (or sticker), most used first.
+     *
+     * @param int[] $postids Item IDs, forum posts unless another component is given.
+     * @param int $since Only count reactions made since this time.
+     * @param string $component
+     * @param string $itemtype
+     * @return array<int,array<string,int>> Item ID => emoji shortcode => count.
+     */
+    private function get_emoji_counts(
+        array $postids,
+        int $since,
+        string $component = manager::COMPONENT_FORUM,
+        string $itemtype = manager::ITEMTYPE_POST
+    ): array {
+        global $DB;
+
+        if (empty($postids)) {
+            return [];
+        }
+
+        [$insql, $params] = $DB->get_in_or_equal($postids, SQL_PARAMS_NAMED);
+        $params['component'] = $component;
+        $params['itemtype'] = $itemtype;
+        $params['since'] = $since;
+
+        $sql = "SELECT itemid, emoji, COUNT(id) AS emojicount
+                  FROM {local_reactions}
+                 WHERE component = :component
+                   AND itemtype = :itemtype
+                   AND itemid $insql
+                   AND timecreated >= :since
+              GROUP BY itemid, emoji
+              ORDER BY emojicount DESC, emoji ASC";
+
+        $counts = [];
+        $rs = $DB->get_recordset_sql($sql, $params);
+        foreach ($rs as $row) {
+            $counts[(int) $row->itemid][$row->emoji] = (int) $row->emojicount;
+        }
+        $rs->close();
+        return $counts;
+    }
+
+    /**
+     * The course context, for looking up the stickers offered in the course.
+     *
+     * @return \context_course
+     */
+    public function get_context(): \context_course {
+        return \context_course::instance($this->courseid);
+    }
 }
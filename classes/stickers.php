@@ -0,0 +1,257 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+/**
+ * Custom image reactions ("stickers") uploaded by admins for the site or by teachers for a course.
+ *
+ * Each sticker is a {local_reactions_stickers} row plus one image in the sticker file area of its
+ * context, with the row ID as itemid. Reactions store the sticker's shortcode in
+ * {local_reactions}.emoji just like an emoji shortcode, so shortcodes must not clash with the emoji
+ * set, the emoji catalogue or other stickers available in the same place.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class stickers {
+    /** @var string File area holding the sticker images. */
+    public const FILEAREA = 'sticker';
+
+    /** @var int Largest sticker image in bytes. */
+    public const MAXBYTES = 102400;
+
+    /** @var string[] Image types accepted for stickers. */
+    public const ACCEPTED_TYPES = ['.png', '.gif', '.jpg', '.jpeg', '.webp'];
+
+    /** @var array<string,array<string,\stdClass>> Per-request cache of get_for_context(), keyed by context path. */
+    private static array $cache = [];
+
+    /**
+     * Whether teachers may upload stickers for their own courses.
+     *
+     * @return bool
+     */
+    public static function is_course_stickers_enabled(): bool {
+        return (bool) get_config('local_reactions', 'coursestickers');
+    }
+
+    /**
+     * The contexts whose stickers are offered in a context: the site's, then its course's when course
+     * stickers are enabled.
+     *
+     * @param \context $context The context of the item being reacted to.
+     * @return \context[]
+     */
+    public static function get_sticker_contexts(\context $context): array {
+        $contexts = [\context_system::instance()];
+        if (self::is_course_stickers_enabled()) {
+            $coursecontext = $context->get_course_context(false);
+            if ($coursecontext && $coursecontext->instanceid != SITEID) {
+                $contexts[] = $coursecontext;
+            }
+        }
+        return $contexts;
+    }
+
+    /**
+     * The stickers defined directly in a context, with their image URLs.
+     *
+     * @param \context $context System or course context.
+     * @return \stdClass[] Sticker records keyed by shortcode, each with an extra url property
+     *     (null if the image is missing).
+     */
+    public static function get_stickers_in_context(\context $context): array {
+        global $DB;
+        $records = $DB->get_records('local_reactions_stickers', ['contextid' => $context->id], 'id');
+        if (!$records) {
+            return [];
+        }
+
+        $files = [];
+        $fs = get_file_storage();
+        foreach ($fs->get_area_files($context->id, 'local_reactions', self::FILEAREA, false, 'itemid', false) as $file) {
+            $files[$file->get_itemid()] = $file;
+        }
+
+        $stickers = [];
+        foreach ($records as $record) {
+            $file = $files[$record->id] ?? null;
+            $record->url = $file ? \moodle_url::make_pluginfile_url(
+                $context->id,
+                'local_reactions',
+                self::FILEAREA,
+                $record->id,
+                '/' . $record->timemodified . '/',
+                $file->get_filename()
+            )->out(false) : null;
+            $stickers[$record->shortcode] = $record;
+        }
+        return $stickers;
+    }
+
+    /**
+     * The stickers offered in a context. Course stickers come after (and win over) site stickers.
+     *
+     * Stickers whose image is missing are left out.
+     *
+     * @param \context $context The context of the item being reacted to.
+     * @return \stdClass[] Sticker records keyed by shortcode.
+     */
+    public static function get_for_context(\context $context): array {
+        $contexts = self::get_sticker_contexts($context);
+        $key = implode('/', array_map(fn(\context $c): int => $c->id, $contexts));
+        if (!isset(self::$cache[$key])) {
+            $stickers = [];
+            foreach ($contexts as $stickercontext) {
+                $stickers = array_merge($stickers, array_filter(
+                    self::get_stickers_in_context($stickercontext),
+                    fn(\stdClass $sticker): bool => $sticker->url !== null
+                ));
+            }
+            self::$cache[$key] = $stickers;
+        }
+        return self::$cache[$key];
+    }
+
+    /**
+     * The stickers offered in a context, for the page config of the reactions JS.
+     *
+     * @param \context $context The context of the items on the page.
+     * @return array<string,array> Shortcode => ['url' => image URL, 'alt' => text alternative].
+     */
+    public static function export_for_js(\context $context): array {
+        $result = [];
+        foreach (self::get_for_context($context) as $shortcode => $sticker) {
+            $result[$shortcode] = ['url' => $sticker->url, 'alt' => $sticker->alttext];
+        }
+        return $result;
+    }
+
+    /**
+     * Clear the per-request sticker cache, after stickers were added, changed or removed.
+     */
+    public static function clear_cache(): void {
+        self::$cache = [];
+    }
+
+    /**
+     * Whether a shortcode is already in use where a new sticker in a context would be offered.
+     *
+     * Checks the site's emoji set and the course's default set, the whole emoji catalogue (whatever its
+     * filter) and the stickers of the site and of the course. A site sticker is offered in every course, so
+     * for one the stickers of every course are checked too.
+     *
+     * @param \context $context System or course context of the sticker.
+     * @param string $shortcode The proposed shortcode.
+     * @param int $excludeid ID of the sticker being edited, which may keep its own shortcode.
+     * @return bool
+     */
+    public static function is_shortcode_taken(\context $context, string $shortcode, int $excludeid = 0): bool {
+        global $DB;
+        if (
+            isset(manager::get_emoji_set()[$shortcode]) || isset(manager::get_emoji_set($context)[$shortcode])
+                || emoji_catalogue::has_shortcode($shortcode)
+        ) {
+            return true;
+        }
+        $params = ['shortcode' => $shortcode, 'excludeid' => $excludeid];
+        $contextsql = '';
+        if ($context->contextlevel != CONTEXT_SYSTEM) {
+            [$insql, $inparams] = $DB->get_in_or_equal([\context_system::instance()->id, $context->id], SQL_PARAMS_NAMED);
+            $contextsql = "contextid $insql AND ";
+            $params += $inparams;
+        }
+        return $DB->record_exists_select(
+            'local_reactions_stickers',
+            "{$contextsql}shortcode = :shortcode AND id <> :excludeid",
+            $params
+        );
+    }
+
+    /**
+     * Options for the sticker image file manager.
+     *
+     * @return array
+     */
+    public static function get_filemanager_options(): array {
+        return [
+            'subdirs' => 0,
+            'maxfiles' => 1,
+            'maxbytes' => self::MAXBYTES,
+            'accepted_types' => self::ACCEPTED_TYPES,
+        ];
+    }
+
+    /**
+     * Create or update a sticker from the sticker form.
+     *
+     * @param \context $context System or course context of the sticker.
+     * @param \stdClass $data Form data with id (0 for a new sticker), shortcode, alttext and image (draft item ID).
+     * @return int The sticker ID.
+     */
+    public static function save(\context $context, \stdClass $data): int {
+        global $DB;
+        $now = time();
+        $record = (object) [
+            'contextid' => $context->id,
+            'shortcode' => $data->shortcode,
+            'alttext' => $data->alttext,
+            'timemodified' => $now,
+        ];
+        if (!empty($data->id)) {
+            $record->id = $data->id;
+            $DB->update_record('local_reactions_stickers', $record);
+        } else {
+            $record->timecreated = $now;
+            $record->id = $DB->insert_record('local_reactions_stickers', $record);
+        }
+        file_save_draft_area_files(
+            $data->image,
+            $context->id,
+            'local_reactions',
+            self::FILEAREA,
+            $record->id,
+            self::get_filemanager_options()
+        );
+        self::clear_cache();
+        return $record->id;
+    }
+
+    /**
+     * Delete a sticker and its image. Reactions made with it are kept but no longer shown.
+     *
+     * @param \stdClass $sticker The sticker record.
+     */
+    public static function delete(\stdClass $sticker): void {
+        global $DB;
+        get_file_storage()->delete_area_files($sticker->contextid, 'local_reactions', self::FILEAREA, $sticker->id);
+        $DB->delete_records('local_reactions_stickers', ['id' => $sticker->id]);
+        self::clear_cache();
+    }
+
+    /**
+     * Delete the stickers of a context that is going away. Its files are removed with the context.
+     *
+     * @param int $contextid The context ID.
+     */
+    public static function delete_for_context(int $contextid): void {
+        global $DB;
+        $DB->delete_records('local_reactions_stickers', ['contextid' => $contextid]);
+        self::clear_cache();
+    }
+}
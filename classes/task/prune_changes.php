@@ -0,0 +1,39 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\task;
+
+use local_reactions\manager;
+
+/**
+ * Drop old entries from the reactions change log used by delta polling.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class prune_changes extends \core\task\scheduled_task {
+    #[\Override]
+    public function get_name(): string {
+        return get_string('taskprunechanges', 'local_reactions');
+    }
+
+    #[\Override]
+    public function execute(): void {
+        $count = manager::prune_changes();
+        mtrace("Removed {$count} old reaction change log entries.");
+    }
+}
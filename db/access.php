@@ -46,6 +46,15 @@ $capabilities = [
             'guest' => CAP_ALLOW,
         ],
     ],
+    'local/reactions:viewreactors' => [
+        'captype' => 'read',
+        'contextlevel' => CONTEXT_MODULE,
+        'archetypes' => [
+            'editingteacher' => CAP_ALLOW,
+            'teacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW,
+        ],
+    ],
     'local/reactions:viewreport' => [
         'captype' => 'read',
         'contextlevel' => CONTEXT_COURSE,
@@ -55,4 +64,13 @@ $capabilities = [
             'manager' => CAP_ALLOW,
         ],
     ],
+    'local/reactions:managestickers' => [
+        'riskbitmask' => RISK_SPAM,
+        'captype' => 'write',
+        'contextlevel' => CONTEXT_COURSE,
+        'archetypes' => [
+            'editingteacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW,
+        ],
+    ],
 ];
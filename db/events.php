@@ -29,4 +29,20 @@ $observers = [
         'eventname' => '\mod_forum\event\post_deleted',
         'callback'  => '\local_reactions\observer::post_deleted',
     ],
+    [
+        'eventname' => '\mod_glossary\event\entry_deleted',
+        'callback'  => '\local_reactions\observer::entry_deleted',
+    ],
+    [
+        'eventname' => '\mod_data\event\record_deleted',
+        'callback'  => '\local_reactions\observer::record_deleted',
+    ],
+    [
+        'eventname' => '\core\event\comment_deleted',
+        'callback'  => '\local_reactions\observer::comment_deleted',
+    ],
+    [
+        'eventname' => '\core\event\course_deleted',
+        'callback'  => '\local_reactions\observer::course_deleted',
+    ],
 ];
@@ -33,4 +33,16 @@ $callbacks = [
         'hook' => \core\hook\output\before_footer_html_generation::class,
         'callback' => \local_reactions\hooks\output\before_footer_html_generation::class . '::callback',
     ],
+    [
+        'hook' => \core_course\hook\after_form_definition::class,
+        'callback' => \local_reactions\hooks\course\after_form_definition::class . '::callback',
+    ],
+    [
+        'hook' => \core_course\hook\after_form_validation::class,
+        'callback' => \local_reactions\hooks\course\after_form_validation::class . '::callback',
+    ],
+    [
+        'hook' => \core_course\hook\after_form_submission::class,
+        'callback' => \local_reactions\hooks\course\after_form_submission::class . '::callback',
+    ],
 ];
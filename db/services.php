@@ -39,6 +39,13 @@ $functions = [
         'ajax' => true,
         'loginrequired' => true,
     ],
+    'local_reactions_get_embed_config' => [
+        'classname' => 'local_reactions\external\get_embed_config',
+        'description' => 'Check access to items embedded with reactions placeholders and get their settings',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
     'local_reactions_get_reactions_for_grading' => [
         'classname' => 'local_reactions\external\get_reactions_for_grading',
         'description' => 'Get emoji reactions for forum posts as displayed in the grading panel',
@@ -53,4 +60,53 @@ $functions = [
         'ajax' => true,
         'loginrequired' => true,
     ],
+    'local_reactions_get_reaction_changes' => [
+        'classname' => 'local_reactions\external\get_reaction_changes',
+        'description' => 'Get emoji reactions for the items that changed since a change cursor',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
+    'local_reactions_get_discussion_reaction_changes' => [
+        'classname' => 'local_reactions\external\get_discussion_reaction_changes',
+        'description' => 'Get aggregated emoji reactions for the forum discussions that changed since a change cursor',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
+    'local_reactions_get_discussion_ranking' => [
+        'classname' => 'local_reactions\external\get_discussion_ranking',
+        'description' => 'Get a page of forum discussions sorted or filtered by their emoji reactions',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
+    'local_reactions_get_grading_summary' => [
+        'classname' => 'local_reactions\external\get_grading_summary',
+        'description' => 'Summarise the emoji reactions of the student shown in the whole-forum grading panel',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
+    'local_reactions_wait_for_changes' => [
+        'classname' => 'local_reactions\external\wait_for_changes',
+        'description' => 'Wait (long-poll) until emoji reactions change on any of the given items',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
+    'local_reactions_get_reactors' => [
+        'classname' => 'local_reactions\external\get_reactors',
+        'description' => 'Get a page of the users who reacted to an item, where the item allows it',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
+    'local_reactions_get_emoji_catalogue' => [
+        'classname' => 'local_reactions\external\get_emoji_catalogue',
+        'description' => 'Get the emoji catalogue and recently used emoji for the extended picker',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
 ];
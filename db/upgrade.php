@@ -68,5 +68,102 @@ function xmldb_local_reactions_upgrade($oldversion) {
         upgrade_plugin_savepoint(true, 2026041100, 'local', 'reactions');
     }
 
+    if ($oldversion < 2026101900) {
+        // Add reactorvisibility column to local_reactions_enabled.
+        $table = new xmldb_table('local_reactions_enabled');
+        $field = new xmldb_field(
+            'reactorvisibility',
+            XMLDB_TYPE_INTEGER,
+            '1',
+            null,
+            XMLDB_NOTNULL,
+            null,
+            '0'
+        );
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+        upgrade_plugin_savepoint(true, 2026101900, 'local', 'reactions');
+    }
+
+    if ($oldversion < 2026101901) {
+        // Add the change log used by delta polling.
+        $table = new xmldb_table('local_reactions_changes');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('component', XMLDB_TYPE_CHAR, '100', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('itemtype', XMLDB_TYPE_CHAR, '50', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('itemid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_index('item_lookup', XMLDB_INDEX_NOTUNIQUE, ['component', 'itemtype', 'itemid']);
+        $table->add_index('timecreated', XMLDB_INDEX_NOTUNIQUE, ['timecreated']);
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+        upgrade_plugin_savepoint(true, 2026101901, 'local', 'reactions');
+    }
+
+    if ($oldversion < 2026101904) {
+        // Add the table of custom image reactions.
+        $table = new xmldb_table('local_reactions_stickers');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('contextid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('shortcode', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('alttext', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('contextid_fk', XMLDB_KEY_FOREIGN, ['contextid'], 'context', ['id']);
+        $table->add_index('contextid_shortcode', XMLDB_INDEX_UNIQUE, ['contextid', 'shortcode']);
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+        upgrade_plugin_savepoint(true, 2026101904, 'local', 'reactions');
+    }
+
+    if ($oldversion < 2026101906) {
+        // Add reactfromlist column to local_reactions_enabled.
+        $table = new xmldb_table('local_reactions_enabled');
+        $field = new xmldb_field(
+            'reactfromlist',
+            XMLDB_TYPE_INTEGER,
+            '1',
+            null,
+            XMLDB_NOTNULL,
+            null,
+            '0'
+        );
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+        upgrade_plugin_savepoint(true, 2026101906, 'local', 'reactions');
+    }
+
+    if ($oldversion < 2026101913) {
+        // Add the emojis and retiredemojis columns to local_reactions_enabled, for an activity's own emoji set
+        // and the emoji it has stopped offering.
+        $table = new xmldb_table('local_reactions_enabled');
+        foreach (['emojis', 'retiredemojis'] as $fieldname) {
+            $field = new xmldb_field($fieldname, XMLDB_TYPE_TEXT, null, null, null, null, null);
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        // Add the table of course default emoji sets.
+        $table = new xmldb_table('local_reactions_emojisets');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('contextid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('emojis', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('retiredemojis', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('contextid_fk', XMLDB_KEY_FOREIGN_UNIQUE, ['contextid'], 'context', ['id']);
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+        upgrade_plugin_savepoint(true, 2026101913, 'local', 'reactions');
+    }
+
     return true;
 }
@@ -27,45 +27,429 @@ defined('MOODLE_INTERNAL') || die();
 
 $string['activeposters'] = 'Active posters';
 $string['activereactors'] = 'Active reactors';
+$string['activityheader'] = 'Activity';
 $string['addreaction'] = 'React with {$a}';
+$string['addsticker'] = 'Add sticker';
 $string['allowmultiplereactions'] = 'Enable multiple reactions per-user per-post (Recommended)';
-$string['allowmultiplereactions_help'] = 'When enabled, users can react to each post with more than one emoji. When disabled, each user may only react with a single emoji per post — clicking a new emoji automatically replaces their previous one.<br><br><strong>Note:</strong> This setting cannot be switched from multiple to single once reactions exist in the forum. You can always switch from single to multiple.';
+$string['allowmultiplereactions_help'] = 'When enabled, users can react to each post or entry with more than one emoji. When disabled, each user may only react with a single emoji per post or entry — clicking a new emoji automatically replaces their previous one.<br><br><strong>Note:</strong> This setting cannot be switched from multiple to single once reactions exist in the activity. You can always switch from single to multiple.';
+$string['cataloguefilter_blacklist'] = 'All categories except the selected ones';
+$string['cataloguefilter_none'] = 'All categories';
+$string['cataloguefilter_whitelist'] = 'Only the selected categories';
+$string['category_activities'] = 'Activities';
+$string['category_food'] = 'Food & drink';
+$string['category_nature'] = 'Animals & nature';
+$string['category_objects'] = 'Objects';
+$string['category_people'] = 'People & gestures';
+$string['category_smileys'] = 'Smileys';
+$string['category_symbols'] = 'Symbols';
+$string['category_travel'] = 'Travel & places';
+$string['compactlabel'] = '{$a} reactions';
+$string['compactlabelone'] = '1 reaction';
+$string['compactlabelonlyyou'] = '1 reaction, yours';
+$string['compactlabelyou'] = '{$a} reactions, including you';
 $string['compactview_discuss'] = 'Use compact view for individual posts';
 $string['compactview_discuss_help'] = 'When enabled, reactions on individual forum posts are displayed as a single pill showing all reacted emojis followed by the total count, similar to Facebook or WhatsApp.';
 $string['compactview_list'] = 'Use compact view for discussion overview';
 $string['compactview_list_help'] = 'When enabled, reactions on the discussion list page are displayed as a single pill showing all reacted emojis followed by the total count, similar to Facebook or WhatsApp.';
+$string['courseemojiset'] = 'Default emoji set';
+$string['courseemojiset_help'] = 'The emoji offered in the forums, glossaries and databases of this course that don\'t have an emoji set of their own. Leave empty to use the site\'s set, shown as a hint in the empty field.<br><br>To offer only some of them, list their shortcodes separated by commas, e.g. <code>thumbsup,heart</code>. Any emoji from the emoji catalogue can be listed by its shortcode too. To add an emoji of your own, give its shortcode and the emoji, e.g. <code>thumbsup,idea:💡</code>.<br><br>Reactions made with emoji that are later left out stay on the posts and entries, but nobody can add more.';
+$string['coursestickersdisabled'] = 'Course stickers are not enabled on this site.';
+$string['databaserecord'] = 'Database entry {$a}';
 $string['dateheader'] = 'Date';
+$string['discussionfilter'] = 'Show';
+$string['discussionfilter_all'] = 'All discussions';
+$string['discussionfilter_mine'] = 'Discussions I reacted to';
+$string['discussionfilter_noreactions'] = 'Discussions with no reactions';
+$string['discussionranking_by'] = 'Started by {$a}';
+$string['discussionranking_count'] = '{$a} discussions';
+$string['discussionranking_empty'] = 'No discussions match.';
+$string['discussionranking_page'] = 'Page {$a->page} of {$a->pages}';
+$string['discussionsort'] = 'Order by reactions';
+$string['discussionsort_default'] = 'Forum order';
+$string['discussionsort_emoji'] = 'Most {$a}';
+$string['discussionsort_reactions'] = 'Most reactions';
+$string['discussionsort_recent'] = 'Most recently reacted';
+$string['editsticker'] = 'Edit sticker';
+$string['emoji:100'] = 'Hundred points';
+$string['emoji:airplane'] = 'Airplane';
+$string['emoji:alarm_clock'] = 'Alarm clock';
+$string['emoji:anchor'] = 'Anchor';
+$string['emoji:angry'] = 'Angry face';
+$string['emoji:apple'] = 'Red apple';
+$string['emoji:arrow_down'] = 'Down arrow';
+$string['emoji:arrow_up'] = 'Up arrow';
+$string['emoji:art'] = 'Artist palette';
+$string['emoji:astonished'] = 'Astonished face';
+$string['emoji:avocado'] = 'Avocado';
+$string['emoji:balloon'] = 'Balloon';
+$string['emoji:banana'] = 'Banana';
+$string['emoji:bar_chart'] = 'Bar chart';
+$string['emoji:basketball'] = 'Basketball';
+$string['emoji:beach'] = 'Beach with umbrella';
+$string['emoji:bear'] = 'Bear';
+$string['emoji:bee'] = 'Honeybee';
+$string['emoji:beer'] = 'Beer mug';
+$string['emoji:bell'] = 'Bell';
+$string['emoji:bike'] = 'Bicycle';
+$string['emoji:birthday'] = 'Birthday cake';
+$string['emoji:black_heart'] = 'Black heart';
+$string['emoji:blue_heart'] = 'Blue heart';
+$string['emoji:blush'] = 'Smiling face with smiling eyes';
+$string['emoji:book'] = 'Open book';
+$string['emoji:books'] = 'Books';
+$string['emoji:boom'] = 'Collision';
+$string['emoji:bow'] = 'Person bowing';
+$string['emoji:brain'] = 'Brain';
+$string['emoji:bread'] = 'Bread';
+$string['emoji:broken_heart'] = 'Broken heart';
+$string['emoji:bubble_tea'] = 'Bubble tea';
+$string['emoji:bulb'] = 'Light bulb';
+$string['emoji:bus'] = 'Bus';
+$string['emoji:butterfly'] = 'Butterfly';
+$string['emoji:cactus'] = 'Cactus';
+$string['emoji:cake'] = 'Shortcake';
+$string['emoji:calendar'] = 'Calendar';
+$string['emoji:call_me'] = 'Call me hand';
+$string['emoji:camera'] = 'Camera';
+$string['emoji:camping'] = 'Camping';
+$string['emoji:car'] = 'Automobile';
+$string['emoji:carrot'] = 'Carrot';
+$string['emoji:cat'] = 'Cat face';
+$string['emoji:celebrate'] = 'Celebrate';
+$string['emoji:champagne'] = 'Bottle with popping cork';
+$string['emoji:chart_down'] = 'Chart decreasing';
+$string['emoji:chart_up'] = 'Chart increasing';
+$string['emoji:check'] = 'Check mark button';
+$string['emoji:cheese'] = 'Cheese wedge';
+$string['emoji:chess'] = 'Chess pawn';
+$string['emoji:chicken'] = 'Chicken';
+$string['emoji:chocolate'] = 'Chocolate bar';
+$string['emoji:city'] = 'Cityscape';
+$string['emoji:clap'] = 'Clapping hands';
+$string['emoji:clapper'] = 'Clapper board';
+$string['emoji:clinking_glasses'] = 'Clinking glasses';
+$string['emoji:clipboard'] = 'Clipboard';
+$string['emoji:cloud'] = 'Cloud';
+$string['emoji:clown'] = 'Clown face';
+$string['emoji:coffee'] = 'Hot beverage';
+$string['emoji:coffee_cup'] = 'Cup with straw';
+$string['emoji:computer'] = 'Laptop';
+$string['emoji:confetti'] = 'Confetti ball';
+$string['emoji:confused'] = 'Confused face';
+$string['emoji:construction'] = 'Construction';
+$string['emoji:cookie'] = 'Cookie';
+$string['emoji:cool'] = 'COOL button';
+$string['emoji:cow'] = 'Cow face';
+$string['emoji:cowboy'] = 'Cowboy hat face';
+$string['emoji:crescent_moon'] = 'Crescent moon';
+$string['emoji:cricket'] = 'Cricket game';
+$string['emoji:crossed_fingers'] = 'Crossed fingers';
+$string['emoji:cry'] = 'Crying face';
+$string['emoji:crystal_ball'] = 'Crystal ball';
+$string['emoji:dancer'] = 'Woman dancing';
+$string['emoji:dart'] = 'Bullseye';
+$string['emoji:detective'] = 'Detective';
+$string['emoji:dizzy'] = 'Dizzy';
+$string['emoji:dna'] = 'Dna';
+$string['emoji:dog'] = 'Dog face';
+$string['emoji:dolphin'] = 'Dolphin';
+$string['emoji:doughnut'] = 'Doughnut';
+$string['emoji:droplet'] = 'Droplet';
+$string['emoji:earth'] = 'Globe showing Asia-Australia';
+$string['emoji:email'] = 'E-mail';
+$string['emoji:evergreen_tree'] = 'Evergreen tree';
+$string['emoji:exclamation'] = 'Red exclamation mark';
+$string['emoji:exploding_head'] = 'Exploding head';
+$string['emoji:expressionless'] = 'Expressionless face';
+$string['emoji:eyes'] = 'Eyes';
+$string['emoji:facepalm'] = 'Person facepalming';
+$string['emoji:fern'] = 'Herb';
+$string['emoji:fire'] = 'Fire';
+$string['emoji:first_place'] = '1st place medal';
+$string['emoji:fist'] = 'Raised fist';
+$string['emoji:flushed'] = 'Flushed face';
+$string['emoji:football'] = 'American football';
+$string['emoji:four_leaf_clover'] = 'Four leaf clover';
+$string['emoji:fox'] = 'Fox';
+$string['emoji:fries'] = 'French fries';
+$string['emoji:frog'] = 'Frog';
+$string['emoji:gear'] = 'Gear';
+$string['emoji:gem'] = 'Gem stone';
+$string['emoji:ghost'] = 'Ghost';
+$string['emoji:gift'] = 'Wrapped gift';
+$string['emoji:graduation_cap'] = 'Graduation cap';
+$string['emoji:grapes'] = 'Grapes';
+$string['emoji:green_circle'] = 'Green circle';
+$string['emoji:green_heart'] = 'Green heart';
+$string['emoji:grimacing'] = 'Grimacing face';
+$string['emoji:grin'] = 'Beaming face';
+$string['emoji:grinning'] = 'Grinning face';
+$string['emoji:guitar'] = 'Guitar';
+$string['emoji:hamburger'] = 'Hamburger';
+$string['emoji:hammer'] = 'Hammer';
+$string['emoji:hand_over_mouth'] = 'Face with hand over mouth';
+$string['emoji:handshake'] = 'Handshake';
+$string['emoji:headphones'] = 'Headphone';
+$string['emoji:heart'] = 'Red heart';
+$string['emoji:heart_eyes'] = 'Smiling face with heart-eyes';
+$string['emoji:heavy_check'] = 'Check mark';
+$string['emoji:hospital'] = 'Hospital';
+$string['emoji:hourglass'] = 'Hourglass not done';
+$string['emoji:hourglass_done'] = 'Hourglass done';
+$string['emoji:house'] = 'House';
+$string['emoji:hugging'] = 'Hugging face';
+$string['emoji:ice_cream'] = 'Soft ice cream';
+$string['emoji:infinity'] = 'Infinity';
+$string['emoji:innocent'] = 'Smiling face with halo';
+$string['emoji:jigsaw'] = 'Puzzle piece';
+$string['emoji:joy'] = 'Face with tears of joy';
+$string['emoji:key'] = 'Key';
+$string['emoji:keyboard'] = 'Keyboard';
+$string['emoji:kissing_heart'] = 'Face blowing a kiss';
+$string['emoji:kiwi_bird'] = 'Kiwi fruit';
+$string['emoji:koala'] = 'Koala';
+$string['emoji:laugh'] = 'Laughing';
+$string['emoji:lion'] = 'Lion';
+$string['emoji:lock'] = 'Locked';
+$string['emoji:love_you'] = 'Love-you gesture';
+$string['emoji:mag'] = 'Magnifying glass tilted left';
+$string['emoji:magic_wand'] = 'Magic wand';
+$string['emoji:mailbox'] = 'Open mailbox with raised flag';
+$string['emoji:maple_leaf'] = 'Maple leaf';
+$string['emoji:mask'] = 'Face with medical mask';
+$string['emoji:medal'] = 'Sports medal';
+$string['emoji:megaphone'] = 'Megaphone';
+$string['emoji:memo'] = 'Memo';
+$string['emoji:metal'] = 'Sign of the horns';
+$string['emoji:microphone'] = 'Microphone';
+$string['emoji:microscope'] = 'Microscope';
+$string['emoji:minus'] = 'Minus';
+$string['emoji:money_bag'] = 'Money bag';
+$string['emoji:monkey'] = 'Monkey face';
+$string['emoji:mountain'] = 'Mountain';
+$string['emoji:mouse'] = 'Mouse face';
+$string['emoji:muscle'] = 'Flexed biceps';
+$string['emoji:musical_note'] = 'Musical note';
+$string['emoji:musical_notes'] = 'Musical notes';
+$string['emoji:nerd'] = 'Nerd face';
+$string['emoji:neutral'] = 'Neutral face';
+$string['emoji:new'] = 'NEW button';
+$string['emoji:night_stars'] = 'Night with stars';
+$string['emoji:no_entry'] = 'No entry';
+$string['emoji:no_mouth'] = 'Face without mouth';
+$string['emoji:notebook'] = 'Notebook';
+$string['emoji:octopus'] = 'Octopus';
+$string['emoji:office'] = 'Office building';
+$string['emoji:ok'] = 'OK button';
+$string['emoji:ok_hand'] = 'OK hand';
+$string['emoji:open_hands'] = 'Open hands';
+$string['emoji:open_mouth'] = 'Face with open mouth';
+$string['emoji:orange_heart'] = 'Orange heart';
+$string['emoji:owl'] = 'Owl';
+$string['emoji:package'] = 'Package';
+$string['emoji:panda'] = 'Panda';
+$string['emoji:paperclip'] = 'Paperclip';
+$string['emoji:partying'] = 'Partying face';
+$string['emoji:peach'] = 'Peach';
+$string['emoji:pencil'] = 'Pencil';
+$string['emoji:penguin'] = 'Penguin';
+$string['emoji:pensive'] = 'Pensive face';
+$string['emoji:performing_arts'] = 'Performing arts';
+$string['emoji:phone'] = 'Mobile phone';
+$string['emoji:pig'] = 'Pig face';
+$string['emoji:pill'] = 'Pill';
+$string['emoji:pizza'] = 'Pizza';
+$string['emoji:pleading'] = 'Pleading face';
+$string['emoji:plus'] = 'Plus';
+$string['emoji:point_down'] = 'Backhand index pointing down';
+$string['emoji:point_right'] = 'Backhand index pointing right';
+$string['emoji:point_up'] = 'Index pointing up';
+$string['emoji:popcorn'] = 'Popcorn';
+$string['emoji:pray'] = 'Folded hands';
+$string['emoji:punch'] = 'Oncoming fist';
+$string['emoji:purple_heart'] = 'Purple heart';
+$string['emoji:pushpin'] = 'Pushpin';
+$string['emoji:question'] = 'Red question mark';
+$string['emoji:rabbit'] = 'Rabbit face';
+$string['emoji:rainbow'] = 'Rainbow';
+$string['emoji:raised_eyebrow'] = 'Face with raised eyebrow';
+$string['emoji:raised_hand'] = 'Raised hand';
+$string['emoji:raised_hands'] = 'Raising hands';
+$string['emoji:raising_hand'] = 'Person raising hand';
+$string['emoji:ramen'] = 'Steaming bowl';
+$string['emoji:recycle'] = 'Recycling symbol';
+$string['emoji:red_circle'] = 'Red circle';
+$string['emoji:relieved'] = 'Relieved face';
+$string['emoji:repeat'] = 'Counterclockwise arrows button';
+$string['emoji:robot'] = 'Robot';
+$string['emoji:rocket'] = 'Rocket';
+$string['emoji:rofl'] = 'Rolling on the floor laughing';
+$string['emoji:rolling_eyes'] = 'Face with rolling eyes';
+$string['emoji:rose'] = 'Rose';
+$string['emoji:rugby'] = 'Rugby football';
+$string['emoji:runner'] = 'Person running';
+$string['emoji:school'] = 'School';
+$string['emoji:scientist'] = 'Scientist';
+$string['emoji:scream'] = 'Face screaming in fear';
+$string['emoji:second_place'] = '2nd place medal';
+$string['emoji:see_no_evil'] = 'See-no-evil monkey';
+$string['emoji:seedling'] = 'Seedling';
+$string['emoji:ship'] = 'Ship';
+$string['emoji:shrug'] = 'Person shrugging';
+$string['emoji:shushing'] = 'Shushing face';
+$string['emoji:skull'] = 'Skull';
+$string['emoji:sleeping'] = 'Sleeping face';
+$string['emoji:sleepy'] = 'Sleepy face';
+$string['emoji:slightly_smiling'] = 'Slightly smiling face';
+$string['emoji:sloth'] = 'Sloth';
+$string['emoji:smile'] = 'Grinning face with smiling eyes';
+$string['emoji:smiley'] = 'Grinning face with big eyes';
+$string['emoji:smirk'] = 'Smirking face';
+$string['emoji:snowflake'] = 'Snowflake';
+$string['emoji:sob'] = 'Loudly crying face';
+$string['emoji:soccer'] = 'Soccer ball';
+$string['emoji:sparkles'] = 'Sparkles';
+$string['emoji:sparkling_heart'] = 'Sparkling heart';
+$string['emoji:speech_balloon'] = 'Speech balloon';
+$string['emoji:stadium'] = 'Stadium';
+$string['emoji:star'] = 'Star';
+$string['emoji:star2'] = 'Glowing star';
+$string['emoji:star_struck'] = 'Star-struck';
+$string['emoji:stopwatch'] = 'Stopwatch';
+$string['emoji:strawberry'] = 'Strawberry';
+$string['emoji:stuck_out_tongue'] = 'Face with tongue';
+$string['emoji:student'] = 'Student';
+$string['emoji:sun'] = 'Sun';
+$string['emoji:sunflower'] = 'Sunflower';
+$string['emoji:sunglasses'] = 'Smiling face with sunglasses';
+$string['emoji:sunrise'] = 'Sunrise';
+$string['emoji:superhero'] = 'Superhero';
+$string['emoji:surprise'] = 'Surprised';
+$string['emoji:sushi'] = 'Sushi';
+$string['emoji:sweat_smile'] = 'Grinning face with sweat';
+$string['emoji:taco'] = 'Taco';
+$string['emoji:tada'] = 'Party popper';
+$string['emoji:tea'] = 'Teacup without handle';
+$string['emoji:teacher'] = 'Teacher';
+$string['emoji:technologist'] = 'Technologist';
+$string['emoji:telescope'] = 'Telescope';
+$string['emoji:tennis'] = 'Tennis';
+$string['emoji:test_tube'] = 'Test tube';
+$string['emoji:thanks'] = 'Thanks';
+$string['emoji:think'] = 'Thinking';
+$string['emoji:thinking'] = 'Thinking face';
+$string['emoji:third_place'] = '3rd place medal';
+$string['emoji:thought_balloon'] = 'Thought balloon';
+$string['emoji:thumbsdown'] = 'Thumbs down';
+$string['emoji:thumbsup'] = 'Thumbs up';
+$string['emoji:tiger'] = 'Tiger face';
+$string['emoji:tired_face'] = 'Tired face';
+$string['emoji:train'] = 'Train';
+$string['emoji:triumph'] = 'Face with steam from nose';
+$string['emoji:trophy'] = 'Trophy';
+$string['emoji:tulip'] = 'Tulip';
+$string['emoji:turtle'] = 'Turtle';
+$string['emoji:tv'] = 'Television';
+$string['emoji:unamused'] = 'Unamused face';
+$string['emoji:unicorn'] = 'Unicorn';
+$string['emoji:v'] = 'Victory hand';
+$string['emoji:video_game'] = 'Video game';
+$string['emoji:volcano'] = 'Volcano';
+$string['emoji:warning'] = 'Warning';
+$string['emoji:watermelon'] = 'Watermelon';
+$string['emoji:wave'] = 'Waving hand';
+$string['emoji:whale'] = 'Spouting whale';
+$string['emoji:wink'] = 'Winking face';
+$string['emoji:world_map'] = 'World map';
+$string['emoji:worried'] = 'Worried face';
+$string['emoji:wrench'] = 'Wrench';
+$string['emoji:writing_hand'] = 'Writing hand';
+$string['emoji:x'] = 'Cross mark';
+$string['emoji:yawning'] = 'Yawning face';
+$string['emoji:yellow_heart'] = 'Yellow heart';
+$string['emoji:yum'] = 'Face savouring food';
+$string['emoji:zany'] = 'Zany face';
+$string['emoji:zap'] = 'High voltage';
+$string['emoji:zipper_mouth'] = 'Zipper-mouth face';
+$string['emoji:zzz'] = 'Zzz';
+$string['emojirecent'] = 'Recently used';
+$string['emojisearch'] = 'Search emoji';
+$string['emojisearchnoresults'] = 'No emoji found';
+$string['emojiset'] = 'Emoji set';
+$string['emojiset_help'] = 'The emoji offered in this activity. Leave empty to use the course\'s default set, or the site\'s set, shown as a hint in the empty field.<br><br>To offer only some of them, list their shortcodes separated by commas, e.g. <code>thumbsup,heart</code>. Any emoji from the emoji catalogue can be listed by its shortcode too. To add an emoji of your own, give its shortcode and the emoji, e.g. <code>thumbsup,idea:💡</code>.<br><br>Reactions made with emoji that are later left out stay on the posts and entries, but nobody can add more.';
+$string['emojisetinvalidshortcode'] = '"{$a}" does not start with a valid shortcode. Use letters, numbers, underscores and hyphens (up to 20 characters).';
+$string['emojisetnoemoji'] = 'Give an emoji after "{$a}:", or leave out the colon to use an existing emoji.';
+$string['emojisetstickertaken'] = '"{$a}" is already the shortcode of a sticker.';
+$string['emojisetunknown'] = '"{$a}" is not in the course\'s or site\'s emoji set, or the emoji catalogue. Add it as {$a}:emoji to use an emoji of your own.';
 $string['enablereactions'] = 'Enable emoji reactions';
-$string['enablereactions_help'] = 'When enabled, users can react to forum posts with emoji. Reactions are anonymous — only counts are displayed.';
+$string['enablereactions_help'] = 'When enabled, users can react to the posts in this forum, or the entries in this glossary or database, with emoji.';
 $string['engagementhint'] = 'Shows if students are reading but not contributing.';
-$string['forumheader'] = 'Forum';
+$string['gradingsummary'] = 'Reactions summary';
+$string['gradingsummary_abovemedian'] = 'Above the forum median';
+$string['gradingsummary_atmedian'] = 'At the forum median';
+$string['gradingsummary_belowmedian'] = 'Below the forum median';
+$string['gradingsummary_given'] = 'Reactions given to others';
+$string['gradingsummary_includeall'] = 'Include self and teacher reactions';
+$string['gradingsummary_median'] = 'Forum median: {$a->median} across {$a->participants} participants';
+$string['gradingsummary_received'] = 'Reactions received';
+$string['gradingsummary_receivedpeers'] = 'Reactions received from other students';
+$string['livechanges'] = 'Reactions updated: {$a}';
+$string['livechangesitems'] = 'Reactions updated on {$a} items';
+$string['liveemojicount'] = '{$a->name} {$a->count}';
+$string['livetransport_longpoll'] = 'Long polling';
+$string['livetransport_poll'] = 'Polling';
+$string['livetransport_sse'] = 'Server-Sent Events';
+$string['moreemoji'] = 'More emoji';
 $string['mostreactedposts'] = 'Most-reacted posts this week';
 $string['needsattentionhint'] = 'Might need teacher response to kickstart engagement.';
-$string['noposts'] = 'No posts found in forums with reactions enabled.';
+$string['noposts'] = 'No posts or entries found in activities with reactions enabled.';
 $string['noreactedposts'] = 'No posts have received reactions this week.';
 $string['noreactions'] = 'No reactions';
+$string['nostickers'] = 'There are no stickers yet.';
+$string['offlinetogglerejected'] = 'Your {$a->emoji} reaction made while offline could not be saved: {$a->error}';
 $string['onlypeerreactionsgrading'] = 'Only show peer reactions when grading';
 $string['onlypeerreactionsgrading_help'] = 'When enabled, any self-reactions or reactions by non-students will be excluded and not displayed.';
 $string['participationhint'] = 'Identifies different participation styles.';
+$string['pendingoffline'] = 'Waiting to be saved when you are back online';
+$string['pickerlabel'] = 'Choose a reaction';
+$string['pilllabel'] = '{$a->name}, {$a->count} reactions';
+$string['pilllabelone'] = '{$a}, 1 reaction';
+$string['pilllabelonlyyou'] = '{$a}, 1 reaction, yours';
+$string['pilllabelyou'] = '{$a->name}, {$a->count} reactions, including you';
 $string['pluginname'] = 'Reactions';
-$string['postheader'] = 'Post';
+$string['postheader'] = 'Post or entry';
 $string['postswithallreactions'] = 'All posts have received at least one reaction!';
 $string['postswithzeroreactions'] = 'Posts with zero reactions';
-$string['privacy:metadata:local_reactions'] = 'Stores emoji reactions made by users on forum posts and blog entries.';
-$string['privacy:metadata:local_reactions:component'] = 'The component (e.g., mod_forum, core_blog) that the reaction is associated with.';
+$string['privacy:metadata:local_reactions'] = 'Stores emoji reactions made by users on forum posts, glossary entries, database records, blog entries and comments.';
+$string['privacy:metadata:local_reactions:component'] = 'The component (e.g., mod_forum, mod_glossary, core_blog, core_comment) that the reaction is associated with.';
 $string['privacy:metadata:local_reactions:emoji'] = 'The emoji reaction chosen.';
-$string['privacy:metadata:local_reactions:itemid'] = 'The ID of the item (e.g., forum post, blog entry) being reacted to.';
+$string['privacy:metadata:local_reactions:itemid'] = 'The ID of the item (e.g., forum post, glossary entry, blog entry, comment) being reacted to.';
 $string['privacy:metadata:local_reactions:itemtype'] = 'The type of item (e.g., post, entry) being reacted to.';
 $string['privacy:metadata:local_reactions:timecreated'] = 'The time the reaction was made.';
 $string['privacy:metadata:local_reactions:userid'] = 'The ID of the user who reacted.';
-$string['reactions:react'] = 'React to forum posts with emoji';
-$string['reactions:view'] = 'View emoji reactions on forum posts';
+$string['privacy:metadata:preference:recentemoji'] = 'The emoji the user most recently reacted with, offered first in the extended emoji picker.';
+$string['reactfromlist'] = 'Allow reacting from the discussion list';
+$string['reactfromlist_help'] = 'When enabled, users who can react get a button next to each discussion in the discussion list to react to its opening post without opening the discussion. The counts shown in the list still total the reactions on every post in the discussion.';
+$string['reactions:managestickers'] = 'Manage the stickers of a course';
+$string['reactions:react'] = 'React to forum posts, glossary entries and database records with emoji';
+$string['reactions:view'] = 'View emoji reactions on forum posts, glossary entries and database records';
+$string['reactions:viewreactors'] = 'See who reacted where names are shown to teachers';
 $string['reactions:viewreport'] = 'View reactions report';
 $string['reactionsheader'] = 'Reactions';
-$string['reactionsnotenabled'] = 'Reactions are not enabled for this forum.';
+$string['reactionsnotenabled'] = 'Reactions are not enabled for this activity.';
 $string['reactionsreport'] = 'Reactions report';
 $string['reactionssettings'] = 'Reactions';
 $string['reactionsvspostratio'] = 'Reactions to posts ratio';
+$string['reactorslist'] = 'People who reacted';
+$string['reactorslistemoji'] = 'People who reacted with {$a}';
+$string['reactorsnotvisible'] = 'You cannot see who reacted to this item.';
+$string['reactorvisibility'] = 'Show who reacted';
+$string['reactorvisibility_anonymous'] = 'Nobody (anonymous reactions)';
+$string['reactorvisibility_everyone'] = 'Everyone who can see the reactions';
+$string['reactorvisibility_help'] = 'Controls who can hover over (or long-press) a reaction to see the names of the people who reacted. By default reactions are anonymous and only the counts are shown.';
+$string['reactorvisibility_teachers'] = 'Teachers only';
+$string['reacttoopeningpost'] = 'React to the opening post of {$a}';
+$string['reacttoopeningpost_short'] = 'React to opening post';
 $string['reacttothispost'] = 'React to this post';
 $string['removereaction'] = 'Remove your {$a} reaction';
 $string['report:activeparticipation'] = 'Active participation';
@@ -75,14 +459,46 @@ $string['report:topperformers'] = 'Top performers this week';
 $string['settings:allowmultiplereactionsblog'] = 'Enable multiple reactions per-user per blog post';
 $string['settings:allowmultiplereactionsblog_desc'] = 'If enabled, and there are multiple reactions by a single user on an single blog post then this setting cannot be disabled.';
 $string['settings:allowmultiplereactionsblog_locked'] = 'This setting cannot be disabled because there are multiple reactions by a single user on a single blog post.';
+$string['settings:cataloguecategories'] = 'Catalogue categories';
+$string['settings:cataloguecategories_desc'] = 'The catalogue categories that the category filter offers or hides.';
+$string['settings:cataloguefilter'] = 'Catalogue category filter';
+$string['settings:cataloguefilter_desc'] = 'Which categories of the bundled emoji catalogue the extended picker offers.';
+$string['settings:coursestickers'] = 'Course stickers';
+$string['settings:coursestickers_desc'] = 'Let teachers with the local/reactions:managestickers capability upload stickers for their own courses, in addition to the <a href="{$a}">site stickers</a>.';
 $string['settings:emojis'] = 'Emoji set';
 $string['settings:emojis_desc'] = 'Comma-separated list of shortcode:emoji pairs. For example: thumbsup:👍,heart:❤️,laugh:😂';
 $string['settings:enabled'] = 'Enable reactions for Forums';
-$string['settings:enabled_desc'] = 'When enabled, emoji reaction buttons will appear on forum posts (each forum still has its own reactions toggle on the forum settings form).';
+$string['settings:enabled_desc'] = 'When enabled, emoji reaction buttons will appear on forum posts, glossary entries and database records (each activity still has its own reactions toggle on its settings form).';
 $string['settings:enabledblog'] = 'Enable reactions for Blog posts';
 $string['settings:enabledblog_desc'] = 'When enabled, emoji reaction buttons will appear on Moodle blog entries site-wide.';
+$string['settings:enabledcomments'] = 'Enable reactions for comments';
+$string['settings:enabledcomments_desc'] = 'When enabled, emoji reaction buttons will appear on comments made with the Moodle comments widget on blog entries, glossary entries and database records. On blog pages, comments only get reactions while reactions for blog posts are disabled.';
+$string['settings:extendedpicker'] = 'Extended emoji picker';
+$string['settings:extendedpicker_desc'] = 'Add a "More emoji" panel to the picker with a searchable, categorised emoji catalogue and each user\'s recently used emoji. The emoji set above stays as the quick row. If this is later turned off, reactions already made with catalogue emoji are kept but no longer shown.';
+$string['settings:livetransport'] = 'Live updates';
+$string['settings:livetransport_desc'] = 'How pages learn about reactions made by other users. Polling asks the server every poll interval. Long polling and Server-Sent Events keep a request open so new reactions show up within a couple of seconds, at the cost of one web server worker per open page (only one tab per page per user connects): a long poll holds it for up to 20 seconds and a Server-Sent Events stream for up to 45 seconds at a time. Pages fall back to polling if the push connection keeps failing.';
 $string['settings:pollinterval'] = 'Poll interval (seconds)';
 $string['settings:pollinterval_desc'] = 'How often to check for new reactions from other users. Set to 0 to disable polling.';
+$string['settings:reactorvisibilityblog'] = 'Show who reacted to blog entries';
+$string['settings:reactorvisibilityblog_desc'] = 'Controls who can hover over (or long-press) a reaction on a blog entry to see the names of the people who reacted. "Teachers only" means users with the local/reactions:viewreactors capability at site level.';
+$string['settings:reactorvisibilitycomments'] = 'Show who reacted to comments';
+$string['settings:reactorvisibilitycomments_desc'] = 'Controls who can hover over (or long-press) a reaction on a comment to see the names of the people who reacted. "Teachers only" means users with the local/reactions:viewreactors capability where the comment was made.';
+$string['showmorereactors'] = 'Show more';
+$string['showreactors'] = 'See who reacted';
+$string['sitestickers'] = 'Site stickers';
+$string['stickeralttext'] = 'Text alternative';
+$string['stickeralttext_help'] = 'A short description of the image, read out by screen readers and shown when the image cannot be loaded.';
+$string['stickerdeleteconfirm'] = 'Delete the sticker "{$a}"? Reactions already made with it are kept but no longer shown.';
+$string['stickerdeleted'] = 'Sticker deleted.';
+$string['stickerimage'] = 'Image';
+$string['stickerimage_help'] = 'A small square image (PNG, GIF, JPEG or WebP, up to 100 KB). It is shown at the size of an emoji.';
+$string['stickers'] = 'Reaction stickers';
+$string['stickers_desc'] = 'Stickers are custom image reactions offered in the emoji picker after the emoji set.';
+$string['stickersaved'] = 'Sticker saved.';
+$string['stickershortcode'] = 'Shortcode';
+$string['stickershortcode_help'] = 'A unique name for the sticker, made of letters, numbers, underscores and hyphens (up to 20 characters). It cannot be an emoji shortcode or the shortcode of another sticker available in the same place.';
+$string['stickershortcodetaken'] = 'This shortcode is already used by an emoji or another sticker.';
+$string['taskprunechanges'] = 'Prune the reactions change log';
 $string['topperformershint'] = 'Quick pulse check on what\'s engaging students.';
 $string['totalposts'] = 'Total posts';
 $string['totalreactions'] = 'Total reactions';
@@ -25,7 +25,8 @@
 /**
  * Map of form field => [db field on local_reactions_enabled, default for new forums].
  *
- * Display toggles default off; multi-reaction and peer-grading default on.
+ * Display toggles default off; multi-reaction and peer-grading default on; reactions stay anonymous
+ * unless a forum opts in to showing who reacted.
  *
  * @return array<string, array{0: string, 1: int}>
  */
@@ -36,11 +37,27 @@ function local_reactions_get_form_fieldmap(): array {
         'local_reactions_compactview_discuss'      => ['compactview_discuss', 0],
         'local_reactions_allowmultiplereactions'   => ['allowmultiplereactions', 1],
         'local_reactions_onlypeerreactionsgrading' => ['onlypeerreactionsgrading', 1],
+        'local_reactions_reactorvisibility'        => ['reactorvisibility', \local_reactions\manager::REACTORS_ANONYMOUS],
+        'local_reactions_reactfromlist'            => ['reactfromlist', 0],
     ];
 }
 
 /**
- * Add "Enable reactions" checkbox to the forum settings form.
+ * Check whether an activity module can have reactions: forums, or a module with a registered activity provider
+ * (glossaries and databases).
+ *
+ * @param string $modulename
+ * @return bool
+ */
+function local_reactions_supports_module(string $modulename): bool {
+    return $modulename === 'forum' || \local_reactions\provider_registry::get_for_modulename($modulename) !== null;
+}
+
+/**
+ * Add "Enable reactions" checkbox to the settings form of forums, glossaries and databases.
+ *
+ * The display and grading options only apply to forums, so other activities get the enable,
+ * multiple reactions and reactor visibility settings only.
  *
  * @param moodleform $formwrapper The form wrapper.
  * @param MoodleQuickForm $mform The form object.
@@ -52,10 +69,10 @@ function local_reactions_coursemodule_standard_elements($formwrapper, $mform) {
 
     $cm = $formwrapper->get_current();
 
-    // Only show for forums.
-    if ($cm->modulename !== 'forum') {
+    if (!local_reactions_supports_module($cm->modulename)) {
         return;
     }
+    $isforum = ($cm->modulename === 'forum');
 
     $mform->addElement(
         'header',
@@ -70,29 +87,75 @@ function local_reactions_coursemodule_standard_elements($formwrapper, $mform) {
     $children = [
         'local_reactions_compactview_list'         => 'compactview_list',
         'local_reactions_compactview_discuss'      => 'compactview_discuss',
+        'local_reactions_reactfromlist'            => 'reactfromlist',
         'local_reactions_allowmultiplereactions'   => 'allowmultiplereactions',
         'local_reactions_onlypeerreactionsgrading' => 'onlypeerreactionsgrading',
     ];
+    if (!$isforum) {
+        $children = ['local_reactions_allowmultiplereactions' => 'allowmultiplereactions'];
+    }
     foreach ($children as $fieldname => $stringkey) {
         $mform->addElement('checkbox', $fieldname, get_string($stringkey, 'local_reactions'));
         $mform->addHelpButton($fieldname, $stringkey, 'local_reactions');
         $mform->hideIf($fieldname, 'local_reactions_enabled');
     }
 
+    $mform->addElement(
+        'select',
+        'local_reactions_reactorvisibility',
+        get_string('reactorvisibility', 'local_reactions'),
+        \local_reactions\manager::get_reactor_visibility_options()
+    );
+    $mform->addHelpButton('local_reactions_reactorvisibility', 'reactorvisibility', 'local_reactions');
+    $mform->hideIf('local_reactions_reactorvisibility', 'local_reactions_enabled');
+
+    // The set the activity would otherwise use is shown as a hint in the empty field.
+    $inherited = \local_reactions\manager::get_emoji_set(\context_course::instance($cm->course));
+    $mform->addElement('textarea', 'local_reactions_emojis', get_string('emojiset', 'local_reactions'), [
+        'rows' => 2,
+        'placeholder' => \local_reactions\emoji_sets::format($inherited),
+    ]);
+    $mform->setType('local_reactions_emojis', PARAM_TEXT);
+    $mform->addHelpButton('local_reactions_emojis', 'emojiset', 'local_reactions');
+    $mform->hideIf('local_reactions_emojis', 'local_reactions_enabled');
+
     $cmid = (int) ($cm->coursemodule ?? 0);
     $record = $cmid ? \local_reactions\manager::get_forum_config($cmid) : null;
     local_reactions_apply_form_defaults($mform, $record);
+    $mform->setDefault('local_reactions_emojis', (string) ($record->emojis ?? ''));
 
-    // Lock the "allow multiple" checkbox when the forum is already in multi-reaction
+    // Lock the "allow multiple" checkbox when the activity is already in multi-reaction
     // mode and reactions exist. Once reactions are present you cannot downgrade.
     $multipleenabled = !$record || !empty($record->allowmultiplereactions);
-    if ($cmid && $multipleenabled && \local_reactions\manager::forum_has_reactions($cm->instance)) {
+    if ($cmid && $multipleenabled && \local_reactions\manager::activity_has_reactions($cm->modulename, $cm->instance)) {
         $mform->hardFreeze('local_reactions_allowmultiplereactions');
     }
 }
 
 /**
- * Apply defaults to every checkbox in the reactions form group, using the stored
+ * Check the emoji set entered in the settings form of a forum, glossary or database.
+ *
+ * @param moodleform_mod $formwrapper The form wrapper.
+ * @param array $data Data from the form submission.
+ * @return array Errors keyed by field name.
+ */
+function local_reactions_coursemodule_validation($formwrapper, $data): array {
+    if (!get_config('local_reactions', 'enabled') || empty($data['local_reactions_enabled'])) {
+        return [];
+    }
+    $cm = $formwrapper->get_current();
+    if (!local_reactions_supports_module($cm->modulename) || !isset($data['local_reactions_emojis'])) {
+        return [];
+    }
+
+    $coursecontext = \context_course::instance($cm->course);
+    $base = \local_reactions\manager::get_emoji_set($coursecontext) + \local_reactions\manager::get_emoji_set();
+    $error = \local_reactions\emoji_sets::validate($data['local_reactions_emojis'], $base, $coursecontext);
+    return $error === null ? [] : ['local_reactions_emojis' => $error];
+}
+
+/**
+ * Apply defaults to every field in the reactions form group, using the stored
  * record when one exists or the per-field "new forum" default otherwise.
  *
  * @param MoodleQuickForm $mform
@@ -100,28 +163,26 @@ function local_reactions_coursemodule_standard_elements($formwrapper, $mform) {
  */
 function local_reactions_apply_form_defaults($mform, ?stdClass $record): void {
     foreach (local_reactions_get_form_fieldmap() as $formfield => [$dbfield, $newdefault]) {
-        $value = ($record && isset($record->$dbfield)) ? (!empty($record->$dbfield) ? 1 : 0) : $newdefault;
+        $value = ($record && isset($record->$dbfield)) ? (int) $record->$dbfield : $newdefault;
         $mform->setDefault($formfield, $value);
     }
 }
 
 /**
- * Save the per-forum reactions setting after module create/update.
+ * Save the per-activity reactions settings after module create/update.
  *
  * @param stdClass $data Data from the form submission.
- * @param stdClass $course The course (unused; required by the hook signature).
+ * @param stdClass $course The course.
  * @return stdClass The data object.
  */
 function local_reactions_coursemodule_edit_post_actions($data, $course): stdClass {
     global $DB;
-    unset($course);
 
     if (!get_config('local_reactions', 'enabled')) {
         return $data;
     }
 
-    // Only process forums.
-    if (!isset($data->modulename) || $data->modulename !== 'forum') {
+    if (!isset($data->modulename) || !local_reactions_supports_module($data->modulename)) {
         return $data;
     }
 
@@ -129,16 +190,28 @@ function local_reactions_coursemodule_edit_post_actions($data, $course): stdClas
     $fields = ['cmid' => $cmid];
     foreach (local_reactions_get_form_fieldmap() as $formfield => $mapping) {
         $dbfield = $mapping[0];
-        $fields[$dbfield] = !empty($data->$formfield) ? 1 : 0;
+        // Unchecked checkboxes are absent from the submitted data.
+        $fields[$dbfield] = (int) ($data->$formfield ?? 0);
     }
+    $fields['emojis'] = trim($data->local_reactions_emojis ?? '');
 
     $existing = $DB->get_record('local_reactions_enabled', ['cmid' => $cmid]);
 
+    // Keep the emoji the activity's set stops offering, so reactions made with them are still shown.
+    $inherited = \local_reactions\manager::get_emoji_set(\context_course::instance($course->id));
+    $base = $inherited + \local_reactions\manager::get_emoji_set();
+    $fields['retiredemojis'] = \local_reactions\emoji_sets::retire(
+        $existing->retiredemojis ?? null,
+        \local_reactions\emoji_sets::parse((string) ($existing->emojis ?? ''), $base),
+        \local_reactions\emoji_sets::parse($fields['emojis'], $base) ?: $inherited
+    );
+
     // Server-side safety: prevent switching multiple→single when reactions already exist.
     $fields['allowmultiplereactions'] = local_reactions_enforce_multiple_safety(
         $existing,
         (int) $fields['allowmultiplereactions'],
-        (int) ($data->instance ?? 0)
+        (int) ($data->instance ?? 0),
+        $data->modulename
     );
 
     if ($existing) {
@@ -156,18 +229,19 @@ function local_reactions_coursemodule_edit_post_actions($data, $course): stdClas
 
 /**
  * Return the effective allowmultiplereactions value, forcing it back on when an existing
- * record was multi-reaction and the forum already has reactions (cannot downgrade).
+ * record was multi-reaction and the activity already has reactions (cannot downgrade).
  *
  * @param \stdClass|false $existing Existing local_reactions_enabled row, or false when none.
  * @param int $requested The value submitted by the form (0 or 1).
- * @param int $forumid Forum instance ID from the form data.
+ * @param int $instanceid Activity instance ID from the form data.
+ * @param string $modulename Module name of the activity.
  * @return int 0 or 1.
  */
-function local_reactions_enforce_multiple_safety($existing, int $requested, int $forumid): int {
+function local_reactions_enforce_multiple_safety($existing, int $requested, int $instanceid, string $modulename = 'forum'): int {
     if (!$existing || empty($existing->allowmultiplereactions) || $requested) {
         return $requested;
     }
-    if ($forumid && \local_reactions\manager::forum_has_reactions($forumid)) {
+    if ($instanceid && \local_reactions\manager::activity_has_reactions($modulename, $instanceid)) {
         return 1;
     }
     return $requested;
@@ -196,4 +270,54 @@ function local_reactions_extend_navigation_course($navigation, $course, $context
             new pix_icon('i/report', '')
         );
     }
+
+    if (\local_reactions\stickers::is_course_stickers_enabled() && has_capability('local/reactions:managestickers', $context)) {
+        $url = new moodle_url('/local/reactions/stickers.php', ['contextid' => $context->id]);
+        $navigation->add(
+            get_string('stickers', 'local_reactions'),
+            $url,
+            navigation_node::TYPE_SETTING,
+            null,
+            'reactionsstickers',
+            new pix_icon('i/emojicategorysmileysemotion', '')
+        );
+    }
+}
+
+/**
+ * Serve sticker images.
+ *
+ * Site stickers are served to any logged-in user and course stickers to anyone who can enter the
+ * course. URLs carry the sticker's timemodified as a revision, so images can be cached for long.
+ *
+ * @param stdClass $course The course object.
+ * @param stdClass|null $cm The course module (unused; stickers live in system and course contexts).
+ * @param context $context The context of the file.
+ * @param string $filearea The file area.
+ * @param array $args [itemid, revision, filename].
+ * @param bool $forcedownload Whether to force download.
+ * @param array $options Additional options for send_stored_file().
+ * @return bool False if the file was not found; otherwise the file is sent and the script ends.
+ */
+function local_reactions_pluginfile($course, $cm, $context, $filearea, $args, $forcedownload, array $options = []) {
+    unset($cm);
+    if ($filearea !== \local_reactions\stickers::FILEAREA || count($args) < 3) {
+        return false;
+    }
+    if ($context->contextlevel == CONTEXT_COURSE) {
+        require_login($course, false);
+    } else if ($context->contextlevel == CONTEXT_SYSTEM) {
+        require_login(null, false);
+    } else {
+        return false;
+    }
+
+    $itemid = (int) array_shift($args);
+    array_shift($args);
+    $filename = array_pop($args);
+    $file = get_file_storage()->get_file($context->id, 'local_reactions', $filearea, $itemid, '/', $filename);
+    if (!$file || $file->is_directory()) {
+        return false;
+    }
+    send_stored_file($file, YEARSECS, 0, $forcedownload, $options);
 }
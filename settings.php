@@ -48,6 +48,29 @@ if ($hassiteconfig) {
         0
     ));
 
+    $settings->add(new admin_setting_configselect(
+        'local_reactions/reactorvisibilityblog',
+        get_string('settings:reactorvisibilityblog', 'local_reactions'),
+        get_string('settings:reactorvisibilityblog_desc', 'local_reactions'),
+        \local_reactions\manager::REACTORS_ANONYMOUS,
+        \local_reactions\manager::get_reactor_visibility_options()
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'local_reactions/enabledcomments',
+        get_string('settings:enabledcomments', 'local_reactions'),
+        get_string('settings:enabledcomments_desc', 'local_reactions'),
+        0
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_reactions/reactorvisibilitycomments',
+        get_string('settings:reactorvisibilitycomments', 'local_reactions'),
+        get_string('settings:reactorvisibilitycomments_desc', 'local_reactions'),
+        \local_reactions\manager::REACTORS_ANONYMOUS,
+        \local_reactions\manager::get_reactor_visibility_options()
+    ));
+
     $settings->add(new admin_setting_configtextarea(
         'local_reactions/emojis',
         get_string('settings:emojis', 'local_reactions'),
@@ -55,6 +78,40 @@ if ($hassiteconfig) {
         \local_reactions\manager::DEFAULT_EMOJIS
     ));
 
+    $settings->add(new admin_setting_configcheckbox(
+        'local_reactions/extendedpicker',
+        get_string('settings:extendedpicker', 'local_reactions'),
+        get_string('settings:extendedpicker_desc', 'local_reactions'),
+        0
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_reactions/cataloguefilter',
+        get_string('settings:cataloguefilter', 'local_reactions'),
+        get_string('settings:cataloguefilter_desc', 'local_reactions'),
+        \local_reactions\emoji_catalogue::FILTER_NONE,
+        \local_reactions\emoji_catalogue::get_filter_options()
+    ));
+    $settings->hide_if('local_reactions/cataloguefilter', 'local_reactions/extendedpicker', 'notchecked');
+
+    $settings->add(new admin_setting_configmulticheckbox(
+        'local_reactions/cataloguecategories',
+        get_string('settings:cataloguecategories', 'local_reactions'),
+        get_string('settings:cataloguecategories_desc', 'local_reactions'),
+        [],
+        \local_reactions\emoji_catalogue::get_category_options()
+    ));
+    $settings->hide_if('local_reactions/cataloguecategories', 'local_reactions/extendedpicker', 'notchecked');
+    $settings->hide_if('local_reactions/cataloguecategories', 'local_reactions/cataloguefilter', 'eq',
+        \local_reactions\emoji_catalogue::FILTER_NONE);
+
+    $settings->add(new admin_setting_configcheckbox(
+        'local_reactions/coursestickers',
+        get_string('settings:coursestickers', 'local_reactions'),
+        get_string('settings:coursestickers_desc', 'local_reactions', (string) new moodle_url('/local/reactions/stickers.php')),
+        0
+    ));
+
     $settings->add(new admin_setting_configtext(
         'local_reactions/pollinterval',
         get_string('settings:pollinterval', 'local_reactions'),
@@ -63,5 +120,20 @@ if ($hassiteconfig) {
         PARAM_INT
     ));
 
+    $settings->add(new admin_setting_configselect(
+        'local_reactions/livetransport',
+        get_string('settings:livetransport', 'local_reactions'),
+        get_string('settings:livetransport_desc', 'local_reactions'),
+        \local_reactions\manager::TRANSPORT_POLL,
+        \local_reactions\manager::get_live_transport_options()
+    ));
+
     $ADMIN->add('localplugins', $settings);
+
+    $ADMIN->add('localplugins', new admin_externalpage(
+        'local_reactions_stickers',
+        get_string('sitestickers', 'local_reactions'),
+        new moodle_url('/local/reactions/stickers.php'),
+        'moodle/site:config'
+    ));
 }
@@ -0,0 +1,120 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Manage stickers (custom image reactions) for the site or a course.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use local_reactions\form\sticker_form;
+use local_reactions\stickers;
+
+require_once(__DIR__ . '/../../config.php');
+require_once($CFG->libdir . '/adminlib.php');
+
+$contextid = optional_param('contextid', context_system::instance()->id, PARAM_INT);
+$action = optional_param('action', '', PARAM_ALPHA);
+$id = optional_param('id', 0, PARAM_INT);
+
+$context = context::instance_by_id($contextid);
+$baseurl = new moodle_url('/local/reactions/stickers.php', ['contextid' => $context->id]);
+
+if ($context->contextlevel == CONTEXT_SYSTEM) {
+    admin_externalpage_setup('local_reactions_stickers', '', ['contextid' => $context->id]);
+    $PAGE->set_url($baseurl);
+    $heading = get_string('sitestickers', 'local_reactions');
+} else if ($context->contextlevel == CONTEXT_COURSE && $context->instanceid != SITEID) {
+    $course = get_course($context->instanceid);
+    require_login($course);
+    require_capability('local/reactions:managestickers', $context);
+    if (!stickers::is_course_stickers_enabled()) {
+        throw new moodle_exception('coursestickersdisabled', 'local_reactions');
+    }
+    $PAGE->set_url($baseurl);
+    $PAGE->set_context($context);
+    $PAGE->set_pagelayout('admin');
+    $PAGE->set_heading($course->fullname);
+    $heading = get_string('stickers', 'local_reactions');
+} else {
+    throw new moodle_exception('invalidcontext');
+}
+$PAGE->set_title($heading);
+
+$sticker = null;
+if ($id) {
+    $sticker = $DB->get_record('local_reactions_stickers', ['id' => $id, 'contextid' => $context->id], '*', MUST_EXIST);
+}
+
+if ($action === 'delete' && $sticker) {
+    if (optional_param('confirm', 0, PARAM_BOOL) && confirm_sesskey()) {
+        stickers::delete($sticker);
+        redirect($baseurl, get_string('stickerdeleted', 'local_reactions'), null, \core\output\notification::NOTIFY_SUCCESS);
+    }
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading($heading);
+    echo $OUTPUT->confirm(
+        get_string('stickerdeleteconfirm', 'local_reactions', s($sticker->shortcode)),
+        new moodle_url($baseurl, ['action' => 'delete', 'id' => $sticker->id, 'confirm' => 1, 'sesskey' => sesskey()]),
+        $baseurl
+    );
+    echo $OUTPUT->footer();
+    die;
+}
+
+if ($action === 'edit') {
+    $form = new sticker_form(null, ['context' => $context]);
+    $draftitemid = file_get_submitted_draft_itemid('image');
+    file_prepare_draft_area(
+        $draftitemid,
+        $context->id,
+        'local_reactions',
+        stickers::FILEAREA,
+        $sticker ? $sticker->id : null,
+        stickers::get_filemanager_options()
+    );
+    $form->set_data([
+        'id' => $sticker ? $sticker->id : 0,
+        'shortcode' => $sticker ? $sticker->shortcode : '',
+        'alttext' => $sticker ? $sticker->alttext : '',
+        'image' => $draftitemid,
+    ]);
+
+    if ($form->is_cancelled()) {
+        redirect($baseurl);
+    }
+    if ($data = $form->get_data()) {
+        stickers::save($context, $data);
+        redirect($baseurl, get_string('stickersaved', 'local_reactions'), null, \core\output\notification::NOTIFY_SUCCESS);
+    }
+
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading($sticker ? get_string('editsticker', 'local_reactions') : get_string('addsticker', 'local_reactions'));
+    $form->display();
+    echo $OUTPUT->footer();
+    die;
+}
+
+/** @var \local_reactions\output\renderer $renderer */
+$renderer = $PAGE->get_renderer('local_reactions');
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading($heading);
+echo html_writer::tag('p', get_string('stickers_desc', 'local_reactions'));
+echo $renderer->render_stickers(stickers::get_stickers_in_context($context), $context);
+echo $OUTPUT->footer();
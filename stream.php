@@ -0,0 +1,95 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Server-Sent Events stream announcing reaction changes on the watched items.
+ *
+ * Each `changes` event carries the new change cursor (also sent as the event id, so the browser
+ * resumes from it after a dropped connection); the client then fetches the changes themselves with
+ * get_reaction_changes or get_discussion_reaction_changes. The stream ends itself with an `end` event
+ * after a while so the client can reconnect with an up-to-date list of items.
+ *
+ * @package    local_reactions
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define('NO_OUTPUT_BUFFERING', true);
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_reactions\external\wait_for_changes;
+use local_reactions\manager;
+
+$component = required_param('component', PARAM_COMPONENT);
+$itemtype = required_param('itemtype', PARAM_ALPHANUMEXT);
+$itemids = array_filter(array_map('intval', explode(',', required_param('itemids', PARAM_SEQUENCE))));
+$discussions = optional_param('discussions', false, PARAM_BOOL);
+$contextid = required_param('contextid', PARAM_INT);
+$cursor = optional_param('cursor', 0, PARAM_INT);
+
+// After a dropped connection the browser sends back the id of the last event it saw.
+if (!empty($_SERVER['HTTP_LAST_EVENT_ID'])) {
+    $cursor = clean_param($_SERVER['HTTP_LAST_EVENT_ID'], PARAM_INT);
+}
+
+$context = context::instance_by_id($contextid);
+if ($context instanceof context_module) {
+    [$course, $cm] = get_course_and_cm_from_cmid($context->instanceid);
+    require_login($course, false, $cm, false, true);
+} else {
+    require_login(null, false, null, false, true);
+}
+require_sesskey();
+wait_for_changes::require_watch_capability($component, $itemtype, $itemids, $discussions, $context);
+
+// Don't hold the session lock while streaming, or every other request from this user would queue behind us.
+\core\session\manager::write_close();
+
+// Seconds before the stream ends itself, and between heartbeats that keep proxies from closing it.
+$duration = 45;
+$heartbeat = 15;
+core_php_time_limit::raise($duration + 10);
+
+header('Content-Type: text/event-stream');
+header('Cache-Control: no-cache');
+header('X-Accel-Buffering: no');
+
+echo "retry: 5000\n\n";
+flush();
+
+$deadline = time() + $duration;
+while (time() < $deadline && !connection_aborted()) {
+    $result = manager::wait_for_changes(
+        $component,
+        $itemtype,
+        $itemids,
+        $discussions,
+        $cursor,
+        min($heartbeat, $deadline - time())
+    );
+    $cursor = $result['cursor'];
+    if ($result['changed']) {
+        echo "id: {$cursor}\nevent: changes\ndata: {$cursor}\n\n";
+    } else {
+        // An id with no data dispatches nothing, but still moves the browser's resume point forward.
+        echo "id: {$cursor}\n\n";
+    }
+    flush();
+}
+
+echo "id: {$cursor}\nevent: end\ndata: {$cursor}\n\n";
+flush();
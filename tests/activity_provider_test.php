@@ -0,0 +1,195 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+use core_privacy\local\request\approved_contextlist;
+use local_reactions\external\toggle_reaction;
+use local_reactions\privacy\provider as privacy_provider;
+use local_reactions\provider\data_provider;
+use local_reactions\provider\glossary_provider;
+
+/**
+ * Tests for reactions on glossary entries and database records.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\provider\activity_provider
+ * @covers \local_reactions\provider\glossary_provider
+ * @covers \local_reactions\provider\data_provider
+ * @covers \local_reactions\observer
+ * @covers \local_reactions\report
+ */
+final class activity_provider_test extends \advanced_testcase {
+    /**
+     * Create a glossary with reactions enabled and one entry by a student.
+     *
+     * @return array [$course, $glossary, $entry, $student]
+     */
+    private function create_glossary_entry(): array {
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $glossary = $generator->create_module('glossary', ['course' => $course->id]);
+        $student = $generator->create_and_enrol($course, 'student');
+        $entry = $generator->get_plugin_generator('mod_glossary')->create_content($glossary, [
+            'concept' => 'Photosynthesis',
+            'userid' => $student->id,
+        ]);
+        $generator->get_plugin_generator('local_reactions')->create_enabled_forum(['cmid' => $glossary->cmid]);
+        manager::clear_forum_config_cache();
+
+        return [$course, $glossary, $entry, $student];
+    }
+
+    /**
+     * Create a database activity with reactions enabled and one record by a student.
+     *
+     * @return array [$course, $data, $recordid, $student]
+     */
+    private function create_data_record(): array {
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $data = $generator->create_module('data', ['course' => $course->id]);
+        $student = $generator->create_and_enrol($course, 'student');
+        $datagenerator = $generator->get_plugin_generator('mod_data');
+        $field = $datagenerator->create_field((object) ['name' => 'title', 'type' => 'text'], $data);
+        $this->setUser($student);
+        $entry = $datagenerator->create_entry($data, [$field->field->id => 'Field notes']);
+        $this->setUser();
+        $generator->get_plugin_generator('local_reactions')->create_enabled_forum(['cmid' => $data->cmid]);
+        manager::clear_forum_config_cache();
+
+        return [$course, $data, $entry, $student];
+    }
+
+    /**
+     * Students can react to glossary entries once the glossary enables reactions.
+     */
+    public function test_glossary_toggle_reaction(): void {
+        $this->resetAfterTest();
+        [, $glossary, $entry, $student] = $this->create_glossary_entry();
+
+        $provider = new glossary_provider();
+        $this->assertEquals(\context_module::instance($glossary->cmid)->id, $provider->get_context_for_item($entry->id)->id);
+        $this->assertNull($provider->get_context_for_item($entry->id + 1));
+
+        $this->setUser($student);
+        $result = toggle_reaction::execute('mod_glossary', 'entry', $entry->id, 'thumbsup');
+        $this->assertEquals('added', $result['action']);
+        $this->assertTrue(manager::activity_has_reactions('glossary', $glossary->id));
+
+        $this->getDataGenerator()->get_plugin_generator('local_reactions')->create_enabled_forum([
+            'cmid' => $glossary->cmid,
+            'enabled' => 0,
+        ]);
+        manager::clear_forum_config_cache();
+        $this->expectException(\moodle_exception::class);
+        $this->expectExceptionMessage(get_string('reactionsnotenabled', 'local_reactions'));
+        toggle_reaction::execute('mod_glossary', 'entry', $entry->id, 'heart');
+    }
+
+    /**
+     * Students can react to database records, and deleting a record deletes its reactions.
+     */
+    public function test_data_record_deleted(): void {
+        global $CFG, $DB;
+        require_once($CFG->dirroot . '/mod/data/lib.php');
+        $this->resetAfterTest();
+        [, $data, $recordid, $student] = $this->create_data_record();
+        $this->assertEquals(
+            \context_module::instance($data->cmid)->id,
+            (new data_provider())->get_context_for_item($recordid)->id
+        );
+
+        $this->setUser($student);
+        toggle_reaction::execute('mod_data', 'record', $recordid, 'heart');
+        $this->assertTrue(manager::activity_has_reactions('data', $data->id));
+
+        $this->setAdminUser();
+        $cm = get_coursemodule_from_instance('data', $data->id);
+        data_delete_record($recordid, $data, $data->course, $cm->id);
+
+        $this->assertFalse($DB->record_exists('local_reactions', ['component' => 'mod_data', 'itemid' => $recordid]));
+    }
+
+    /**
+     * Deleting a glossary entry deletes its reactions.
+     */
+    public function test_entry_deleted(): void {
+        global $DB;
+        $this->resetAfterTest();
+        [, $glossary, $entry, $student] = $this->create_glossary_entry();
+        manager::toggle_reaction('mod_glossary', 'entry', $entry->id, $student->id, 'heart');
+
+        \mod_glossary\event\entry_deleted::create([
+            'context' => \context_module::instance($glossary->cmid),
+            'objectid' => $entry->id,
+            'other' => ['mode' => '', 'hook' => '', 'concept' => $entry->concept],
+        ])->trigger();
+
+        $this->assertFalse($DB->record_exists('local_reactions', ['component' => 'mod_glossary', 'itemid' => $entry->id]));
+    }
+
+    /**
+     * Reactions on glossary entries are found and deleted in the glossary's context.
+     */
+    public function test_privacy(): void {
+        global $DB;
+        $this->resetAfterTest();
+        [, $glossary, $entry, $student] = $this->create_glossary_entry();
+        manager::toggle_reaction('mod_glossary', 'entry', $entry->id, $student->id, 'heart');
+        $context = \context_module::instance($glossary->cmid);
+
+        $contextids = privacy_provider::get_contexts_for_userid($student->id)->get_contextids();
+        $this->assertEquals([$context->id], array_values($contextids));
+
+        privacy_provider::delete_data_for_user(new approved_contextlist($student, 'local_reactions', [$context->id]));
+        $this->assertFalse($DB->record_exists('local_reactions', ['component' => 'mod_glossary', 'userid' => $student->id]));
+    }
+
+    /**
+     * The course report counts glossary entries alongside forum posts.
+     */
+    public function test_report(): void {
+        $this->resetAfterTest();
+        [$course, $glossary, $entry, $student] = $this->create_glossary_entry();
+        $generator = $this->getDataGenerator();
+        $generator->get_plugin_generator('mod_glossary')->create_content($glossary, [
+            'concept' => 'Osmosis',
+            'userid' => $student->id,
+        ]);
+        $teacher = $generator->create_and_enrol($course, 'editingteacher');
+        manager::toggle_reaction('mod_glossary', 'entry', $entry->id, $teacher->id, 'heart');
+
+        $report = new report($course->id);
+        $this->assertEquals(['total_reactions' => 1, 'total_posts' => 2, 'ratio' => 0.5], $report->get_reactions_vs_posts_ratio());
+        $this->assertEquals(['active_reactors' => 1, 'active_posters' => 1], $report->get_active_participants());
+
+        $zero = $report->get_posts_with_zero_reactions();
+        $this->assertCount(1, $zero);
+        $this->assertEquals('Osmosis', $zero[0]->subject);
+        $this->assertEquals('glossary', $zero[0]->modulename);
+        $this->assertEquals($glossary->cmid, $zero[0]->cmid);
+
+        $top = $report->get_most_reacted_posts_this_week();
+        $this->assertCount(1, $top);
+        $this->assertEquals($entry->id, $top[0]->id);
+        $this->assertEquals(1, $top[0]->reactioncount);
+        $this->assertEquals(['heart' => 1], $top[0]->emojicounts);
+    }
+}
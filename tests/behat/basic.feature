@@ -118,6 +118,40 @@ Feature: Forum reactions and reporting
     And the "thumbsup" reaction count should be 7
     And the "laugh" reaction count should be 2
 
+  Scenario: Student can use the emoji picker with the keyboard
+    Given I log in as "student4"
+    And I am on the "Introductions" "forum activity" page
+    And I follow "Hello from Student One"
+    And I wait for reactions to load
+    # Opening the picker moves focus to the first emoji.
+    When I open the reactions picker
+    Then the focused element is ".local-reactions-picker-btn[data-emoji='thumbsup']" "css_element"
+    When I press the right key
+    Then the focused element is ".local-reactions-picker-btn[data-emoji='heart']" "css_element"
+    When I press the end key
+    Then the focused element is ".local-reactions-picker-btn[data-emoji='thanks']" "css_element"
+    # Focus wraps around from the last emoji to the first.
+    When I press the tab key
+    Then the focused element is ".local-reactions-picker-btn[data-emoji='thumbsup']" "css_element"
+    # Escape closes the picker and returns focus to the trigger.
+    When I press the escape key
+    Then "[data-region='reactions-picker']:not([hidden])" "css_element" should not exist
+    And the focused element is ".local-reactions-trigger" "css_element"
+    # Type-ahead jumps to the matching emoji, and Enter reacts with it.
+    When I open the reactions picker
+    And I type "c"
+    Then the focused element is ".local-reactions-picker-btn[data-emoji='celebrate']" "css_element"
+    When I press the enter key
+    Then the "celebrate" reaction count should be 1
+    And the focused element is ".local-reactions-trigger" "css_element"
+    # Space reacts with the focused emoji too, rather than being taken as type-ahead.
+    When I open the reactions picker
+    And I type "h"
+    Then the focused element is ".local-reactions-picker-btn[data-emoji='heart']" "css_element"
+    When I press the space key
+    Then the "heart" reaction count should be 1
+    And the focused element is ".local-reactions-trigger" "css_element"
+
   Scenario: News forum displays compact reaction counts on discussion page and list page
     Given I log in as "student1"
     # Discussion page: compact pill should show total of 3.
@@ -208,6 +242,61 @@ Feature: Forum reactions and reporting
     And ".local-reactions-empty" "css_element" should not exist in the "Reacted topic" "table_row"
     And "[data-emoji='thumbsup']" "css_element" should exist in the "Reacted topic" "table_row"
 
+  Scenario: Student can order and filter the discussion list by reactions
+    Given the following "activities" exist:
+      | activity | name          | course | type    | idnumber |
+      | forum    | General Forum | C1     | general | general1 |
+    And the following "local_reactions > enabled forums" exist:
+      | forum         | course | enabled |
+      | General Forum | C1     | 1       |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum         | name            | message               |
+      | student1 | General Forum | Reacted topic   | This has reactions    |
+      | student1 | General Forum | Unreacted topic | This has no reactions |
+    And the following "local_reactions > reactions" exist:
+      | user     | post          | emoji    |
+      | student2 | Reacted topic | thumbsup |
+    When I log in as "student2"
+    And I am on the "General Forum" "forum activity" page
+    And I wait for reactions to load
+    And I set the field "Order by reactions" to "Most reactions"
+    Then "Reacted topic" "link" should appear before "Unreacted topic" "link"
+    And I set the field "Show" to "Discussions I reacted to"
+    And I should see "Reacted topic"
+    And I should not see "Unreacted topic"
+    And I set the field "Show" to "Discussions with no reactions"
+    And I should see "Unreacted topic"
+    And I should not see "Reacted topic"
+    And I set the field "Order by reactions" to "Forum order"
+    And I set the field "Show" to "All discussions"
+    And I should see "Reacted topic"
+    And I should see "Unreacted topic"
+
+  Scenario: Student can react to a discussion's opening post from the discussion list
+    Given the following "activities" exist:
+      | activity | name          | course | type    | idnumber |
+      | forum    | General Forum | C1     | general | general1 |
+    And the following "local_reactions > enabled forums" exist:
+      | forum         | course | enabled | compactview_list | reactfromlist |
+      | General Forum | C1     | 1       | 0                | 1             |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum         | name        | message          |
+      | student1 | General Forum | Quick topic | React from above |
+    And the following "local_reactions > reactions" exist:
+      | user     | post        | emoji |
+      | student3 | Quick topic | heart |
+    When I log in as "student2"
+    And I am on the "General Forum" "forum activity" page
+    And I wait for reactions to load
+    And I open the reactions picker
+    And I react with "thumbsup"
+    Then the "thumbsup" reaction count should be "1"
+    And the "heart" reaction count should be "1"
+    And I am on the "General Forum" "forum activity" page
+    And I wait for reactions to load
+    And the "thumbsup" reaction count should be "1"
+    And ".local-reactions-opening-post .local-reactions-selected" "css_element" should exist
+
   Scenario: Reactions appear on the post reply page with full interactivity
     Given I log in as "student4"
     And I am on the reply page for "Hello from Student One"
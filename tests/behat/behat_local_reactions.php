@@ -100,10 +100,11 @@ class behat_local_reactions extends behat_base {
             "[data-region='reactions-picker'] [data-emoji='{$emoji}']"
         );
         $button->click();
-        // Wait for AJAX to complete and bar to rebuild.
+        // Wait for the optimistic toggle to be confirmed by the server.
         $this->getSession()->wait(
             2000,
-            'document.querySelector("[data-region=\'reactions-bar\'] button:not([disabled])")'
+            'document.querySelector("[data-region=\'reactions-bar\'] button:not([disabled])")' .
+                ' && !document.querySelector("[data-region=\'reactions-bar\'][data-pending]")'
         );
     }
 
@@ -198,4 +199,208 @@ class behat_local_reactions extends behat_base {
         $url = new moodle_url('/blog/index.php');
         $this->getSession()->visit($this->locate_path($url->out_as_local_url(false)));
     }
+
+    /**
+     * Make the browser report that it has lost its connection.
+     *
+     * The page itself is still served, so toggles are only queued if the plugin goes by what the browser reports.
+     *
+     * @Given I go offline
+     */
+    public function i_go_offline(): void {
+        $this->getSession()->executeScript(<<<'JS'
+            Object.defineProperty(navigator, 'onLine', {configurable: true, get: () => false});
+            window.dispatchEvent(new Event('offline'));
+        JS);
+    }
+
+    /**
+     * Make the browser report that its connection is back, after "I go offline".
+     *
+     * @Given I come back online
+     */
+    public function i_come_back_online(): void {
+        $this->getSession()->executeScript(<<<'JS'
+            delete navigator.onLine;
+            window.dispatchEvent(new Event('online'));
+        JS);
+    }
+
+    /**
+     * Open the current page again in a named browser window, as a second tab on the same page.
+     *
+     * Switch to it with the step I switch to "<windowname>" window.
+     *
+     * @Given I open this page in the :windowname window
+     * @param string $windowname The name to give the window.
+     */
+    public function i_open_this_page_in_the_window(string $windowname): void {
+        $this->getSession()->executeScript("window.open(window.location.href, " . json_encode($windowname) . ");");
+    }
+
+    /**
+     * Scroll a forum post into the middle of the window.
+     *
+     * @When I scroll to the :postsubject post
+     * @param string $postsubject The subject of the post.
+     */
+    public function i_scroll_to_the_post(string $postsubject): void {
+        $selector = $this->get_post_selector($postsubject);
+        $this->ensure_element_exists($selector, 'css_element');
+        $this->getSession()->executeScript(
+            'document.querySelector(' . json_encode($selector) . ').scrollIntoView({block: "center"});'
+        );
+    }
+
+    /**
+     * Check that a forum post's reactions bar has been loaded.
+     *
+     * @Then the :postsubject post should have a reactions bar
+     * @param string $postsubject The subject of the post.
+     */
+    public function the_post_should_have_a_reactions_bar(string $postsubject): void {
+        $this->ensure_element_exists($this->get_post_selector($postsubject) . ' [data-region="reactions-bar"]', 'css_element');
+    }
+
+    /**
+     * Check that a forum post's reactions bar has not been loaded.
+     *
+     * @Then the :postsubject post should not have a reactions bar
+     * @param string $postsubject The subject of the post.
+     */
+    public function the_post_should_not_have_a_reactions_bar(string $postsubject): void {
+        $this->ensure_element_does_not_exist(
+            $this->get_post_selector($postsubject) . ' [data-region="reactions-bar"]',
+            'css_element'
+        );
+    }
+
+    /**
+     * Get the CSS selector for a forum post, found by its subject.
+     *
+     * @param string $postsubject The subject of the post.
+     * @return string
+     */
+    protected function get_post_selector(string $postsubject): string {
+        global $DB;
+        $postid = $DB->get_field('forum_posts', 'id', ['subject' => $postsubject], MUST_EXIST);
+        return "[data-post-id=\"{$postid}\"]";
+    }
+
+    /**
+     * Scroll the page so a forum post's reactions bar is at the top or the bottom of the window.
+     *
+     * The top is taken to be below the theme's navbar, which is fixed over the page.
+     *
+     * @When I scroll the reactions bar of the :postsubject post to the :edge of the window
+     * @param string $postsubject The subject of the post.
+     * @param string $edge top or bottom.
+     */
+    public function i_scroll_the_reactions_bar_of_the_post_to_the_edge_of_the_window(string $postsubject, string $edge): void {
+        $selector = $this->get_post_selector($postsubject) . ' [data-region="reactions-bar"]';
+        $this->ensure_element_exists($selector, 'css_element');
+        // Theme Boost scrolls the page in its own container, so let the browser find what to scroll.
+        $this->getSession()->executeScript('(() => {
+            const bar = document.querySelector(' . json_encode($selector) . ');
+            const navbar = document.querySelector(".navbar.fixed-top")?.offsetHeight || 0;
+            bar.style.scrollMarginTop = (navbar + 4) + "px";
+            bar.style.scrollMarginBottom = "4px";
+            bar.scrollIntoView({block: ' . json_encode($edge) . ' === "top" ? "start" : "end"});
+        })();');
+    }
+
+    /**
+     * Open the emoji picker of a forum post's reactions bar.
+     *
+     * @When I open the reactions picker on the :postsubject post
+     * @param string $postsubject The subject of the post.
+     */
+    public function i_open_the_reactions_picker_on_the_post(string $postsubject): void {
+        $trigger = $this->find(
+            'css_element',
+            $this->get_post_selector($postsubject) . ' .local-reactions-trigger[data-action="open-picker"]'
+        );
+        $trigger->click();
+        $this->ensure_element_exists('[data-region="reactions-picker"]:not([hidden])', 'css_element');
+    }
+
+    /**
+     * Check that a reactions popover, e.g. the picker, is entirely inside the window.
+     *
+     * @Then the :region popover should be inside the window
+     * @param string $region The popover's data-region, e.g. reactions-picker or emoji-panel.
+     */
+    public function the_popover_should_be_inside_the_window(string $region): void {
+        $selector = "[data-region='{$region}']:not([hidden])";
+        $this->ensure_element_exists($selector, 'css_element');
+        $inside = $this->getSession()->wait(2000, '(() => {
+            const rect = document.querySelector(' . json_encode($selector) . ').getBoundingClientRect();
+            const viewport = document.documentElement;
+            return rect.top >= 0 && rect.left >= 0 && rect.bottom <= viewport.clientHeight && rect.right <= viewport.clientWidth;
+        })()');
+        if (!$inside) {
+            throw new ExpectationException("The '{$region}' popover is not inside the window.", $this->getSession());
+        }
+    }
+
+    /**
+     * Listen for the local_reactions:toggled event as another plugin would, listing each one at the end of the page.
+     *
+     * Each event is listed as "<action> <emoji> on <component> <itemtype>", e.g. "added heart on mod_forum post".
+     *
+     * @Given I list the reactions toggled events on the page
+     */
+    public function i_list_the_reactions_toggled_events_on_the_page(): void {
+        $this->getSession()->executeScript(<<<'JS'
+            const list = document.createElement('ul');
+            list.id = 'local-reactions-toggled-events';
+            document.body.appendChild(list);
+            document.addEventListener('local_reactions:toggled', (e) => {
+                const item = document.createElement('li');
+                item.textContent = `${e.detail.action} ${e.detail.emoji} on ${e.detail.component} ${e.detail.itemtype}`;
+                list.appendChild(item);
+            });
+        JS);
+    }
+
+    /**
+     * Hide the page and show it again, as switching to another tab and back does.
+     *
+     * Every reactions controller on the page polls as soon as the page is shown, so their polls are sent together.
+     *
+     * @When I switch away from the page and back
+     */
+    public function i_switch_away_from_the_page_and_back(): void {
+        $this->getSession()->executeScript(<<<'JS'
+            Object.defineProperty(document, 'hidden', {configurable: true, get: () => true});
+            document.dispatchEvent(new Event('visibilitychange'));
+            delete document.hidden;
+            document.dispatchEvent(new Event('visibilitychange'));
+        JS);
+    }
+
+    /**
+     * Press and hold the smiley trigger with a finger until the picker opens as a bottom sheet.
+     *
+     * WebDriver only presses with a mouse, which never long-presses, so the touch is dispatched by script.
+     *
+     * @When I long-press the reactions picker button
+     */
+    public function i_long_press_the_reactions_picker_button(): void {
+        $this->ensure_element_exists('.local-reactions-trigger[data-action="open-picker"]', 'css_element');
+        $this->getSession()->executeScript(<<<'JS'
+            const trigger = document.querySelector('.local-reactions-trigger[data-action="open-picker"]');
+            const rect = trigger.getBoundingClientRect();
+            const touch = {
+                pointerType: 'touch',
+                isPrimary: true,
+                bubbles: true,
+                clientX: rect.left + rect.width / 2,
+                clientY: rect.top + rect.height / 2,
+            };
+            trigger.dispatchEvent(new PointerEvent('pointerdown', touch));
+            setTimeout(() => trigger.dispatchEvent(new PointerEvent('pointerup', touch)), 800);
+        JS);
+        $this->ensure_element_exists('.local-reactions-picker-sheet:not([hidden])', 'css_element');
+    }
 }
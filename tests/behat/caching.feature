@@ -97,3 +97,20 @@ Feature: Reactions IndexedDB caching
     And I wait for live reactions to load
     # After fresh data arrives, the count should be updated.
     Then the "thumbsup" reaction count should be 3
+
+  Scenario: Own reactions are cached and can be toggled before fresh data arrives
+    # Populate the cache, including student1's own thumbsup.
+    Given I log in as "student1"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for live reactions to load
+    # Revisit - the cached bar already shows the user's own reaction and can be used straight away.
+    When I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    Then ".local-reactions-pill.local-reactions-selected[data-emoji='thumbsup']" "css_element" should exist
+    When I open the reactions picker
+    And I react with "heart"
+    And I wait for live reactions to load
+    Then the "heart" reaction count should be 1
+    And the "thumbsup" reaction count should be 2
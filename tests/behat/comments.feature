@@ -0,0 +1,94 @@
+@local @local_reactions @javascript
+Feature: Comment reactions
+  As a student I want to react to comments made with the Moodle comments widget
+  so that commenters can see how their comments were received.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Teacher   | One      | teacher1@example.com |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | C1     | editingteacher |
+      | student1 | C1     | student        |
+      | student2 | C1     | student        |
+    And the following "activities" exist:
+      | activity | name          | course | idnumber | allowcomments |
+      | glossary | Science terms | C1     | glossary | 1             |
+    And the following "mod_glossary > entries" exist:
+      | glossary      | concept        | definition                       | user     |
+      | Science terms | Photosynthesis | How plants make food from light. | student1 |
+    And the following "local_reactions > comments" exist:
+      | user     | glossaryentry  | content                  |
+      | teacher1 | Photosynthesis | Clear and well explained |
+    And I change the window size to "large"
+
+  Scenario: No reactions on comments when comment reactions are disabled
+    Given the following config values are set as admin:
+      | enabled         | 1 | local_reactions |
+      | enabledcomments | 0 | local_reactions |
+    And I log in as "student2"
+    When I am on the "Science terms" "glossary activity" page
+    And I click on "Comments (1)" "link"
+    Then I should see "Clear and well explained"
+    And ".comment-list [data-region='reactions-bar']" "css_element" should not exist
+
+  Scenario: React to a comment loaded by the comments widget
+    Given the following config values are set as admin:
+      | enabled         | 1 | local_reactions |
+      | enabledcomments | 1 | local_reactions |
+    And the following "local_reactions > reactions" exist:
+      | user     | comment                  | emoji |
+      | student1 | Clear and well explained | heart |
+    And I log in as "student2"
+    When I am on the "Science terms" "glossary activity" page
+    And I click on "Comments (1)" "link"
+    And I wait for reactions to load
+    Then "li[id^='comment-'] [data-region='reactions-bar']" "css_element" should exist
+    And the "heart" reaction count should be 1
+    When I open the reactions picker
+    And I react with "heart"
+    Then the "heart" reaction count should be 2
+
+  Scenario: Reactions on a glossary entry and on its comments on the same page
+    Given the following config values are set as admin:
+      | enabled         | 1 | local_reactions |
+      | enabledcomments | 1 | local_reactions |
+    And the following "local_reactions > enabled activities" exist:
+      | activity | enabled |
+      | glossary | 1       |
+    And I log in as "student2"
+    When I am on the "Science terms" "glossary activity" page
+    And I click on "Comments (1)" "link"
+    And I wait for reactions to load
+    Then "table.glossarypost [data-region='reactions-bar']:not(.comment-list *)" "css_element" should exist
+    And "li[id^='comment-'] [data-region='reactions-bar']" "css_element" should exist
+
+  Scenario: Reactions on comments keep updating when the entry's reactions fail to load
+    Given the following config values are set as admin:
+      | enabled         | 1   | local_reactions |
+      | enabledcomments | 1   | local_reactions |
+      | pollinterval    | 600 | local_reactions |
+    And the following "local_reactions > enabled activities" exist:
+      | activity | enabled |
+      | glossary | 1       |
+    And I log in as "student2"
+    And I am on the "Science terms" "glossary activity" page
+    And I click on "Comments (1)" "link"
+    And "li[id^='comment-'] [data-region='reactions-bar']" "css_element" should exist
+    # Let the comment's bar start polling too.
+    And I wait "1" seconds
+    # The entry's bar started polling first, so its poll goes first in the request they share, and now fails.
+    When the following "permission overrides" exist:
+      | capability           | permission | role    | contextlevel    | reference |
+      | local/reactions:view | Prohibit   | student | Activity module | glossary  |
+    And the following "local_reactions > reactions" exist:
+      | user     | comment                  | emoji |
+      | student1 | Clear and well explained | heart |
+    And I switch away from the page and back
+    Then the "heart" reaction count should be 1
@@ -0,0 +1,84 @@
+@local @local_reactions @javascript
+Feature: Per-forum and per-course emoji sets
+  As a teacher I want to choose the emoji offered in my course and in each forum
+  so that reactions suit the subject.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Teacher   | One      | teacher1@example.com |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | C1     | editingteacher |
+      | student1 | C1     | student        |
+      | student2 | C1     | student        |
+    And the following "activities" exist:
+      | activity | name       | course | type    | idnumber |
+      | forum    | Test Forum | C1     | general | forum1   |
+    And the following config values are set as admin:
+      | enabled | 1 | local_reactions |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum      | name      | message   |
+      | student1 | Test Forum | Test Post | A message |
+    And the following "local_reactions > reactions" exist:
+      | user     | post      | emoji |
+      | student2 | Test Post | laugh |
+    And I change the window size to "large"
+
+  Scenario: A forum offers its own emoji set and keeps reactions with emoji left out of it
+    Given the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled | emojis           |
+      | Test Forum | C1     | 1       | thumbsup,idea:💡 |
+    When I log in as "student1"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Post"
+    And I wait for reactions to load
+    Then the "laugh" reaction count should be 1
+    When I open the reactions picker
+    Then "[data-region='reactions-picker'] [data-emoji='thumbsup']" "css_element" should exist
+    And "[data-region='reactions-picker'] [data-emoji='heart']" "css_element" should not exist
+    And "[data-region='reactions-picker'] [data-emoji='laugh']" "css_element" should not exist
+    When I react with "idea"
+    Then the "idea" reaction count should be 1
+    And the "laugh" reaction count should be 1
+
+  Scenario: A forum without its own set uses the course's default set
+    Given the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled |
+      | Test Forum | C1     | 1       |
+    And I log in as "teacher1"
+    And I am on "Course 1" course homepage
+    And I navigate to "Settings" in current page administration
+    And I expand all fieldsets
+    And I set the field "Default emoji set" to "heart,thanks"
+    And I press "Save and display"
+    And I log out
+    When I log in as "student1"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Post"
+    And I wait for reactions to load
+    And I open the reactions picker
+    Then "[data-region='reactions-picker'] [data-emoji='heart']" "css_element" should exist
+    And "[data-region='reactions-picker'] [data-emoji='thanks']" "css_element" should exist
+    And "[data-region='reactions-picker'] [data-emoji='thumbsup']" "css_element" should not exist
+
+  Scenario: Teachers are told about emoji sets that can't be used
+    Given the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled |
+      | Test Forum | C1     | 1       |
+    When I log in as "teacher1"
+    And I am on the "Test Forum" "forum activity editing" page
+    And I expand all fieldsets
+    And I set the field "Emoji set" to "thumbsup,nosuchemoji"
+    And I press "Save and display"
+    Then I should see "\"nosuchemoji\" is not in the course's or site's emoji set, or the emoji catalogue."
+    And I set the field "Emoji set" to "thumbsup,heart"
+    And I press "Save and display"
+    And I am on the "Test Forum" "forum activity editing" page
+    And I expand all fieldsets
+    And the field "Emoji set" matches value "thumbsup,heart"
@@ -0,0 +1,41 @@
+@local @local_reactions @javascript
+Feature: Events fired by reactions bars
+  As a theme or plugin developer I want reactions bars to fire DOM events
+  so that my code can follow the reactions made on the page.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role    |
+      | student1 | C1     | student |
+      | student2 | C1     | student |
+    And the following "activities" exist:
+      | activity | name       | course | type    | idnumber |
+      | forum    | Test Forum | C1     | general | forum1   |
+    And the following config values are set as admin:
+      | enabled | 1 | local_reactions |
+    And the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled | compactview_list | compactview_discuss |
+      | Test Forum | C1     | 1       | 0                | 0                   |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum      | name       | message     |
+      | student1 | Test Forum | Test Topic | Hello world |
+    And I change the window size to "large"
+
+  Scenario: A listener on the document is told about each reaction the user makes and takes back
+    Given I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    And I list the reactions toggled events on the page
+    When I open the reactions picker
+    And I react with "heart"
+    Then I should see "added heart on mod_forum post" in the "#local-reactions-toggled-events" "css_element"
+    When I click on ".local-reactions-pill[data-emoji='heart']" "css_element"
+    Then I should see "removed heart on mod_forum post" in the "#local-reactions-toggled-events" "css_element"
@@ -0,0 +1,60 @@
+@local @local_reactions @javascript
+Feature: Glossary entry reactions
+  As a student I want to react to glossary entries
+  so that classmates can see which definitions were helpful.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Teacher   | One      | teacher1@example.com |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | C1     | editingteacher |
+      | student1 | C1     | student        |
+      | student2 | C1     | student        |
+    And the following "activities" exist:
+      | activity | name          | course | idnumber |
+      | glossary | Science terms | C1     | glossary |
+    And the following "mod_glossary > entries" exist:
+      | glossary      | concept        | definition                       | user     |
+      | Science terms | Photosynthesis | How plants make food from light. | student1 |
+    And the following config values are set as admin:
+      | enabled | 1 | local_reactions |
+    And I change the window size to "large"
+
+  Scenario: Teacher enables reactions in the glossary settings
+    When I log in as "teacher1"
+    And I am on the "Science terms" "glossary activity editing" page
+    And I expand all fieldsets
+    Then I should see "Enable emoji reactions"
+    And I should not see "Use compact view for discussion overview"
+    And I set the field "Enable emoji reactions" to "1"
+    And I press "Save and display"
+    And I wait for reactions to load
+    Then "table.glossarypost [data-region='reactions-bar']" "css_element" should exist
+
+  Scenario: No reactions on entries when the glossary has not enabled them
+    When I log in as "student2"
+    And I am on the "Science terms" "glossary activity" page
+    Then I should see "Photosynthesis"
+    And "table.glossarypost [data-region='reactions-bar']" "css_element" should not exist
+
+  Scenario: React to a glossary entry
+    Given the following "local_reactions > enabled activities" exist:
+      | activity | enabled |
+      | glossary | 1       |
+    And the following "local_reactions > reactions" exist:
+      | user     | glossaryentry  | emoji |
+      | teacher1 | Photosynthesis | heart |
+    When I log in as "student2"
+    And I am on the "Science terms" "glossary activity" page
+    And I wait for reactions to load
+    Then the "heart" reaction count should be 1
+    When I open the reactions picker
+    And I react with "heart"
+    Then the "heart" reaction count should be 2
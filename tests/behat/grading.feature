@@ -69,3 +69,18 @@ Feature: Reactions on the forum grading page
     Then "[data-region='module_content'] [data-emoji='thumbsup'][data-count='2']" "css_element" should exist
     # And the post author's own heart reaction is now visible.
     And "[data-region='module_content'] [data-emoji='heart']" "css_element" should exist
+
+  Scenario: The grading panel summarises the reactions of the student being graded
+    # Student One received thumbsup from student2 (peer); given: laugh on Student Two Post.
+    # Student Two received laugh from student1 (peer), so the peer median is 1.
+    Given I am on the "Graded Forum" "forum activity" page logged in as teacher1
+    And I press "Grade users"
+    And I wait for grading reactions to load
+    Then I should see "Reactions received from other students" in the "[data-region='reactions-grading-summary']" "css_element"
+    And I should see "1" in the "[data-region='grading-summary-received']" "css_element"
+    And I should see "1" in the "[data-region='grading-summary-given']" "css_element"
+    And I should see "At the forum median" in the "[data-region='reactions-grading-summary']" "css_element"
+    # Including everything: Student One has 3 (teacher, peer and own), Student Two has 2, so the median is 2.5.
+    When I set the field "Include self and teacher reactions" to "1"
+    Then I should see "3" in the "[data-region='grading-summary-received']" "css_element"
+    And I should see "Above the forum median" in the "[data-region='reactions-grading-summary']" "css_element"
@@ -0,0 +1,47 @@
+@local @local_reactions @javascript
+Feature: Reactions made offline
+  As a student with an unreliable connection I want the reactions I make while offline to be sent
+  once I am back online, so that they are not lost.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role    |
+      | student1 | C1     | student |
+      | student2 | C1     | student |
+    And the following "activities" exist:
+      | activity | name       | course | type    | idnumber |
+      | forum    | Test Forum | C1     | general | forum1   |
+    And the following config values are set as admin:
+      | enabled | 1 | local_reactions |
+    And the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled | compactview_list | compactview_discuss |
+      | Test Forum | C1     | 1       | 0                | 0                   |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum      | name       | message     |
+      | student1 | Test Forum | Test Topic | Hello world |
+    And I change the window size to "large"
+
+  Scenario: A reaction made offline is sent once when the browser is back online
+    Given I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    When I go offline
+    And I open the reactions picker
+    And I react with "heart"
+    # The reaction is shown straight away, marked as waiting to be sent.
+    Then the "heart" reaction count should be 1
+    And ".local-reactions-pill[data-emoji='heart'][data-queued='true']" "css_element" should exist
+    When I come back online
+    Then "[data-region='reactions-bar'] [data-queued]" "css_element" should not exist
+    # Sending it twice would have taken it away again.
+    And I reload the page
+    And I wait for live reactions to load
+    And the "heart" reaction count should be 1
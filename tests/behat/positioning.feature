@@ -0,0 +1,73 @@
+@local @local_reactions @javascript
+Feature: Reactions popovers placed next to their button
+  As a student I want the emoji picker to open next to its button, on whichever side of it
+  there is room, so that all of it can be seen.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role    |
+      | student1 | C1     | student |
+      | student2 | C1     | student |
+    And the following "activities" exist:
+      | activity | name       | course | type    | idnumber |
+      | forum    | Test Forum | C1     | general | forum1   |
+    And the following config values are set as admin:
+      | enabled        | 1 | local_reactions |
+      | extendedpicker | 1 | local_reactions |
+    And the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled | compactview_list | compactview_discuss |
+      | Test Forum | C1     | 1       | 0                | 0                   |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum      | name       | message     |
+      | student1 | Test Forum | Test Topic | Hello world |
+    # Enough replies to scroll the opening post's reactions to the top of the window.
+    And the following "mod_forum > posts" exist:
+      | user     | parentsubject | subject  | message         |
+      | student1 | Test Topic    | Reply 1  | Reply number 1  |
+      | student1 | Test Topic    | Reply 2  | Reply number 2  |
+      | student1 | Test Topic    | Reply 3  | Reply number 3  |
+      | student1 | Test Topic    | Reply 4  | Reply number 4  |
+      | student1 | Test Topic    | Reply 5  | Reply number 5  |
+      | student1 | Test Topic    | Reply 6  | Reply number 6  |
+      | student1 | Test Topic    | Reply 7  | Reply number 7  |
+      | student1 | Test Topic    | Reply 8  | Reply number 8  |
+      | student1 | Test Topic    | Reply 9  | Reply number 9  |
+      | student1 | Test Topic    | Reply 10 | Reply number 10 |
+      | student1 | Test Topic    | Reply 11 | Reply number 11 |
+      | student1 | Test Topic    | Reply 12 | Reply number 12 |
+    And I change the window size to "medium"
+
+  Scenario: The emoji panel opens below its button when there is no room above it
+    Given I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    When I scroll the reactions bar of the "Test Topic" post to the top of the window
+    And I open the reactions picker on the "Test Topic" post
+    # "More emoji" is the last item in the picker.
+    And I press the end key
+    And I press the enter key
+    Then "[data-region='emoji-panel'][data-placement='bottom']" "css_element" should exist
+    And the "emoji-panel" popover should be inside the window
+
+  Scenario: The picker and emoji panel open above their button when there is no room below it
+    Given I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    When I scroll to the "Reply 6" post
+    And I scroll the reactions bar of the "Reply 6" post to the bottom of the window
+    And I open the reactions picker on the "Reply 6" post
+    Then "[data-region='reactions-picker'][data-placement='top']" "css_element" should exist
+    And the "reactions-picker" popover should be inside the window
+    When I press the end key
+    And I press the enter key
+    Then "[data-region='emoji-panel'][data-placement='top']" "css_element" should exist
+    And the "emoji-panel" popover should be inside the window
@@ -0,0 +1,52 @@
+@local @local_reactions @javascript
+Feature: Reactions kept in step across tabs
+  As a student with a discussion open in two tabs I want both tabs to show the same reactions
+  without reloading either of them.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role    |
+      | student1 | C1     | student |
+      | student2 | C1     | student |
+    And the following "activities" exist:
+      | activity | name       | course | type    | idnumber |
+      | forum    | Test Forum | C1     | general | forum1   |
+    And the following config values are set as admin:
+      | enabled      | 1 | local_reactions |
+      | pollinterval | 2 | local_reactions |
+    And the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled | compactview_list | compactview_discuss |
+      | Test Forum | C1     | 1       | 0                | 0                   |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum      | name       | message     |
+      | student1 | Test Forum | Test Topic | Hello world |
+    And I change the window size to "large"
+
+  Scenario: Reactions show in both windows on the same discussion
+    Given I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    And I open this page in the "second" window
+    And I switch to "second" window
+    And I wait for reactions to load
+    # A reaction made in one window shows in the other straight away.
+    When I open the reactions picker
+    And I react with "heart"
+    And I switch to the main window
+    Then the "heart" reaction count should be 1
+    # Only one of the windows polls, and shares what it finds with the other.
+    When the following "local_reactions > reactions" exist:
+      | user     | post       | emoji    |
+      | student1 | Test Topic | thumbsup |
+    Then the "thumbsup" reaction count should be 1
+    And I switch to "second" window
+    And the "thumbsup" reaction count should be 1
+    And the "heart" reaction count should be 1
@@ -0,0 +1,41 @@
+@local @local_reactions @javascript
+Feature: Reacting on a touch screen
+  As a student on a phone I want to long-press to choose a reaction from a sheet at the bottom of the screen
+  so that the emoji are big enough to tap.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role    |
+      | student1 | C1     | student |
+      | student2 | C1     | student |
+    And the following "activities" exist:
+      | activity | name       | course | type    | idnumber |
+      | forum    | Test Forum | C1     | general | forum1   |
+    And the following config values are set as admin:
+      | enabled | 1 | local_reactions |
+    And the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled | compactview_list | compactview_discuss |
+      | Test Forum | C1     | 1       | 0                | 0                   |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum      | name       | message     |
+      | student1 | Test Forum | Test Topic | Hello world |
+    And I change the window size to "mobile"
+
+  Scenario: Long-pressing the picker button opens the picker as a bottom sheet
+    Given I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    When I long-press the reactions picker button
+    Then ".local-reactions-sheet-backdrop" "css_element" should exist
+    When I react with "thumbsup"
+    Then the "thumbsup" reaction count should be 1
+    And ".local-reactions-sheet-backdrop" "css_element" should not exist
+    And "[data-region='reactions-picker']:not([hidden])" "css_element" should not exist
@@ -0,0 +1,72 @@
+@local @local_reactions @javascript
+Feature: Reactions loaded as posts come into view
+  As a student reading a long discussion I want reactions loaded for the posts I scroll to,
+  and kept up to date in every tab I have it open in.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role    |
+      | student1 | C1     | student |
+      | student2 | C1     | student |
+    And the following "activities" exist:
+      | activity | name       | course | type    | idnumber |
+      | forum    | Test Forum | C1     | general | forum1   |
+    And the following config values are set as admin:
+      | enabled      | 1 | local_reactions |
+      | pollinterval | 2 | local_reactions |
+    And the following "local_reactions > enabled forums" exist:
+      | forum      | course | enabled | compactview_list | compactview_discuss |
+      | Test Forum | C1     | 1       | 0                | 0                   |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum      | name       | message     |
+      | student1 | Test Forum | Test Topic | Hello world |
+    And the following "mod_forum > posts" exist:
+      | user     | parentsubject | subject  | message         |
+      | student1 | Test Topic    | Reply 1  | Reply number 1  |
+      | student1 | Test Topic    | Reply 2  | Reply number 2  |
+      | student1 | Test Topic    | Reply 3  | Reply number 3  |
+      | student1 | Test Topic    | Reply 4  | Reply number 4  |
+      | student1 | Test Topic    | Reply 5  | Reply number 5  |
+      | student1 | Test Topic    | Reply 6  | Reply number 6  |
+      | student1 | Test Topic    | Reply 7  | Reply number 7  |
+      | student1 | Test Topic    | Reply 8  | Reply number 8  |
+      | student1 | Test Topic    | Reply 9  | Reply number 9  |
+      | student1 | Test Topic    | Reply 10 | Reply number 10 |
+      | student1 | Test Topic    | Reply 11 | Reply number 11 |
+      | student1 | Test Topic    | Reply 12 | Reply number 12 |
+    And I change the window size to "mobile"
+
+  Scenario: Reactions load for posts as they are scrolled to
+    Given the following "local_reactions > reactions" exist:
+      | user     | post     | emoji |
+      | student1 | Reply 12 | heart |
+    And I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    When I wait for reactions to load
+    Then the "Test Topic" post should have a reactions bar
+    And the "Reply 12" post should not have a reactions bar
+    When I scroll to the "Reply 12" post
+    Then the "Reply 12" post should have a reactions bar
+    And the "heart" reaction count should be 1
+
+  Scenario: A tab scrolled away from the posts the polling tab shows still gets their reactions
+    Given I log in as "student2"
+    And I am on the "Test Forum" "forum activity" page
+    And I follow "Test Topic"
+    And I wait for reactions to load
+    And I open this page in the "second" window
+    And I switch to "second" window
+    And I scroll to the "Reply 12" post
+    And the "Reply 12" post should have a reactions bar
+    When the following "local_reactions > reactions" exist:
+      | user     | post     | emoji |
+      | student1 | Reply 12 | heart |
+    Then the "heart" reaction count should be 1
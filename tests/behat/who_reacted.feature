@@ -0,0 +1,68 @@
+@local @local_reactions @javascript
+Feature: See who reacted to a forum post
+  As a teacher I want to see who reacted to a post when the forum allows it,
+  while reactions stay anonymous for everyone else.
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Teacher   | One      | teacher1@example.com |
+      | student1 | Student   | One      | student1@example.com |
+      | student2 | Student   | Two      | student2@example.com |
+      | student3 | Student   | Three    | student3@example.com |
+    And the following "courses" exist:
+      | fullname | shortname |
+      | Course 1 | C1        |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | C1     | editingteacher |
+      | student1 | C1     | student        |
+      | student2 | C1     | student        |
+      | student3 | C1     | student        |
+    And the following "activities" exist:
+      | activity | name          | course | type    | idnumber |
+      | forum    | Introductions | C1     | general | intros1  |
+    And the following config values are set as admin:
+      | enabled | 1 | local_reactions |
+    And the following "mod_forum > discussions" exist:
+      | user     | forum         | name                   | message              |
+      | student1 | Introductions | Hello from Student One | Hi, I'm Student One! |
+    And the following "local_reactions > reactions" exist:
+      | user     | post                   | emoji    |
+      | student2 | Hello from Student One | thumbsup |
+      | student3 | Hello from Student One | heart    |
+    And I change the window size to "large"
+
+  Scenario: Teachers see who reacted when names are visible to teachers
+    Given the following "local_reactions > enabled forums" exist:
+      | forum         | course | enabled | reactorvisibility |
+      | Introductions | C1     | 1       | 1                 |
+    When I log in as "teacher1"
+    And I am on the "Introductions" "forum activity" page
+    And I follow "Hello from Student One"
+    And I wait for reactions to load
+    And I hover ".local-reactions-pill[data-emoji='thumbsup']" "css_element"
+    Then I should see "Student Two" in the "[data-region='reactors-popover']" "css_element"
+    And I should not see "Student Three" in the "[data-region='reactors-popover']" "css_element"
+
+  Scenario: Students cannot see who reacted when names are visible to teachers only
+    Given the following "local_reactions > enabled forums" exist:
+      | forum         | course | enabled | reactorvisibility |
+      | Introductions | C1     | 1       | 1                 |
+    When I log in as "student1"
+    And I am on the "Introductions" "forum activity" page
+    And I follow "Hello from Student One"
+    And I wait for reactions to load
+    And I hover ".local-reactions-pill[data-emoji='thumbsup']" "css_element"
+    Then "[data-region='reactors-popover']" "css_element" should not exist
+
+  Scenario: Everyone sees who reacted when names are visible to everyone
+    Given the following "local_reactions > enabled forums" exist:
+      | forum         | course | enabled | reactorvisibility |
+      | Introductions | C1     | 1       | 2                 |
+    When I log in as "student1"
+    And I am on the "Introductions" "forum activity" page
+    And I follow "Hello from Student One"
+    And I wait for reactions to load
+    And I hover ".local-reactions-pill[data-emoji='heart']" "css_element"
+    Then I should see "Student Three" in the "[data-region='reactors-popover']" "css_element"
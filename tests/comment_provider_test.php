@@ -0,0 +1,124 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+use core_privacy\local\request\approved_contextlist;
+use local_reactions\external\toggle_reaction;
+use local_reactions\privacy\provider as privacy_provider;
+use local_reactions\provider\comment_provider;
+
+/**
+ * Tests for reactions on core comments.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\provider\comment_provider
+ * @covers \local_reactions\observer
+ */
+final class comment_provider_test extends \advanced_testcase {
+    /**
+     * Create a glossary entry with one comment by a teacher.
+     *
+     * @return array [$context, $entry, $comment, $student]
+     */
+    private function create_comment(): array {
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $glossary = $generator->create_module('glossary', ['course' => $course->id]);
+        $teacher = $generator->create_and_enrol($course, 'editingteacher');
+        $student = $generator->create_and_enrol($course, 'student');
+        $entry = $generator->get_plugin_generator('mod_glossary')->create_content($glossary, [
+            'concept' => 'Photosynthesis',
+            'userid' => $student->id,
+        ]);
+        $comment = $generator->get_plugin_generator('local_reactions')->create_comment([
+            'glossaryentry' => 'Photosynthesis',
+            'userid' => $teacher->id,
+            'content' => 'Nice summary',
+        ]);
+        set_config('enabledcomments', 1, 'local_reactions');
+
+        return [\context_module::instance($glossary->cmid), $entry, $comment, $student];
+    }
+
+    /**
+     * Students can react to comments they can see, in the comment's own context.
+     */
+    public function test_toggle_reaction(): void {
+        $this->resetAfterTest();
+        [$context, , $comment, $student] = $this->create_comment();
+
+        $provider = new comment_provider();
+        $this->assertEquals($context->id, $provider->get_context_for_item($comment->id)->id);
+        $this->assertNull($provider->get_context_for_item($comment->id + 1));
+
+        $this->setUser($student);
+        $result = toggle_reaction::execute('core_comment', 'comment', $comment->id, 'thumbsup');
+        $this->assertEquals('added', $result['action']);
+        $this->assertEquals(['thumbsup'], $result['userreactions']);
+    }
+
+    /**
+     * Comment reactions are off until the site setting is enabled.
+     */
+    public function test_disabled(): void {
+        $this->resetAfterTest();
+        [, , $comment, $student] = $this->create_comment();
+        set_config('enabledcomments', 0, 'local_reactions');
+
+        $this->setUser($student);
+        $this->expectException(\moodle_exception::class);
+        $this->expectExceptionMessage(get_string('reactionsnotenabled', 'local_reactions'));
+        toggle_reaction::execute('core_comment', 'comment', $comment->id, 'thumbsup');
+    }
+
+    /**
+     * Deleting a comment deletes its reactions.
+     */
+    public function test_comment_deleted(): void {
+        global $DB;
+        $this->resetAfterTest();
+        [$context, $entry, $comment, $student] = $this->create_comment();
+        manager::toggle_reaction('core_comment', 'comment', $comment->id, $student->id, 'heart');
+
+        \mod_glossary\event\comment_deleted::create([
+            'context' => $context,
+            'objectid' => $comment->id,
+            'other' => ['itemid' => $entry->id],
+        ])->trigger();
+
+        $this->assertFalse($DB->record_exists('local_reactions', ['component' => 'core_comment', 'itemid' => $comment->id]));
+    }
+
+    /**
+     * Reactions on comments are found and deleted in the comment's context.
+     */
+    public function test_privacy(): void {
+        global $DB;
+        $this->resetAfterTest();
+        [$context, , $comment, $student] = $this->create_comment();
+        manager::toggle_reaction('core_comment', 'comment', $comment->id, $student->id, 'heart');
+
+        $contextids = privacy_provider::get_contexts_for_userid($student->id)->get_contextids();
+        $this->assertEquals([$context->id], array_values($contextids));
+
+        privacy_provider::delete_data_for_user(new approved_contextlist($student, 'local_reactions', [$context->id]));
+        $this->assertFalse($DB->record_exists('local_reactions', ['component' => 'core_comment', 'userid' => $student->id]));
+    }
+}
@@ -0,0 +1,214 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+use core_external\external_api;
+use local_reactions\external\get_discussion_ranking;
+
+/**
+ * Tests for sorting and filtering forum discussions by their reactions.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\discussion_ranking
+ * @covers \local_reactions\external\get_discussion_ranking
+ */
+final class discussion_ranking_test extends \advanced_testcase {
+    /**
+     * Create an enabled forum with three discussions, reacted to as follows:
+     *   Quiet: nothing.
+     *   Popular: heart x3 (the last one an hour ago).
+     *   Recent: thumbsup x2 (one by the student, the last one a minute ago).
+     *
+     * @return array [$cm, $student, $discussions] where $discussions maps name to discussion ID.
+     */
+    private function create_forum(): array {
+        global $DB;
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $student = $generator->create_and_enrol($course, 'student');
+        $others = [];
+        for ($i = 0; $i < 3; $i++) {
+            $others[] = $generator->create_and_enrol($course, 'student');
+        }
+        $reactionsgenerator = $generator->get_plugin_generator('local_reactions');
+        $reactionsgenerator->create_enabled_forum(['cmid' => $forum->cmid]);
+        manager::clear_forum_config_cache();
+
+        $discussions = [];
+        foreach (['Quiet', 'Popular', 'Recent'] as $name) {
+            $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+                'course' => $course->id,
+                'forum' => $forum->id,
+                'userid' => $others[0]->id,
+                'name' => $name,
+            ]);
+            $discussions[$name] = (int) $discussion->id;
+        }
+
+        $react = function (string $name, int $userid, string $emoji, int $ago) use ($DB, $discussions, $reactionsgenerator) {
+            $reactionsgenerator->create_reaction([
+                'itemid' => $DB->get_field('forum_discussions', 'firstpost', ['id' => $discussions[$name]]),
+                'component' => 'mod_forum',
+                'itemtype' => 'post',
+                'userid' => $userid,
+                'emoji' => $emoji,
+                'timecreated' => time() - $ago,
+            ]);
+        };
+        foreach ($others as $i => $other) {
+            $react('Popular', $other->id, 'heart', 3600 * (3 - $i));
+        }
+        $react('Recent', $student->id, 'thumbsup', 600);
+        $react('Recent', $others[0]->id, 'thumbsup', 60);
+
+        return [get_coursemodule_from_id('forum', $forum->cmid), $student, $discussions];
+    }
+
+    /**
+     * Rank the forum's discussions and return their IDs in order.
+     *
+     * @param \stdClass $cm
+     * @param \stdClass $user
+     * @param string $sort
+     * @param string $emoji
+     * @param string $filter
+     * @return int[]
+     */
+    private function ranked_ids(\stdClass $cm, \stdClass $user, string $sort, string $emoji = '', string $filter = 'all'): array {
+        $result = discussion_ranking::rank($cm, $user, $sort, $emoji, $filter);
+        return array_map(fn(\stdClass $entry): int => $entry->summary->get_discussion()->get_id(), $result['discussions']);
+    }
+
+    /**
+     * Each sort ranks by its own statistic.
+     */
+    public function test_sorts(): void {
+        $this->resetAfterTest();
+        [$cm, $student, $ids] = $this->create_forum();
+
+        $this->assertSame(
+            [$ids['Popular'], $ids['Recent'], $ids['Quiet']],
+            $this->ranked_ids($cm, $student, discussion_ranking::SORT_REACTIONS)
+        );
+        $this->assertSame(
+            [$ids['Recent'], $ids['Popular'], $ids['Quiet']],
+            $this->ranked_ids($cm, $student, discussion_ranking::SORT_RECENT)
+        );
+        $this->assertSame(
+            $ids['Recent'],
+            $this->ranked_ids($cm, $student, discussion_ranking::SORT_EMOJI, 'thumbsup')[0]
+        );
+    }
+
+    /**
+     * Filters keep only the discussions without reactions, or those the user reacted to.
+     */
+    public function test_filters(): void {
+        $this->resetAfterTest();
+        [$cm, $student, $ids] = $this->create_forum();
+
+        $this->assertSame(
+            [$ids['Quiet']],
+            $this->ranked_ids($cm, $student, discussion_ranking::SORT_DEFAULT, '', discussion_ranking::FILTER_NOREACTIONS)
+        );
+        $this->assertSame(
+            [$ids['Recent']],
+            $this->ranked_ids($cm, $student, discussion_ranking::SORT_REACTIONS, '', discussion_ranking::FILTER_MINE)
+        );
+    }
+
+    /**
+     * Reactions on a private reply only count for the users who can read the reply.
+     */
+    public function test_private_replies(): void {
+        global $DB;
+        $this->resetAfterTest();
+        [$cm, $student, $ids] = $this->create_forum();
+        $generator = $this->getDataGenerator();
+        $course = get_course($cm->course);
+        $author = $generator->create_and_enrol($course, 'student');
+        $recipient = $generator->create_and_enrol($course, 'student');
+        $teacher = $generator->create_and_enrol($course, 'editingteacher');
+
+        $reply = $generator->get_plugin_generator('mod_forum')->create_post([
+            'discussion' => $ids['Quiet'],
+            'parent' => $DB->get_field('forum_discussions', 'firstpost', ['id' => $ids['Quiet']]),
+            'userid' => $author->id,
+            'privatereplyto' => $recipient->id,
+        ]);
+        $generator->get_plugin_generator('local_reactions')->create_reaction([
+            'itemid' => $reply->id,
+            'component' => 'mod_forum',
+            'itemtype' => 'post',
+            'userid' => $recipient->id,
+            'emoji' => 'heart',
+        ]);
+
+        $noreactions = fn(\stdClass $user): array => $this->ranked_ids(
+            $cm,
+            $user,
+            discussion_ranking::SORT_DEFAULT,
+            '',
+            discussion_ranking::FILTER_NOREACTIONS
+        );
+        $this->assertSame([$ids['Quiet']], $noreactions($student));
+        $this->assertSame([], $noreactions($author));
+        $this->assertSame([], $noreactions($recipient));
+        $this->assertSame([], $noreactions($teacher));
+        $this->assertSame(
+            [$ids['Quiet']],
+            $this->ranked_ids($cm, $recipient, discussion_ranking::SORT_REACTIONS, '', discussion_ranking::FILTER_MINE)
+        );
+    }
+
+    /**
+     * The web service pages through the whole ranking, not just one page of the forum's list.
+     */
+    public function test_external_pages(): void {
+        $this->resetAfterTest();
+        [$cm, $student, $ids] = $this->create_forum();
+        $this->setUser($student);
+
+        $result = external_api::clean_returnvalue(
+            get_discussion_ranking::execute_returns(),
+            get_discussion_ranking::execute($cm->id, 'reactions', '', 'all', 1, 2)
+        );
+        $this->assertEquals(3, $result['total']);
+        $this->assertCount(1, $result['discussions']);
+        $this->assertEquals($ids['Quiet'], $result['discussions'][0]['discussionid']);
+        $this->assertEquals([], $result['discussions'][0]['counts']);
+
+        $result = get_discussion_ranking::execute($cm->id, 'reactions', '', 'all', 0, 2);
+        $this->assertEquals([['emoji' => 'heart', 'count' => 3]], $result['discussions'][0]['counts']);
+    }
+
+    /**
+     * Unknown sorts and filters are rejected.
+     */
+    public function test_external_rejects_unknown_sort(): void {
+        $this->resetAfterTest();
+        [$cm, $student] = $this->create_forum();
+        $this->setUser($student);
+
+        $this->expectException(\invalid_parameter_exception::class);
+        get_discussion_ranking::execute($cm->id, 'popularity');
+    }
+}
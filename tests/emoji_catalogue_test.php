@@ -0,0 +1,199 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+use core_external\external_api;
+use local_reactions\external\get_emoji_catalogue;
+use local_reactions\external\toggle_reaction;
+
+/**
+ * Tests for the extended picker's emoji catalogue, category filter and recently used emoji.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\emoji_catalogue
+ * @covers \local_reactions\external\get_emoji_catalogue
+ * @covers \local_reactions\manager
+ */
+final class emoji_catalogue_test extends \advanced_testcase {
+    /**
+     * Create an enabled forum with a post and a student enrolled in the course.
+     *
+     * @return array [$student, $post]
+     */
+    private function create_forum_post(): array {
+        global $DB;
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $student = $generator->create_and_enrol($course, 'student');
+        $generator->get_plugin_generator('local_reactions')->create_enabled_forum(['cmid' => $forum->cmid]);
+        manager::clear_forum_config_cache();
+
+        $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+            'course' => $course->id,
+            'forum' => $forum->id,
+            'userid' => $student->id,
+        ]);
+        return [$student, $DB->get_record('forum_posts', ['discussion' => $discussion->id])];
+    }
+
+    /**
+     * Shortcodes must be unique across categories and valid as PARAM_ALPHANUMEXT web service values.
+     */
+    public function test_shortcodes_are_unique_and_clean(): void {
+        $this->resetAfterTest();
+
+        $seen = [];
+        foreach (emoji_catalogue::export_categories() as $category) {
+            $this->assertNotEmpty($category['emoji']);
+            foreach ($category['emoji'] as $emoji) {
+                $this->assertArrayNotHasKey($emoji['shortcode'], $seen);
+                $this->assertSame($emoji['shortcode'], clean_param($emoji['shortcode'], PARAM_ALPHANUMEXT));
+                $this->assertLessThanOrEqual(20, \core_text::strlen($emoji['shortcode']));
+                $seen[$emoji['shortcode']] = true;
+            }
+        }
+        $this->assertCount(count($seen), emoji_catalogue::get_emoji());
+    }
+
+    /**
+     * Every catalogue and default emoji set shortcode has a localised name, and other shortcodes get a readable one.
+     */
+    public function test_emoji_names(): void {
+        $this->resetAfterTest();
+        $strings = get_string_manager();
+
+        foreach (emoji_catalogue::export_categories() as $category) {
+            foreach ($category['emoji'] as $emoji) {
+                $this->assertTrue($strings->string_exists('emoji:' . $emoji['shortcode'], 'local_reactions'));
+                $this->assertSame(get_string('emoji:' . $emoji['shortcode'], 'local_reactions'), $emoji['name']);
+            }
+        }
+        $this->assertSame('Thumbs up', emoji_catalogue::get_name('thumbsup'));
+        $this->assertSame('Light bulb', emoji_catalogue::get_name('light_bulb'));
+
+        $names = manager::get_emoji_names();
+        $this->assertSame(array_keys(manager::get_emoji_set()), array_keys($names));
+        foreach (array_keys($names) as $shortcode) {
+            $this->assertTrue($strings->string_exists('emoji:' . $shortcode, 'local_reactions'));
+        }
+        $this->assertSame('Laughing', $names['laugh']);
+    }
+
+    /**
+     * The whitelist offers only the selected categories and the blacklist everything else.
+     */
+    public function test_category_filter(): void {
+        $this->resetAfterTest();
+        $all = emoji_catalogue::get_categories();
+
+        set_config('cataloguecategories', 'food,smileys', 'local_reactions');
+        $this->assertSame($all, emoji_catalogue::get_allowed_categories());
+
+        set_config('cataloguefilter', emoji_catalogue::FILTER_WHITELIST, 'local_reactions');
+        $this->assertSame(['smileys', 'food'], emoji_catalogue::get_allowed_categories());
+        $this->assertArrayHasKey('pizza', emoji_catalogue::get_emoji());
+        $this->assertArrayNotHasKey('rocket', emoji_catalogue::get_emoji());
+
+        set_config('cataloguefilter', emoji_catalogue::FILTER_BLACKLIST, 'local_reactions');
+        $this->assertNotContains('food', emoji_catalogue::get_allowed_categories());
+        $this->assertNotContains('smileys', emoji_catalogue::get_allowed_categories());
+        $this->assertCount(count($all) - 2, emoji_catalogue::get_allowed_categories());
+        $this->assertArrayNotHasKey('pizza', emoji_catalogue::get_emoji());
+        $this->assertArrayHasKey('rocket', emoji_catalogue::get_emoji());
+    }
+
+    /**
+     * Catalogue emoji are accepted only while the extended picker is on and their category is allowed.
+     */
+    public function test_toggle_validates_catalogue_emoji(): void {
+        $this->resetAfterTest();
+        [$student] = $this->create_forum_post();
+
+        try {
+            manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'rocket');
+            $this->fail('Catalogue emoji accepted with the extended picker off');
+        } catch (\invalid_parameter_exception $e) {
+            $this->assertStringContainsString('rocket', $e->getMessage());
+        }
+
+        set_config('extendedpicker', 1, 'local_reactions');
+        $result = manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'rocket');
+        $this->assertSame('added', $result['action']);
+
+        // Admin set emoji stay valid whatever the filter says.
+        set_config('cataloguefilter', emoji_catalogue::FILTER_WHITELIST, 'local_reactions');
+        set_config('cataloguecategories', 'food', 'local_reactions');
+        $result = manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'thumbsup');
+        $this->assertSame('added', $result['action']);
+
+        $this->expectException(\invalid_parameter_exception::class);
+        manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'rocket');
+    }
+
+    /**
+     * Adding reactions records recently used emoji, most recent first and without duplicates.
+     */
+    public function test_toggle_records_recent_emoji(): void {
+        $this->resetAfterTest();
+        [$student, $post] = $this->create_forum_post();
+        set_config('extendedpicker', 1, 'local_reactions');
+        $this->setUser($student);
+
+        toggle_reaction::execute('mod_forum', 'post', $post->id, 'rocket');
+        toggle_reaction::execute('mod_forum', 'post', $post->id, 'pizza');
+        toggle_reaction::execute('mod_forum', 'post', $post->id, 'rocket');
+        toggle_reaction::execute('mod_forum', 'post', $post->id, 'rocket');
+
+        // Removing a reaction leaves the list alone.
+        $this->assertSame(['rocket', 'pizza'], emoji_catalogue::get_recent($student->id));
+
+        for ($i = 0; $i < emoji_catalogue::RECENT_LIMIT + 2; $i++) {
+            emoji_catalogue::add_recent($student->id, 'pizza');
+            emoji_catalogue::add_recent($student->id, array_keys(emoji_catalogue::get_emoji())[$i]);
+        }
+        $this->assertCount(emoji_catalogue::RECENT_LIMIT, emoji_catalogue::get_recent($student->id));
+    }
+
+    /**
+     * The web service returns the allowed categories and the user's recent emoji, or nothing when off.
+     */
+    public function test_get_emoji_catalogue(): void {
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $this->setUser($user);
+
+        $result = external_api::clean_returnvalue(get_emoji_catalogue::execute_returns(), get_emoji_catalogue::execute());
+        $this->assertSame([], $result['categories']);
+        $this->assertSame([], $result['recent']);
+
+        set_config('extendedpicker', 1, 'local_reactions');
+        set_config('cataloguefilter', emoji_catalogue::FILTER_WHITELIST, 'local_reactions');
+        set_config('cataloguecategories', 'travel', 'local_reactions');
+        emoji_catalogue::add_recent($user->id, 'pizza');
+        emoji_catalogue::add_recent($user->id, 'rocket');
+
+        $result = external_api::clean_returnvalue(get_emoji_catalogue::execute_returns(), get_emoji_catalogue::execute());
+        $this->assertSame(['travel'], array_column($result['categories'], 'category'));
+        $this->assertContains('rocket', array_column($result['categories'][0]['emoji'], 'shortcode'));
+        // Pizza's category is no longer allowed, so it drops out of the recent list.
+        $this->assertSame(['rocket'], $result['recent']);
+    }
+}
@@ -0,0 +1,258 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+/**
+ * Tests for per-course and per-activity emoji sets.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\emoji_sets
+ * @covers \local_reactions\manager
+ */
+final class emoji_sets_test extends \advanced_testcase {
+    /**
+     * Shortcodes on their own pick emoji from the base set or the catalogue; pairs add emoji of their own.
+     */
+    public function test_parse(): void {
+        $base = ['thumbsup' => '👍', 'heart' => '❤️', 'laugh' => '😂'];
+
+        $this->assertSame(['heart' => '❤️', 'thumbsup' => '👍'], emoji_sets::parse('heart, thumbsup', $base));
+        $this->assertSame(['thumbsup' => '👍', 'idea' => '💡'], emoji_sets::parse("thumbsup\nidea:💡", $base));
+        $this->assertSame(['heart' => '💜'], emoji_sets::parse('heart:💜', $base));
+        $this->assertSame(['light_bulb' => emoji_catalogue::get_unicode('light_bulb')], emoji_sets::parse('light_bulb', $base));
+        $this->assertSame(['laugh' => '😂'], emoji_sets::parse('nosuchemoji,laugh,,', $base));
+        $this->assertSame([], emoji_sets::parse('', $base));
+
+        $this->assertSame('thumbsup:👍,heart:❤️,laugh:😂', emoji_sets::format($base));
+    }
+
+    /**
+     * Malformed entries, unknown shortcodes and clashes with stickers are reported.
+     */
+    public function test_validate(): void {
+        $this->resetAfterTest();
+        $base = ['thumbsup' => '👍', 'heart' => '❤️'];
+        $context = \context_course::instance($this->getDataGenerator()->create_course()->id);
+
+        $this->assertNull(emoji_sets::validate('thumbsup, light_bulb, idea:💡', $base, $context));
+        $this->assertNull(emoji_sets::validate('', $base, $context));
+        $this->assertSame(
+            get_string('emojisetunknown', 'local_reactions', 'nosuchemoji'),
+            emoji_sets::validate('thumbsup,nosuchemoji', $base, $context)
+        );
+        $this->assertSame(
+            get_string('emojisetinvalidshortcode', 'local_reactions', 'thumbs up:👍'),
+            emoji_sets::validate('thumbs up:👍', $base, $context)
+        );
+        $this->assertSame(
+            get_string('emojisetinvalidshortcode', 'local_reactions', str_repeat('a', 21)),
+            emoji_sets::validate(str_repeat('a', 21), $base, $context)
+        );
+        $this->assertSame(
+            get_string('emojisetnoemoji', 'local_reactions', 'idea'),
+            emoji_sets::validate('idea:', $base, $context)
+        );
+
+        $this->setAdminUser();
+        $this->create_sticker(\context_system::instance(), 'mascot');
+        $this->assertSame(
+            get_string('emojisetstickertaken', 'local_reactions', 'mascot'),
+            emoji_sets::validate('mascot:🦉', $base, $context)
+        );
+    }
+
+    /**
+     * An activity's set replaces the course's default set, which replaces the site's; the emoji they leave out
+     * are retired.
+     */
+    public function test_get_emoji_set(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $other = $generator->create_module('forum', ['course' => $course->id]);
+        $reactionsgenerator = $generator->get_plugin_generator('local_reactions');
+        $reactionsgenerator->create_enabled_forum(['cmid' => $forum->cmid]);
+        $reactionsgenerator->create_enabled_forum(['cmid' => $other->cmid]);
+        manager::clear_forum_config_cache();
+
+        $coursecontext = \context_course::instance($course->id);
+        $forumcontext = \context_module::instance($forum->cmid);
+        $othercontext = \context_module::instance($other->cmid);
+        $site = manager::get_emoji_set();
+        $this->assertSame($site, manager::get_emoji_set($forumcontext));
+        $this->assertSame([], manager::get_retired_emoji($forumcontext));
+
+        emoji_sets::save_for_context($coursecontext, 'heart,thumbsup,idea:💡');
+        $this->assertSame('heart,thumbsup,idea:💡', emoji_sets::get_for_context($coursecontext));
+        $this->assertSame(['heart' => '❤️', 'thumbsup' => '👍', 'idea' => '💡'], manager::get_emoji_set($othercontext));
+        $this->assertArrayHasKey('laugh', manager::get_retired_emoji($othercontext));
+        $this->assertArrayNotHasKey('heart', manager::get_retired_emoji($othercontext));
+
+        // Shortcodes on their own can pick from the course's set and the site's.
+        $reactionsgenerator->create_enabled_forum(['cmid' => $forum->cmid, 'emojis' => 'idea,laugh']);
+        manager::clear_forum_config_cache();
+        $this->assertSame(['idea' => '💡', 'laugh' => '😂'], manager::get_emoji_set($forumcontext));
+        $retired = manager::get_retired_emoji($forumcontext);
+        $this->assertArrayHasKey('heart', $retired);
+        $this->assertArrayHasKey('thumbsup', $retired);
+        $this->assertArrayNotHasKey('idea', $retired);
+        $this->assertSame('Idea', manager::get_emoji_names($forumcontext)['idea']);
+        $this->assertArrayHasKey('heart', manager::get_emoji_names($forumcontext));
+        $this->assertSame(['heart' => '❤️', 'thumbsup' => '👍', 'idea' => '💡'], manager::get_emoji_set($othercontext));
+
+        $js = manager::export_emoji_for_js($forumcontext);
+        $this->assertSame(['idea' => '💡', 'laugh' => '😂'], $js['emojis']);
+        $this->assertSame($retired, $js['retiredemojis']);
+
+        // Emptying the course's set goes back to the site's, but keeps the course's own emoji as retired.
+        emoji_sets::save_for_context($coursecontext, '');
+        $this->assertSame($site, manager::get_emoji_set($othercontext));
+        $this->assertSame('', emoji_sets::get_for_context($coursecontext));
+        $this->assertSame(['idea' => '💡'], emoji_sets::get_retired_for_context($coursecontext));
+
+        // A course that only ever used the site's set needs no row.
+        $context = \context_course::instance($generator->create_course()->id);
+        emoji_sets::save_for_context($context, '');
+        $this->assertFalse($DB->record_exists('local_reactions_emojisets', ['contextid' => $context->id]));
+    }
+
+    /**
+     * Emoji of their own that course and activity sets stop offering stay known, so reactions made with
+     * them are still shown.
+     */
+    public function test_retired_own_emoji(): void {
+        global $CFG;
+        require_once($CFG->dirroot . '/local/reactions/lib.php');
+        $this->resetAfterTest();
+        set_config('enabled', 1, 'local_reactions');
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $coursecontext = \context_course::instance($course->id);
+        $forumcontext = \context_module::instance($forum->cmid);
+
+        emoji_sets::save_for_context($coursecontext, 'heart,pi:π');
+        emoji_sets::save_for_context($coursecontext, 'heart');
+        $this->assertSame(['pi' => 'π'], emoji_sets::get_retired_for_context($coursecontext));
+
+        $save = function (string $emojis) use ($course, $forum): void {
+            local_reactions_coursemodule_edit_post_actions((object) [
+                'coursemodule' => $forum->cmid,
+                'modulename' => 'forum',
+                'instance' => $forum->id,
+                'local_reactions_enabled' => 1,
+                'local_reactions_emojis' => $emojis,
+            ], $course);
+        };
+        $save('thumbsup,tau:τ');
+        $this->assertArrayNotHasKey('tau', manager::get_retired_emoji($forumcontext));
+        $save('thumbsup');
+        $retired = manager::get_retired_emoji($forumcontext);
+        $this->assertSame('τ', $retired['tau']);
+        $this->assertSame('π', $retired['pi']);
+        $this->assertSame('❤️', $retired['heart']);
+        $this->assertArrayNotHasKey('thumbsup', $retired);
+
+        // Offering an emoji again takes it out of the retired ones.
+        $save('thumbsup,tau:τ');
+        $this->assertArrayNotHasKey('tau', manager::get_retired_emoji($forumcontext));
+        $this->assertSame('τ', manager::export_emoji_for_js($forumcontext)['emojis']['tau']);
+    }
+
+    /**
+     * Reactions with emoji left out of a set are kept and can be removed, but not added.
+     */
+    public function test_toggle_retired_emoji(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $student = $generator->create_and_enrol($course, 'student');
+        $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+            'course' => $course->id,
+            'forum' => $forum->id,
+            'userid' => $student->id,
+        ]);
+        $reactionsgenerator = $generator->get_plugin_generator('local_reactions');
+        $reactionsgenerator->create_enabled_forum(['cmid' => $forum->cmid]);
+        manager::clear_forum_config_cache();
+        $context = \context_module::instance($forum->cmid);
+        $postid = (int) $discussion->firstpost;
+
+        manager::toggle_reaction('mod_forum', 'post', $postid, $student->id, 'laugh', true, $context);
+        $reactionsgenerator->create_enabled_forum(['cmid' => $forum->cmid, 'emojis' => 'thumbsup,heart']);
+        manager::clear_forum_config_cache();
+
+        $reactions = manager::get_reactions('mod_forum', 'post', [$postid], $student->id);
+        $this->assertEquals(1, $reactions[$postid]['counts']['laugh']);
+
+        $result = manager::toggle_reaction('mod_forum', 'post', $postid, $student->id, 'laugh', true, $context);
+        $this->assertSame('removed', $result['action']);
+        $this->assertFalse($DB->record_exists('local_reactions', ['itemid' => $postid, 'emoji' => 'laugh']));
+
+        $this->expectException(\invalid_parameter_exception::class);
+        manager::toggle_reaction('mod_forum', 'post', $postid, $student->id, 'laugh', true, $context);
+    }
+
+    /**
+     * Deleting a course deletes its default emoji set.
+     */
+    public function test_course_deleted(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $context = \context_course::instance($course->id);
+        emoji_sets::save_for_context($context, 'thumbsup');
+        $this->assertTrue($DB->record_exists('local_reactions_emojisets', ['contextid' => $context->id]));
+
+        delete_course($course, false);
+        $this->assertFalse($DB->record_exists('local_reactions_emojisets', ['contextid' => $context->id]));
+        $this->assertSame('', emoji_sets::get_for_context($context));
+    }
+
+    /**
+     * Save a sticker with a small image, as the sticker form would.
+     *
+     * @param \context $context System or course context.
+     * @param string $shortcode Sticker shortcode.
+     */
+    private function create_sticker(\context $context, string $shortcode): void {
+        global $USER;
+        $draftitemid = file_get_unused_draft_itemid();
+        get_file_storage()->create_file_from_string([
+            'contextid' => \context_user::instance($USER->id)->id,
+            'component' => 'user',
+            'filearea' => 'draft',
+            'itemid' => $draftitemid,
+            'filepath' => '/',
+            'filename' => $shortcode . '.png',
+        ], 'not really a png');
+
+        stickers::save($context, (object) [
+            'id' => 0,
+            'shortcode' => $shortcode,
+            'alttext' => ucfirst($shortcode),
+            'image' => $draftitemid,
+        ]);
+    }
+}
@@ -0,0 +1,160 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use local_reactions\manager;
+
+/**
+ * Tests for the access check of embedded reactions placeholders.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\external\get_embed_config
+ */
+final class get_embed_config_test extends \advanced_testcase {
+    /**
+     * Create a forum in a course, with one discussion by a user.
+     *
+     * @param \stdClass $course
+     * @param \stdClass $user Author of the discussion.
+     * @param array|null $settings Reactions settings for the forum, or null to leave reactions off.
+     * @return array [$context, $post]
+     */
+    private function create_forum_post(\stdClass $course, \stdClass $user, ?array $settings = []): array {
+        global $DB;
+        $generator = $this->getDataGenerator();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        if ($settings !== null) {
+            $generator->get_plugin_generator('local_reactions')->create_enabled_forum(['cmid' => $forum->cmid] + $settings);
+        }
+        manager::clear_forum_config_cache();
+        $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+            'course' => $course->id,
+            'forum' => $forum->id,
+            'userid' => $user->id,
+        ]);
+        $post = $DB->get_record('forum_posts', ['discussion' => $discussion->id]);
+        return [\context_module::instance($forum->cmid), $post];
+    }
+
+    /**
+     * Call get_embed_config for forum posts and clean the response as the external API would.
+     *
+     * @param array $items List of [component, itemtype, itemid].
+     * @return array The instances.
+     */
+    private function get_embed_config(array $items): array {
+        $items = array_map(fn(array $item): array => [
+            'component' => $item[0],
+            'itemtype' => $item[1],
+            'itemid' => $item[2],
+        ], $items);
+        $result = external_api::clean_returnvalue(get_embed_config::execute_returns(), get_embed_config::execute($items));
+        return $result['instances'];
+    }
+
+    /**
+     * Only items the user can see, in activities with reactions enabled, are accepted.
+     */
+    public function test_checks_each_item(): void {
+        $this->resetAfterTest();
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $othercourse = $generator->create_course();
+        $student = $generator->create_and_enrol($course, 'student');
+        $teacher = $generator->create_and_enrol($othercourse, 'editingteacher');
+        [$context, $post] = $this->create_forum_post($course, $student, ['allowmultiplereactions' => 0]);
+        [, $disabledpost] = $this->create_forum_post($course, $student, null);
+        [, $otherpost] = $this->create_forum_post($othercourse, $teacher);
+
+        $this->setUser($student);
+        $instances = $this->get_embed_config([
+            ['mod_forum', 'post', $post->id],
+            ['mod_forum', 'post', $disabledpost->id],
+            ['mod_forum', 'post', $otherpost->id],
+            ['mod_forum', 'post', $otherpost->id + 100],
+            ['mod_unknown', 'post', $post->id],
+        ]);
+
+        $this->assertCount(1, $instances);
+        $this->assertEquals('mod_forum', $instances[0]['component']);
+        $this->assertEquals('post', $instances[0]['itemtype']);
+        $this->assertEquals($context->id, $instances[0]['contextid']);
+        $this->assertTrue($instances[0]['canreact']);
+        $this->assertFalse($instances[0]['allowmultiple']);
+        $this->assertFalse($instances[0]['canviewreactors']);
+        $this->assertEquals([$post->id], $instances[0]['itemids']);
+    }
+
+    /**
+     * Items are grouped by context and settings, and the react capability is reported rather than required.
+     */
+    public function test_groups_items_by_context(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $student = $generator->create_and_enrol($course, 'student');
+        [$context1, $post1] = $this->create_forum_post($course, $student);
+        [$context2, $post2] = $this->create_forum_post($course, $student);
+        $reply = $generator->get_plugin_generator('mod_forum')->create_post([
+            'discussion' => $post1->discussion,
+            'parent' => $post1->id,
+            'userid' => $student->id,
+        ]);
+        $studentrole = $DB->get_field('role', 'id', ['shortname' => 'student'], MUST_EXIST);
+        assign_capability('local/reactions:react', CAP_PROHIBIT, $studentrole, $context2->id);
+
+        $this->setUser($student);
+        $instances = $this->get_embed_config([
+            ['mod_forum', 'post', $post1->id],
+            ['mod_forum', 'post', $post2->id],
+            ['mod_forum', 'post', $reply->id],
+        ]);
+
+        $this->assertCount(2, $instances);
+        $bycontext = array_column($instances, null, 'contextid');
+        $this->assertEqualsCanonicalizing([$post1->id, $reply->id], $bycontext[$context1->id]['itemids']);
+        $this->assertTrue($bycontext[$context1->id]['canreact']);
+        $this->assertEquals([$post2->id], $bycontext[$context2->id]['itemids']);
+        $this->assertFalse($bycontext[$context2->id]['canreact']);
+    }
+
+    /**
+     * Each instance carries the emoji set of its activity, with the emoji it left out marked as retired.
+     */
+    public function test_returns_emoji_set(): void {
+        $this->resetAfterTest();
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $student = $generator->create_and_enrol($course, 'student');
+        [, $post] = $this->create_forum_post($course, $student, ['emojis' => 'heart,idea:💡']);
+
+        $this->setUser($student);
+        $instances = $this->get_embed_config([['mod_forum', 'post', $post->id]]);
+
+        $emojis = array_column($instances[0]['emojis'], null, 'shortcode');
+        $this->assertSame(['heart', 'idea'], array_keys(array_filter($emojis, fn(array $emoji): bool => !$emoji['retired'])));
+        $this->assertSame('💡', $emojis['idea']['unicode']);
+        $this->assertSame('Idea', $emojis['idea']['name']);
+        $this->assertTrue($emojis['thumbsup']['retired']);
+        $this->assertSame('Thumbs up', $emojis['thumbsup']['name']);
+    }
+}
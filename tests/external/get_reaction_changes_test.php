@@ -0,0 +1,236 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use local_reactions\manager;
+
+/**
+ * Tests for the delta polling web services and the change log behind them.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\external\get_reaction_changes
+ * @covers \local_reactions\external\get_discussion_reaction_changes
+ * @covers \local_reactions\external\wait_for_changes
+ * @covers \local_reactions\manager
+ */
+final class get_reaction_changes_test extends \advanced_testcase {
+    /**
+     * Create an enabled forum with two discussions and a student enrolled in the course.
+     *
+     * @return array [$context, $student, $post1, $post2]; each post is in its own discussion.
+     */
+    private function create_forum(): array {
+        global $DB;
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $student = $generator->create_and_enrol($course, 'student');
+        $generator->get_plugin_generator('local_reactions')->create_enabled_forum(['cmid' => $forum->cmid]);
+        manager::clear_forum_config_cache();
+
+        $posts = [];
+        for ($i = 0; $i < 2; $i++) {
+            $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+                'course' => $course->id,
+                'forum' => $forum->id,
+                'userid' => $student->id,
+            ]);
+            $posts[] = $DB->get_record('forum_posts', ['discussion' => $discussion->id]);
+        }
+
+        return [\context_module::instance($forum->cmid), $student, ...$posts];
+    }
+
+    /**
+     * Call get_reaction_changes and clean the response as the external API would.
+     *
+     * @param \context $context
+     * @param int[] $itemids
+     * @param int $cursor
+     * @return array
+     */
+    private function get_changes(\context $context, array $itemids, int $cursor): array {
+        $result = get_reaction_changes::execute('mod_forum', 'post', $itemids, $context->id, $cursor);
+        return external_api::clean_returnvalue(get_reaction_changes::execute_returns(), $result);
+    }
+
+    /**
+     * Only items whose reactions changed since the cursor are returned, removals included.
+     */
+    public function test_returns_only_changed_items(): void {
+        $this->resetAfterTest();
+        [$context, $student, $post1, $post2] = $this->create_forum();
+        $this->setUser($student);
+
+        $initial = get_reactions::execute('mod_forum', 'post', [$post1->id, $post2->id], $context->id);
+        $cursor = $initial['cursor'];
+
+        $result = $this->get_changes($context, [$post1->id, $post2->id], $cursor);
+        $this->assertFalse($result['expired']);
+        $this->assertSame([], $result['items']);
+        $this->assertEquals($cursor, $result['cursor']);
+
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'thumbsup');
+        $result = $this->get_changes($context, [$post1->id, $post2->id], $cursor);
+        $this->assertCount(1, $result['items']);
+        $this->assertEquals($post1->id, $result['items'][0]['itemid']);
+        $this->assertEquals(['thumbsup'], $result['items'][0]['userreactions']);
+        $this->assertGreaterThan($cursor, $result['cursor']);
+        $cursor = $result['cursor'];
+
+        // Removing the reaction is a change too, reported with its now-empty counts.
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'thumbsup');
+        $result = $this->get_changes($context, [$post1->id, $post2->id], $cursor);
+        $this->assertCount(1, $result['items']);
+        $this->assertSame([], $result['items'][0]['counts']);
+
+        // Changes to items the caller did not ask about are not returned.
+        $cursor = $result['cursor'];
+        manager::toggle_reaction('mod_forum', 'post', $post2->id, $student->id, 'heart');
+        $result = $this->get_changes($context, [$post1->id], $cursor);
+        $this->assertSame([], $result['items']);
+    }
+
+    /**
+     * Discussion totals are reported for discussions containing a changed post.
+     */
+    public function test_discussion_changes(): void {
+        $this->resetAfterTest();
+        [$context, $student, $post1, $post2] = $this->create_forum();
+        $this->setUser($student);
+
+        $discussionids = [$post1->discussion, $post2->discussion];
+        $initial = get_discussion_reactions::execute('mod_forum', 'post', $discussionids, $context->id);
+
+        manager::toggle_reaction('mod_forum', 'post', $post2->id, $student->id, 'heart');
+
+        $result = get_discussion_reaction_changes::execute(
+            'mod_forum',
+            'post',
+            $discussionids,
+            $context->id,
+            $initial['cursor']
+        );
+        $result = external_api::clean_returnvalue(get_discussion_reaction_changes::execute_returns(), $result);
+        $this->assertFalse($result['expired']);
+        $this->assertCount(1, $result['items']);
+        $this->assertEquals($post2->discussion, $result['items'][0]['discussionid']);
+        $this->assertEquals([['emoji' => 'heart', 'count' => 1]], $result['items'][0]['counts']);
+    }
+
+    /**
+     * Once the log entries behind a cursor are pruned, the cursor expires and a full refresh is needed.
+     */
+    public function test_pruned_cursor_expires(): void {
+        global $DB;
+        $this->resetAfterTest();
+        [$context, $student, $post1] = $this->create_forum();
+        $this->setUser($student);
+
+        $cursor = get_reactions::execute('mod_forum', 'post', [$post1->id], $context->id)['cursor'];
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'thumbsup');
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'heart');
+
+        // Age every entry past the retention period.
+        $DB->set_field('local_reactions_changes', 'timecreated', time() - manager::CHANGES_RETENTION - 1);
+        $this->assertEquals(2, manager::prune_changes());
+        $this->assertEquals(0, $DB->count_records('local_reactions_changes'));
+
+        $result = $this->get_changes($context, [$post1->id], $cursor);
+        $this->assertTrue($result['expired']);
+        $this->assertSame([], $result['items']);
+
+        // The cursor handed back with the expiry is valid again, even though the log is now empty.
+        $result = $this->get_changes($context, [$post1->id], $result['cursor']);
+        $this->assertFalse($result['expired']);
+    }
+
+    /**
+     * A cursor ahead of the change log (e.g. after a database restore) is treated as expired.
+     */
+    public function test_future_cursor_expires(): void {
+        $this->resetAfterTest();
+        [$context, $student, $post1] = $this->create_forum();
+        $this->setUser($student);
+
+        $result = $this->get_changes($context, [$post1->id], manager::get_change_cursor() + 100);
+        $this->assertTrue($result['expired']);
+    }
+
+    /**
+     * Waiting reports changes to the watched items only, and hands back a cursor to wait from next.
+     */
+    public function test_wait_for_changes(): void {
+        $this->resetAfterTest();
+        [$context, $student, $post1, $post2] = $this->create_forum();
+        $this->setUser($student);
+
+        $cursor = manager::get_change_cursor();
+        $result = manager::wait_for_changes('mod_forum', 'post', [$post1->id], false, $cursor, 0);
+        $this->assertFalse($result['changed']);
+
+        // A change elsewhere moves the cursor on without waking the watcher.
+        manager::toggle_reaction('mod_forum', 'post', $post2->id, $student->id, 'heart');
+        $result = manager::wait_for_changes('mod_forum', 'post', [$post1->id], false, $cursor, 0);
+        $this->assertFalse($result['changed']);
+        $this->assertGreaterThan($cursor, $result['cursor']);
+        $cursor = $result['cursor'];
+
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'heart');
+        $result = manager::wait_for_changes('mod_forum', 'post', [$post1->id], false, $cursor, 0);
+        $this->assertTrue($result['changed']);
+
+        // Watching discussions works the same way, through the post's discussion.
+        $result = wait_for_changes::execute('mod_forum', 'post', [$post1->discussion], true, $context->id, $cursor);
+        $result = external_api::clean_returnvalue(wait_for_changes::execute_returns(), $result);
+        $this->assertTrue($result['changed']);
+
+        // Without a cursor, changes already in the log are reported rather than skipped.
+        $result = manager::wait_for_changes('mod_forum', 'post', [$post1->id], false, 0, 0);
+        $this->assertTrue($result['changed']);
+    }
+
+    /**
+     * Items and discussions from another context can't be watched through this one.
+     */
+    public function test_wait_for_changes_foreign_item(): void {
+        $this->resetAfterTest();
+        [$context, $student, $post1] = $this->create_forum();
+        [$othercontext, $otherstudent, $otherpost] = $this->create_forum();
+        $this->getDataGenerator()->enrol_user($student->id, $othercontext->get_course_context()->instanceid, 'student');
+        $this->setUser($student);
+
+        // The same item is fine through its own context.
+        manager::toggle_reaction('mod_forum', 'post', $otherpost->id, $otherstudent->id, 'heart');
+        $result = wait_for_changes::execute('mod_forum', 'post', [$otherpost->id], false, $othercontext->id, 0);
+        $this->assertTrue($result['changed']);
+
+        try {
+            wait_for_changes::execute('mod_forum', 'post', [$post1->id, $otherpost->id], false, $context->id, 0);
+            $this->fail('Expected invalid_parameter_exception');
+        } catch (\invalid_parameter_exception $e) {
+            $this->assertStringContainsString((string) $otherpost->id, $e->debuginfo);
+        }
+
+        $this->expectException(\invalid_parameter_exception::class);
+        wait_for_changes::execute('mod_forum', 'post', [$otherpost->discussion], true, $context->id, 0);
+    }
+}
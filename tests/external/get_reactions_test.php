@@ -0,0 +1,184 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use local_reactions\manager;
+
+/**
+ * Tests for the versioned full fetch web services.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\external\get_reactions
+ * @covers \local_reactions\external\get_discussion_reactions
+ * @covers \local_reactions\manager
+ */
+final class get_reactions_test extends \advanced_testcase {
+    /**
+     * Create an enabled forum with two discussions and two students enrolled in the course.
+     *
+     * @return array [$context, $student, $other, $post1, $post2]; each post is in its own discussion.
+     */
+    private function create_forum(): array {
+        global $DB;
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $student = $generator->create_and_enrol($course, 'student');
+        $other = $generator->create_and_enrol($course, 'student');
+        $generator->get_plugin_generator('local_reactions')->create_enabled_forum(['cmid' => $forum->cmid]);
+        manager::clear_forum_config_cache();
+
+        $posts = [];
+        for ($i = 0; $i < 2; $i++) {
+            $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+                'course' => $course->id,
+                'forum' => $forum->id,
+                'userid' => $student->id,
+            ]);
+            $posts[] = $DB->get_record('forum_posts', ['discussion' => $discussion->id]);
+        }
+
+        return [\context_module::instance($forum->cmid), $student, $other, ...$posts];
+    }
+
+    /**
+     * Call get_reactions and clean the response as the external API would.
+     *
+     * @param \context $context
+     * @param int[] $itemids
+     * @param array $versions
+     * @return array
+     */
+    private function get_reactions(\context $context, array $itemids, array $versions = []): array {
+        $result = get_reactions::execute('mod_forum', 'post', $itemids, $context->id, $versions);
+        return external_api::clean_returnvalue(get_reactions::execute_returns(), $result);
+    }
+
+    /**
+     * Items at the version the client sent are listed as unchanged instead of being sent again.
+     */
+    public function test_skips_items_at_known_version(): void {
+        $this->resetAfterTest();
+        [$context, $student, $other, $post1, $post2] = $this->create_forum();
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'thumbsup');
+        $this->setUser($student);
+
+        $initial = $this->get_reactions($context, [$post1->id, $post2->id]);
+        $this->assertCount(2, $initial['items']);
+        $this->assertSame([], $initial['unchanged']);
+        $versions = array_map(fn(array $item): array => [
+            'itemid' => $item['itemid'],
+            'version' => $item['version'],
+        ], $initial['items']);
+
+        $result = $this->get_reactions($context, [$post1->id, $post2->id], $versions);
+        $this->assertSame([], $result['items']);
+        $this->assertEqualsCanonicalizing([$post1->id, $post2->id], $result['unchanged']);
+
+        // Another user's reaction changes the counts, and so the version.
+        manager::toggle_reaction('mod_forum', 'post', $post2->id, $other->id, 'heart');
+        $result = $this->get_reactions($context, [$post1->id, $post2->id], $versions);
+        $this->assertCount(1, $result['items']);
+        $this->assertEquals($post2->id, $result['items'][0]['itemid']);
+        $this->assertEquals([$post1->id], $result['unchanged']);
+
+        // A stale or made-up version just gets the item sent again.
+        $result = $this->get_reactions($context, [$post1->id], [['itemid' => $post1->id, 'version' => 'abc123']]);
+        $this->assertCount(1, $result['items']);
+    }
+
+    /**
+     * The version covers the current user's own reactions, and matches the delta poll's and toggle's.
+     */
+    public function test_version_is_per_user_and_consistent(): void {
+        $this->resetAfterTest();
+        [$context, $student, $other, $post1] = $this->create_forum();
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'thumbsup');
+
+        $this->setUser($student);
+        $mine = $this->get_reactions($context, [$post1->id])['items'][0]['version'];
+        $this->setUser($other);
+        $theirs = $this->get_reactions($context, [$post1->id]);
+        $this->assertNotSame($mine, $theirs['items'][0]['version']);
+
+        $toggled = toggle_reaction::execute('mod_forum', 'post', $post1->id, 'thumbsup');
+        $changes = get_reaction_changes::execute('mod_forum', 'post', [$post1->id], $context->id, $theirs['cursor']);
+        $full = $this->get_reactions($context, [$post1->id])['items'][0];
+        $this->assertSame($full['version'], $toggled['version']);
+        $this->assertSame($full['version'], $changes['items'][0]['version']);
+    }
+
+    /**
+     * Discussion totals are versioned the same way.
+     */
+    public function test_discussion_versions(): void {
+        $this->resetAfterTest();
+        [$context, $student, $other, $post1, $post2] = $this->create_forum();
+        $this->setUser($student);
+        $discussionids = [$post1->discussion, $post2->discussion];
+
+        $initial = get_discussion_reactions::execute('mod_forum', 'post', $discussionids, $context->id);
+        $versions = array_map(fn(array $item): array => [
+            'discussionid' => $item['discussionid'],
+            'version' => $item['version'],
+        ], $initial['items']);
+
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $other->id, 'heart');
+        $result = external_api::clean_returnvalue(
+            get_discussion_reactions::execute_returns(),
+            get_discussion_reactions::execute('mod_forum', 'post', $discussionids, $context->id, $versions)
+        );
+        $this->assertCount(1, $result['items']);
+        $this->assertEquals($post1->discussion, $result['items'][0]['discussionid']);
+        $this->assertEquals([$post2->discussion], $result['unchanged']);
+    }
+
+    /**
+     * Discussion totals name the opening post and carry the user's own reactions on it, but not on replies.
+     */
+    public function test_discussion_opening_post_reactions(): void {
+        $this->resetAfterTest();
+        [$context, $student, $other, $post1] = $this->create_forum();
+        $reply = $this->getDataGenerator()->get_plugin_generator('mod_forum')->create_post([
+            'discussion' => $post1->discussion,
+            'parent' => $post1->id,
+            'userid' => $other->id,
+        ]);
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student->id, 'thumbsup');
+        manager::toggle_reaction('mod_forum', 'post', $reply->id, $student->id, 'heart');
+        manager::toggle_reaction('mod_forum', 'post', $reply->id, $other->id, 'heart');
+
+        $this->setUser($student);
+        $result = external_api::clean_returnvalue(
+            get_discussion_reactions::execute_returns(),
+            get_discussion_reactions::execute('mod_forum', 'post', [$post1->discussion], $context->id)
+        );
+        $item = $result['items'][0];
+        $this->assertEquals($post1->id, $item['firstpostid']);
+        $this->assertEquals(['thumbsup'], $item['userreactions']);
+        $this->assertEquals(['heart' => 2, 'thumbsup' => 1], array_column($item['counts'], 'count', 'emoji'));
+
+        $this->setUser($other);
+        $result = get_discussion_reactions::execute('mod_forum', 'post', [$post1->discussion], $context->id);
+        $this->assertEquals([], $result['items'][0]['userreactions']);
+        $this->assertNotSame($item['version'], $result['items'][0]['version']);
+    }
+}
@@ -0,0 +1,139 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions\external;
+
+use core_external\external_api;
+use local_reactions\manager;
+
+/**
+ * Tests for the get_reactors web service.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\external\get_reactors
+ */
+final class get_reactors_test extends \advanced_testcase {
+    /**
+     * Create a forum with one post, a teacher, a student and three student reactions.
+     *
+     * @param int $visibility The forum's reactorvisibility mode.
+     * @return array [$post, $teacher, $student]
+     */
+    private function create_forum_with_reactions(int $visibility): array {
+        global $DB;
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $teacher = $generator->create_and_enrol($course, 'editingteacher');
+        $student = $generator->create_and_enrol($course, 'student');
+
+        $reactionsgenerator = $generator->get_plugin_generator('local_reactions');
+        $reactionsgenerator->create_enabled_forum([
+            'cmid' => $forum->cmid,
+            'reactorvisibility' => $visibility,
+        ]);
+        manager::clear_forum_config_cache();
+
+        $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+            'course' => $course->id,
+            'forum' => $forum->id,
+            'userid' => $teacher->id,
+        ]);
+        $post = $DB->get_record('forum_posts', ['discussion' => $discussion->id]);
+
+        $now = time();
+        foreach (['thumbsup', 'thumbsup', 'heart'] as $i => $emoji) {
+            $reactor = $i === 0 ? $student : $generator->create_and_enrol($course, 'student');
+            $reactionsgenerator->create_reaction([
+                'itemid' => $post->id,
+                'userid' => $reactor->id,
+                'emoji' => $emoji,
+                'timecreated' => $now + $i,
+            ]);
+        }
+
+        return [$post, $teacher, $student];
+    }
+
+    /**
+     * Call the web service and clean the response as the external API would.
+     *
+     * @param int $itemid
+     * @param string $emoji
+     * @param int $page
+     * @param int $perpage
+     * @return array
+     */
+    private function get_reactors(int $itemid, string $emoji = '', int $page = 0, int $perpage = 20): array {
+        $result = get_reactors::execute('mod_forum', 'post', $itemid, $emoji, $page, $perpage);
+        return external_api::clean_returnvalue(get_reactors::execute_returns(), $result);
+    }
+
+    /**
+     * Anonymous forums never reveal reactors, even to teachers.
+     */
+    public function test_anonymous_forum_hides_reactors(): void {
+        $this->resetAfterTest();
+        [$post, $teacher] = $this->create_forum_with_reactions(manager::REACTORS_ANONYMOUS);
+
+        $this->setUser($teacher);
+        $this->expectException(\moodle_exception::class);
+        $this->expectExceptionMessage(get_string('reactorsnotvisible', 'local_reactions'));
+        $this->get_reactors($post->id);
+    }
+
+    /**
+     * Teacher-only forums reveal reactors to teachers but not to students.
+     */
+    public function test_teachers_mode(): void {
+        $this->resetAfterTest();
+        [$post, $teacher, $student] = $this->create_forum_with_reactions(manager::REACTORS_TEACHERS);
+
+        $this->setUser($teacher);
+        $result = $this->get_reactors($post->id);
+        $this->assertEquals(3, $result['total']);
+        $this->assertCount(3, $result['reactors']);
+
+        $this->setUser($student);
+        $this->expectException(\moodle_exception::class);
+        $this->get_reactors($post->id);
+    }
+
+    /**
+     * Everyone mode lets students see reactors, filtered by emoji, newest first and paginated.
+     */
+    public function test_everyone_mode_filters_and_paginates(): void {
+        $this->resetAfterTest();
+        [$post, , $student] = $this->create_forum_with_reactions(manager::REACTORS_EVERYONE);
+
+        $this->setUser($student);
+        $result = $this->get_reactors($post->id, 'thumbsup', 0, 1);
+        $this->assertEquals(2, $result['total']);
+        $this->assertTrue($result['hasmore']);
+        $this->assertCount(1, $result['reactors']);
+        $this->assertEquals('thumbsup', $result['reactors'][0]['emoji']);
+        $this->assertEquals('Thumbs up', $result['reactors'][0]['name']);
+        $this->assertNotEquals($student->id, $result['reactors'][0]['userid']);
+
+        $result = $this->get_reactors($post->id, 'thumbsup', 1, 1);
+        $this->assertFalse($result['hasmore']);
+        $this->assertEquals($student->id, $result['reactors'][0]['userid']);
+        $this->assertEquals(fullname($student), $result['reactors'][0]['fullname']);
+    }
+}
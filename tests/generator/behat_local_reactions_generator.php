@@ -37,16 +37,27 @@ class behat_local_reactions_generator extends behat_generator_base {
                 'singular' => 'reaction',
                 'datagenerator' => 'reaction',
                 // Only 'user' and 'emoji' are universally required; the row must also provide
-                // one of 'post' (forum post subject) or 'blogentry' (blog entry subject) — the
-                // generator itself enforces that.
+                // one of 'post' (forum post subject), 'blogentry' (blog entry subject), 'comment'
+                // (comment text) or 'glossaryentry' (entry concept) — the generator itself enforces that.
                 'required' => ['user', 'emoji'],
                 'switchids' => ['user' => 'userid'],
             ],
+            'comments' => [
+                'singular' => 'comment',
+                'datagenerator' => 'comment',
+                'required' => ['user', 'glossaryentry', 'content'],
+                'switchids' => ['user' => 'userid'],
+            ],
             'enabled forums' => [
                 'singular' => 'enabled forum',
                 'datagenerator' => 'enabled_forum',
                 'required' => ['forum', 'course'],
             ],
+            'enabled activities' => [
+                'singular' => 'enabled activity',
+                'datagenerator' => 'enabled_activity',
+                'required' => ['activity'],
+            ],
         ];
     }
 
@@ -29,12 +29,16 @@ class local_reactions_generator extends component_generator_base {
     /**
      * Create a reaction record.
      *
-     * Supports three ways of identifying the item being reacted to:
+     * Supports five ways of identifying the item being reacted to:
      *   - explicit 'itemid' (plus matching 'component' / 'itemtype')
      *   - 'post' (forum post subject) — resolves to {forum_posts} and defaults
      *     component/itemtype to mod_forum/post.
      *   - 'blogentry' (blog entry subject) — resolves to {post} with module='blog'
      *     and defaults component/itemtype to core_blog/entry.
+     *   - 'comment' (comment text) — resolves to {comments} and defaults
+     *     component/itemtype to core_comment/comment.
+     *   - 'glossaryentry' (entry concept) — resolves to {glossary_entries} and defaults
+     *     component/itemtype to mod_glossary/entry.
      *
      * @param array $data Must contain userid, emoji, and one of the above identifiers.
      * @return stdClass The created record.
@@ -42,9 +46,11 @@ class local_reactions_generator extends component_generator_base {
     public function create_reaction(array $data): stdClass {
         global $DB;
 
-        if (!isset($data['itemid']) && !isset($data['post']) && !isset($data['blogentry'])) {
+        $identifiers = ['itemid', 'post', 'blogentry', 'comment', 'glossaryentry'];
+        if (!array_intersect($identifiers, array_keys($data))) {
             throw new coding_exception(
-                'create_reaction requires one of: itemid, post (forum post subject), blogentry (blog entry subject)'
+                'create_reaction requires one of: itemid, post (forum post subject), blogentry (blog entry subject), '
+                . 'comment (comment text), glossaryentry (glossary entry concept)'
             );
         }
 
@@ -65,6 +71,24 @@ class local_reactions_generator extends component_generator_base {
             $data['component'] = $data['component'] ?? 'core_blog';
             $data['itemtype'] = $data['itemtype'] ?? 'entry';
             unset($data['blogentry']);
+        } else if (isset($data['comment'])) {
+            // Comment lookup — texts are unique in test scenarios.
+            $data['itemid'] = $DB->get_field_select(
+                'comments',
+                'id',
+                $DB->sql_compare_text('content') . ' = ' . $DB->sql_compare_text(':content'),
+                ['content' => $data['comment']],
+                MUST_EXIST
+            );
+            $data['component'] = $data['component'] ?? 'core_comment';
+            $data['itemtype'] = $data['itemtype'] ?? 'comment';
+            unset($data['comment']);
+        } else if (isset($data['glossaryentry'])) {
+            // Glossary entry lookup — concepts are unique in test scenarios.
+            $data['itemid'] = $DB->get_field('glossary_entries', 'id', ['concept' => $data['glossaryentry']], MUST_EXIST);
+            $data['component'] = $data['component'] ?? 'mod_glossary';
+            $data['itemtype'] = $data['itemtype'] ?? 'entry';
+            unset($data['glossaryentry']);
         }
 
         $record = new stdClass();
@@ -76,9 +100,50 @@ class local_reactions_generator extends component_generator_base {
         $record->timecreated = $data['timecreated'] ?? time();
 
         $record->id = $DB->insert_record('local_reactions', $record);
+        \local_reactions\manager::record_changes($record->component, $record->itemtype, [$record->itemid]);
         return $record;
     }
 
+    /**
+     * Create a comment on a glossary entry, as the comments widget would store it.
+     *
+     * @param array $data Must contain userid, content and glossaryentry (entry concept).
+     * @return stdClass The created {comments} record.
+     */
+    public function create_comment(array $data): stdClass {
+        global $DB;
+
+        $entry = $DB->get_record('glossary_entries', ['concept' => $data['glossaryentry']], '*', MUST_EXIST);
+        $cm = get_coursemodule_from_instance('glossary', $entry->glossaryid, 0, false, MUST_EXIST);
+
+        $record = new stdClass();
+        $record->contextid = context_module::instance($cm->id)->id;
+        $record->component = 'mod_glossary';
+        $record->commentarea = 'glossary_entry';
+        $record->itemid = $entry->id;
+        $record->content = $data['content'];
+        $record->format = FORMAT_MOODLE;
+        $record->userid = $data['userid'];
+        $record->timecreated = $data['timecreated'] ?? time();
+
+        $record->id = $DB->insert_record('comments', $record);
+        return $record;
+    }
+
+    /**
+     * Enable reactions for any activity that supports them, found by its ID number.
+     *
+     * @param array $data Must contain activity (course module ID number); other fields as for create_enabled_forum().
+     * @return stdClass The created record.
+     */
+    public function create_enabled_activity(array $data): stdClass {
+        global $DB;
+
+        $data['cmid'] = $DB->get_field('course_modules', 'id', ['idnumber' => $data['activity']], MUST_EXIST);
+        unset($data['activity']);
+        return $this->create_enabled_forum($data);
+    }
+
     /**
      * Enable reactions for a forum.
      *
@@ -114,6 +179,10 @@ class local_reactions_generator extends component_generator_base {
             ? (int) $data['allowmultiplereactions'] : 1;
         $record->onlypeerreactionsgrading = isset($data['onlypeerreactionsgrading'])
             ? (int) $data['onlypeerreactionsgrading'] : 1;
+        $record->reactorvisibility = (int) ($data['reactorvisibility'] ?? 0);
+        $record->reactfromlist = (int) ($data['reactfromlist'] ?? 0);
+        $record->emojis = $data['emojis'] ?? null;
+        $record->retiredemojis = $data['retiredemojis'] ?? null;
 
         $existing = $DB->get_record('local_reactions_enabled', ['cmid' => $cmid]);
         if ($existing) {
@@ -0,0 +1,148 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+use local_reactions\external\get_grading_summary;
+
+/**
+ * Tests for the per-student reaction summary in the grading panel.
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\grading_summary
+ * @covers \local_reactions\external\get_grading_summary
+ */
+final class grading_summary_test extends \advanced_testcase {
+    /**
+     * Create a forum where each of two students posts once, reacted to as follows:
+     *   Student one's post: thumbsup from the teacher and from student two, heart from student one.
+     *   Student two's post: laugh from student one and from the teacher.
+     *
+     * @param bool $onlypeer Whether the forum only counts peer reactions when grading.
+     * @return array [$cm, $teacher, $student1, $student2, $post1, $post2]
+     */
+    private function create_forum(bool $onlypeer = true): array {
+        global $DB;
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $forum = $generator->create_module('forum', ['course' => $course->id]);
+        $teacher = $generator->create_and_enrol($course, 'editingteacher');
+        $student1 = $generator->create_and_enrol($course, 'student');
+        $student2 = $generator->create_and_enrol($course, 'student');
+        $generator->get_plugin_generator('local_reactions')->create_enabled_forum([
+            'cmid' => $forum->cmid,
+            'onlypeerreactionsgrading' => (int) $onlypeer,
+        ]);
+        manager::clear_forum_config_cache();
+
+        $posts = [];
+        foreach ([$student1, $student2] as $student) {
+            $discussion = $generator->get_plugin_generator('mod_forum')->create_discussion([
+                'course' => $course->id,
+                'forum' => $forum->id,
+                'userid' => $student->id,
+            ]);
+            $posts[] = $DB->get_record('forum_posts', ['discussion' => $discussion->id]);
+        }
+        [$post1, $post2] = $posts;
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $teacher->id, 'thumbsup');
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student2->id, 'thumbsup');
+        manager::toggle_reaction('mod_forum', 'post', $post1->id, $student1->id, 'heart');
+        manager::toggle_reaction('mod_forum', 'post', $post2->id, $student1->id, 'laugh');
+        manager::toggle_reaction('mod_forum', 'post', $post2->id, $teacher->id, 'laugh');
+
+        return [get_coursemodule_from_id('forum', $forum->cmid), $teacher, $student1, $student2, $post1, $post2];
+    }
+
+    /**
+     * Only peer reactions count by default, and the grader can include the rest.
+     */
+    public function test_peer_only_and_include_all(): void {
+        $this->resetAfterTest();
+        [$cm, , $student1] = $this->create_forum();
+        $context = \context_module::instance($cm->id);
+
+        $summary = grading_summary::get($context, (int) $cm->instance, $student1->id);
+        $this->assertTrue($summary['peeronly']);
+        $this->assertTrue($summary['canincludeall']);
+        $this->assertSame(1, $summary['received']);
+        $this->assertSame(['thumbsup' => 1], $summary['counts']);
+        $this->assertSame(1, $summary['given']);
+        $this->assertSame(1.0, $summary['median']);
+        $this->assertSame(2, $summary['participants']);
+
+        $summary = grading_summary::get($context, (int) $cm->instance, $student1->id, true);
+        $this->assertFalse($summary['peeronly']);
+        $this->assertSame(3, $summary['received']);
+        $this->assertSame(['thumbsup' => 2, 'heart' => 1], $summary['counts']);
+        $this->assertSame(2.5, $summary['median']);
+    }
+
+    /**
+     * Forums counting every reaction when grading have nothing to include.
+     */
+    public function test_all_reactions_forum(): void {
+        $this->resetAfterTest();
+        [$cm, , , $student2] = $this->create_forum(false);
+        $context = \context_module::instance($cm->id);
+
+        $summary = grading_summary::get($context, (int) $cm->instance, $student2->id);
+        $this->assertFalse($summary['peeronly']);
+        $this->assertFalse($summary['canincludeall']);
+        $this->assertSame(2, $summary['received']);
+        $this->assertSame(1, $summary['given']);
+    }
+
+    /**
+     * The web service summarises the student selected in the grader, posts or not, and is limited to graders.
+     */
+    public function test_external(): void {
+        $this->resetAfterTest();
+        [$cm, $teacher, $student1] = $this->create_forum();
+
+        $this->setUser($teacher);
+        $result = get_grading_summary::execute($cm->id, $student1->id);
+        $this->assertEquals($student1->id, $result['userid']);
+        $this->assertEquals([['emoji' => 'thumbsup', 'count' => 1]], $result['counts']);
+
+        $student3 = $this->getDataGenerator()->create_and_enrol(get_course($cm->course), 'student');
+        $result = get_grading_summary::execute($cm->id, $student3->id);
+        $this->assertEquals($student3->id, $result['userid']);
+        $this->assertSame(0, $result['received']);
+        $this->assertSame([], $result['counts']);
+        $this->assertSame(3, $result['participants']);
+
+        $this->setUser($student1);
+        $this->expectException(\required_capability_exception::class);
+        get_grading_summary::execute($cm->id, $student1->id);
+    }
+
+    /**
+     * Users outside the forum's course can't be summarised.
+     */
+    public function test_external_not_enrolled(): void {
+        $this->resetAfterTest();
+        [$cm, $teacher] = $this->create_forum();
+        $outsider = $this->getDataGenerator()->create_user();
+
+        $this->setUser($teacher);
+        $this->expectException(\invalid_parameter_exception::class);
+        get_grading_summary::execute($cm->id, $outsider->id);
+    }
+}
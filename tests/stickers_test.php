@@ -0,0 +1,158 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_reactions;
+
+/**
+ * Tests for stickers (custom image reactions).
+ *
+ * @package    local_reactions
+ * @category   test
+ * @copyright  2026 Andrew Rowatt <A.J.Rowatt@massey.ac.nz>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \local_reactions\stickers
+ * @covers \local_reactions\manager
+ */
+final class stickers_test extends \advanced_testcase {
+    /**
+     * Save a sticker with a small image, as the sticker form would.
+     *
+     * @param \context $context System or course context.
+     * @param string $shortcode Sticker shortcode.
+     * @return int The sticker ID.
+     */
+    private function create_sticker(\context $context, string $shortcode): int {
+        global $USER;
+        $draftitemid = file_get_unused_draft_itemid();
+        get_file_storage()->create_file_from_string([
+            'contextid' => \context_user::instance($USER->id)->id,
+            'component' => 'user',
+            'filearea' => 'draft',
+            'itemid' => $draftitemid,
+            'filepath' => '/',
+            'filename' => $shortcode . '.png',
+        ], 'not really a png');
+
+        return stickers::save($context, (object) [
+            'id' => 0,
+            'shortcode' => $shortcode,
+            'alttext' => ucfirst($shortcode),
+            'image' => $draftitemid,
+        ]);
+    }
+
+    /**
+     * Site stickers are offered everywhere, course stickers only in their course and only when enabled.
+     */
+    public function test_get_for_context(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        $course = $this->getDataGenerator()->create_course();
+        $othercourse = $this->getDataGenerator()->create_course();
+        $coursecontext = \context_course::instance($course->id);
+
+        $this->create_sticker(\context_system::instance(), 'mascot');
+        $this->create_sticker($coursecontext, 'teamlogo');
+
+        $this->assertSame(['mascot'], array_keys(stickers::get_for_context($coursecontext)));
+
+        set_config('coursestickers', 1, 'local_reactions');
+        stickers::clear_cache();
+        $stickers = stickers::export_for_js($coursecontext);
+        $this->assertSame(['mascot', 'teamlogo'], array_keys($stickers));
+        $this->assertSame('Teamlogo', $stickers['teamlogo']['alt']);
+        $this->assertStringContainsString('/local_reactions/sticker/', $stickers['teamlogo']['url']);
+        $this->assertSame(['mascot'], array_keys(stickers::get_for_context(\context_course::instance($othercourse->id))));
+    }
+
+    /**
+     * Shortcodes may not clash with emoji, catalogue emoji or stickers offered in the same place.
+     */
+    public function test_is_shortcode_taken(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        $course = $this->getDataGenerator()->create_course();
+        $othercourse = $this->getDataGenerator()->create_course();
+        $coursecontext = \context_course::instance($course->id);
+        $systemcontext = \context_system::instance();
+
+        $this->assertTrue(stickers::is_shortcode_taken($systemcontext, 'thumbsup'));
+        $this->assertTrue(stickers::is_shortcode_taken($systemcontext, 'rocket'));
+        $this->assertFalse(stickers::is_shortcode_taken($systemcontext, 'mascot'));
+
+        $mascotid = $this->create_sticker($systemcontext, 'mascot');
+        $this->create_sticker($coursecontext, 'teamlogo');
+
+        $this->assertTrue(stickers::is_shortcode_taken($coursecontext, 'mascot'));
+        $this->assertFalse(stickers::is_shortcode_taken($systemcontext, 'mascot', $mascotid));
+        $this->assertTrue(stickers::is_shortcode_taken($coursecontext, 'teamlogo'));
+        $this->assertFalse(stickers::is_shortcode_taken(\context_course::instance($othercourse->id), 'teamlogo'));
+        // A site sticker would be offered next to every course's stickers.
+        $this->assertTrue(stickers::is_shortcode_taken($systemcontext, 'teamlogo'));
+    }
+
+    /**
+     * Reactions with a sticker are accepted only where the sticker is offered.
+     */
+    public function test_toggle_validates_stickers(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        $course = $this->getDataGenerator()->create_course();
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $coursecontext = \context_course::instance($course->id);
+        $this->create_sticker(\context_system::instance(), 'mascot');
+
+        $result = manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'mascot', true, $coursecontext);
+        $this->assertSame('added', $result['action']);
+
+        // Stickers are only known in the context of the item being reacted to.
+        try {
+            manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'mascot');
+            $this->fail('Sticker accepted without a context');
+        } catch (\invalid_parameter_exception $e) {
+            $this->assertStringContainsString('mascot', $e->getMessage());
+        }
+
+        // Course stickers are off, so a course sticker is not offered.
+        $this->create_sticker($coursecontext, 'teamlogo');
+        $this->expectException(\invalid_parameter_exception::class);
+        manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'teamlogo', true, $coursecontext);
+    }
+
+    /**
+     * Deleting a sticker keeps the reactions made with it, and deleting a course removes its stickers.
+     */
+    public function test_delete(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        set_config('coursestickers', 1, 'local_reactions');
+        $course = $this->getDataGenerator()->create_course();
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $coursecontext = \context_course::instance($course->id);
+
+        $mascotid = $this->create_sticker(\context_system::instance(), 'mascot');
+        $this->create_sticker($coursecontext, 'teamlogo');
+        manager::toggle_reaction('mod_forum', 'post', 1, $student->id, 'mascot', true, $coursecontext);
+
+        stickers::delete($DB->get_record('local_reactions_stickers', ['id' => $mascotid]));
+        $this->assertSame(['teamlogo'], array_keys(stickers::get_for_context($coursecontext)));
+        $this->assertTrue($DB->record_exists('local_reactions', ['emoji' => 'mascot']));
+
+        delete_course($course, false);
+        $this->assertFalse($DB->record_exists('local_reactions_stickers', []));
+    }
+}